@@ -0,0 +1,86 @@
+import { config } from 'dotenv';
+import mongoose from 'mongoose';
+import Client from '../src/models/Client.js';
+import { getCoolifyAPI } from '../src/services/coolify.js';
+import { resolveDomain } from '../src/services/domains.js';
+
+// Load environment variables
+config();
+
+// Usage: npm run backfill:resource-ids [-- --dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+async function backfillResourceIds() {
+	const coolify = getCoolifyAPI();
+	if (!coolify) {
+		console.error(
+			'Coolify API must be configured to backfill resource IDs'
+		);
+		process.exit(1);
+	}
+
+	await mongoose.connect(
+		process.env.MONGODB_URI || 'mongodb://localhost:27017/subdomain_manager'
+	);
+
+	// One listing call instead of a name lookup per client
+	const applications = await coolify.getApplications();
+	const clients = await Client.find({
+		$or: [
+			{ dnsRecordId: { $exists: false } },
+			{ 'coolify.applicationUuid': { $exists: false } },
+		],
+	});
+
+	console.log(
+		`Checking ${clients.length} client(s)${dryRun ? ' (dry run)' : ''}`
+	);
+
+	let updated = 0;
+	for (const client of clients) {
+		const changes: string[] = [];
+
+		if (!client.dnsRecordId) {
+			const { dns } = await resolveDomain(client.domain);
+			const record = await dns.findSubdomainRecord(client.subdomain);
+			if (record) {
+				client.dnsRecordId = record.id;
+				changes.push(`dnsRecordId=${record.id}`);
+			}
+		}
+
+		if (!client.coolify?.applicationUuid) {
+			const app = applications.find(
+				(application: any) => application.name === client.subdomain
+			);
+			if (app) {
+				client.coolify = {
+					applicationUuid: app.uuid,
+					serverUuid: process.env.COOLIFY_SERVER_ID,
+					projectUuid: process.env.COOLIFY_PROJECT_ID,
+					environmentUuid: process.env.COOLIFY_ENVIRONMENT_ID,
+				};
+				changes.push(`applicationUuid=${app.uuid}`);
+			}
+		}
+
+		if (changes.length === 0) {
+			console.log(`- ${client.subdomain}: no matching resources found`);
+			continue;
+		}
+
+		console.log(`- ${client.subdomain}: ${changes.join(', ')}`);
+		if (!dryRun) {
+			await client.save();
+		}
+		updated++;
+	}
+
+	console.log(`\nBackfilled ${updated} client(s)`);
+	await mongoose.disconnect();
+}
+
+backfillResourceIds().catch((error) => {
+	console.error('Failed to backfill resource IDs:', error);
+	process.exit(1);
+});
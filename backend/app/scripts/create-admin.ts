@@ -0,0 +1,72 @@
+import { config } from 'dotenv';
+import mongoose from 'mongoose';
+import { createInterface } from 'readline/promises';
+import User from '../src/models/User.js';
+import { ADMIN_ROLE } from '../src/services/roles.js';
+
+// Load environment variables
+config();
+
+// Usage: npm run create-admin -- --email admin@example.com --name "Jane Doe"
+// Bootstraps the first admin account. The password is read from
+// ADMIN_PASSWORD or asked for interactively. Refuses to run once an admin
+// exists; further users are invited from the admin API.
+const getArg = (name: string): string | undefined => {
+	const index = process.argv.indexOf(`--${name}`);
+	return index === -1 ? undefined : process.argv[index + 1];
+};
+
+async function createAdmin() {
+	const email = getArg('email')?.trim().toLowerCase();
+	const name = getArg('name')?.trim();
+
+	if (!email || !name) {
+		console.error(
+			'Usage: npm run create-admin -- --email <email> --name <name>'
+		);
+		process.exit(1);
+	}
+
+	await mongoose.connect(
+		process.env.MONGODB_URI || 'mongodb://localhost:27017/subdomain_manager'
+	);
+
+	if (await User.exists({ role: ADMIN_ROLE })) {
+		console.error(
+			'An admin already exists; invite further users from the admin API'
+		);
+		await mongoose.disconnect();
+		process.exit(1);
+	}
+
+	if (await User.exists({ email })) {
+		console.error(`A user with email ${email} already exists`);
+		await mongoose.disconnect();
+		process.exit(1);
+	}
+
+	let password = process.env.ADMIN_PASSWORD;
+	if (!password) {
+		const prompt = createInterface({
+			input: process.stdin,
+			output: process.stdout,
+		});
+		password = await prompt.question('Password: ');
+		prompt.close();
+	}
+	if (password.length < 6) {
+		console.error('Password must be at least 6 characters long');
+		await mongoose.disconnect();
+		process.exit(1);
+	}
+
+	const user = await User.create({ email, name, password, role: ADMIN_ROLE });
+	console.log(`Created admin ${user.email}`);
+
+	await mongoose.disconnect();
+}
+
+createAdmin().catch((error) => {
+	console.error('Failed to create admin:', error);
+	process.exit(1);
+});
@@ -0,0 +1,133 @@
+import { config } from 'dotenv';
+import mongoose from 'mongoose';
+import Client from '../src/models/Client.js';
+import Domain from '../src/models/Domain.js';
+import {
+	getActiveDNSProviderName,
+	validateDNSProviderConfig,
+} from '../src/services/dns.js';
+import { encryptCredentials } from '../src/services/domains.js';
+
+// Load environment variables
+config();
+
+// Usage: npm run migrate:domains [-- --dry-run]
+// Creates the default Domain from DOMAIN/DNS_PROVIDER and the provider's
+// credential variables, then assigns it to clients that have no domain and
+// builds the unique { domain, subdomain } index. Stops without changing
+// clients when that would leave two clients with the same subdomain.
+const dryRun = process.argv.includes('--dry-run');
+
+const credentialsFromEnv = (provider: string): Record<string, string> => {
+	switch (provider) {
+		case 'cloudflare':
+			return { apiToken: process.env.CLOUDFLARE_API_TOKEN || '' };
+		case 'godaddy':
+			return {
+				apiKey: process.env.GODADDY_API_KEY || '',
+				apiSecret: process.env.GODADDY_API_SECRET || '',
+			};
+		default:
+			return {};
+	}
+};
+
+async function migrateDomains() {
+	const apex = process.env.DOMAIN?.toLowerCase();
+	const provider = getActiveDNSProviderName();
+	const zoneId = process.env.CLOUDFLARE_ZONE_ID;
+	const credentials = credentialsFromEnv(provider);
+
+	if (!apex) {
+		console.error('DOMAIN must be set to migrate the default domain');
+		process.exit(1);
+	}
+
+	const missing = validateDNSProviderConfig(provider, {
+		domain: apex,
+		zoneId,
+		credentials,
+	});
+	if (missing.length > 0) {
+		console.error(
+			`Missing ${provider} configuration: ${missing.join(', ')}`
+		);
+		process.exit(1);
+	}
+
+	await mongoose.connect(
+		process.env.MONGODB_URI || 'mongodb://localhost:27017/subdomain_manager'
+	);
+
+	let domain = await Domain.findOne({ apex });
+	if (domain) {
+		console.log(`Domain ${apex} already exists`);
+	} else {
+		console.log(`Creating default domain ${apex} (${provider})`);
+		domain = new Domain({
+			apex,
+			provider,
+			zoneId: provider === 'cloudflare' ? zoneId : undefined,
+			serverIp: process.env.SERVER_IP,
+			credentials: encryptCredentials(credentials),
+			isDefault: !(await Domain.exists({ isDefault: true })),
+		});
+		if (!dryRun) {
+			await domain.save();
+		}
+	}
+
+	// Subdomains held more than once once legacy clients join the domain
+	const duplicates = await Client.aggregate<{
+		_id: { domain: unknown; subdomain: string };
+		clients: unknown[];
+	}>([
+		{
+			$group: {
+				_id: {
+					domain: {
+						$cond: [
+							{ $ifNull: ['$domain', false] },
+							'$domain',
+							domain._id,
+						],
+					},
+					subdomain: '$subdomain',
+				},
+				clients: { $push: '$_id' },
+				count: { $sum: 1 },
+			},
+		},
+		{ $match: { count: { $gt: 1 } } },
+	]);
+	if (duplicates.length > 0) {
+		console.error(
+			'Clients share a subdomain; rename or delete all but one of each before migrating:'
+		);
+		for (const duplicate of duplicates) {
+			console.error(
+				`- ${duplicate._id.subdomain}: ${duplicate.clients.join(', ')}`
+			);
+		}
+		await mongoose.disconnect();
+		process.exit(1);
+	}
+
+	const count = await Client.countDocuments({ domain: null });
+	console.log(
+		`Assigning ${count} client(s) to ${apex}${dryRun ? ' (dry run)' : ''}`
+	);
+	if (!dryRun) {
+		await Client.updateMany({ domain: null }, { domain: domain._id });
+		// Built at startup too, but that fails silently on duplicates
+		await Client.createIndexes();
+		console.log('Client indexes are in place');
+	}
+
+	await mongoose.disconnect();
+}
+
+migrateDomains().catch((error) => {
+	console.error('Failed to migrate domains:', error);
+	process.exit(1);
+});
@@ -6,6 +6,11 @@ import usersRouter from './routes/users.js';
 import authRouter from './routes/auth.js';
 import clientsRouter from './routes/clients.js';
 import statsRouter from './routes/stats.js';
+import deploymentsRouter from './routes/deployments.js';
+import adminRouter from './routes/admin.js';
+import adminClientsRouter from './routes/adminClients.js';
+import domainsRouter from './routes/domains.js';
+import organizationsRouter from './routes/organizations.js';
 
 // Load environment variables from .env file in the backend directory
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
@@ -13,6 +18,18 @@ dotenv.config({ path: path.resolve(__dirname, '../.env') });
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy (e.g. Traefik in Coolify) req.ip, used by rate
+// limiting and the audit log, must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+	const hops = Number(process.env.TRUST_PROXY);
+	app.set(
+		'trust proxy',
+		Number.isNaN(hops)
+			? process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY
+			: hops
+	);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -22,5 +39,10 @@ app.use('/api/users', usersRouter);
 app.use('/api/auth', authRouter);
 app.use('/api/clients', clientsRouter);
 app.use('/api/stats', statsRouter);
+app.use('/api/deployments', deploymentsRouter);
+app.use('/api/admin/clients', adminClientsRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/domains', domainsRouter);
+app.use('/api/organizations', organizationsRouter);
 
 export default app;
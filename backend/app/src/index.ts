@@ -6,8 +6,21 @@ import clientRoutes from './routes/clients.js';
 import statsRoutes from './routes/stats.js';
 import authRoutes from './routes/auth.js';
 import usersRoutes from './routes/users.js';
-import { CoolifyAPI } from './services/coolify.js';
-import { CloudflareAPI } from './services/cloudflare.js';
+import deploymentRoutes from './routes/deployments.js';
+import adminRoutes from './routes/admin.js';
+import adminClientRoutes from './routes/adminClients.js';
+import domainRoutes from './routes/domains.js';
+import organizationRoutes from './routes/organizations.js';
+import { getDeploymentTarget } from './services/deploymentTargets.js';
+import {
+	DNSProvider,
+	createDNSProviderFromEnv,
+	getActiveDNSProviderName,
+} from './services/dns.js';
+import { startDeploymentWorker } from './services/deploymentWorker.js';
+import { startReconciler } from './services/reconciler.js';
+import { startTrashPurger } from './services/clientTrash.js';
+import { startSiteServer } from './services/siteServer.js';
 
 // Load environment variables
 config();
@@ -16,53 +29,33 @@ const app = express();
 const PORT = parseInt(process.env.PORT || '5010', 10);
 
 // API instances that will be initialized
-export let coolifyAPI: CoolifyAPI | null = null;
-export let cloudflareAPI: CloudflareAPI | null = null;
+export let dnsProvider: DNSProvider | null = null;
 
 // Initialize services at startup
 function initializeServices() {
-	// Check Coolify configuration
-	if (!process.env.COOLIFY_API_KEY || !process.env.COOLIFY_API_URL) {
-		console.error(
-			'Missing Coolify API configuration. Required environment variables:'
+	// Check deployment target configuration; the shared instance is the one
+	// routes and the deployment worker use
+	const deploymentTarget = getDeploymentTarget();
+	if (deploymentTarget) {
+		console.log(
+			`✅ Deployment target (${deploymentTarget.name}) initialized successfully`
 		);
-		console.error('- COOLIFY_API_KEY');
-		console.error('- COOLIFY_API_URL');
 	} else {
-		try {
-			coolifyAPI = new CoolifyAPI(
-				process.env.COOLIFY_API_KEY,
-				process.env.COOLIFY_API_URL
-			);
-			console.log('✅ Coolify API initialized successfully');
-		} catch (error) {
-			console.error('❌ Failed to initialize Coolify API:', error);
-		}
+		console.error('❌ Failed to initialize deployment target');
 	}
 
-	// Check Cloudflare configuration
-	if (
-		!process.env.CLOUDFLARE_API_TOKEN ||
-		!process.env.CLOUDFLARE_ZONE_ID ||
-		!process.env.DOMAIN
-	) {
+	// Check DNS provider configuration
+	const dnsProviderName = getActiveDNSProviderName();
+	try {
+		dnsProvider = createDNSProviderFromEnv(dnsProviderName);
+		console.log(
+			`✅ DNS provider (${dnsProviderName}) initialized successfully`
+		);
+	} catch (error) {
 		console.error(
-			'Missing Cloudflare API configuration. Required environment variables:'
+			`❌ Failed to initialize DNS provider (${dnsProviderName}):`,
+			error instanceof Error ? error.message : error
 		);
-		console.error('- CLOUDFLARE_API_TOKEN');
-		console.error('- CLOUDFLARE_ZONE_ID');
-		console.error('- DOMAIN');
-	} else {
-		try {
-			cloudflareAPI = new CloudflareAPI(
-				process.env.CLOUDFLARE_API_TOKEN,
-				process.env.CLOUDFLARE_ZONE_ID,
-				process.env.DOMAIN
-			);
-			console.log('✅ Cloudflare API initialized successfully');
-		} catch (error) {
-			console.error('❌ Failed to initialize Cloudflare API:', error);
-		}
 	}
 }
 
@@ -72,13 +65,34 @@ if (!process.env.JWT_SECRET) {
 	process.exit(1);
 }
 
+// Headers carrying access tokens, API keys or session cookies
+const REDACTED_HEADERS = new Set(['authorization', 'cookie', 'set-cookie']);
+
 // Request logging middleware
 app.use((req, _res, next) => {
 	console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
-	console.log('Headers:', JSON.stringify(req.headers, null, 2));
+	const headers = Object.fromEntries(
+		Object.entries(req.headers).map(([name, value]) => [
+			name,
+			REDACTED_HEADERS.has(name) ? '[redacted]' : value,
+		])
+	);
+	console.log('Headers:', JSON.stringify(headers, null, 2));
 	next();
 });
 
+// Behind a reverse proxy (e.g. Traefik in Coolify) req.ip, used by rate
+// limiting and the audit log, must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+	const hops = Number(process.env.TRUST_PROXY);
+	app.set(
+		'trust proxy',
+		Number.isNaN(hops)
+			? process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY
+			: hops
+	);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -102,6 +116,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/clients', clientRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/deployments', deploymentRoutes);
+app.use('/api/admin/clients', adminClientRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/domains', domainRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 // Error handling middleware
 app.use(
@@ -124,11 +143,15 @@ mongoose
 	.connect(
 		process.env.MONGODB_URI || 'mongodb://localhost:27017/subdomain_manager'
 	)
-	.then(() => {
+	.then(async () => {
 		console.log('✅ Connected to MongoDB');
 
 		// Initialize services after database connection
 		initializeServices();
+		await startDeploymentWorker();
+		startReconciler();
+		startTrashPurger();
+		if (getDeploymentTarget()?.name === 'shared') startSiteServer();
 
 		// Start server - listen on all interfaces
 		app.listen(PORT, () => {
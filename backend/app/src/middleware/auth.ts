@@ -1,22 +1,44 @@
 import { Response, NextFunction } from 'express';
-import jwt from 'jsonwebtoken';
 import { AuthRequest } from '../types.js';
+import { SessionError, validateAccessToken } from '../services/sessions.js';
+import { ApiKeyError, authenticateApiKey } from '../services/apiKeys.js';
 
 const auth = async (req: AuthRequest, res: Response, next: NextFunction) => {
 	try {
-		const token = req.header('Authorization')?.replace('Bearer ', '');
+		const header = req.header('Authorization') || '';
+
+		// Programmatic access; routes limit what each scope may do
+		if (header.startsWith('ApiKey ')) {
+			const apiKey = await authenticateApiKey(
+				header.slice('ApiKey '.length).trim(),
+				req.ip
+			);
+			req.user = {
+				userId: String(apiKey.owner),
+				apiKeyId: String(apiKey._id),
+				scopes: apiKey.scopes,
+			};
+			next();
+			return;
+		}
+
+		const token = header.replace('Bearer ', '');
 
 		if (!token) {
 			throw new Error();
 		}
 
-		const decoded = jwt.verify(token, process.env.JWT_SECRET!) as {
-			userId: string;
-		};
-		req.user = { userId: decoded.userId };
+		// Rejects revoked sessions and disabled or deleted users, not just
+		// expired signatures
+		const { userId, sid } = await validateAccessToken(token);
+		req.user = { userId, sessionId: sid };
 		next();
 	} catch (error) {
-		res.status(401).json({ message: 'Please authenticate' });
+		res.status(401).json({
+			message: 'Please authenticate',
+			...((error instanceof SessionError ||
+				error instanceof ApiKeyError) && { code: error.code }),
+		});
 	}
 };
 
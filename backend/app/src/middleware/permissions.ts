@@ -0,0 +1,81 @@
+import { Response, NextFunction } from 'express';
+import { AuthRequest, Permission } from '../types.js';
+import User from '../models/User.js';
+import {
+	getRolePermissions,
+	isPrivilegedPermission,
+} from '../services/roles.js';
+import { getSetting } from '../services/settings.js';
+
+export class PermissionError extends Error {
+	constructor(message: string, public code: string) {
+		super(message);
+		this.name = 'PermissionError';
+	}
+}
+
+// Check that the authenticated user's role grants every permission. Also
+// usable inside handlers whose requirements depend on the request body.
+export const authorize = async (
+	req: AuthRequest,
+	permissions: Permission[]
+): Promise<Permission[]> => {
+	const user = await User.findById(req.user?.userId).select(
+		'role twoFactor.enabled'
+	);
+	if (!user) {
+		throw new PermissionError('Access denied', 'FORBIDDEN');
+	}
+
+	const granted = await getRolePermissions(user.role);
+	const missing = permissions.find(
+		(permission) => !granted.includes(permission)
+	);
+	if (missing) {
+		throw new PermissionError(
+			`Access denied. Missing permission "${missing}"`,
+			'MISSING_PERMISSION'
+		);
+	}
+
+	if (permissions.some(isPrivilegedPermission)) {
+		// API keys are for client automation, never for admin features
+		if (req.user?.apiKeyId) {
+			throw new PermissionError(
+				'This endpoint cannot be used with an API key',
+				'API_KEY_NOT_ALLOWED'
+			);
+		}
+		if (
+			!user.twoFactor?.enabled &&
+			(await getSetting('requireAdminTwoFactor'))
+		) {
+			throw new PermissionError(
+				'Two-factor authentication must be enabled to access admin features',
+				'TWO_FACTOR_REQUIRED'
+			);
+		}
+	}
+
+	if (req.user) req.user.permissions = granted;
+	return granted;
+};
+
+export const requirePermission =
+	(...permissions: Permission[]) =>
+	async (req: AuthRequest, res: Response, next: NextFunction) => {
+		try {
+			await authorize(req, permissions);
+			next();
+		} catch (error) {
+			if (error instanceof PermissionError) {
+				res.status(403).json({
+					message: error.message,
+					code: error.code,
+				});
+				return;
+			}
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	};
@@ -0,0 +1,39 @@
+import { Request, Response, NextFunction } from 'express';
+import { RateLimitPolicyName, hitRateLimit } from '../services/rateLimit.js';
+
+// Count the request against a policy from services/rateLimit.ts and answer
+// 429 once its limit is exceeded. A failing store lets requests through.
+export const rateLimit =
+	(policyName: RateLimitPolicyName) =>
+	async (req: Request, res: Response, next: NextFunction) => {
+		try {
+			const { count, resetAt, limited, policy } = await hitRateLimit(
+				policyName,
+				req
+			);
+			const retryAfter = Math.max(
+				Math.ceil((resetAt.getTime() - Date.now()) / 1000),
+				1
+			);
+
+			res.setHeader('RateLimit-Limit', policy.max);
+			res.setHeader(
+				'RateLimit-Remaining',
+				Math.max(policy.max - count, 0)
+			);
+			res.setHeader('RateLimit-Reset', retryAfter);
+
+			if (limited) {
+				res.setHeader('Retry-After', retryAfter);
+				res.status(429).json({
+					message: policy.message,
+					code: 'RATE_LIMITED',
+					retryAfter,
+				});
+				return;
+			}
+		} catch (error) {
+			console.error(`Rate limiter "${policyName}" failed:`, error);
+		}
+		next();
+	};
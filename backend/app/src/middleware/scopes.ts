@@ -0,0 +1,32 @@
+import { Response, NextFunction } from 'express';
+import { ApiKeyScope, AuthRequest } from '../types.js';
+
+// Restrict API key requests to keys holding the scope. Session (JWT) requests
+// act with the user's full rights and pass through.
+export const requireScope =
+	(scope: ApiKeyScope) =>
+	(req: AuthRequest, res: Response, next: NextFunction) => {
+		const scopes = req.user?.scopes;
+		if (scopes && !scopes.includes(scope)) {
+			res.status(403).json({
+				message: `API key is missing the "${scope}" scope`,
+			});
+			return;
+		}
+		next();
+	};
+
+// Reject API keys on routes that manage the account itself
+export const requireSession = (
+	req: AuthRequest,
+	res: Response,
+	next: NextFunction
+) => {
+	if (req.user?.apiKeyId) {
+		res.status(403).json({
+			message: 'This endpoint cannot be used with an API key',
+		});
+		return;
+	}
+	next();
+};
@@ -0,0 +1,50 @@
+import mongoose, { Schema } from 'mongoose';
+import { IApiKey } from '../types.js';
+
+const apiKeySchema = new Schema<IApiKey>({
+	name: {
+		type: String,
+		required: true,
+		trim: true,
+	},
+	owner: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+		required: true,
+	},
+	prefix: {
+		type: String,
+		required: true,
+		unique: true,
+	},
+	keyHash: {
+		type: String,
+		required: true,
+		select: false,
+	},
+	scopes: {
+		type: [String],
+		enum: ['clients:read', 'clients:write', 'deploy'],
+		default: [],
+	},
+	expiresAt: {
+		type: Date,
+	},
+	lastUsedAt: {
+		type: Date,
+	},
+	lastUsedIp: {
+		type: String,
+	},
+	revokedAt: {
+		type: Date,
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+apiKeySchema.index({ owner: 1, createdAt: -1 });
+
+export default mongoose.model<IApiKey>('ApiKey', apiKeySchema);
@@ -0,0 +1,73 @@
+import mongoose, { Schema } from 'mongoose';
+import { IAuditChange, IAuditEvent } from '../types.js';
+
+const auditChangeSchema = new Schema<IAuditChange>(
+	{
+		field: {
+			type: String,
+			required: true,
+		},
+		before: Schema.Types.Mixed,
+		after: Schema.Types.Mixed,
+	},
+	{ _id: false }
+);
+
+const auditEventSchema = new Schema<IAuditEvent>({
+	action: {
+		type: String,
+		required: true,
+	},
+	actor: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+	},
+	actorEmail: {
+		type: String,
+	},
+	targetType: {
+		type: String,
+		enum: [
+			'user',
+			'client',
+			'deployment',
+			'domain',
+			'settings',
+			'organization',
+			'role',
+			'subdomain_rule',
+		],
+		required: true,
+	},
+	targetId: {
+		type: Schema.Types.ObjectId,
+	},
+	client: {
+		type: Schema.Types.ObjectId,
+		ref: 'Client',
+	},
+	changes: {
+		type: [auditChangeSchema],
+		default: [],
+	},
+	metadata: {
+		type: Schema.Types.Mixed,
+	},
+	ip: {
+		type: String,
+	},
+	userAgent: {
+		type: String,
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ client: 1, createdAt: -1 });
+
+export default mongoose.model<IAuditEvent>('AuditEvent', auditEventSchema);
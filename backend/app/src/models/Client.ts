@@ -1,5 +1,11 @@
 import mongoose, { Schema } from 'mongoose';
-import { IClient, ILink, ICustomization } from '../types.js';
+import {
+	IClient,
+	ILink,
+	ICustomization,
+	ICoolifyResource,
+	ICustomDomain,
+} from '../types.js';
 
 const linkSchema = new Schema<ILink>({
 	title: {
@@ -27,6 +33,48 @@ const customizationSchema = new Schema<ICustomization>({
 	font: String,
 });
 
+const coolifyResourceSchema = new Schema<ICoolifyResource>(
+	{
+		applicationUuid: String,
+		serverUuid: String,
+		projectUuid: String,
+		environmentUuid: String,
+	},
+	{ _id: false }
+);
+
+const customDomainSchema = new Schema<ICustomDomain>(
+	{
+		hostname: {
+			type: String,
+			required: true,
+			trim: true,
+			lowercase: true,
+		},
+		verificationToken: {
+			type: String,
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: ['pending', 'verified', 'failed'],
+			default: 'pending',
+		},
+		txtVerified: {
+			type: Boolean,
+			default: false,
+		},
+		cnameVerified: {
+			type: Boolean,
+			default: false,
+		},
+		lastCheckedAt: Date,
+		verifiedAt: Date,
+		lastError: String,
+	},
+	{ _id: false }
+);
+
 const clientSchema = new Schema<IClient>(
 	{
 		name: {
@@ -39,6 +87,11 @@ const clientSchema = new Schema<IClient>(
 			trim: true,
 			lowercase: true,
 		},
+		// Apex the subdomain lives under; unset means the default domain
+		domain: {
+			type: Schema.Types.ObjectId,
+			ref: 'Domain',
+		},
 		description: {
 			type: String,
 			default: '',
@@ -53,6 +106,10 @@ const clientSchema = new Schema<IClient>(
 			ref: 'User',
 			required: true,
 		},
+		organization: {
+			type: Schema.Types.ObjectId,
+			ref: 'Organization',
+		},
 		isActive: {
 			type: Boolean,
 			default: true,
@@ -76,6 +133,30 @@ const clientSchema = new Schema<IClient>(
 		htmlCode: {
 			type: String,
 		},
+		htmlCodeRaw: {
+			type: String,
+		},
+		// IDs of the external resources created for this client
+		dnsRecordId: {
+			type: String,
+		},
+		coolify: {
+			type: coolifyResourceSchema,
+		},
+		// Customer-owned host pointed at the page, e.g. links.theirbrand.com
+		customDomain: {
+			type: customDomainSchema,
+		},
+		publishedRevision: {
+			type: Number,
+		},
+		deletedAt: {
+			type: Date,
+		},
+		deletedBy: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+		},
 		createdAt: {
 			type: Date,
 			default: Date.now,
@@ -95,5 +176,41 @@ const clientSchema = new Schema<IClient>(
 
 // Add index for faster queries
 clientSchema.index({ owner: 1, createdAt: -1 });
+clientSchema.index({ organization: 1, createdAt: -1 });
+// Stops two concurrent creates from both claiming a subdomain. Clients from
+// before domains existed have a null domain and would not collide with the
+// default domain's; `npm run migrate:domains` assigns them to it, checking for
+// duplicates first.
+clientSchema.index({ domain: 1, subdomain: 1 }, { unique: true });
+clientSchema.index({ deletedAt: 1 }, { sparse: true });
+clientSchema.index(
+	{ 'customDomain.hostname': 1 },
+	{ unique: true, sparse: true }
+);
+
+// Receives the ID of a client that was saved, updated or deleted, or null
+// when a query may have changed any number of clients
+export type ClientChangeListener = (clientId: string | null) => void;
+
+const changeListeners: ClientChangeListener[] = [];
+
+// Subscribe to client changes, e.g. to drop copies derived from a client
+export const onClientChange = (listener: ClientChangeListener): void => {
+	changeListeners.push(listener);
+};
+
+const notifyChange = (clientId: string | null) => {
+	for (const listener of changeListeners) listener(clientId);
+};
+
+clientSchema.post('save', (client) => notifyChange(String(client._id)));
+clientSchema.post(
+	['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany'],
+	{ document: false, query: true },
+	function () {
+		const id = this.getFilter()._id;
+		notifyChange(mongoose.isValidObjectId(id) ? String(id) : null);
+	}
+);
 
 export default mongoose.model<IClient>('Client', clientSchema);
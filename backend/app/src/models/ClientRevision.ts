@@ -0,0 +1,48 @@
+import mongoose, { Schema } from 'mongoose';
+import { IClientRevision } from '../types.js';
+
+const clientRevisionSchema = new Schema<IClientRevision>({
+	client: {
+		type: Schema.Types.ObjectId,
+		ref: 'Client',
+		required: true,
+	},
+	number: {
+		type: Number,
+		required: true,
+	},
+	content: {
+		type: Schema.Types.Mixed,
+		required: true,
+	},
+	source: {
+		type: String,
+		enum: ['create', 'edit', 'rollback'],
+		default: 'edit',
+	},
+	restoredFrom: {
+		type: Number,
+	},
+	createdBy: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+	publishedAt: {
+		type: Date,
+	},
+	publishedBy: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+	},
+});
+
+clientRevisionSchema.index({ client: 1, number: -1 }, { unique: true });
+
+export default mongoose.model<IClientRevision>(
+	'ClientRevision',
+	clientRevisionSchema
+);
@@ -0,0 +1,120 @@
+import mongoose, { Schema } from 'mongoose';
+import { IDeployment, IDeploymentError, ISagaStepState } from '../types.js';
+
+const deploymentErrorSchema = new Schema<IDeploymentError>(
+	{
+		message: {
+			type: String,
+			required: true,
+		},
+		code: String,
+		status: Number,
+		details: Schema.Types.Mixed,
+	},
+	{ _id: false }
+);
+
+const sagaStepSchema = new Schema<ISagaStepState>(
+	{
+		name: {
+			type: String,
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: [
+				'pending',
+				'running',
+				'completed',
+				'failed',
+				'compensated',
+				'compensation_failed',
+			],
+			default: 'pending',
+		},
+		startedAt: Date,
+		completedAt: Date,
+		compensatedAt: Date,
+		error: {
+			type: deploymentErrorSchema,
+		},
+	},
+	{ _id: false }
+);
+
+const deploymentSchema = new Schema<IDeployment>({
+	client: {
+		type: Schema.Types.ObjectId,
+		ref: 'Client',
+		required: true,
+	},
+	owner: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+		required: true,
+	},
+	requestedBy: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+	},
+	subdomain: {
+		type: String,
+		required: true,
+	},
+	action: {
+		type: String,
+		enum: ['provision', 'deploy', 'update', 'teardown'],
+		required: true,
+	},
+	status: {
+		type: String,
+		enum: [
+			'queued',
+			'running',
+			'succeeded',
+			'failed',
+			'rolled_back',
+			'interrupted',
+		],
+		default: 'queued',
+	},
+	direction: {
+		type: String,
+		enum: ['forward', 'rollback'],
+		default: 'forward',
+	},
+	steps: [sagaStepSchema],
+	// Saga state shared between steps (e.g. which resources this run created)
+	context: {
+		type: Schema.Types.Mixed,
+		default: {},
+	},
+	step: {
+		type: String,
+	},
+	failedStep: {
+		type: String,
+	},
+	coolifyAppUuid: {
+		type: String,
+	},
+	error: {
+		type: deploymentErrorSchema,
+	},
+	queuedAt: {
+		type: Date,
+		default: Date.now,
+	},
+	startedAt: {
+		type: Date,
+	},
+	finishedAt: {
+		type: Date,
+	},
+});
+
+// The worker picks the oldest queued job; the dashboard lists per client
+deploymentSchema.index({ status: 1, queuedAt: 1 });
+deploymentSchema.index({ client: 1, queuedAt: -1 });
+
+export default mongoose.model<IDeployment>('Deployment', deploymentSchema);
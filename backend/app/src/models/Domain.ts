@@ -0,0 +1,53 @@
+import mongoose, { Schema } from 'mongoose';
+import { IDomain } from '../types.js';
+
+const domainSchema = new Schema<IDomain>(
+	{
+		apex: {
+			type: String,
+			required: true,
+			unique: true,
+			trim: true,
+			lowercase: true,
+		},
+		provider: {
+			type: String,
+			required: true,
+		},
+		zoneId: {
+			type: String,
+		},
+		serverIp: {
+			type: String,
+		},
+		credentials: {
+			type: String,
+			required: true,
+			select: false,
+		},
+		isDefault: {
+			type: Boolean,
+			default: false,
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		minSubdomainLength: {
+			type: Number,
+			min: 1,
+			max: 63,
+		},
+	},
+	{ timestamps: true }
+);
+
+// Never leak encrypted credentials through JSON responses
+domainSchema.set('toJSON', {
+	transform: (_doc, ret) => {
+		delete ret.credentials;
+		return ret;
+	},
+});
+
+export default mongoose.model<IDomain>('Domain', domainSchema);
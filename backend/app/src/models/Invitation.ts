@@ -0,0 +1,51 @@
+import mongoose, { Schema } from 'mongoose';
+import { IInvitation } from '../types.js';
+
+const invitationSchema = new Schema<IInvitation>({
+	email: {
+		type: String,
+		required: true,
+		trim: true,
+		lowercase: true,
+	},
+	name: {
+		type: String,
+		trim: true,
+	},
+	role: {
+		type: String,
+		required: true,
+	},
+	tokenHash: {
+		type: String,
+		required: true,
+		unique: true,
+		select: false,
+	},
+	invitedBy: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+	},
+	expiresAt: {
+		type: Date,
+		required: true,
+	},
+	acceptedAt: {
+		type: Date,
+	},
+	acceptedBy: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+	},
+	revokedAt: {
+		type: Date,
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+export default mongoose.model<IInvitation>('Invitation', invitationSchema);
@@ -0,0 +1,104 @@
+import mongoose, { Schema } from 'mongoose';
+import {
+	IOrganization,
+	IOrganizationInvitation,
+	IOrganizationMember,
+} from '../types.js';
+
+const memberSchema = new Schema<IOrganizationMember>(
+	{
+		user: {
+			type: Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		role: {
+			type: String,
+			enum: ['owner', 'editor', 'viewer'],
+			required: true,
+		},
+		joinedAt: {
+			type: Date,
+			default: Date.now,
+		},
+	},
+	{ _id: false }
+);
+
+const invitationSchema = new Schema<IOrganizationInvitation>({
+	email: {
+		type: String,
+		required: true,
+		trim: true,
+		lowercase: true,
+	},
+	role: {
+		type: String,
+		enum: ['owner', 'editor', 'viewer'],
+		required: true,
+	},
+	tokenHash: {
+		type: String,
+		required: true,
+	},
+	invitedBy: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+		required: true,
+	},
+	expiresAt: {
+		type: Date,
+		required: true,
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+const organizationSchema = new Schema<IOrganization>({
+	name: {
+		type: String,
+		required: true,
+		trim: true,
+	},
+	members: {
+		type: [memberSchema],
+		default: [],
+	},
+	invitations: {
+		type: [invitationSchema],
+		default: [],
+	},
+	isPersonal: {
+		type: Boolean,
+		default: false,
+	},
+	createdBy: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+		required: true,
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+// Invitation token hashes stay server-side
+organizationSchema.set('toJSON', {
+	transform: (_doc, ret) => {
+		ret.invitations = (ret.invitations || []).map(
+			({ tokenHash, ...invitation }: any) => invitation
+		);
+		return ret;
+	},
+});
+
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invitations.tokenHash': 1 });
+
+export default mongoose.model<IOrganization>(
+	'Organization',
+	organizationSchema
+);
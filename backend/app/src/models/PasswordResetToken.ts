@@ -0,0 +1,35 @@
+import mongoose, { Schema } from 'mongoose';
+import { IPasswordResetToken } from '../types.js';
+
+const passwordResetTokenSchema = new Schema<IPasswordResetToken>({
+	user: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+		required: true,
+	},
+	tokenHash: {
+		type: String,
+		required: true,
+		unique: true,
+	},
+	expiresAt: {
+		type: Date,
+		required: true,
+	},
+	usedAt: {
+		type: Date,
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+passwordResetTokenSchema.index({ user: 1 });
+// Expired tokens are removed by MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model<IPasswordResetToken>(
+	'PasswordResetToken',
+	passwordResetTokenSchema
+);
@@ -0,0 +1,26 @@
+import mongoose, { Schema } from 'mongoose';
+import { IRateLimitCounter } from '../types.js';
+
+const rateLimitCounterSchema = new Schema<IRateLimitCounter>({
+	key: {
+		type: String,
+		required: true,
+		unique: true,
+	},
+	count: {
+		type: Number,
+		default: 0,
+	},
+	resetAt: {
+		type: Date,
+		required: true,
+	},
+});
+
+// Finished windows are removed by MongoDB
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model<IRateLimitCounter>(
+	'RateLimitCounter',
+	rateLimitCounterSchema
+);
@@ -0,0 +1,25 @@
+import mongoose, { Schema } from 'mongoose';
+import { IRole } from '../types.js';
+
+const roleSchema = new Schema<IRole>(
+	{
+		name: {
+			type: String,
+			required: true,
+			unique: true,
+			trim: true,
+			lowercase: true,
+		},
+		description: {
+			type: String,
+			trim: true,
+		},
+		permissions: {
+			type: [String],
+			default: [],
+		},
+	},
+	{ timestamps: true }
+);
+
+export default mongoose.model<IRole>('Role', roleSchema);
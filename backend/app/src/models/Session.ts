@@ -0,0 +1,47 @@
+import mongoose, { Schema } from 'mongoose';
+import { ISession } from '../types.js';
+
+const sessionSchema = new Schema<ISession>({
+	user: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+		required: true,
+	},
+	refreshTokenHash: {
+		type: String,
+		required: true,
+	},
+	previousRefreshTokenHash: {
+		type: String,
+	},
+	ip: {
+		type: String,
+	},
+	userAgent: {
+		type: String,
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+	lastUsedAt: {
+		type: Date,
+		default: Date.now,
+	},
+	expiresAt: {
+		type: Date,
+		required: true,
+	},
+	revokedAt: {
+		type: Date,
+	},
+	revokedReason: {
+		type: String,
+	},
+});
+
+sessionSchema.index({ user: 1, createdAt: -1 });
+// Let MongoDB drop sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model<ISession>('Session', sessionSchema);
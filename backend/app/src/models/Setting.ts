@@ -0,0 +1,23 @@
+import mongoose, { Schema } from 'mongoose';
+import { ISetting } from '../types.js';
+
+const settingSchema = new Schema<ISetting>({
+	key: {
+		type: String,
+		required: true,
+		unique: true,
+	},
+	value: {
+		type: Schema.Types.Mixed,
+	},
+	updatedBy: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+	},
+	updatedAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+export default mongoose.model<ISetting>('Setting', settingSchema);
@@ -0,0 +1,39 @@
+import mongoose, { Schema } from 'mongoose';
+import { ISubdomainReservation } from '../types.js';
+
+const subdomainReservationSchema = new Schema<ISubdomainReservation>({
+	subdomain: {
+		type: String,
+		required: true,
+		trim: true,
+		lowercase: true,
+	},
+	domain: {
+		type: Schema.Types.ObjectId,
+		ref: 'Domain',
+	},
+	user: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+		required: true,
+	},
+	expiresAt: {
+		type: Date,
+		required: true,
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+// One hold per name, which is what makes reserving atomic
+subdomainReservationSchema.index({ domain: 1, subdomain: 1 }, { unique: true });
+subdomainReservationSchema.index({ user: 1 });
+// Expired holds are removed by MongoDB, though only about once a minute
+subdomainReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model<ISubdomainReservation>(
+	'SubdomainReservation',
+	subdomainReservationSchema
+);
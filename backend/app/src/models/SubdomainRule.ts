@@ -0,0 +1,34 @@
+import mongoose, { Schema } from 'mongoose';
+import { ISubdomainRule } from '../types.js';
+
+const subdomainRuleSchema = new Schema<ISubdomainRule>({
+	word: {
+		type: String,
+		required: true,
+		unique: true,
+		trim: true,
+		lowercase: true,
+	},
+	type: {
+		type: String,
+		enum: ['reserved', 'blocked'],
+		required: true,
+	},
+	note: {
+		type: String,
+		trim: true,
+	},
+	createdBy: {
+		type: Schema.Types.ObjectId,
+		ref: 'User',
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+export default mongoose.model<ISubdomainRule>(
+	'SubdomainRule',
+	subdomainRuleSchema
+);
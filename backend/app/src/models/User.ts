@@ -1,6 +1,49 @@
 import mongoose, { Schema } from 'mongoose';
 import bcrypt from 'bcryptjs';
-import { IUser } from '../types.js';
+import { ILoginLockout, ITwoFactor, IUser } from '../types.js';
+
+const twoFactorSchema = new Schema<ITwoFactor>(
+	{
+		enabled: {
+			type: Boolean,
+			default: false,
+		},
+		secret: {
+			type: String,
+			select: false,
+		},
+		pendingSecret: {
+			type: String,
+			select: false,
+		},
+		recoveryCodes: {
+			type: [String],
+			select: false,
+		},
+		lastUsedStep: {
+			type: Number,
+			select: false,
+		},
+		enabledAt: Date,
+	},
+	{ _id: false }
+);
+
+const lockoutSchema = new Schema<ILoginLockout>(
+	{
+		failedAttempts: {
+			type: Number,
+			default: 0,
+		},
+		lockouts: {
+			type: Number,
+			default: 0,
+		},
+		lockedUntil: Date,
+		lastFailedAt: Date,
+	},
+	{ _id: false }
+);
 
 const userSchema = new Schema<IUser>({
 	email: {
@@ -20,13 +63,23 @@ const userSchema = new Schema<IUser>({
 	},
 	role: {
 		type: String,
-		enum: ['admin', 'user'],
 		default: 'user',
 	},
 	isEnabled: {
 		type: Boolean,
 		default: true,
 	},
+	twoFactor: {
+		type: twoFactorSchema,
+		default: () => ({}),
+	},
+	lockout: {
+		type: lockoutSchema,
+		default: () => ({}),
+	},
+	htmlPolicy: {
+		type: Schema.Types.Mixed,
+	},
 	createdAt: {
 		type: Date,
 		default: Date.now,
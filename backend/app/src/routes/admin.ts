@@ -0,0 +1,562 @@
+import { Router, Response } from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { Types } from 'mongoose';
+import auth from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { AuthRequest } from '../types.js';
+import {
+	ReconcilerError,
+	applyReconciliation,
+	buildReconciliationReport,
+	getLatestReport,
+} from '../services/reconciler.js';
+import AuditEvent from '../models/AuditEvent.js';
+import User from '../models/User.js';
+import SubdomainRule from '../models/SubdomainRule.js';
+import { BUILT_IN_RESERVED_NAMES } from '../services/subdomainPolicy.js';
+import { auditSnapshot, recordAuditEvent } from '../services/audit.js';
+import { clearPageCache } from '../services/pageCache.js';
+import { getSettings, updateSettings } from '../services/settings.js';
+import { HtmlPolicyError, parseHtmlPolicy } from '../services/htmlPolicy.js';
+import {
+	PERMISSIONS,
+	RoleError,
+	createRole,
+	deleteRole,
+	isPermission,
+	listRoles,
+	updateRole,
+} from '../services/roles.js';
+
+const router = Router();
+
+// @route   GET /api/admin/reconcile
+// @desc    Compare clients against DNS records and Coolify applications
+// @access  Admin
+router.get(
+	'/reconcile',
+	auth,
+	requirePermission('reconcile.run'),
+	async (_req: AuthRequest, res: Response) => {
+		try {
+			const report = await buildReconciliationReport();
+			res.json(report);
+			return;
+		} catch (error) {
+			if (error instanceof ReconcilerError) {
+				res.status(503).json({ message: error.message });
+				return;
+			}
+			console.error('Error building reconciliation report:', error);
+			res.status(500).json({ message: 'Failed to reconcile' });
+			return;
+		}
+	}
+);
+
+// @route   GET /api/admin/reconcile/latest
+// @desc    Last report produced by a scheduled or manual run
+// @access  Admin
+router.get(
+	'/reconcile/latest',
+	auth,
+	requirePermission('reconcile.run'),
+	async (_req: AuthRequest, res: Response) => {
+		const report = getLatestReport();
+		if (!report) {
+			res.status(404).json({ message: 'No reconciliation has run yet' });
+			return;
+		}
+		res.json(report);
+		return;
+	}
+);
+
+// @route   POST /api/admin/reconcile/apply
+// @desc    Fix the selected drift items
+// @access  Admin
+router.post(
+	'/reconcile/apply',
+	[
+		auth,
+		requirePermission('reconcile.run'),
+		body('ids').isArray({ min: 1 }),
+		body('ids.*').isString(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const results = await applyReconciliation(req.body.ids);
+			res.json({ results });
+			return;
+		} catch (error) {
+			if (error instanceof ReconcilerError) {
+				res.status(503).json({ message: error.message });
+				return;
+			}
+			console.error('Error applying reconciliation:', error);
+			res.status(500).json({ message: 'Failed to apply fixes' });
+			return;
+		}
+	}
+);
+
+// @route   GET /api/admin/settings
+// @desc    Application-wide settings
+// @access  Admin
+router.get(
+	'/settings',
+	auth,
+	requirePermission('settings.manage'),
+	async (_req: AuthRequest, res: Response) => {
+		try {
+			res.json(await getSettings());
+			return;
+		} catch (error) {
+			console.error('Error fetching settings:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   PUT /api/admin/settings
+// @desc    Update application-wide settings
+// @access  Admin
+router.put(
+	'/settings',
+	[
+		auth,
+		requirePermission('settings.manage'),
+		body('requireAdminTwoFactor').optional().isBoolean(),
+		body('htmlPolicy').optional().isObject(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			// Don't let an admin lock themselves out of the admin features
+			if (req.body.requireAdminTwoFactor === true) {
+				const user = await User.findById(req.user?.userId);
+				if (!user?.twoFactor?.enabled) {
+					res.status(400).json({
+						message:
+							'Enable two-factor authentication on your own account first',
+					});
+					return;
+				}
+			}
+
+			const current = await getSettings();
+			// Fields left out of htmlPolicy keep their current values
+			const htmlPolicy = req.body.htmlPolicy
+				? {
+						...current.htmlPolicy,
+						...parseHtmlPolicy(req.body.htmlPolicy),
+				  }
+				: undefined;
+
+			const before = auditSnapshot(current);
+			const settings = await updateSettings(
+				{
+					requireAdminTwoFactor: req.body.requireAdminTwoFactor,
+					htmlPolicy,
+				},
+				req.user?.userId
+			);
+			if (htmlPolicy) clearPageCache();
+			await recordAuditEvent(req, {
+				action: 'settings.update',
+				targetType: 'settings',
+				before,
+				after: settings,
+			});
+
+			res.json(settings);
+			return;
+		} catch (error) {
+			if (error instanceof HtmlPolicyError) {
+				res.status(error.status).json({ message: error.message });
+				return;
+			}
+			console.error('Error updating settings:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   GET /api/admin/audit
+// @desc    Search audit events by action, actor, target, client and date range
+// @access  Admin
+router.get(
+	'/audit',
+	[
+		auth,
+		requirePermission('audit.read'),
+		query('action').optional().isString(),
+		query('actor').optional().isMongoId(),
+		query('targetType')
+			.optional()
+			.isIn([
+				'user',
+				'client',
+				'deployment',
+				'domain',
+				'settings',
+				'organization',
+				'role',
+				'subdomain_rule',
+			]),
+		query('targetId').optional().isMongoId(),
+		query('client').optional().isMongoId(),
+		query('from').optional().isISO8601(),
+		query('to').optional().isISO8601(),
+		query('page').optional().isInt({ min: 1 }),
+		query('limit').optional().isInt({ min: 1, max: 200 }),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const { action, actor, targetType, targetId, client, from, to } =
+				req.query as Record<string, string | undefined>;
+			const page = parseInt(String(req.query.page || '1'), 10);
+			const limit = parseInt(String(req.query.limit || '50'), 10);
+
+			const filter: Record<string, any> = {};
+			// Comma separated list, e.g. action=client.update,client.deploy
+			if (action) filter.action = { $in: action.split(',') };
+			if (actor) filter.actor = actor;
+			if (targetType) filter.targetType = targetType;
+			if (targetId) filter.targetId = targetId;
+			if (client) filter.client = client;
+			if (from || to) {
+				filter.createdAt = {
+					...(from && { $gte: new Date(from) }),
+					...(to && { $lte: new Date(to) }),
+				};
+			}
+
+			const [events, total] = await Promise.all([
+				AuditEvent.find(filter)
+					.sort({ createdAt: -1 })
+					.skip((page - 1) * limit)
+					.limit(limit),
+				AuditEvent.countDocuments(filter),
+			]);
+
+			res.json({ events, pagination: { page, limit, total } });
+			return;
+		} catch (error) {
+			console.error('Error fetching audit events:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+const handleRoleError = (error: unknown, res: Response): boolean => {
+	if (error instanceof RoleError) {
+		res.status(error.status).json({
+			message: error.message,
+			code: error.code,
+		});
+		return true;
+	}
+	return false;
+};
+
+const permissionsValidator = (optional: boolean) =>
+	(optional ? body('permissions').optional() : body('permissions'))
+		.isArray()
+		.custom((permissions: unknown[]) => permissions.every(isPermission))
+		.withMessage('Unknown permission');
+
+// @route   GET /api/admin/permissions
+// @desc    Every permission a role can grant
+// @access  Admin (roles.manage)
+router.get(
+	'/permissions',
+	auth,
+	requirePermission('roles.manage'),
+	async (_req: AuthRequest, res: Response) => {
+		res.json(
+			Object.entries(PERMISSIONS).map(([name, definition]) => ({
+				name,
+				...definition,
+			}))
+		);
+		return;
+	}
+);
+
+// @route   GET /api/admin/roles
+// @desc    Built-in and custom roles with their permissions and user counts
+// @access  Admin (roles.manage)
+router.get(
+	'/roles',
+	auth,
+	requirePermission('roles.manage'),
+	async (_req: AuthRequest, res: Response) => {
+		try {
+			res.json(await listRoles());
+			return;
+		} catch (error) {
+			console.error('Error fetching roles:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   POST /api/admin/roles
+// @desc    Create a custom role
+// @access  Admin (roles.manage)
+router.post(
+	'/roles',
+	[
+		auth,
+		requirePermission('roles.manage'),
+		body('name')
+			.trim()
+			.toLowerCase()
+			.matches(/^[a-z][a-z0-9_-]{1,31}$/)
+			.withMessage(
+				'Role names are 2-32 lowercase letters, digits, dashes or underscores'
+			),
+		body('description').optional().isString().trim(),
+		permissionsValidator(false),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const role = await createRole(
+				req.body.name,
+				req.body.permissions,
+				req.body.description
+			);
+			await recordAuditEvent(req, {
+				action: 'role.create',
+				targetType: 'role',
+				targetId: role._id,
+				after: role,
+			});
+
+			res.status(201).json(role);
+			return;
+		} catch (error) {
+			if (handleRoleError(error, res)) return;
+			console.error('Error creating role:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Change the permissions or description of a role
+// @access  Admin (roles.manage)
+router.put(
+	'/roles/:name',
+	[
+		auth,
+		requirePermission('roles.manage'),
+		body('description').optional().isString().trim(),
+		permissionsValidator(true),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const before = (await listRoles()).find(
+				(role) => role.name === req.params.name
+			);
+			const role = await updateRole(req.params.name, {
+				permissions: req.body.permissions,
+				description: req.body.description,
+			});
+			await recordAuditEvent(req, {
+				action: 'role.update',
+				targetType: 'role',
+				targetId: role._id,
+				before,
+				after: role,
+			});
+
+			res.json(role);
+			return;
+		} catch (error) {
+			if (handleRoleError(error, res)) return;
+			console.error('Error updating role:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a custom role that is no longer assigned to anyone
+// @access  Admin (roles.manage)
+router.delete(
+	'/roles/:name',
+	auth,
+	requirePermission('roles.manage'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const role = await deleteRole(req.params.name);
+			await recordAuditEvent(req, {
+				action: 'role.delete',
+				targetType: 'role',
+				targetId: role._id,
+				before: role,
+			});
+
+			res.json({ message: 'Role deleted successfully' });
+			return;
+		} catch (error) {
+			if (handleRoleError(error, res)) return;
+			console.error('Error deleting role:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   GET /api/admin/subdomain-rules
+// @desc    Reserved names and blocked words, including the built-in ones
+// @access  Admin (domains.manage)
+router.get(
+	'/subdomain-rules',
+	auth,
+	requirePermission('domains.manage'),
+	async (_req: AuthRequest, res: Response) => {
+		try {
+			const rules = await SubdomainRule.find().sort({ type: 1, word: 1 });
+			res.json({
+				builtInReserved: BUILT_IN_RESERVED_NAMES,
+				rules,
+			});
+			return;
+		} catch (error) {
+			console.error('Error fetching subdomain rules:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   POST /api/admin/subdomain-rules
+// @desc    Reserve a name or block a word in new subdomains
+// @access  Admin (domains.manage)
+router.post(
+	'/subdomain-rules',
+	[
+		auth,
+		requirePermission('domains.manage'),
+		body('word')
+			.trim()
+			.toLowerCase()
+			.matches(/^[a-z0-9-]{1,63}$/)
+			.withMessage(
+				'Words can only contain lowercase letters, numbers, and hyphens'
+			),
+		body('type').isIn(['reserved', 'blocked']),
+		body('note').optional().isString().trim(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			if (
+				BUILT_IN_RESERVED_NAMES.includes(req.body.word) ||
+				(await SubdomainRule.exists({ word: req.body.word }))
+			) {
+				res.status(409).json({ message: 'Rule already exists' });
+				return;
+			}
+
+			const rule = await SubdomainRule.create({
+				word: req.body.word,
+				type: req.body.type,
+				note: req.body.note,
+				createdBy: req.user?.userId,
+			});
+			await recordAuditEvent(req, {
+				action: 'subdomain_rule.create',
+				targetType: 'subdomain_rule',
+				targetId: rule._id,
+				after: rule,
+			});
+
+			res.status(201).json(rule);
+			return;
+		} catch (error) {
+			console.error('Error creating subdomain rule:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   DELETE /api/admin/subdomain-rules/:id
+// @desc    Remove a reserved name or blocked word
+// @access  Admin (domains.manage)
+router.delete(
+	'/subdomain-rules/:id',
+	auth,
+	requirePermission('domains.manage'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const rule = Types.ObjectId.isValid(req.params.id)
+				? await SubdomainRule.findByIdAndDelete(req.params.id)
+				: null;
+			if (!rule) {
+				res.status(404).json({ message: 'Rule not found' });
+				return;
+			}
+
+			await recordAuditEvent(req, {
+				action: 'subdomain_rule.delete',
+				targetType: 'subdomain_rule',
+				targetId: rule._id,
+				before: rule,
+			});
+
+			res.json({ message: 'Rule deleted successfully' });
+			return;
+		} catch (error) {
+			console.error('Error deleting subdomain rule:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+export default router;
@@ -0,0 +1,405 @@
+import { Router, Response } from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { Types } from 'mongoose';
+import auth from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import Client from '../models/Client.js';
+import Deployment from '../models/Deployment.js';
+import User from '../models/User.js';
+import { AuthRequest, IClient } from '../types.js';
+import { DNSProviderError } from '../services/dns.js';
+import { DomainError, resolveDomain } from '../services/domains.js';
+import { getDeploymentTarget } from '../services/deploymentTargets.js';
+import {
+	enqueueDeployment,
+	findActiveDeployment,
+} from '../services/deploymentWorker.js';
+import {
+	OrganizationError,
+	resolveClientOrganization,
+} from '../services/organizations.js';
+import { auditSnapshot, recordAuditEvent } from '../services/audit.js';
+
+const router = Router();
+
+const escapeRegExp = (value: string) =>
+	value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Deployments need a deployment target and the DNS provider of the client's domain;
+// responds with 503 when either is unavailable
+const checkDeploymentServices = async (
+	res: Response,
+	client: IClient
+): Promise<boolean> => {
+	if (!getDeploymentTarget()) {
+		res.status(503).json({
+			message:
+				'Deployment service is currently unavailable. Please try again later.',
+		});
+		return false;
+	}
+	try {
+		await resolveDomain(client.domain);
+		return true;
+	} catch (error) {
+		if (error instanceof DomainError || error instanceof DNSProviderError) {
+			res.status(error.status || 503).json({ message: error.message });
+			return false;
+		}
+		throw error;
+	}
+};
+
+// Queue a deployment unless one is already running for the client
+const queueAdminDeployment = async (
+	req: AuthRequest,
+	res: Response,
+	client: IClient,
+	action: 'deploy' | 'update' | 'teardown'
+) => {
+	const activeDeployment = await findActiveDeployment(client._id);
+	if (activeDeployment) {
+		res.status(409).json({
+			message: 'A deployment is already in progress',
+			deployment: activeDeployment,
+		});
+		return;
+	}
+
+	const deployment = await enqueueDeployment({
+		client,
+		action,
+		requestedBy: req.user?.userId,
+	});
+	await recordAuditEvent(req, {
+		action: action === 'teardown' ? 'client.undeploy' : 'client.deploy',
+		targetType: 'client',
+		targetId: client._id,
+		client: client._id,
+		metadata: { deployment: deployment._id, action, admin: true },
+	});
+
+	res.status(202).json({ message: 'Deployment queued', deployment });
+};
+
+// @route   GET /api/admin/clients
+// @desc    Search and filter clients of every owner
+// @access  Admin (clients.admin)
+router.get(
+	'/',
+	[
+		auth,
+		requirePermission('clients.admin'),
+		query('search').optional().isString().trim(),
+		query('owner').optional().isMongoId(),
+		query('organization').optional().isMongoId(),
+		query('domain').optional().isMongoId(),
+		query('isDeployed').optional().isBoolean(),
+		query('trashed').optional().isBoolean(),
+		query('deploymentType').optional().isIn(['template', 'custom-html']),
+		query('sort')
+			.optional()
+			.isIn(['createdAt', '-createdAt', 'name', '-name', 'subdomain']),
+		query('page').optional().isInt({ min: 1 }),
+		query('limit').optional().isInt({ min: 1, max: 200 }),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const {
+				search,
+				owner,
+				organization,
+				domain,
+				isDeployed,
+				trashed,
+				deploymentType,
+			} = req.query as Record<string, string | undefined>;
+			const sort = String(req.query.sort || '-createdAt');
+			const page = parseInt(String(req.query.page || '1'), 10);
+			const limit = parseInt(String(req.query.limit || '50'), 10);
+
+			// Live clients unless ?trashed=true
+			const filter: Record<string, any> = {
+				deletedAt: trashed === 'true' ? { $ne: null } : null,
+			};
+			// Matches name, subdomain and custom domain
+			if (search) {
+				const pattern = new RegExp(escapeRegExp(search), 'i');
+				filter.$or = [
+					{ name: pattern },
+					{ subdomain: pattern },
+					{ 'customDomain.hostname': pattern },
+				];
+			}
+			if (owner) filter.owner = owner;
+			if (organization) filter.organization = organization;
+			if (domain) filter.domain = domain;
+			if (isDeployed !== undefined) {
+				filter.isDeployed = isDeployed === 'true';
+			}
+			if (deploymentType) filter.deploymentType = deploymentType;
+
+			const [clients, total] = await Promise.all([
+				Client.find(filter)
+					.sort(sort)
+					.skip((page - 1) * limit)
+					.limit(limit)
+					.select(
+						'name subdomain domain owner organization isDeployed deploymentType customDomain.hostname customDomain.status deletedAt createdAt lastUpdated'
+					)
+					.populate('owner', 'name email')
+					.populate('organization', 'name')
+					.populate('domain', 'apex'),
+				Client.countDocuments(filter),
+			]);
+
+			res.json({ clients, pagination: { page, limit, total } });
+			return;
+		} catch (error) {
+			console.error('Error searching clients:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   GET /api/admin/clients/stats
+// @desc    Client, deployment and link counts per owner
+// @access  Admin (clients.admin)
+router.get(
+	'/stats',
+	auth,
+	requirePermission('clients.admin'),
+	async (_req: AuthRequest, res: Response) => {
+		try {
+			const owners = await Client.aggregate([
+				{ $match: { deletedAt: null } },
+				{
+					$group: {
+						_id: '$owner',
+						totalClients: { $sum: 1 },
+						deployedClients: {
+							$sum: { $cond: ['$isDeployed', 1, 0] },
+						},
+						totalLinks: { $sum: { $size: '$links' } },
+						lastCreatedAt: { $max: '$createdAt' },
+					},
+				},
+				{ $sort: { totalClients: -1 } },
+			]);
+			const users = await User.find({
+				_id: { $in: owners.map((owner) => owner._id) },
+			}).select('name email');
+			const failedDeployments = await Deployment.aggregate([
+				{ $match: { status: 'failed' } },
+				{ $group: { _id: '$owner', count: { $sum: 1 } } },
+			]);
+
+			res.json(
+				owners.map(({ _id, ...stats }) => ({
+					owner: users.find(
+						(user) => String(user._id) === String(_id)
+					) || { _id },
+					...stats,
+					failedDeployments:
+						failedDeployments.find(
+							(failed) => String(failed._id) === String(_id)
+						)?.count || 0,
+				}))
+			);
+			return;
+		} catch (error) {
+			console.error('Error fetching client stats:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   GET /api/admin/clients/:id
+// @desc    Any client with its owner and recent deployments
+// @access  Admin (clients.admin)
+router.get(
+	'/:id',
+	auth,
+	requirePermission('clients.admin'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = Types.ObjectId.isValid(req.params.id)
+				? await Client.findById(req.params.id)
+						.populate('owner', 'name email')
+						.populate('organization', 'name')
+						.populate('domain', 'apex')
+				: null;
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			const deployments = await Deployment.find({ client: client._id })
+				.sort({ queuedAt: -1 })
+				.limit(20);
+
+			res.json({ ...client.toObject(), deployments });
+			return;
+		} catch (error) {
+			console.error('Error fetching client:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   POST /api/admin/clients/:id/redeploy
+// @desc    Roll out a deployed client again, or deploy an undeployed one
+// @access  Admin (clients.admin)
+router.post(
+	'/:id/redeploy',
+	auth,
+	requirePermission('clients.admin'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = Types.ObjectId.isValid(req.params.id)
+				? await Client.findById(req.params.id)
+				: null;
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			if (client.deletedAt) {
+				res.status(409).json({
+					message: 'Client is in the trash; restore it first',
+				});
+				return;
+			}
+
+			if (!(await checkDeploymentServices(res, client))) return;
+			await queueAdminDeployment(
+				req,
+				res,
+				client,
+				client.isDeployed ? 'update' : 'deploy'
+			);
+			return;
+		} catch (error) {
+			console.error('Error redeploying client:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   DELETE /api/admin/clients/:id/deploy
+// @desc    Tear down the DNS record and Coolify app of any client
+// @access  Admin (clients.admin)
+router.delete(
+	'/:id/deploy',
+	auth,
+	requirePermission('clients.admin'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = Types.ObjectId.isValid(req.params.id)
+				? await Client.findById(req.params.id)
+				: null;
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			if (!client.isDeployed) {
+				res.status(400).json({ message: 'Client is not deployed' });
+				return;
+			}
+
+			if (!(await checkDeploymentServices(res, client))) return;
+			await queueAdminDeployment(req, res, client, 'teardown');
+			return;
+		} catch (error) {
+			console.error('Error undeploying client:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   POST /api/admin/clients/:id/transfer
+// @desc    Give a client to another user, in their personal workspace or one
+//          of their organizations
+// @access  Admin (clients.admin)
+router.post(
+	'/:id/transfer',
+	[
+		auth,
+		requirePermission('clients.admin'),
+		body('owner').isMongoId(),
+		body('organization').optional().isMongoId(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const client = Types.ObjectId.isValid(req.params.id)
+				? await Client.findById(req.params.id)
+				: null;
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			const owner = await User.findById(req.body.owner);
+			if (!owner) {
+				res.status(400).json({ message: 'New owner not found' });
+				return;
+			}
+
+			// The organization must be one the new owner can create clients in
+			const organization = await resolveClientOrganization(
+				String(owner._id),
+				req.body.organization
+			);
+
+			const before = auditSnapshot(client);
+			client.owner = owner._id as Types.ObjectId;
+			client.organization = organization._id as Types.ObjectId;
+			await client.save();
+			await Deployment.updateMany(
+				{ client: client._id },
+				{ owner: owner._id }
+			);
+			await recordAuditEvent(req, {
+				action: 'client.transfer',
+				targetType: 'client',
+				targetId: client._id,
+				client: client._id,
+				before,
+				after: client,
+			});
+
+			res.json(client);
+			return;
+		} catch (error) {
+			if (error instanceof OrganizationError) {
+				res.status(error.status === 403 ? 400 : error.status).json({
+					message: error.message,
+				});
+				return;
+			}
+			console.error('Error transferring client:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+export default router;
@@ -1,20 +1,161 @@
 import { Router, Request, Response } from 'express';
 import { body, validationResult } from 'express-validator';
-import jwt from 'jsonwebtoken';
+import { Types } from 'mongoose';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
 import auth from '../middleware/auth.js';
+import { requireSession } from '../middleware/scopes.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { recordAuditEvent } from '../services/audit.js';
+import {
+	API_KEY_SCOPES,
+	createApiKey,
+	revokeUserApiKeys,
+} from '../services/apiKeys.js';
+import { MailError } from '../services/mail.js';
+import {
+	getLockedUntil,
+	recordFailedLogin,
+	resetFailedLogins,
+	unlockAccount,
+} from '../services/loginLockout.js';
+import {
+	InvitationError,
+	acceptInvitation,
+	findPendingInvitation,
+} from '../services/invitations.js';
+import { getRolePermissions } from '../services/roles.js';
+import {
+	consumePasswordResetToken,
+	sendPasswordResetEmail,
+} from '../services/passwordReset.js';
+import {
+	SessionError,
+	createSession,
+	refreshSession,
+	revokeSession,
+	revokeUserSessions,
+} from '../services/sessions.js';
+import {
+	TWO_FACTOR_FIELDS,
+	TwoFactorError,
+	beginTwoFactorSetup,
+	confirmTwoFactorSetup,
+	disableTwoFactor,
+	isTwoFactorRequired,
+	regenerateRecoveryCodes,
+	signTwoFactorChallenge,
+	verifySecondFactor,
+	verifyTwoFactorChallenge,
+} from '../services/twoFactor.js';
 import { AuthRequest } from '../types/index.js';
+import { ApiKeyScope, IUser } from '../types.js';
 
 const router = Router();
 
-// Register a new user
+// Finish a successful login: open a session and return its tokens
+const completeLogin = async (req: Request, res: Response, user: IUser) => {
+	await resetFailedLogins(user);
+	await recordAuditEvent(req, {
+		action: 'auth.login',
+		targetType: 'user',
+		targetId: user._id,
+		actor: user._id,
+		metadata: { twoFactor: Boolean(user.twoFactor?.enabled) },
+	});
+
+	// Short-lived access token plus a rotating refresh token
+	const tokens = await createSession(user, req);
+
+	res.json({
+		token: tokens.accessToken,
+		refreshToken: tokens.refreshToken,
+		expiresIn: tokens.expiresIn,
+		// Admin routes stay locked until the user enrolls
+		twoFactorSetupRequired:
+			!user.twoFactor?.enabled && (await isTwoFactorRequired(user)),
+		user: {
+			id: user._id,
+			email: user.email,
+			name: user.name,
+			role: user.role,
+			permissions: await getRolePermissions(user.role),
+		},
+	});
+};
+
+const respondLocked = (res: Response, lockedUntil: Date) => {
+	const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+	res.setHeader('Retry-After', retryAfter);
+	res.status(423).json({
+		message:
+			'Account is temporarily locked after too many failed logins. Please try again later.',
+		code: 'ACCOUNT_LOCKED',
+		retryAfter,
+	});
+};
+
+// Count a failed attempt and audit the lockout it may trigger
+const handleFailedLogin = async (req: Request, user: IUser) => {
+	const lockedUntil = await recordFailedLogin(user);
+	if (lockedUntil) {
+		await recordAuditEvent(req, {
+			action: 'auth.lockout',
+			targetType: 'user',
+			targetId: user._id,
+			metadata: { email: user.email, lockedUntil },
+		});
+	}
+};
+
+const handleTwoFactorError = (error: unknown, res: Response): boolean => {
+	if (error instanceof TwoFactorError) {
+		res.status(error.status).json({
+			message: error.message,
+			code: error.code,
+		});
+		return true;
+	}
+	return false;
+};
+
+// Preview an invitation so the accept page can show the email and name
+router.get('/accept-invite', async (req: Request, res: Response) => {
+	try {
+		const invitation =
+			typeof req.query.token === 'string'
+				? await findPendingInvitation(req.query.token)
+				: null;
+		if (!invitation) {
+			res.status(404).json({
+				message: 'Invitation is invalid or has expired',
+			});
+			return;
+		}
+
+		res.json({
+			email: invitation.email,
+			name: invitation.name,
+			role: invitation.role,
+			expiresAt: invitation.expiresAt,
+		});
+		return;
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ message: 'Server error' });
+		return;
+	}
+});
+
+// Create an account from an invitation; the invitee chooses their password
 router.post(
-	'/register',
+	'/accept-invite',
 	[
-		body('email').isEmail().normalizeEmail(),
+		rateLimit('accountRecovery'),
+		body('token').isString().notEmpty(),
 		body('password').isLength({ min: 6 }),
-		body('name').trim().notEmpty(),
-		body('role').optional().isIn(['admin', 'user']),
+		body('name').optional().trim().notEmpty(),
 	],
 	async (req: Request, res: Response) => {
 		try {
@@ -24,53 +165,43 @@ router.post(
 				return;
 			}
 
-			// Check if an admin user already exists
-			const adminExists = await User.findOne({ role: 'admin' });
-			if (adminExists) {
-				res.status(403).json({
-					message:
-						'Registration is disabled. Please contact an administrator.',
-				});
-				return;
-			}
-
-			const { email, password, name, role } = req.body;
-
-			// Check if user already exists
-			let user = await User.findOne({ email });
-			if (user) {
-				res.status(400).json({ message: 'User already exists' });
-				return;
-			}
-
-			// Create new user
-			user = new User({
-				email,
-				password,
-				name,
-				role: role || 'user', // Use provided role or default to 'user'
+			const user = await acceptInvitation(
+				req.body.token,
+				req.body.password,
+				req.body.name
+			);
+			await recordAuditEvent(req, {
+				action: 'auth.invite_accept',
+				targetType: 'user',
+				targetId: user._id,
+				actor: user._id,
+				after: user,
 			});
 
-			await user.save();
-
-			// Generate JWT
-			const token = jwt.sign(
-				{ userId: user._id },
-				process.env.JWT_SECRET!,
-				{ expiresIn: '24h' }
-			);
+			// Short-lived access token plus a rotating refresh token
+			const tokens = await createSession(user, req);
 
 			res.status(201).json({
-				token,
+				token: tokens.accessToken,
+				refreshToken: tokens.refreshToken,
+				expiresIn: tokens.expiresIn,
 				user: {
 					id: user._id,
 					email: user.email,
 					name: user.name,
 					role: user.role,
+					permissions: await getRolePermissions(user.role),
 				},
 			});
 			return;
 		} catch (error) {
+			if (error instanceof InvitationError) {
+				res.status(error.status).json({
+					message: error.message,
+					code: error.code,
+				});
+				return;
+			}
 			console.error(error);
 			res.status(500).json({ message: 'Server error' });
 			return;
@@ -81,7 +212,11 @@ router.post(
 // Login user
 router.post(
 	'/login',
-	[body('email').isEmail().normalizeEmail(), body('password').exists()],
+	[
+		rateLimit('login'),
+		body('email').isEmail().normalizeEmail(),
+		body('password').exists(),
+	],
 	async (req: Request, res: Response) => {
 		try {
 			const errors = validationResult(req);
@@ -95,6 +230,37 @@ router.post(
 			// Check if user exists
 			const user = await User.findOne({ email });
 			if (!user) {
+				await recordAuditEvent(req, {
+					action: 'auth.login_failed',
+					targetType: 'user',
+					metadata: { email, reason: 'unknown_email' },
+				});
+				res.status(400).json({ message: 'Invalid credentials' });
+				return;
+			}
+
+			// Checked before the password so a locked account can't be probed
+			const lockedUntil = getLockedUntil(user);
+			if (lockedUntil) {
+				await recordAuditEvent(req, {
+					action: 'auth.login_failed',
+					targetType: 'user',
+					targetId: user._id,
+					metadata: { email, reason: 'locked' },
+				});
+				respondLocked(res, lockedUntil);
+				return;
+			}
+
+			// Answered like a wrong password, and before the password is
+			// checked, so the response doesn't confirm a guessed password
+			if (!user.isEnabled) {
+				await recordAuditEvent(req, {
+					action: 'auth.login_failed',
+					targetType: 'user',
+					targetId: user._id,
+					metadata: { email, reason: 'disabled' },
+				});
 				res.status(400).json({ message: 'Invalid credentials' });
 				return;
 			}
@@ -102,28 +268,270 @@ router.post(
 			// Verify password
 			const isMatch = await user.comparePassword(password);
 			if (!isMatch) {
+				await recordAuditEvent(req, {
+					action: 'auth.login_failed',
+					targetType: 'user',
+					targetId: user._id,
+					metadata: { email, reason: 'invalid_password' },
+				});
+				await handleFailedLogin(req, user);
 				res.status(400).json({ message: 'Invalid credentials' });
 				return;
 			}
 
-			// Generate JWT
-			const token = jwt.sign(
-				{ userId: user._id },
-				process.env.JWT_SECRET!,
-				{ expiresIn: '24h' }
+			// The JWT is only issued once the second factor is checked
+			if (user.twoFactor?.enabled) {
+				res.json({
+					twoFactorRequired: true,
+					challengeToken: signTwoFactorChallenge(user),
+				});
+				return;
+			}
+
+			await completeLogin(req, res, user);
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Second step of a login with two-factor authentication enabled
+router.post(
+	'/login/2fa',
+	[
+		rateLimit('login'),
+		body('challengeToken').isString().notEmpty(),
+		body('code').optional().isString(),
+		body('recoveryCode').optional().isString(),
+	],
+	async (req: Request, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const { challengeToken, code, recoveryCode } = req.body;
+			if (!code && !recoveryCode) {
+				res.status(400).json({
+					message: 'A verification code or recovery code is required',
+				});
+				return;
+			}
+
+			const userId = verifyTwoFactorChallenge(challengeToken);
+			const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+			if (!user || !user.isEnabled) {
+				res.status(401).json({ message: 'Invalid credentials' });
+				return;
+			}
+
+			const lockedUntil = getLockedUntil(user);
+			if (lockedUntil) {
+				respondLocked(res, lockedUntil);
+				return;
+			}
+
+			if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+				await recordAuditEvent(req, {
+					action: 'auth.login_failed',
+					targetType: 'user',
+					targetId: user._id,
+					metadata: { email: user.email, reason: 'invalid_2fa_code' },
+				});
+				await handleFailedLogin(req, user);
+				res.status(400).json({ message: 'Invalid verification code' });
+				return;
+			}
+
+			await completeLogin(req, res, user);
+			return;
+		} catch (error) {
+			if (handleTwoFactorError(error, res)) return;
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Start two-factor enrollment, returning the secret and otpauth URI
+router.post(
+	'/2fa/setup',
+	auth,
+	requireSession,
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const user = await User.findById(req.user?.userId).select(
+				TWO_FACTOR_FIELDS
 			);
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
 
-			res.json({
-				token,
-				user: {
-					id: user._id,
-					email: user.email,
-					name: user.name,
-					role: user.role,
-				},
+			res.json(await beginTwoFactorSetup(user));
+			return;
+		} catch (error) {
+			if (handleTwoFactorError(error, res)) return;
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Confirm enrollment with a code; the recovery codes are only shown here
+router.post(
+	'/2fa/enable',
+	[auth, requireSession, body('code').isString().notEmpty()],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const user = await User.findById(req.user?.userId).select(
+				TWO_FACTOR_FIELDS
+			);
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
+
+			const recoveryCodes = await confirmTwoFactorSetup(
+				user,
+				req.body.code
+			);
+			await recordAuditEvent(req, {
+				action: 'auth.2fa_enable',
+				targetType: 'user',
+				targetId: user._id,
+			});
+
+			res.json({ enabled: true, recoveryCodes });
+			return;
+		} catch (error) {
+			if (handleTwoFactorError(error, res)) return;
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Turn two-factor authentication off; needs the password and a second factor
+router.post(
+	'/2fa/disable',
+	[
+		auth,
+		requireSession,
+		body('password').isString().notEmpty(),
+		body('code').optional().isString(),
+		body('recoveryCode').optional().isString(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const user = await User.findById(req.user?.userId).select(
+				TWO_FACTOR_FIELDS
+			);
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
+
+			if (!user.twoFactor?.enabled) {
+				res.status(400).json({
+					message: 'Two-factor authentication is not enabled',
+				});
+				return;
+			}
+
+			if (await isTwoFactorRequired(user)) {
+				res.status(403).json({
+					message:
+						'Two-factor authentication is required for administrators',
+				});
+				return;
+			}
+
+			const { password, code, recoveryCode } = req.body;
+			if (
+				!(await user.comparePassword(password)) ||
+				!(await verifySecondFactor(user, { code, recoveryCode }))
+			) {
+				res.status(400).json({
+					message: 'Invalid password or verification code',
+				});
+				return;
+			}
+
+			await disableTwoFactor(user);
+			await recordAuditEvent(req, {
+				action: 'auth.2fa_disable',
+				targetType: 'user',
+				targetId: user._id,
+			});
+
+			res.json({ enabled: false });
+			return;
+		} catch (error) {
+			if (handleTwoFactorError(error, res)) return;
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Replace the recovery codes after checking a current code
+router.post(
+	'/2fa/recovery-codes',
+	[auth, requireSession, body('code').isString().notEmpty()],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const user = await User.findById(req.user?.userId).select(
+				TWO_FACTOR_FIELDS
+			);
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
+
+			if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+				res.status(400).json({ message: 'Invalid verification code' });
+				return;
+			}
+
+			const recoveryCodes = await regenerateRecoveryCodes(user);
+			await recordAuditEvent(req, {
+				action: 'auth.2fa_recovery_codes',
+				targetType: 'user',
+				targetId: user._id,
 			});
+
+			res.json({ recoveryCodes });
 			return;
 		} catch (error) {
+			if (handleTwoFactorError(error, res)) return;
 			console.error(error);
 			res.status(500).json({ message: 'Server error' });
 			return;
@@ -139,7 +547,10 @@ router.get('/me', auth, async (req: AuthRequest, res: Response) => {
 			res.status(404).json({ message: 'User not found' });
 			return;
 		}
-		res.json(user);
+		res.json({
+			...user.toObject(),
+			permissions: await getRolePermissions(user.role),
+		});
 		return;
 	} catch (error) {
 		console.error(error);
@@ -148,4 +559,470 @@ router.get('/me', auth, async (req: AuthRequest, res: Response) => {
 	}
 });
 
+// Change the password of the current user
+router.post(
+	'/change-password',
+	[
+		auth,
+		requireSession,
+		body('currentPassword').isString().notEmpty(),
+		body('newPassword').isLength({ min: 6 }),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const user = await User.findById(req.user?.userId);
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
+
+			const isMatch = await user.comparePassword(
+				req.body.currentPassword
+			);
+			if (!isMatch) {
+				res.status(400).json({
+					message: 'Current password is incorrect',
+				});
+				return;
+			}
+
+			user.password = req.body.newPassword;
+			await user.save();
+
+			// Sign out every other device; the current session stays valid
+			await Session.updateMany(
+				{
+					user: user._id,
+					_id: { $ne: req.user?.sessionId },
+					revokedAt: { $exists: false },
+				},
+				{ revokedAt: new Date(), revokedReason: 'password_changed' }
+			);
+			const revokedApiKeys = await revokeUserApiKeys(String(user._id));
+			await recordAuditEvent(req, {
+				action: 'auth.password_change',
+				targetType: 'user',
+				targetId: user._id,
+				metadata: { revokedApiKeys },
+			});
+
+			res.json({ message: 'Password changed successfully' });
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Email a password reset link. The response does not reveal whether the
+// email belongs to an account.
+router.post(
+	'/forgot-password',
+	[rateLimit('accountRecovery'), body('email').isEmail().normalizeEmail()],
+	async (req: Request, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const user = await User.findOne({ email: req.body.email });
+			if (user && user.isEnabled) {
+				// Answered like an unknown email, so a mail outage doesn't
+				// reveal which emails have accounts
+				try {
+					await sendPasswordResetEmail(user);
+				} catch (error) {
+					if (!(error instanceof MailError)) throw error;
+					console.error('Error sending password reset email:', error);
+				}
+				await recordAuditEvent(req, {
+					action: 'auth.password_reset_request',
+					targetType: 'user',
+					targetId: user._id,
+				});
+			}
+
+			res.json({
+				message:
+					'If an account exists for this email, a reset link has been sent',
+			});
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Set a new password with a token from the reset email
+router.post(
+	'/reset-password',
+	[
+		rateLimit('accountRecovery'),
+		body('token').isString().notEmpty(),
+		body('password').isLength({ min: 6 }),
+	],
+	async (req: Request, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const userId = await consumePasswordResetToken(req.body.token);
+			const user = userId ? await User.findById(userId) : null;
+			if (!user || !user.isEnabled) {
+				res.status(400).json({
+					message: 'Invalid or expired reset token',
+				});
+				return;
+			}
+
+			user.password = req.body.password;
+			await user.save();
+			await revokeUserSessions(String(user._id), 'password_reset');
+			const revokedApiKeys = await revokeUserApiKeys(String(user._id));
+			// Proving access to the mailbox lifts a lockout
+			await unlockAccount(String(user._id));
+			await recordAuditEvent(req, {
+				action: 'auth.password_reset',
+				targetType: 'user',
+				targetId: user._id,
+				actor: user._id,
+				metadata: { revokedApiKeys },
+			});
+
+			res.json({ message: 'Password reset successfully' });
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Exchange a refresh token for new tokens
+router.post(
+	'/refresh',
+	[body('refreshToken').isString().notEmpty()],
+	async (req: Request, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const tokens = await refreshSession(req.body.refreshToken, req);
+			res.json({
+				token: tokens.accessToken,
+				refreshToken: tokens.refreshToken,
+				expiresIn: tokens.expiresIn,
+			});
+			return;
+		} catch (error) {
+			if (error instanceof SessionError) {
+				res.status(error.status).json({
+					message: error.message,
+					code: error.code,
+				});
+				return;
+			}
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Revoke the current session, or every session of the user with { all: true }
+router.post(
+	'/logout',
+	[auth, requireSession, body('all').optional().isBoolean()],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			if (req.body.all) {
+				await revokeUserSessions(req.user!.userId, 'logout_all');
+			} else if (req.user?.sessionId) {
+				await revokeSession(req.user.sessionId, 'logout');
+			}
+			await recordAuditEvent(req, {
+				action: 'auth.logout',
+				targetType: 'user',
+				targetId: req.user?.userId,
+				metadata: { all: Boolean(req.body.all) },
+			});
+
+			res.json({ message: 'Logged out successfully' });
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// List the current user's active sessions
+router.get(
+	'/sessions',
+	auth,
+	requireSession,
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const sessions = await Session.find({
+				user: req.user?.userId,
+				revokedAt: { $exists: false },
+				expiresAt: { $gt: new Date() },
+			})
+				.sort({ lastUsedAt: -1 })
+				.select('ip userAgent createdAt lastUsedAt expiresAt');
+
+			res.json(
+				sessions.map((session) => ({
+					...session.toObject(),
+					current: String(session._id) === req.user?.sessionId,
+				}))
+			);
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Revoke one of the current user's sessions
+router.delete(
+	'/sessions/:id',
+	auth,
+	requireSession,
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const session = Types.ObjectId.isValid(req.params.id)
+				? await Session.findOne({
+						_id: req.params.id,
+						user: req.user?.userId,
+				  })
+				: null;
+			if (!session) {
+				res.status(404).json({ message: 'Session not found' });
+				return;
+			}
+
+			await revokeSession(String(session._id), 'revoked_by_user');
+			await recordAuditEvent(req, {
+				action: 'auth.session_revoke',
+				targetType: 'user',
+				targetId: req.user?.userId,
+				metadata: { session: session._id },
+			});
+
+			res.json({ message: 'Session revoked successfully' });
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// List the current user's API keys
+router.get(
+	'/api-keys',
+	auth,
+	requireSession,
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const apiKeys = await ApiKey.find({ owner: req.user?.userId }).sort(
+				{
+					createdAt: -1,
+				}
+			);
+			res.json(apiKeys);
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Create an API key; the key is only returned in this response
+router.post(
+	'/api-keys',
+	[
+		auth,
+		requireSession,
+		body('name').trim().notEmpty(),
+		body('scopes').isArray({ min: 1 }),
+		body('scopes.*').isIn(API_KEY_SCOPES),
+		body('expiresAt').optional().isISO8601(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const expiresAt = req.body.expiresAt
+				? new Date(req.body.expiresAt)
+				: undefined;
+			if (expiresAt && expiresAt <= new Date()) {
+				res.status(400).json({
+					message: 'Expiry must be in the future',
+				});
+				return;
+			}
+
+			const { apiKey, key } = await createApiKey({
+				owner: req.user!.userId,
+				name: req.body.name,
+				scopes: Array.from(new Set<ApiKeyScope>(req.body.scopes)),
+				expiresAt,
+			});
+			await recordAuditEvent(req, {
+				action: 'auth.api_key_create',
+				targetType: 'user',
+				targetId: req.user?.userId,
+				metadata: {
+					apiKey: apiKey._id,
+					name: apiKey.name,
+					scopes: apiKey.scopes,
+				},
+			});
+
+			res.status(201).json({ ...apiKey.toObject(), key });
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Update the name, scopes or expiry of an API key
+router.put(
+	'/api-keys/:id',
+	[
+		auth,
+		requireSession,
+		body('name').optional().trim().notEmpty(),
+		body('scopes').optional().isArray({ min: 1 }),
+		body('scopes.*').optional().isIn(API_KEY_SCOPES),
+		body('expiresAt').optional({ nullable: true }).isISO8601(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const apiKey = Types.ObjectId.isValid(req.params.id)
+				? await ApiKey.findOne({
+						_id: req.params.id,
+						owner: req.user?.userId,
+				  })
+				: null;
+			if (!apiKey || apiKey.revokedAt) {
+				res.status(404).json({ message: 'API key not found' });
+				return;
+			}
+
+			const before = {
+				name: apiKey.name,
+				scopes: [...apiKey.scopes],
+				expiresAt: apiKey.expiresAt,
+			};
+			const { name, scopes, expiresAt } = req.body;
+			if (name !== undefined) apiKey.name = name;
+			if (scopes !== undefined) {
+				apiKey.scopes = Array.from(new Set<ApiKeyScope>(scopes));
+			}
+			if (expiresAt !== undefined) {
+				apiKey.expiresAt = expiresAt ? new Date(expiresAt) : undefined;
+			}
+			await apiKey.save();
+			// Widened scopes grant more access, so every change is recorded
+			await recordAuditEvent(req, {
+				action: 'auth.api_key_update',
+				targetType: 'user',
+				targetId: req.user?.userId,
+				before,
+				after: {
+					name: apiKey.name,
+					scopes: apiKey.scopes,
+					expiresAt: apiKey.expiresAt,
+				},
+				metadata: { apiKey: apiKey._id },
+			});
+
+			res.json(apiKey);
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Revoke an API key
+router.delete(
+	'/api-keys/:id',
+	auth,
+	requireSession,
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const apiKey = Types.ObjectId.isValid(req.params.id)
+				? await ApiKey.findOne({
+						_id: req.params.id,
+						owner: req.user?.userId,
+				  })
+				: null;
+			if (!apiKey || apiKey.revokedAt) {
+				res.status(404).json({ message: 'API key not found' });
+				return;
+			}
+
+			apiKey.revokedAt = new Date();
+			await apiKey.save();
+			await recordAuditEvent(req, {
+				action: 'auth.api_key_revoke',
+				targetType: 'user',
+				targetId: req.user?.userId,
+				metadata: { apiKey: apiKey._id, name: apiKey.name },
+			});
+
+			res.json({ message: 'API key revoked successfully' });
+			return;
+		} catch (error) {
+			console.error(error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
 export default router;
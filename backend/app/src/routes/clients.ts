@@ -3,11 +3,80 @@ import { body, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
 import multer from 'multer';
 import Client from '../models/Client.js';
+import Deployment from '../models/Deployment.js';
 import auth from '../middleware/auth.js';
-import { AuthRequest, IClient } from '../types/index.js';
-import { CloudflareAPI, CloudflareAPIError } from '../services/cloudflare.js';
-import { CoolifyAPI, CoolifyAPIError } from '../services/coolify.js';
-import { WordPressAPI, WordPressAPIError } from '../services/wordpress.js';
+import { requireScope } from '../middleware/scopes.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { AuthRequest } from '../types/index.js';
+import { IClient, IClientContent, IHtmlPolicy } from '../types.js';
+import { DNSProviderError } from '../services/dns.js';
+import {
+	DomainError,
+	ResolvedDomain,
+	listResolvedDomains,
+	resolveDomain,
+} from '../services/domains.js';
+import {
+	DeploymentTarget,
+	getDeploymentTarget,
+} from '../services/deploymentTargets.js';
+import {
+	WordPressAPI,
+	WordPressAPIError,
+	getWordPressAPI,
+} from '../services/wordpress.js';
+import {
+	enqueueDeployment,
+	findActiveDeployment,
+} from '../services/deploymentWorker.js';
+import {
+	CustomDomainError,
+	checkCustomDomain,
+	createVerificationToken,
+	describeCustomDomain,
+	getCustomDomainTarget,
+	parseCustomHostname,
+	syncApplicationDomains,
+} from '../services/customDomains.js';
+import { auditSnapshot, recordAuditEvent } from '../services/audit.js';
+import AuditEvent from '../models/AuditEvent.js';
+import { checkSubdomain } from '../services/subdomainPolicy.js';
+import { getPurgeDate, hasDeployedResources } from '../services/clientTrash.js';
+import {
+	RevisionError,
+	createInitialRevision,
+	diffRevisions,
+	findClientRevision,
+	getDraft,
+	hasUnpublishedChanges,
+	publishRevision,
+	rollbackToRevision,
+	saveDraft,
+} from '../services/revisions.js';
+import ClientRevision from '../models/ClientRevision.js';
+import {
+	HtmlPolicyError,
+	ValidatedHtml,
+	resolveHtmlPolicy,
+	validateHtml,
+} from '../services/htmlPolicy.js';
+import {
+	PREVIEW_CONTENT_SECURITY_POLICY,
+	RenderableClient,
+	renderClientPage,
+} from '../services/renderer.js';
+import {
+	ReservationError,
+	reserveSubdomain,
+	saveClientWithReservation,
+} from '../services/subdomainReservations.js';
+import {
+	OrganizationError,
+	accessibleClientFilter,
+	findAccessibleClient,
+	resolveClientOrganization,
+} from '../services/organizations.js';
 
 const router = Router();
 
@@ -26,187 +95,307 @@ const upload = multer({
 	},
 });
 
-let cloudflare: CloudflareAPI | null = null;
-let coolify: CoolifyAPI | null = null;
 let wordpress: WordPressAPI | null = null;
 
-// Helper function to get or initialize Cloudflare API
-const getCloudflareAPI = (): CloudflareAPI | null => {
-	if (cloudflare) return cloudflare;
-
-	try {
-		if (
-			!process.env.CLOUDFLARE_API_TOKEN ||
-			!process.env.CLOUDFLARE_ZONE_ID
-		) {
-			console.warn(
-				'Warning: Cloudflare API credentials not found in environment variables'
-			);
-			return null;
-		}
-
-		cloudflare = new CloudflareAPI(
-			process.env.CLOUDFLARE_API_TOKEN,
-			process.env.CLOUDFLARE_ZONE_ID,
-			process.env.DOMAIN,
-			process.env.SERVER_IP
-		);
-		return cloudflare;
-	} catch (error) {
-		console.error('Error initializing Cloudflare API:', error);
-		return null;
-	}
-};
-
-// Helper function to get or initialize Coolify API
-const getCoolifyAPI = (): CoolifyAPI | null => {
-	if (coolify) return coolify;
-
+// Helper function to resolve a domain and its DNS provider, responding with
+// the error when it is unknown or no domain management is configured
+const resolveClientDomain = async (
+	res: Response,
+	domainId?: mongoose.Types.ObjectId | string | null
+): Promise<ResolvedDomain | null> => {
 	try {
-		if (!process.env.COOLIFY_API_KEY || !process.env.COOLIFY_API_URL) {
-			console.warn(
-				'Warning: Coolify API credentials not found in environment variables'
-			);
-			return null;
-		}
-
-		coolify = new CoolifyAPI(
-			process.env.COOLIFY_API_KEY,
-			process.env.COOLIFY_API_URL
-		);
-		return coolify;
+		return await resolveDomain(domainId);
 	} catch (error) {
-		console.error('Error initializing Coolify API:', error);
-		return null;
-	}
-};
-
-// Helper function to get or initialize WordPress API
-const getWordPressAPI = (): WordPressAPI | null => {
-	if (wordpress) return wordpress;
-
-	try {
-		if (
-			!process.env.WORDPRESS_API_URL ||
-			!process.env.WORDPRESS_USERNAME ||
-			!process.env.WORDPRESS_PASSWORD
-		) {
-			console.warn(
-				'Warning: WordPress API credentials not found in environment variables'
-			);
+		if (error instanceof DomainError || error instanceof DNSProviderError) {
+			res.status(error.status || 503).json({
+				message:
+					error.status === 503 || !error.status
+						? 'Domain management service is currently unavailable. Please try again later.'
+						: error.message,
+			});
 			return null;
 		}
-
-		wordpress = new WordPressAPI(
-			process.env.WORDPRESS_API_URL,
-			process.env.WORDPRESS_USERNAME,
-			process.env.WORDPRESS_PASSWORD
-		);
-		return wordpress;
-	} catch (error) {
-		console.error('Error initializing WordPress API:', error);
-		return null;
+		throw error;
 	}
 };
 
-// Helper function to check if Cloudflare API is available
-const checkCloudflareAPI = (res: Response): boolean => {
-	const api = getCloudflareAPI();
-	if (!api) {
+// Helper function to get the configured deployment target, responding with
+// 503 when there is none
+const checkDeploymentTarget = (res: Response): DeploymentTarget | null => {
+	const target = getDeploymentTarget();
+	if (!target) {
 		res.status(503).json({
 			message:
-				'Domain management service is currently unavailable. Please try again later.',
+				'Deployment service is currently unavailable. Please try again later.',
 		});
-		return false;
 	}
-	return true;
+	return target;
 };
 
-// Helper function to check if Coolify API is available
-const checkCoolifyAPI = (res: Response): boolean => {
-	const api = getCoolifyAPI();
-	if (!api) {
+// Helper function to check if WordPress API is available
+const checkWordPressAPI = (res: Response): boolean => {
+	wordpress = getWordPressAPI();
+	if (!wordpress) {
 		res.status(503).json({
 			message:
-				'Deployment service is currently unavailable. Please try again later.',
+				'Image upload service is currently unavailable. Please try again later.',
 		});
 		return false;
 	}
 	return true;
 };
 
-// Helper function to check if WordPress API is available
-const checkWordPressAPI = (res: Response): boolean => {
-	const api = getWordPressAPI();
-	if (!api) {
-		res.status(503).json({
-			message:
-				'Image upload service is currently unavailable. Please try again later.',
+// Helper function to check a deployed client can take a content update:
+// services are up and no other deployment is running
+const checkCanRollOut = async (
+	res: Response,
+	client: IClient
+): Promise<boolean> => {
+	if (!client.isDeployed) return true;
+	if (!checkDeploymentTarget(res)) return false;
+	if (!(await resolveClientDomain(res, client.domain))) return false;
+
+	const activeDeployment = await findActiveDeployment(client._id);
+	if (activeDeployment) {
+		res.status(409).json({
+			message: 'A deployment is already in progress',
+			deployment: activeDeployment,
 		});
 		return false;
 	}
 	return true;
 };
 
-// Get recent clients
-router.get('/recent', auth, async (req: AuthRequest, res: Response) => {
-	try {
-		const recentClients = await Client.find({ owner: req.user?.userId })
-			.sort({ createdAt: -1 })
-			.limit(5)
-			.select('name subdomain isDeployed links createdAt');
+// Helper function to send a rendered page, locked down so previewed HTML
+// can't act on the API's origin
+const sendPreview = (
+	res: Response,
+	client: RenderableClient,
+	sanitizePolicy?: IHtmlPolicy
+) => {
+	res.set('Content-Security-Policy', PREVIEW_CONTENT_SECURITY_POLICY);
+	res.set('X-Content-Type-Options', 'nosniff');
+	res.type('html').send(renderClientPage(client, { sanitizePolicy }));
+};
 
-		res.json(recentClients);
-		return;
+// Helper function to validate submitted custom HTML under a user's policy,
+// responding with the report when it is refused
+const validateClientHtml = async (
+	res: Response,
+	html: string,
+	policyUserId: unknown
+): Promise<ValidatedHtml | null> => {
+	try {
+		return validateHtml(html, await resolveHtmlPolicy(policyUserId));
 	} catch (error) {
-		console.error('Error fetching recent clients:', error);
-		res.status(500).json({ message: 'Server error' });
-		return;
+		if (error instanceof HtmlPolicyError) {
+			res.status(error.status).json({
+				message: error.message,
+				code: error.code,
+				report: error.report,
+			});
+			return null;
+		}
+		throw error;
 	}
-});
+};
 
+// Get recent clients
 router.get(
-	'/check-subdomain',
+	'/recent',
 	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
 	async (req: AuthRequest, res: Response) => {
 		try {
-			const { subdomain } = req.query;
+			const recentClients = await Client.find(
+				await accessibleClientFilter(req.user!.userId)
+			)
+				.sort({ createdAt: -1 })
+				.limit(5)
+				.select('name subdomain isDeployed links createdAt');
+
+			res.json(recentClients);
+			return;
+		} catch (error) {
+			console.error('Error fetching recent clients:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
 
-			if (!subdomain || typeof subdomain !== 'string') {
-				res.status(400).json({ message: 'Subdomain is required' });
+// Render unsaved form data the way the page would be deployed
+router.post(
+	'/preview',
+	[
+		auth,
+		requireScope('clients:write'),
+		requirePermission('clients.write'),
+		body('name').isString().trim(),
+		body('description').optional().isString().trim(),
+		body('theme').optional().isString(),
+		body('links').optional(),
+		body('customization').optional(),
+		body('logo').optional().isURL(),
+		body('deploymentType').optional().isIn(['template', 'custom-html']),
+		body('htmlCode').optional().isString(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
 				return;
 			}
 
-			if (!checkCloudflareAPI(res)) return;
-
-			// Check subdomain format
-			const subdomainRegex = /^[a-z0-9-]+$/;
-			if (!subdomainRegex.test(subdomain)) {
+			// Accepts the same JSON-encoded fields as the create form
+			const links =
+				typeof req.body.links === 'string'
+					? JSON.parse(req.body.links || '[]')
+					: req.body.links;
+			const customization =
+				typeof req.body.customization === 'string'
+					? JSON.parse(req.body.customization || '{}')
+					: req.body.customization;
+
+			sendPreview(
+				res,
+				{
+					name: req.body.name,
+					description: req.body.description,
+					theme: req.body.theme,
+					links: Array.isArray(links) ? links : [],
+					customization:
+						customization && typeof customization === 'object'
+							? customization
+							: {},
+					logo: req.body.logo,
+					deploymentType: req.body.deploymentType,
+					htmlCode: req.body.htmlCode,
+				},
+				await resolveHtmlPolicy(req.user!.userId)
+			);
+			return;
+		} catch (error) {
+			if (error instanceof SyntaxError) {
 				res.status(400).json({
-					message:
-						'Subdomain can only contain lowercase letters, numbers, and hyphens',
+					message: 'Invalid JSON format in request body',
 				});
 				return;
 			}
+			console.error('Error rendering preview:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
 
-			// Check if subdomain exists in database
-			const existingClient = await Client.findOne({ subdomain });
-			if (existingClient) {
-				res.status(400).json({
-					message: 'This subdomain is already taken',
-				});
+// Get the custom HTML policy that applies to the current user's clients
+router.get(
+	'/html-policy',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			res.json(await resolveHtmlPolicy(req.user!.userId));
+			return;
+		} catch (error) {
+			console.error('Error fetching HTML policy:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Get clients in the trash, with the date each is purged
+router.get(
+	'/trash',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const clients = await Client.find(
+				await accessibleClientFilter(
+					req.user!.userId,
+					'viewer',
+					'trashed'
+				)
+			)
+				.sort({ deletedAt: -1 })
+				.select('name subdomain domain logo deletedAt deletedBy')
+				.populate('deletedBy', 'name email');
+
+			res.json(
+				clients.map((client) => ({
+					...client.toObject(),
+					purgeAt: getPurgeDate(client),
+				}))
+			);
+			return;
+		} catch (error) {
+			console.error('Error fetching trashed clients:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+router.get(
+	'/check-subdomain',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	rateLimit('subdomainCheck'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const { subdomain, domain: domainId, reserve } = req.query;
+
+			if (!subdomain || typeof subdomain !== 'string') {
+				res.status(400).json({ message: 'Subdomain is required' });
 				return;
 			}
 
-			// Check subdomain availability in Cloudflare
+			const domain = await resolveClientDomain(
+				res,
+				typeof domainId === 'string' ? domainId : undefined
+			);
+			if (!domain) return;
+
+			// Naming policy, existing clients, then the DNS provider
 			try {
-				const available = await cloudflare!.checkSubdomainAvailability(
-					subdomain
+				const check = await checkSubdomain(
+					subdomain.trim().toLowerCase(),
+					domain,
+					req.user!.userId
 				);
-				res.json({ available });
+
+				// ?reserve=true holds an available name while the wizard
+				// is filled in
+				if (check.available && reserve === 'true') {
+					const reservation = await reserveSubdomain(
+						check.subdomain,
+						domain,
+						req.user!.userId
+					);
+					res.json({
+						...check,
+						domain: domain.apex,
+						reservation: { expiresAt: reservation.expiresAt },
+					});
+					return;
+				}
+
+				res.json({ ...check, domain: domain.apex });
 				return;
 			} catch (error) {
-				if (error instanceof CloudflareAPIError) {
+				if (error instanceof ReservationError) {
+					res.status(error.status).json({ message: error.message });
+					return;
+				}
+				if (error instanceof DNSProviderError) {
 					res.status(error.status || 500).json({
 						message: error.message,
 					});
@@ -227,9 +416,13 @@ router.post(
 	'/',
 	[
 		auth,
+		requireScope('clients:write'),
+		requirePermission('clients.write'),
 		upload.single('logo'),
 		body('name').notEmpty().trim().escape(),
 		body('subdomain').notEmpty().trim().toLowerCase(),
+		body('domain').optional().isMongoId(),
+		body('organization').optional().isMongoId(),
 		body('links').optional(),
 		body('links.*.title').optional().trim().escape(),
 		body('links.*.url').optional().isURL(),
@@ -248,10 +441,16 @@ router.post(
 			const reqDeploymentType = req.body.deploymentType;
 			const reqLinks = req.body.links;
 			const reqHtmlCode = req.body.htmlCode;
+			// Parsed before anything is held or uploaded, so malformed JSON
+			// is rejected with nothing to undo
 			const parsedLinks =
 				typeof reqLinks === 'string'
 					? JSON.parse(reqLinks || '[]')
 					: reqLinks || [];
+			const parsedCustomization =
+				typeof req.body.customization === 'string'
+					? JSON.parse(req.body.customization || '{}')
+					: req.body.customization;
 
 			if (reqDeploymentType === 'template') {
 				// For template deployment, links are required
@@ -290,23 +489,88 @@ router.post(
 				}
 			}
 
-			if (!checkCloudflareAPI(res) || !checkCoolifyAPI(res)) return;
+			// Sanitized under the creator's policy; the raw HTML is kept too
+			let validatedHtml: ValidatedHtml | null = null;
+			if (reqHtmlCode) {
+				validatedHtml = await validateClientHtml(
+					res,
+					reqHtmlCode,
+					req.user!.userId
+				);
+				if (!validatedHtml) return;
+				if (
+					reqDeploymentType === 'custom-html' &&
+					!validatedHtml.html.trim()
+				) {
+					res.status(400).json({
+						message:
+							'Nothing is left of the HTML code after sanitizing',
+						report: validatedHtml.report,
+					});
+					return;
+				}
+			}
+
+			if (!checkDeploymentTarget(res)) return;
+			const domain = await resolveClientDomain(res, req.body.domain);
+			if (!domain) return;
 
-			const {
-				name,
-				subdomain,
-				description,
-				links,
-				customization,
-				deploymentType,
-				htmlCode,
-			} = req.body;
+			let organization;
+			try {
+				organization = await resolveClientOrganization(
+					req.user!.userId,
+					req.body.organization
+				);
+			} catch (error) {
+				if (error instanceof OrganizationError) {
+					res.status(error.status).json({ message: error.message });
+					return;
+				}
+				throw error;
+			}
+
+			const { name, subdomain, description, deploymentType } = req.body;
+
+			if (req.file && !checkWordPressAPI(res)) return;
+
+			// Same naming policy and availability checks as check-subdomain
+			try {
+				const check = await checkSubdomain(
+					subdomain,
+					domain,
+					req.user!.userId
+				);
+				if (!check.available) {
+					res.status(400).json({
+						message: check.reasons[0].message,
+						reasons: check.reasons,
+						suggestions: check.suggestions,
+					});
+					return;
+				}
+			} catch (error) {
+				console.error('Error checking subdomain availability:', error);
+				res.status(500).json({
+					message: 'Failed to check subdomain availability',
+				});
+				return;
+			}
+
+			// Hold the name before the logo goes to WordPress, so a request that
+			// loses the name to someone else leaves no orphaned upload
+			try {
+				await reserveSubdomain(subdomain, domain, req.user!.userId);
+			} catch (error) {
+				if (error instanceof ReservationError) {
+					res.status(error.status).json({ message: error.message });
+					return;
+				}
+				throw error;
+			}
 
 			// Handle logo upload if provided
 			let logoUrl: string | undefined;
 			if (req.file) {
-				if (!checkWordPressAPI(res)) return;
-
 				try {
 					logoUrl = await wordpress!.uploadImage(
 						req.file.buffer,
@@ -330,83 +594,67 @@ router.post(
 				}
 			}
 
-			// Check subdomain availability in Cloudflare
-			try {
-				const available = await cloudflare!.checkSubdomainAvailability(
-					subdomain
-				);
-				if (!available) {
-					res.status(400).json({
-						message: 'This subdomain is not available',
-					});
-					return;
-				}
-			} catch (error) {
-				console.error('Error checking subdomain availability:', error);
-				res.status(500).json({
-					message: 'Failed to check subdomain availability',
-				});
-				return;
-			}
-
 			// Create client in database
 			const client = new Client({
 				owner: new mongoose.Types.ObjectId(req.user?.userId),
 				name,
 				subdomain,
+				domain: domain.id,
+				organization: organization._id,
 				description,
-				links: typeof links === 'string' ? JSON.parse(links) : links,
-				customization:
-					typeof customization === 'string'
-						? JSON.parse(customization)
-						: customization,
+				links: parsedLinks,
+				customization: parsedCustomization,
 				logo: logoUrl,
 				deploymentType: deploymentType || 'template',
-				htmlCode,
+				htmlCode: validatedHtml?.html,
+				htmlCodeRaw: validatedHtml?.raw,
 			});
 
-			await client.save();
-
-			// Create DNS record in Cloudflare
+			// Consumes the creator's hold on the subdomain, if they have one
 			try {
-				await cloudflare!.createSubdomainRecord(subdomain);
+				await saveClientWithReservation(
+					client,
+					domain,
+					req.user!.userId
+				);
 			} catch (error) {
-				console.error('Error creating DNS record:', error);
-				// Don't fail the request if DNS record creation fails
-				// The record can be created later using the deploy endpoint
+				if (error instanceof ReservationError) {
+					res.status(error.status).json({ message: error.message });
+					return;
+				}
+				throw error;
 			}
+			await createInitialRevision(client, req.user?.userId);
+			await recordAuditEvent(req, {
+				action: 'client.create',
+				targetType: 'client',
+				targetId: client._id,
+				client: client._id,
+				after: client,
+			});
 
-			// Deploy template to Coolify
-			try {
-				await coolify!.createDeployment({
-					subdomain,
-					clientData: {
-						name,
-						description,
-						links:
-							typeof links === 'string'
-								? JSON.parse(links)
-								: links,
-						customization:
-							typeof customization === 'string'
-								? JSON.parse(customization)
-								: customization,
-						logo: logoUrl,
-						deploymentType: deploymentType || 'template',
-						htmlCode,
-					},
-				});
-				client.isDeployed = true;
-				await client.save();
-			} catch (error) {
-				console.error('Error deploying template:', error);
-				// Don't fail the request if deployment fails
-				// The deployment can be retried later using the deploy endpoint
-			}
+			// DNS record and Coolify app are provisioned by the deployment worker;
+			// if either fails the saga rolls them back and the client stays,
+			// undeployed, for a later deploy to retry
+			const deployment = await enqueueDeployment({
+				client,
+				action: 'provision',
+				requestedBy: req.user?.userId,
+			});
 
-			res.status(201).json(client);
+			res.status(201).json({
+				...client.toObject(),
+				deployment,
+				htmlReport: validatedHtml?.report,
+			});
 			return;
 		} catch (error) {
+			if (error instanceof SyntaxError) {
+				res.status(400).json({
+					message: 'Invalid JSON format in request body',
+				});
+				return;
+			}
 			console.error('Error creating client:', error);
 			res.status(500).json({ message: 'Server error' });
 			return;
@@ -415,256 +663,724 @@ router.post(
 );
 
 // Get all clients
-router.get('/', auth, async (req: AuthRequest, res: Response) => {
-	try {
-		const clients = await Client.find({ owner: req.user?.userId })
-			.sort({ createdAt: -1 })
-			.select('name subdomain isDeployed links deploymentType');
-		res.json(clients);
-		return;
-	} catch (error) {
-		console.error('Error fetching clients:', error);
-		res.status(500).json({ message: 'Server error' });
-		return;
+router.get(
+	'/',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const clients = await Client.find(
+				await accessibleClientFilter(req.user!.userId)
+			)
+				.sort({ createdAt: -1 })
+				.select('name subdomain isDeployed links deploymentType');
+			res.json(clients);
+			return;
+		} catch (error) {
+			console.error('Error fetching clients:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
 	}
-});
+);
 
 // Get a single client
-router.get('/:id', auth, async (req: AuthRequest, res: Response) => {
-	try {
-		const client = await Client.findOne({
-			_id: req.params.id,
-			owner: req.user?.userId,
-		});
+router.get(
+	'/:id',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
 
-		if (!client) {
-			res.status(404).json({ message: 'Client not found' });
+			res.json(client);
+			return;
+		} catch (error) {
+			console.error('Error fetching client:', error);
+			res.status(500).json({ message: 'Server error' });
 			return;
 		}
-
-		res.json(client);
-		return;
-	} catch (error) {
-		console.error('Error fetching client:', error);
-		res.status(500).json({ message: 'Server error' });
-		return;
 	}
-});
+);
 
 // Deploy client
-router.post('/:id/deploy', auth, async (req: AuthRequest, res: Response) => {
-	try {
-		const client = await Client.findOne({
-			_id: req.params.id,
-			owner: req.user?.userId,
-		});
+router.post(
+	'/:id/deploy',
+	auth,
+	requireScope('deploy'),
+	requirePermission('clients.deploy'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
 
-		if (!client) {
-			res.status(404).json({ error: 'Client not found' });
-			return;
-		}
+			if (!client) {
+				res.status(404).json({ error: 'Client not found' });
+				return;
+			}
 
-		// Check if client is already deployed
-		if (client.isDeployed) {
-			res.status(400).json({ error: 'Client is already deployed' });
-			return;
-		}
+			// Check if client is already deployed
+			if (client.isDeployed) {
+				res.status(400).json({ error: 'Client is already deployed' });
+				return;
+			}
 
-		// Initialize services
-		if (!checkCloudflareAPI(res) || !checkCoolifyAPI(res)) return;
+			// Initialize services
+			if (!checkDeploymentTarget(res)) return;
+			if (!(await resolveClientDomain(res, client.domain))) return;
 
-		console.log('Starting deployment process for client:', {
-			id: client._id,
-			subdomain: client.subdomain,
-			owner: client.owner,
-		});
+			const activeDeployment = await findActiveDeployment(client._id);
+			if (activeDeployment) {
+				res.status(409).json({
+					error: 'A deployment is already in progress',
+					deployment: activeDeployment,
+				});
+				return;
+			}
 
-		// Check if DNS record exists in Cloudflare
-		try {
-			console.log(
-				'Checking Cloudflare DNS record for:',
-				client.subdomain
-			);
-			const dnsExists = await cloudflare!.checkSubdomainAvailability(
-				client.subdomain
-			);
+			console.log('Queueing deployment for client:', {
+				id: client._id,
+				subdomain: client.subdomain,
+				owner: client.owner,
+			});
 
-			if (dnsExists) {
-				console.log(
-					'Creating Cloudflare DNS record for:',
-					client.subdomain
-				);
-				await cloudflare!.createSubdomainRecord(client.subdomain);
-				console.log('Successfully created Cloudflare DNS record');
-			} else {
-				console.log('DNS record already exists for:', client.subdomain);
-			}
+			const deployment = await enqueueDeployment({
+				client,
+				action: 'deploy',
+				requestedBy: req.user?.userId,
+			});
+			await recordAuditEvent(req, {
+				action: 'client.deploy',
+				targetType: 'client',
+				targetId: client._id,
+				client: client._id,
+				metadata: { deployment: deployment._id },
+			});
+
+			res.status(202).json({
+				message: 'Deployment queued',
+				deployment,
+			});
+			return;
 		} catch (error) {
-			console.error('Error managing DNS record:', error);
+			console.error('Error in deploy route:', error);
 			res.status(500).json({
-				error: 'Failed to manage DNS record',
+				error: 'Server error',
 				details:
 					error instanceof Error ? error.message : 'Unknown error',
 			});
 			return;
 		}
+	}
+);
 
-		// Create deployment in Coolify
+// Get deployment history for a client
+router.get(
+	'/:id/deployments',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
 		try {
-			console.log('Creating Coolify deployment for:', client.subdomain);
-			const clientData = {
-				name: client.name,
-				description: client.description,
-				links: client.links,
-				customization: client.customization,
-				logo: client.logo,
-				deploymentType: client.deploymentType,
-				htmlCode: client.htmlCode,
-			};
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
 
-			await coolify!.createDeployment({
-				subdomain: client.subdomain,
-				clientData,
-			});
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
 
-			// Update client status in database
-			client.isDeployed = true;
-			await client.save();
+			const deployments = await Deployment.find({ client: client._id })
+				.sort({ queuedAt: -1 })
+				.limit(20);
+
+			res.json(deployments);
+			return;
+		} catch (error) {
+			console.error('Error fetching deployments:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Get what the deployment target is currently serving for a client
+router.get(
+	'/:id/deployment-status',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			const target = checkDeploymentTarget(res);
+			if (!target) return;
 
-			console.log('Deployment successful for client:', client._id);
 			res.json({
-				message: 'Deployment successful',
-				client: {
-					...client.toObject(),
-					isDeployed: true,
-				},
+				isDeployed: client.isDeployed,
+				...(await target.status(client)),
 			});
 			return;
 		} catch (error) {
-			console.error('Deployment failed for client:', {
-				id: client._id,
-				error: error instanceof Error ? error.message : 'Unknown error',
-			});
+			console.error('Error fetching deployment status:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
 
-			// Try to clean up DNS record if deployment failed
-			try {
-				await cloudflare!.deleteSubdomainRecord(client.subdomain);
-				console.log('Cleaned up DNS record after failed deployment');
-			} catch (cleanupError) {
-				console.error('Failed to clean up DNS record:', cleanupError);
+const handleCustomDomainError = (error: unknown, res: Response): boolean => {
+	if (error instanceof CustomDomainError || error instanceof DomainError) {
+		res.status(error.status).json({ message: error.message });
+		return true;
+	}
+	return false;
+};
+
+// Push a saved custom domain change to the deployed site. The change stays
+// saved when that fails, so the failure is reported alongside it rather than
+// as a failed request; the next deploy picks the change up.
+const syncCustomDomainChange = async (
+	client: IClient
+): Promise<{ syncError?: { message: string; error: string } }> => {
+	try {
+		await syncApplicationDomains(client);
+		return {};
+	} catch (error) {
+		console.error('Error syncing custom domain to deployment:', error);
+		return {
+			syncError: {
+				message:
+					'The custom domain change was saved, but the deployed site could not be updated. Redeploy the client to apply it.',
+				error: error instanceof Error ? error.message : String(error),
+			},
+		};
+	}
+};
+
+// Get custom domain verification status
+router.get(
+	'/:id/custom-domain',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
 			}
 
-			if (error instanceof CoolifyAPIError) {
-				res.status(error.status || 500).json({
-					error: 'Deployment failed',
-					details: error.message,
-					code: error.code,
-					apiResponse: error.response,
+			if (!client.customDomain) {
+				res.status(404).json({
+					message: 'No custom domain configured',
 				});
 				return;
 			}
 
-			res.status(500).json({
-				error: 'Deployment failed',
-				details:
-					error instanceof Error ? error.message : 'Unknown error',
-			});
+			res.json(await describeCustomDomain(client));
+			return;
+		} catch (error) {
+			if (handleCustomDomainError(error, res)) return;
+			console.error('Error fetching custom domain:', error);
+			res.status(500).json({ message: 'Server error' });
 			return;
 		}
-	} catch (error) {
-		console.error('Error in deploy route:', error);
-		res.status(500).json({
-			error: 'Server error',
-			details: error instanceof Error ? error.message : 'Unknown error',
-		});
-		return;
 	}
-});
+);
 
-// Undeploy client
-router.delete('/:id/deploy', auth, async (req: AuthRequest, res: Response) => {
-	try {
-		if (!checkCloudflareAPI(res) || !checkCoolifyAPI(res)) return;
+// Set a custom domain and issue a new verification token
+router.put(
+	'/:id/custom-domain',
+	[
+		auth,
+		requireScope('clients:write'),
+		requirePermission('clients.write'),
+		body('hostname').isString().notEmpty(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
 
-		const client = await Client.findOne({
-			_id: req.params.id,
-			owner: req.user?.userId,
-		});
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
 
-		if (!client) {
-			res.status(404).json({ message: 'Client not found' });
+			const domains = await listResolvedDomains();
+			const hostname = parseCustomHostname(
+				req.body.hostname,
+				domains.map((domain) => domain.apex)
+			);
+
+			const existingClient = await Client.findOne({
+				_id: { $ne: client._id },
+				'customDomain.hostname': hostname,
+			});
+			if (existingClient) {
+				res.status(400).json({
+					message: 'This domain is already used by another client',
+				});
+				return;
+			}
+
+			if (client.customDomain?.hostname === hostname) {
+				res.json(await describeCustomDomain(client));
+				return;
+			}
+
+			// A replaced domain stops being served until the new one verifies
+			const before = auditSnapshot(client.customDomain);
+			const wasVerified = client.customDomain?.status === 'verified';
+			client.customDomain = {
+				hostname,
+				verificationToken: createVerificationToken(),
+				status: 'pending',
+				txtVerified: false,
+				cnameVerified: false,
+			};
+			await client.save();
+			await recordAuditEvent(req, {
+				action: 'client.custom_domain',
+				targetType: 'client',
+				targetId: client._id,
+				client: client._id,
+				before,
+				after: client.customDomain,
+			});
+
+			const sync = wasVerified
+				? await syncCustomDomainChange(client)
+				: {};
+			res.json({ ...(await describeCustomDomain(client)), ...sync });
+			return;
+		} catch (error) {
+			if (handleCustomDomainError(error, res)) return;
+			console.error('Error setting custom domain:', error);
+			res.status(500).json({ message: 'Server error' });
 			return;
 		}
+	}
+);
 
-		console.log('Starting undeployment for client:', {
-			id: client._id,
-			subdomain: client.subdomain,
-		});
+// Check the TXT and CNAME records of the custom domain
+router.post(
+	'/:id/custom-domain/verify',
+	auth,
+	requireScope('clients:write'),
+	requirePermission('clients.write'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
 
-		let errors = [];
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
 
-		// Delete DNS record from Cloudflare
-		try {
-			console.log(
-				'Deleting Cloudflare DNS record for:',
-				client.subdomain
+			if (!client.customDomain) {
+				res.status(404).json({
+					message: 'No custom domain configured',
+				});
+				return;
+			}
+
+			const customDomain = client.customDomain;
+			const before = auditSnapshot(customDomain);
+			const wasVerified = customDomain.status === 'verified';
+			const check = await checkCustomDomain(
+				customDomain,
+				await getCustomDomainTarget(client)
 			);
-			await cloudflare!.deleteSubdomainRecord(client.subdomain);
-			console.log('Successfully deleted Cloudflare DNS record');
+			const verified = check.txtVerified && check.cnameVerified;
+
+			customDomain.txtVerified = check.txtVerified;
+			customDomain.cnameVerified = check.cnameVerified;
+			customDomain.lastCheckedAt = new Date();
+			customDomain.lastError = verified
+				? undefined
+				: check.errors.join('; ') ||
+				  'TXT and CNAME records are not set up yet';
+			customDomain.status = verified ? 'verified' : 'failed';
+			if (verified && !wasVerified) {
+				customDomain.verifiedAt = new Date();
+			}
+			await client.save();
+
+			let sync = {};
+			if (verified !== wasVerified) {
+				await recordAuditEvent(req, {
+					action: 'client.custom_domain',
+					targetType: 'client',
+					targetId: client._id,
+					client: client._id,
+					before,
+					after: customDomain,
+				});
+				sync = await syncCustomDomainChange(client);
+			}
+
+			res.json({ ...(await describeCustomDomain(client)), ...sync });
+			return;
 		} catch (error) {
-			console.error('Error deleting DNS record:', error);
-			errors.push('Failed to delete DNS record');
+			if (handleCustomDomainError(error, res)) return;
+			console.error('Error verifying custom domain:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
 		}
+	}
+);
 
-		// Delete deployment from Coolify
+// Remove the custom domain
+router.delete(
+	'/:id/custom-domain',
+	auth,
+	requireScope('clients:write'),
+	requirePermission('clients.write'),
+	async (req: AuthRequest, res: Response) => {
 		try {
-			console.log('Deleting Coolify deployment for:', client.subdomain);
-			await coolify!.deleteDeployment(client.subdomain);
-			console.log('Successfully deleted Coolify deployment');
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			if (!client.customDomain) {
+				res.status(404).json({
+					message: 'No custom domain configured',
+				});
+				return;
+			}
+
+			const before = auditSnapshot(client.customDomain);
+			const wasVerified = client.customDomain.status === 'verified';
+			client.customDomain = undefined;
+			await client.save();
+			await recordAuditEvent(req, {
+				action: 'client.custom_domain',
+				targetType: 'client',
+				targetId: client._id,
+				client: client._id,
+				before,
+			});
+
+			const sync = wasVerified
+				? await syncCustomDomainChange(client)
+				: {};
+			res.json({
+				message: 'Custom domain removed successfully',
+				...sync,
+			});
+			return;
 		} catch (error) {
-			console.error('Error undeploying from Coolify:', error);
-			errors.push('Failed to delete Coolify deployment');
+			if (handleCustomDomainError(error, res)) return;
+			console.error('Error removing custom domain:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
 		}
+	}
+);
 
-		// Update client status if at least one operation succeeded
-		if (errors.length < 2) {
-			client.isDeployed = false;
-			await client.save();
-			console.log('Updated client deployment status to false');
+// Get the audit trail of a client
+router.get(
+	'/:id/activity',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			const limit = Math.min(
+				parseInt(String(req.query.limit || '50'), 10) || 50,
+				200
+			);
+			const events = await AuditEvent.find({ client: client._id })
+				.sort({ createdAt: -1 })
+				.limit(limit);
+
+			res.json(events);
+			return;
+		} catch (error) {
+			console.error('Error fetching client activity:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
 		}
+	}
+);
 
-		// Return appropriate response based on errors
-		if (errors.length === 0) {
-			res.json({ message: 'Client undeployed successfully' });
+// Undeploy client
+router.delete(
+	'/:id/deploy',
+	auth,
+	requireScope('deploy'),
+	requirePermission('clients.deploy'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			if (!checkDeploymentTarget(res)) return;
+
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			if (!(await resolveClientDomain(res, client.domain))) return;
+
+			const activeDeployment = await findActiveDeployment(client._id);
+			if (activeDeployment) {
+				res.status(409).json({
+					message: 'A deployment is already in progress',
+					deployment: activeDeployment,
+				});
+				return;
+			}
+
+			console.log('Queueing teardown for client:', {
+				id: client._id,
+				subdomain: client.subdomain,
+			});
+
+			// Coolify app and DNS record are removed in order by the deployment
+			// worker; a failed step restores what was already torn down
+			const deployment = await enqueueDeployment({
+				client,
+				action: 'teardown',
+				requestedBy: req.user?.userId,
+			});
+			await recordAuditEvent(req, {
+				action: 'client.undeploy',
+				targetType: 'client',
+				targetId: client._id,
+				client: client._id,
+				metadata: { deployment: deployment._id },
+			});
+
+			res.status(202).json({
+				message: 'Teardown queued',
+				deployment,
+			});
 			return;
-		} else if (errors.length === 2) {
+		} catch (error) {
+			console.error('Error in undeploy route:', error);
 			res.status(500).json({
-				message: 'Failed to undeploy client',
-				errors,
+				message: 'Server error',
+				error: error instanceof Error ? error.message : 'Unknown error',
 			});
 			return;
-		} else {
-			res.status(207).json({
-				message: 'Client partially undeployed',
-				errors,
+		}
+	}
+);
+
+// Move a client to the trash, tearing down its DNS record and Coolify app.
+// It keeps its subdomain until it is purged.
+router.delete(
+	'/:id',
+	auth,
+	requireScope('clients:write'),
+	requirePermission('clients.write'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			const activeDeployment = await findActiveDeployment(client._id);
+			if (activeDeployment) {
+				res.status(409).json({
+					message: 'A deployment is already in progress',
+					deployment: activeDeployment,
+				});
+				return;
+			}
+
+			const teardown = hasDeployedResources(client);
+			if (teardown) {
+				if (!checkDeploymentTarget(res)) return;
+				if (!(await resolveClientDomain(res, client.domain))) return;
+			}
+
+			const before = auditSnapshot(client);
+			client.deletedAt = new Date();
+			client.deletedBy = new mongoose.Types.ObjectId(req.user?.userId);
+			await client.save();
+
+			const deployment = teardown
+				? await enqueueDeployment({
+						client,
+						action: 'teardown',
+						requestedBy: req.user?.userId,
+				  })
+				: undefined;
+			await recordAuditEvent(req, {
+				action: 'client.delete',
+				targetType: 'client',
+				targetId: client._id,
+				client: client._id,
+				before,
+				after: client,
+				metadata: deployment
+					? { deployment: deployment._id }
+					: undefined,
+			});
+
+			res.status(deployment ? 202 : 200).json({
+				message: 'Client moved to the trash',
+				purgeAt: getPurgeDate(client),
+				deployment,
 			});
 			return;
+		} catch (error) {
+			console.error('Error deleting client:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
 		}
-	} catch (error) {
-		console.error('Error in undeploy route:', error);
-		res.status(500).json({
-			message: 'Server error',
-			error: error instanceof Error ? error.message : 'Unknown error',
-		});
-		return;
 	}
-});
+);
+
+// Take a client out of the trash and provision it again
+router.post(
+	'/:id/restore',
+	auth,
+	requireScope('clients:write'),
+	requirePermission('clients.write'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'editor',
+				'trashed'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			// The teardown queued on delete has to finish first
+			const activeDeployment = await findActiveDeployment(client._id);
+			if (activeDeployment) {
+				res.status(409).json({
+					message: 'A deployment is already in progress',
+					deployment: activeDeployment,
+				});
+				return;
+			}
+
+			if (!checkDeploymentTarget(res)) return;
+			if (!(await resolveClientDomain(res, client.domain))) return;
+
+			const before = auditSnapshot(client);
+			client.deletedAt = undefined;
+			client.deletedBy = undefined;
+			await client.save();
+
+			const deployment = await enqueueDeployment({
+				client,
+				action: 'deploy',
+				requestedBy: req.user?.userId,
+			});
+			await recordAuditEvent(req, {
+				action: 'client.restore',
+				targetType: 'client',
+				targetId: client._id,
+				client: client._id,
+				before,
+				after: client,
+				metadata: { deployment: deployment._id },
+			});
+
+			res.status(202).json({ client, deployment });
+			return;
+		} catch (error) {
+			console.error('Error restoring client:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
 
 // Update client
 router.put(
 	'/:id',
 	[
 		auth,
+		requireScope('clients:write'),
+		requirePermission('clients.write'),
 		upload.single('logo'),
 		body('name').optional().trim().escape(),
 		body('description').optional().trim().escape(),
@@ -682,10 +1398,11 @@ router.put(
 				return;
 			}
 
-			const client = await Client.findOne({
-				_id: req.params.id,
-				owner: req.user?.userId,
-			});
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
 
 			if (!client) {
 				res.status(404).json({ message: 'Client not found' });
@@ -708,11 +1425,16 @@ router.put(
 				htmlCode: req.body.htmlCode,
 			};
 
-			console.log('Received update request:', {
-				body: req.body,
-				file: req.file,
-				parsedData: formData,
-			});
+			// Custom HTML follows the policy of the client's owner
+			let validatedHtml: ValidatedHtml | null = null;
+			if (formData.htmlCode !== undefined) {
+				validatedHtml = await validateClientHtml(
+					res,
+					formData.htmlCode,
+					client.owner
+				);
+				if (!validatedHtml) return;
+			}
 
 			// Handle logo upload if provided
 			let newLogoUrl: string | undefined = undefined;
@@ -743,8 +1465,8 @@ router.put(
 				}
 			}
 
-			// Update client data
-			const updates: Partial<IClient> = {};
+			// Edits go to a draft revision; publishing puts them live
+			const updates: Partial<IClientContent> = {};
 			if (formData.name) updates.name = formData.name;
 			if (formData.description !== undefined)
 				updates.description = formData.description;
@@ -756,48 +1478,31 @@ router.put(
 				updates.deploymentType = formData.deploymentType as
 					| 'template'
 					| 'custom-html';
-			if (formData.htmlCode !== undefined)
-				updates.htmlCode = formData.htmlCode;
-
-			console.log('Applying updates:', updates);
-
-			// Apply updates
-			Object.assign(client, updates);
-			await client.save();
+			if (validatedHtml) {
+				updates.htmlCode = validatedHtml.html;
+				updates.htmlCodeRaw = validatedHtml.raw;
+			}
 
-			// Update deployment if client is deployed
-			if (client.isDeployed && checkCoolifyAPI(res)) {
-				try {
-					const clientData = {
-						name: client.name,
-						description: client.description,
-						links: client.links,
-						customization: client.customization,
-						logo: client.logo,
-						deploymentType: client.deploymentType,
-						htmlCode: client.htmlCode,
-					};
-
-					console.log('Updating deployment with data:', clientData);
-
-					await coolify!.updateDeployment({
-						subdomain: client.subdomain,
-						clientData,
-					});
-				} catch (error) {
-					console.error('Error updating deployment:', error);
-					res.status(500).json({
-						message: 'Failed to update deployment',
-						error:
-							error instanceof Error
-								? error.message
-								: 'Unknown error',
-					});
-					return;
-				}
+			const previous = await getDraft(client);
+			const draft = await saveDraft(client, updates, req.user?.userId);
+			if (draft.number !== previous.number) {
+				await recordAuditEvent(req, {
+					action: 'client.update',
+					targetType: 'client',
+					targetId: client._id,
+					client: client._id,
+					before: previous.content,
+					after: draft.content,
+					metadata: { revision: draft.number },
+				});
 			}
 
-			res.json(client);
+			res.json({
+				...client.toObject(),
+				draft,
+				hasUnpublishedChanges: hasUnpublishedChanges(client, draft),
+				htmlReport: validatedHtml?.report,
+			});
 			return;
 		} catch (error) {
 			console.error('Error updating client:', error);
@@ -814,10 +1519,359 @@ router.put(
 	}
 );
 
+// Render a client's page without deploying it: the draft by default, the
+// live version with ?revision=published, or any revision by id
+router.get(
+	'/:id/preview',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			const policy = await resolveHtmlPolicy(client.owner);
+			const { revision: revisionId } = req.query;
+			if (revisionId === 'published') {
+				sendPreview(res, client, policy);
+				return;
+			}
+
+			const revision =
+				typeof revisionId === 'string'
+					? await findClientRevision(client._id, revisionId)
+					: await getDraft(client);
+			if (!revision) {
+				res.status(404).json({ message: 'Revision not found' });
+				return;
+			}
+
+			sendPreview(
+				res,
+				{ ...revision.content, theme: client.theme },
+				policy
+			);
+			return;
+		} catch (error) {
+			console.error('Error rendering preview:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Get the draft: the latest revision, which may not be published yet
+router.get(
+	'/:id/draft',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			const draft = await getDraft(client);
+			res.json({
+				draft,
+				publishedRevision: client.publishedRevision,
+				hasUnpublishedChanges: hasUnpublishedChanges(client, draft),
+			});
+			return;
+		} catch (error) {
+			console.error('Error fetching draft:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Publish the draft, rolling it out if the client is deployed
+router.post(
+	'/:id/publish',
+	auth,
+	requireScope('deploy'),
+	requirePermission('clients.deploy'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			const draft = await getDraft(client);
+			if (!hasUnpublishedChanges(client, draft)) {
+				res.status(400).json({ message: 'No unpublished changes' });
+				return;
+			}
+
+			if (!(await checkCanRollOut(res, client))) return;
+
+			const before = auditSnapshot(client);
+			await publishRevision(client, draft, req.user?.userId);
+			const deployment = client.isDeployed
+				? await enqueueDeployment({
+						client,
+						action: 'update',
+						requestedBy: req.user?.userId,
+				  })
+				: undefined;
+			await recordAuditEvent(req, {
+				action: 'client.publish',
+				targetType: 'client',
+				targetId: client._id,
+				client: client._id,
+				before,
+				after: client,
+				metadata: {
+					revision: draft.number,
+					deployment: deployment?._id,
+				},
+			});
+
+			res.status(deployment ? 202 : 200).json({
+				...client.toObject(),
+				deployment,
+			});
+			return;
+		} catch (error) {
+			console.error('Error publishing client:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Get the revision history of a client, newest first
+router.get(
+	'/:id/revisions',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
+
+			if (!client) {
+				res.status(404).json({ message: 'Client not found' });
+				return;
+			}
+
+			const revisions = await ClientRevision.find({ client: client._id })
+				.sort({ number: -1 })
+				.limit(100)
+				.select('-content')
+				.populate('createdBy', 'name email');
+
+			res.json({
+				publishedRevision: client.publishedRevision,
+				revisions,
+			});
+			return;
+		} catch (error) {
+			console.error('Error fetching revisions:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Get a single revision with its content
+router.get(
+	'/:id/revisions/:revisionId',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
+			const revision =
+				client &&
+				(await findClientRevision(client._id, req.params.revisionId));
+
+			if (!revision) {
+				res.status(404).json({ message: 'Revision not found' });
+				return;
+			}
+
+			res.json(revision);
+			return;
+		} catch (error) {
+			console.error('Error fetching revision:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Compare a revision with another one (?against=<revisionId>), the published
+// one (?against=published) or by default the revision before it
+router.get(
+	'/:id/revisions/:revisionId/diff',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
+			const revision =
+				client &&
+				(await findClientRevision(client._id, req.params.revisionId));
+
+			if (!client || !revision) {
+				res.status(404).json({ message: 'Revision not found' });
+				return;
+			}
+
+			const against = req.query.against;
+			let base;
+			if (against === 'published') {
+				base = await ClientRevision.findOne({
+					client: client._id,
+					number: client.publishedRevision,
+				});
+			} else if (typeof against === 'string') {
+				base = await findClientRevision(client._id, against);
+				if (!base) {
+					res.status(404).json({
+						message: 'Revision to compare against not found',
+					});
+					return;
+				}
+			} else {
+				base = await ClientRevision.findOne({
+					client: client._id,
+					number: { $lt: revision.number },
+				}).sort({ number: -1 });
+			}
+
+			res.json({
+				from: base?.number ?? null,
+				to: revision.number,
+				changes: diffRevisions(base, revision),
+			});
+			return;
+		} catch (error) {
+			console.error('Error comparing revisions:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// Publish an earlier revision again and roll it out
+router.post(
+	'/:id/rollback/:revisionId',
+	auth,
+	requireScope('deploy'),
+	requirePermission('clients.deploy'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const client = await findAccessibleClient(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
+			const revision =
+				client &&
+				(await findClientRevision(client._id, req.params.revisionId));
+
+			if (!client || !revision) {
+				res.status(404).json({ message: 'Revision not found' });
+				return;
+			}
+
+			if (!(await checkCanRollOut(res, client))) return;
+
+			const before = auditSnapshot(client);
+			const restored = await rollbackToRevision(
+				client,
+				revision,
+				req.user?.userId
+			);
+			const deployment = client.isDeployed
+				? await enqueueDeployment({
+						client,
+						action: 'update',
+						requestedBy: req.user?.userId,
+				  })
+				: undefined;
+			await recordAuditEvent(req, {
+				action: 'client.rollback',
+				targetType: 'client',
+				targetId: client._id,
+				client: client._id,
+				before,
+				after: client,
+				metadata: {
+					revision: restored.number,
+					restoredFrom: revision.number,
+					deployment: deployment?._id,
+				},
+			});
+
+			res.status(deployment ? 202 : 200).json({
+				...client.toObject(),
+				revision: restored,
+				deployment,
+			});
+			return;
+		} catch (error) {
+			if (error instanceof RevisionError) {
+				res.status(error.status).json({ message: error.message });
+				return;
+			}
+			console.error('Error rolling back client:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
 // Test WordPress image upload
 router.post(
 	'/test-upload',
-	[auth, upload.single('image')],
+	[
+		auth,
+		requireScope('clients:write'),
+		requirePermission('clients.write'),
+		upload.single('image'),
+	],
 	async (req: AuthRequest, res: Response) => {
 		try {
 			if (!req.file) {
@@ -0,0 +1,163 @@
+import { Router, Response } from 'express';
+import { Types } from 'mongoose';
+import auth from '../middleware/auth.js';
+import { requireScope } from '../middleware/scopes.js';
+import { requirePermission } from '../middleware/permissions.js';
+import Deployment from '../models/Deployment.js';
+import { AuthRequest } from '../types.js';
+import {
+	resumeDeployment,
+	rollbackDeployment,
+} from '../services/deploymentWorker.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { findAccessibleClient } from '../services/organizations.js';
+import { OrganizationRole } from '../types.js';
+
+const router = Router();
+
+// Deployments are visible to everyone with access to their client
+const findAccessibleDeployment = async (
+	deploymentId: string,
+	userId: string,
+	minRole: OrganizationRole
+) => {
+	if (!Types.ObjectId.isValid(deploymentId)) return null;
+	const deployment = await Deployment.findById(deploymentId);
+	// Includes trashed clients, whose teardown may need a resume or rollback
+	if (
+		!deployment ||
+		!(await findAccessibleClient(
+			String(deployment.client),
+			userId,
+			minRole,
+			'any'
+		))
+	) {
+		return null;
+	}
+	return deployment;
+};
+
+// @route   GET /api/deployments/:id
+// @desc    Get the status of a single deployment job
+// @access  Private
+router.get(
+	'/:id',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const deployment = await findAccessibleDeployment(
+				req.params.id,
+				req.user!.userId,
+				'viewer'
+			);
+
+			if (!deployment) {
+				res.status(404).json({ message: 'Deployment not found' });
+				return;
+			}
+
+			res.json(deployment);
+			return;
+		} catch (error) {
+			console.error('Error fetching deployment:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   POST /api/deployments/:id/resume
+// @desc    Continue an interrupted deployment from its first unfinished step
+// @access  Private
+router.post(
+	'/:id/resume',
+	auth,
+	requireScope('deploy'),
+	requirePermission('clients.deploy'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const deployment = await findAccessibleDeployment(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
+
+			if (!deployment) {
+				res.status(404).json({ message: 'Deployment not found' });
+				return;
+			}
+
+			const resumed = await resumeDeployment(deployment);
+			if (!resumed) {
+				res.status(409).json({
+					message: 'Only interrupted deployments can be resumed',
+				});
+				return;
+			}
+
+			await recordAuditEvent(req, {
+				action: 'deployment.resume',
+				targetType: 'deployment',
+				targetId: deployment._id,
+				client: deployment.client,
+			});
+			res.status(202).json(resumed);
+			return;
+		} catch (error) {
+			console.error('Error resuming deployment:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   POST /api/deployments/:id/rollback
+// @desc    Compensate the completed steps of an interrupted or failed deployment
+// @access  Private
+router.post(
+	'/:id/rollback',
+	auth,
+	requireScope('deploy'),
+	requirePermission('clients.deploy'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const deployment = await findAccessibleDeployment(
+				req.params.id,
+				req.user!.userId,
+				'editor'
+			);
+
+			if (!deployment) {
+				res.status(404).json({ message: 'Deployment not found' });
+				return;
+			}
+
+			const rolledBack = await rollbackDeployment(deployment);
+			if (!rolledBack) {
+				res.status(409).json({
+					message:
+						'Only interrupted or failed deployments can be rolled back',
+				});
+				return;
+			}
+
+			await recordAuditEvent(req, {
+				action: 'deployment.rollback',
+				targetType: 'deployment',
+				targetId: deployment._id,
+				client: deployment.client,
+			});
+			res.status(202).json(rolledBack);
+			return;
+		} catch (error) {
+			console.error('Error rolling back deployment:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+export default router;
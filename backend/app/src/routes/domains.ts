@@ -0,0 +1,343 @@
+import { Router, Response } from 'express';
+import { body, validationResult } from 'express-validator';
+import auth from '../middleware/auth.js';
+import { requireScope } from '../middleware/scopes.js';
+import { requirePermission } from '../middleware/permissions.js';
+import Domain from '../models/Domain.js';
+import Client from '../models/Client.js';
+import { AuthRequest } from '../types.js';
+import {
+	DNSProviderError,
+	getRegisteredDNSProviders,
+	validateDNSProviderConfig,
+} from '../services/dns.js';
+import { encryptCredentials } from '../services/domains.js';
+import { clearPageCache } from '../services/pageCache.js';
+import { auditSnapshot, recordAuditEvent } from '../services/audit.js';
+
+const router = Router();
+
+const domainValidators = (optional: boolean) => {
+	const field = (name: string) =>
+		optional ? body(name).optional() : body(name);
+	return [
+		field('apex')
+			.isFQDN({ require_tld: true })
+			.withMessage('A valid apex domain is required')
+			.trim()
+			.toLowerCase(),
+		field('provider').custom((provider) =>
+			getRegisteredDNSProviders().includes(provider)
+		),
+		body('zoneId').optional().isString().trim(),
+		body('serverIp').optional().isIP(),
+		body('credentials').optional().isObject(),
+		body('isDefault').optional().isBoolean(),
+		body('isActive').optional().isBoolean(),
+		body('minSubdomainLength')
+			.optional({ nullable: true })
+			.isInt({ min: 1, max: 63 })
+			.toInt(),
+	];
+};
+
+// Only one domain may be the default for clients created without one
+const unsetOtherDefaults = async (domainId: unknown) => {
+	await Domain.updateMany(
+		{ _id: { $ne: domainId }, isDefault: true },
+		{ isDefault: false }
+	);
+};
+
+// @route   GET /api/domains
+// @desc    Active domains clients can be created under
+// @access  Private
+router.get(
+	'/',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (_req: AuthRequest, res: Response) => {
+		try {
+			const domains = await Domain.find({ isActive: true })
+				.sort({ isDefault: -1, apex: 1 })
+				.select('apex isDefault minSubdomainLength');
+			res.json(domains);
+			return;
+		} catch (error) {
+			console.error('Error fetching domains:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   GET /api/domains/all
+// @desc    Every domain including inactive ones, with client counts
+// @access  Admin
+router.get(
+	'/all',
+	auth,
+	requirePermission('domains.manage'),
+	async (_req: AuthRequest, res: Response) => {
+		try {
+			const domains = await Domain.find().sort({ apex: 1 });
+			const counts = await Client.aggregate([
+				{ $group: { _id: '$domain', count: { $sum: 1 } } },
+			]);
+			const countsById = new Map(
+				counts.map((count) => [String(count._id), count.count])
+			);
+
+			res.json(
+				domains.map((domain) => ({
+					...domain.toJSON(),
+					clientCount: countsById.get(String(domain._id)) || 0,
+				}))
+			);
+			return;
+		} catch (error) {
+			console.error('Error fetching domains:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   GET /api/domains/:id
+// @desc    Get a domain
+// @access  Admin
+router.get(
+	'/:id',
+	auth,
+	requirePermission('domains.manage'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const domain = await Domain.findById(req.params.id);
+			if (!domain) {
+				res.status(404).json({ message: 'Domain not found' });
+				return;
+			}
+			res.json(domain);
+			return;
+		} catch (error) {
+			console.error('Error fetching domain:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   POST /api/domains
+// @desc    Add an apex domain with its DNS provider credentials
+// @access  Admin
+router.post(
+	'/',
+	[auth, requirePermission('domains.manage'), ...domainValidators(false)],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const { apex, provider, zoneId, serverIp, isDefault, isActive } =
+				req.body;
+			const credentials = req.body.credentials || {};
+
+			const missing = validateDNSProviderConfig(provider, {
+				domain: apex,
+				zoneId,
+				credentials,
+			});
+			if (missing.length > 0) {
+				res.status(400).json({
+					message: `Missing ${provider} configuration: ${missing.join(
+						', '
+					)}`,
+				});
+				return;
+			}
+
+			if (await Domain.exists({ apex })) {
+				res.status(400).json({ message: 'Domain already exists' });
+				return;
+			}
+
+			const domain = new Domain({
+				apex,
+				provider,
+				zoneId,
+				serverIp,
+				credentials: encryptCredentials(credentials),
+				isDefault: Boolean(isDefault),
+				isActive: isActive !== false,
+				minSubdomainLength: req.body.minSubdomainLength ?? undefined,
+			});
+			await domain.save();
+
+			if (domain.isDefault) {
+				await unsetOtherDefaults(domain._id);
+			}
+			// Hosts of clients without a domain follow the default
+			clearPageCache();
+			await recordAuditEvent(req, {
+				action: 'domain.create',
+				targetType: 'domain',
+				targetId: domain._id,
+				after: domain,
+			});
+
+			res.status(201).json(domain);
+			return;
+		} catch (error) {
+			if (error instanceof DNSProviderError) {
+				res.status(400).json({ message: error.message });
+				return;
+			}
+			console.error('Error creating domain:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   PUT /api/domains/:id
+// @desc    Update a domain; credentials are replaced only when provided
+// @access  Admin
+router.put(
+	'/:id',
+	[auth, requirePermission('domains.manage'), ...domainValidators(true)],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const domain = await Domain.findById(req.params.id);
+			if (!domain) {
+				res.status(404).json({ message: 'Domain not found' });
+				return;
+			}
+
+			const { apex, provider, zoneId, serverIp, isDefault, isActive } =
+				req.body;
+			const before = auditSnapshot(domain);
+
+			// Changing the apex would orphan the DNS records of its clients
+			if (apex && apex !== domain.apex) {
+				if (await Client.exists({ domain: domain._id })) {
+					res.status(400).json({
+						message: 'Cannot rename a domain that has clients',
+					});
+					return;
+				}
+				domain.apex = apex;
+			}
+			if (zoneId !== undefined) domain.zoneId = zoneId;
+			if (serverIp !== undefined) domain.serverIp = serverIp;
+			if (isDefault !== undefined) domain.isDefault = isDefault;
+			if (isActive !== undefined) domain.isActive = isActive;
+			// null falls back to SUBDOMAIN_MIN_LENGTH
+			if (req.body.minSubdomainLength !== undefined) {
+				domain.minSubdomainLength =
+					req.body.minSubdomainLength ?? undefined;
+			}
+
+			// Switching provider requires a full set of new credentials
+			if (
+				(provider && provider !== domain.provider) ||
+				req.body.credentials
+			) {
+				const nextProvider = provider || domain.provider;
+				const credentials = req.body.credentials || {};
+				const missing = validateDNSProviderConfig(nextProvider, {
+					domain: domain.apex,
+					zoneId: domain.zoneId,
+					credentials,
+				});
+				if (missing.length > 0) {
+					res.status(400).json({
+						message: `Missing ${nextProvider} configuration: ${missing.join(
+							', '
+						)}`,
+					});
+					return;
+				}
+				domain.provider = nextProvider;
+				domain.credentials = encryptCredentials(credentials);
+			}
+
+			await domain.save();
+
+			if (domain.isDefault) {
+				await unsetOtherDefaults(domain._id);
+			}
+			// Cached pages are keyed by hosts under the previous apex
+			clearPageCache();
+			await recordAuditEvent(req, {
+				action: 'domain.update',
+				targetType: 'domain',
+				targetId: domain._id,
+				before,
+				after: domain,
+			});
+
+			res.json(domain);
+			return;
+		} catch (error) {
+			console.error('Error updating domain:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   DELETE /api/domains/:id
+// @desc    Delete a domain that no client uses
+// @access  Admin
+router.delete(
+	'/:id',
+	auth,
+	requirePermission('domains.manage'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const domain = await Domain.findById(req.params.id);
+			if (!domain) {
+				res.status(404).json({ message: 'Domain not found' });
+				return;
+			}
+
+			const clientFilter = domain.isDefault
+				? { domain: { $in: [domain._id, null] } }
+				: { domain: domain._id };
+			const clientCount = await Client.countDocuments(clientFilter);
+			if (clientCount > 0) {
+				res.status(400).json({
+					message: `Domain is used by ${clientCount} client(s); deactivate it instead`,
+				});
+				return;
+			}
+
+			await domain.deleteOne();
+			clearPageCache();
+			await recordAuditEvent(req, {
+				action: 'domain.delete',
+				targetType: 'domain',
+				targetId: domain._id,
+				before: domain,
+			});
+			res.json({ message: 'Domain deleted successfully' });
+			return;
+		} catch (error) {
+			console.error('Error deleting domain:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+export default router;
@@ -0,0 +1,534 @@
+import { Router, Response } from 'express';
+import { body, validationResult } from 'express-validator';
+import { Types } from 'mongoose';
+import auth from '../middleware/auth.js';
+import { requireSession } from '../middleware/scopes.js';
+import { requirePermission } from '../middleware/permissions.js';
+import Client from '../models/Client.js';
+import Organization from '../models/Organization.js';
+import { AuthRequest, IOrganization, OrganizationRole } from '../types.js';
+import { MailError } from '../services/mail.js';
+import {
+	OrganizationError,
+	acceptInvitation,
+	assertKeepsOwner,
+	getMemberRole,
+	hasRole,
+	inviteMember,
+} from '../services/organizations.js';
+import { recordAuditEvent } from '../services/audit.js';
+
+const router = Router();
+
+const ROLES: OrganizationRole[] = ['owner', 'editor', 'viewer'];
+
+const handleOrganizationError = (error: unknown, res: Response): boolean => {
+	if (error instanceof OrganizationError) {
+		res.status(error.status).json({ message: error.message });
+		return true;
+	}
+	return false;
+};
+
+// Load an organization the user belongs to with at least minRole, answering
+// 404 for non-members and 403 for members with a lower role
+const loadOrganization = async (
+	res: Response,
+	organizationId: string,
+	userId: string,
+	minRole: OrganizationRole
+): Promise<IOrganization | null> => {
+	const organization = Types.ObjectId.isValid(organizationId)
+		? await Organization.findById(organizationId)
+		: null;
+	const role = organization ? getMemberRole(organization, userId) : null;
+	if (!organization || !role) {
+		res.status(404).json({ message: 'Organization not found' });
+		return null;
+	}
+	if (!hasRole(role, minRole)) {
+		res.status(403).json({
+			message: `You need the ${minRole} role for this action`,
+		});
+		return null;
+	}
+	return organization;
+};
+
+// @route   GET /api/organizations
+// @desc    Organizations the user is a member of, with their role
+// @access  Private
+router.get(
+	'/',
+	auth,
+	requireSession,
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const userId = req.user!.userId;
+			const organizations = await Organization.find({
+				'members.user': userId,
+			}).sort({ isPersonal: -1, name: 1 });
+
+			res.json(
+				organizations.map((organization) => ({
+					_id: organization._id,
+					name: organization.name,
+					isPersonal: organization.isPersonal,
+					role: getMemberRole(organization, userId),
+					memberCount: organization.members.length,
+					createdAt: organization.createdAt,
+				}))
+			);
+			return;
+		} catch (error) {
+			console.error('Error fetching organizations:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   POST /api/organizations
+// @desc    Create an organization owned by the current user
+// @access  Private
+router.post(
+	'/',
+	[
+		auth,
+		requireSession,
+		requirePermission('organizations.manage'),
+		body('name').isString().trim().notEmpty(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const organization = await Organization.create({
+				name: req.body.name,
+				createdBy: req.user!.userId,
+				members: [{ user: req.user!.userId, role: 'owner' }],
+			});
+			await recordAuditEvent(req, {
+				action: 'organization.create',
+				targetType: 'organization',
+				targetId: organization._id,
+				after: { name: organization.name },
+			});
+
+			res.status(201).json(organization);
+			return;
+		} catch (error) {
+			console.error('Error creating organization:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   POST /api/organizations/invitations/accept
+// @desc    Join an organization with the token from an invitation email
+// @access  Private
+router.post(
+	'/invitations/accept',
+	[auth, requireSession, body('token').isString().notEmpty()],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const organization = await acceptInvitation(
+				req.body.token,
+				req.user!.userId
+			);
+			const role = getMemberRole(organization, req.user!.userId);
+			await recordAuditEvent(req, {
+				action: 'organization.join',
+				targetType: 'organization',
+				targetId: organization._id,
+				metadata: { role },
+			});
+
+			res.json({
+				_id: organization._id,
+				name: organization.name,
+				role,
+			});
+			return;
+		} catch (error) {
+			if (handleOrganizationError(error, res)) return;
+			console.error('Error accepting invitation:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   GET /api/organizations/:id
+// @desc    Organization details with members; owners also see invitations
+// @access  Private (members)
+router.get(
+	'/:id',
+	auth,
+	requireSession,
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const userId = req.user!.userId;
+			const organization = await loadOrganization(
+				res,
+				req.params.id,
+				userId,
+				'viewer'
+			);
+			if (!organization) return;
+
+			const role = getMemberRole(organization, userId);
+			await organization.populate('members.user', 'name email');
+			const { invitations, ...details } = organization.toJSON();
+
+			res.json({
+				...details,
+				role,
+				...(role === 'owner' ? { invitations } : {}),
+			});
+			return;
+		} catch (error) {
+			console.error('Error fetching organization:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   PUT /api/organizations/:id
+// @desc    Rename an organization
+// @access  Private (owners)
+router.put(
+	'/:id',
+	[
+		auth,
+		requireSession,
+		requirePermission('organizations.manage'),
+		body('name').isString().trim().notEmpty(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const organization = await loadOrganization(
+				res,
+				req.params.id,
+				req.user!.userId,
+				'owner'
+			);
+			if (!organization) return;
+
+			const before = { name: organization.name };
+			organization.name = req.body.name;
+			await organization.save();
+			await recordAuditEvent(req, {
+				action: 'organization.update',
+				targetType: 'organization',
+				targetId: organization._id,
+				before,
+				after: { name: organization.name },
+			});
+
+			res.json(organization);
+			return;
+		} catch (error) {
+			console.error('Error updating organization:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   DELETE /api/organizations/:id
+// @desc    Delete an organization that no longer has clients
+// @access  Private (owners)
+router.delete(
+	'/:id',
+	auth,
+	requireSession,
+	requirePermission('organizations.manage'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const organization = await loadOrganization(
+				res,
+				req.params.id,
+				req.user!.userId,
+				'owner'
+			);
+			if (!organization) return;
+
+			if (organization.isPersonal) {
+				res.status(400).json({
+					message: 'Personal workspaces cannot be deleted',
+				});
+				return;
+			}
+
+			const clientCount = await Client.countDocuments({
+				organization: organization._id,
+			});
+			if (clientCount > 0) {
+				res.status(409).json({
+					message: `Organization still has ${clientCount} client(s)`,
+				});
+				return;
+			}
+
+			await organization.deleteOne();
+			await recordAuditEvent(req, {
+				action: 'organization.delete',
+				targetType: 'organization',
+				targetId: organization._id,
+				before: { name: organization.name },
+			});
+
+			res.json({ message: 'Organization deleted successfully' });
+			return;
+		} catch (error) {
+			console.error('Error deleting organization:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   POST /api/organizations/:id/invitations
+// @desc    Invite someone by email; they join when accepting the emailed link
+// @access  Private (owners)
+router.post(
+	'/:id/invitations',
+	[
+		auth,
+		requireSession,
+		requirePermission('organizations.manage'),
+		body('email').isEmail().normalizeEmail(),
+		body('role').isIn(ROLES),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const organization = await loadOrganization(
+				res,
+				req.params.id,
+				req.user!.userId,
+				'owner'
+			);
+			if (!organization) return;
+
+			const invitation = await inviteMember(
+				organization,
+				req.body.email,
+				req.body.role,
+				req.user!.userId
+			);
+			await recordAuditEvent(req, {
+				action: 'organization.invite',
+				targetType: 'organization',
+				targetId: organization._id,
+				metadata: { email: invitation.email, role: invitation.role },
+			});
+
+			res.status(201).json({
+				_id: invitation._id,
+				email: invitation.email,
+				role: invitation.role,
+				expiresAt: invitation.expiresAt,
+			});
+			return;
+		} catch (error) {
+			if (handleOrganizationError(error, res)) return;
+			if (error instanceof MailError) {
+				res.status(503).json({
+					message:
+						'Email service is currently unavailable. Please try again later.',
+				});
+				return;
+			}
+			console.error('Error inviting member:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   DELETE /api/organizations/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (owners)
+router.delete(
+	'/:id/invitations/:invitationId',
+	auth,
+	requireSession,
+	requirePermission('organizations.manage'),
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const organization = await loadOrganization(
+				res,
+				req.params.id,
+				req.user!.userId,
+				'owner'
+			);
+			if (!organization) return;
+
+			const invitation = organization.invitations.find(
+				(pending) => String(pending._id) === req.params.invitationId
+			);
+			if (!invitation) {
+				res.status(404).json({ message: 'Invitation not found' });
+				return;
+			}
+
+			organization.invitations = organization.invitations.filter(
+				(pending) => pending !== invitation
+			);
+			await organization.save();
+			await recordAuditEvent(req, {
+				action: 'organization.invitation_revoke',
+				targetType: 'organization',
+				targetId: organization._id,
+				metadata: { email: invitation.email },
+			});
+
+			res.json({ message: 'Invitation revoked successfully' });
+			return;
+		} catch (error) {
+			console.error('Error revoking invitation:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   PUT /api/organizations/:id/members/:userId
+// @desc    Change the role of a member
+// @access  Private (owners)
+router.put(
+	'/:id/members/:userId',
+	[
+		auth,
+		requireSession,
+		requirePermission('organizations.manage'),
+		body('role').isIn(ROLES),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const organization = await loadOrganization(
+				res,
+				req.params.id,
+				req.user!.userId,
+				'owner'
+			);
+			if (!organization) return;
+
+			const member = organization.members.find(
+				(candidate) => String(candidate.user) === req.params.userId
+			);
+			if (!member) {
+				res.status(404).json({ message: 'Member not found' });
+				return;
+			}
+
+			assertKeepsOwner(organization, req.params.userId, req.body.role);
+			const previousRole = member.role;
+			member.role = req.body.role;
+			organization.markModified('members');
+			await organization.save();
+			await recordAuditEvent(req, {
+				action: 'organization.member_update',
+				targetType: 'organization',
+				targetId: organization._id,
+				metadata: {
+					user: req.params.userId,
+					from: previousRole,
+					to: member.role,
+				},
+			});
+
+			res.json(organization);
+			return;
+		} catch (error) {
+			if (handleOrganizationError(error, res)) return;
+			console.error('Error updating member:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+// @route   DELETE /api/organizations/:id/members/:userId
+// @desc    Remove a member, or leave the organization when removing yourself
+// @access  Private (owners, or the member themselves)
+router.delete(
+	'/:id/members/:userId',
+	auth,
+	requireSession,
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const isSelf = req.params.userId === req.user!.userId;
+			const organization = await loadOrganization(
+				res,
+				req.params.id,
+				req.user!.userId,
+				isSelf ? 'viewer' : 'owner'
+			);
+			if (!organization) return;
+
+			const member = organization.members.find(
+				(candidate) => String(candidate.user) === req.params.userId
+			);
+			if (!member) {
+				res.status(404).json({ message: 'Member not found' });
+				return;
+			}
+
+			assertKeepsOwner(organization, req.params.userId, null);
+			organization.members = organization.members.filter(
+				(candidate) => candidate !== member
+			);
+			await organization.save();
+			await recordAuditEvent(req, {
+				action: 'organization.member_remove',
+				targetType: 'organization',
+				targetId: organization._id,
+				metadata: { user: req.params.userId, role: member.role },
+			});
+
+			res.json({ message: 'Member removed successfully' });
+			return;
+		} catch (error) {
+			if (handleOrganizationError(error, res)) return;
+			console.error('Error removing member:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
+	}
+);
+
+export default router;
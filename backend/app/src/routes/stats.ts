@@ -1,6 +1,9 @@
 import { Router } from 'express';
 import auth from '../middleware/auth.js';
+import { requireScope } from '../middleware/scopes.js';
+import { requirePermission } from '../middleware/permissions.js';
 import Client from '../models/Client.js';
+import { accessibleClientFilter } from '../services/organizations.js';
 import { AuthRequest } from '../types/index.js';
 
 const router = Router();
@@ -8,38 +11,45 @@ const router = Router();
 // @route   GET /api/stats
 // @desc    Get system statistics
 // @access  Private
-router.get('/', auth, async (req: AuthRequest, res) => {
-	try {
-		if (!req.user) {
-			return res.status(401).json({ message: 'Unauthorized' });
-		}
+router.get(
+	'/',
+	auth,
+	requireScope('clients:read'),
+	requirePermission('clients.read'),
+	async (req: AuthRequest, res) => {
+		try {
+			if (!req.user) {
+				return res.status(401).json({ message: 'Unauthorized' });
+			}
 
-		const totalClients = await Client.countDocuments({
-			owner: req.user.userId,
-		});
-		const deployedClients = await Client.countDocuments({
-			owner: req.user.userId,
-			isDeployed: true,
-		});
-		const totalLinks = await Client.aggregate([
-			{ $match: { owner: req.user.userId } },
-			{ $project: { linkCount: { $size: '$links' } } },
-			{ $group: { _id: null, total: { $sum: '$linkCount' } } },
-		]);
+			const filter = await accessibleClientFilter(req.user.userId);
+			const totalClients = await Client.countDocuments(filter);
+			const deployedClients = await Client.countDocuments({
+				...filter,
+				isDeployed: true,
+			});
+			const totalLinks = await Client.aggregate([
+				{ $match: filter },
+				{ $project: { linkCount: { $size: '$links' } } },
+				{ $group: { _id: null, total: { $sum: '$linkCount' } } },
+			]);
 
-		res.json({
-			totalClients,
-			deployedClients,
-			totalLinks: totalLinks.length > 0 ? totalLinks[0].total : 0,
-			deploymentRate:
-				totalClients > 0 ? (deployedClients / totalClients) * 100 : 0,
-		});
-		return;
-	} catch (error) {
-		console.error('Error fetching stats:', error);
-		res.status(500).json({ message: 'Server error' });
-		return;
+			res.json({
+				totalClients,
+				deployedClients,
+				totalLinks: totalLinks.length > 0 ? totalLinks[0].total : 0,
+				deploymentRate:
+					totalClients > 0
+						? (deployedClients / totalClients) * 100
+						: 0,
+			});
+			return;
+		} catch (error) {
+			console.error('Error fetching stats:', error);
+			res.status(500).json({ message: 'Server error' });
+			return;
+		}
 	}
-});
+);
 
 export default router;
@@ -1,8 +1,36 @@
-import { Router } from 'express';
+import { Router, Response } from 'express';
+import { body, validationResult } from 'express-validator';
 import { IUser, AuthRequest } from '../types.js';
+import { Types } from 'mongoose';
 import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
 import auth from '../middleware/auth.js';
-import adminAuth from '../middleware/adminAuth.js';
+import { requireSession } from '../middleware/scopes.js';
+import {
+	PermissionError,
+	authorize,
+	requirePermission,
+} from '../middleware/permissions.js';
+import { auditSnapshot, recordAuditEvent } from '../services/audit.js';
+import {
+	InvitationError,
+	createInvitation,
+	getInvitationStatus,
+} from '../services/invitations.js';
+import { MailError } from '../services/mail.js';
+import {
+	DEFAULT_ROLE,
+	getRolePermissions,
+	roleExists,
+} from '../services/roles.js';
+import { invalidateOwnerPages } from '../services/pageCache.js';
+import { revokeUserSessions } from '../services/sessions.js';
+import { getLockedUntil, unlockAccount } from '../services/loginLockout.js';
+import {
+	HtmlPolicyError,
+	parseHtmlPolicy,
+	resolveHtmlPolicy,
+} from '../services/htmlPolicy.js';
 
 const router = Router();
 
@@ -13,21 +41,187 @@ const sanitizeUser = (user: any) => {
 	return rest;
 };
 
-// Get all users (admin only)
-router.get('/', auth, adminAuth, async (_req: AuthRequest, res) => {
-	try {
-		const users = await User.find({}, { password: 0 });
-		res.json(users);
-		return;
-	} catch (error) {
-		res.status(500).json({ message: 'Error fetching users' });
-		return;
+// users.manage covers accounts whose role grants nothing the caller lacks;
+// editing, disabling or deleting a more privileged account needs roles.manage
+const authorizeManagementOf = async (
+	req: AuthRequest,
+	user: IUser
+): Promise<void> => {
+	const granted = await authorize(req, ['users.manage']);
+	const held = await getRolePermissions(user.role);
+	if (held.some((permission) => !granted.includes(permission))) {
+		await authorize(req, ['roles.manage']);
 	}
-});
+};
 
-// Get single user
-router.get('/:id', auth, async (req: AuthRequest, res) => {
+// Get all users
+router.get(
+	'/',
+	auth,
+	requirePermission('users.read'),
+	async (_req: AuthRequest, res) => {
+		try {
+			const users = await User.find({}, { password: 0 });
+			res.json(users);
+			return;
+		} catch (error) {
+			res.status(500).json({ message: 'Error fetching users' });
+			return;
+		}
+	}
+);
+
+// List invitations with their status
+router.get(
+	'/invitations',
+	auth,
+	requirePermission('users.manage'),
+	async (_req: AuthRequest, res) => {
+		try {
+			const invitations = await Invitation.find()
+				.sort({ createdAt: -1 })
+				.limit(200)
+				.populate('invitedBy', 'name email');
+			res.json(
+				invitations.map((invitation) => ({
+					...invitation.toObject(),
+					status: getInvitationStatus(invitation),
+				}))
+			);
+			return;
+		} catch (error) {
+			res.status(500).json({ message: 'Error fetching invitations' });
+			return;
+		}
+	}
+);
+
+// Invite a new user by email with a preset role; they choose their own
+// password through /api/auth/accept-invite
+router.post(
+	'/invitations',
+	[
+		auth,
+		requirePermission('users.manage'),
+		body('email').isEmail().normalizeEmail(),
+		body('name').optional().trim().notEmpty(),
+		body('role').optional().isString(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const role = req.body.role || DEFAULT_ROLE;
+			// Choosing anything but the default role is a role assignment
+			if (role !== DEFAULT_ROLE) {
+				await authorize(req, ['roles.manage']);
+				if (!(await roleExists(role))) {
+					res.status(400).json({ message: 'Unknown role' });
+					return;
+				}
+			}
+
+			const invitation = await createInvitation({
+				email: req.body.email,
+				name: req.body.name,
+				role,
+				invitedBy: req.user?.userId,
+			});
+			await recordAuditEvent(req, {
+				action: 'user.invite',
+				targetType: 'user',
+				metadata: {
+					invitation: invitation._id,
+					email: invitation.email,
+					role,
+				},
+			});
+
+			// The token only travels in the email
+			const { tokenHash, ...details } = invitation.toObject();
+			res.status(201).json({
+				...details,
+				status: getInvitationStatus(invitation),
+			});
+			return;
+		} catch (error) {
+			if (error instanceof PermissionError) {
+				res.status(403).json({
+					message: error.message,
+					code: error.code,
+				});
+				return;
+			}
+			if (error instanceof InvitationError) {
+				res.status(error.status).json({ message: error.message });
+				return;
+			}
+			if (error instanceof MailError) {
+				res.status(503).json({
+					message:
+						'Email service is currently unavailable. Please try again later.',
+				});
+				return;
+			}
+			res.status(500).json({ message: 'Error creating invitation' });
+			return;
+		}
+	}
+);
+
+// Revoke a pending invitation
+router.delete(
+	'/invitations/:id',
+	auth,
+	requirePermission('users.manage'),
+	async (req: AuthRequest, res) => {
+		try {
+			const invitation = Types.ObjectId.isValid(req.params.id)
+				? await Invitation.findById(req.params.id)
+				: null;
+			if (!invitation) {
+				res.status(404).json({ message: 'Invitation not found' });
+				return;
+			}
+
+			if (getInvitationStatus(invitation) !== 'pending') {
+				res.status(400).json({
+					message: 'Only pending invitations can be revoked',
+				});
+				return;
+			}
+
+			invitation.revokedAt = new Date();
+			await invitation.save();
+			await recordAuditEvent(req, {
+				action: 'user.invitation_revoke',
+				targetType: 'user',
+				metadata: {
+					invitation: invitation._id,
+					email: invitation.email,
+				},
+			});
+
+			res.json({ message: 'Invitation revoked successfully' });
+			return;
+		} catch (error) {
+			res.status(500).json({ message: 'Error revoking invitation' });
+			return;
+		}
+	}
+);
+
+// Get single user (self, or with users.read)
+router.get('/:id', auth, requireSession, async (req: AuthRequest, res) => {
 	try {
+		if (req.user?.userId !== req.params.id) {
+			await authorize(req, ['users.read']);
+		}
+
 		const user = await User.findById(req.params.id, { password: 0 });
 		if (!user) {
 			res.status(404).json({ message: 'User not found' });
@@ -36,115 +230,328 @@ router.get('/:id', auth, async (req: AuthRequest, res) => {
 		res.json(user);
 		return;
 	} catch (error) {
+		if (error instanceof PermissionError) {
+			res.status(403).json({ message: error.message, code: error.code });
+			return;
+		}
 		res.status(500).json({ message: 'Error fetching user' });
 		return;
 	}
 });
 
-// Create new user (admin only)
-router.post('/', auth, adminAuth, async (req: AuthRequest, res) => {
-	try {
-		const { email, password, name, role } = req.body;
+// Update user: name and email for yourself, anything else needs
+// users.manage, and changing a role needs roles.manage
+router.put(
+	'/:id',
+	[
+		auth,
+		requireSession,
+		body('name').optional().trim().notEmpty(),
+		body('email').optional().isEmail().normalizeEmail(),
+		body('role').optional().isString(),
+		body('isEnabled').optional().isBoolean(),
+	],
+	async (req: AuthRequest, res: Response) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				res.status(400).json({ errors: errors.array() });
+				return;
+			}
+
+			const { id } = req.params;
+			const { name, email, role, isEnabled } = req.body;
+
+			if (req.user?.userId !== id || isEnabled !== undefined) {
+				await authorize(req, ['users.manage']);
+			}
+			if (role !== undefined) {
+				await authorize(req, ['roles.manage']);
+				if (!(await roleExists(role))) {
+					res.status(400).json({ message: 'Unknown role' });
+					return;
+				}
+			}
+
+			const user = await User.findById(id);
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
+			if (req.user?.userId !== id || isEnabled !== undefined) {
+				await authorizeManagementOf(req, user);
+			}
 
-		const existingUser = await User.findOne({ email });
-		if (existingUser) {
-			res.status(400).json({ message: 'User already exists' });
+			if (email && email !== user.email) {
+				const existingUser = await User.findOne({ email });
+				if (existingUser) {
+					res.status(400).json({
+						message: 'Email is already in use',
+					});
+					return;
+				}
+			}
+
+			// Passwords change through /api/auth/change-password only
+			const updates: Partial<IUser> = {};
+			if (name !== undefined) updates.name = name;
+			if (email !== undefined) updates.email = email;
+			if (role !== undefined) updates.role = role;
+			if (isEnabled !== undefined) updates.isEnabled = isEnabled;
+
+			const before = auditSnapshot(user);
+			Object.assign(user, updates);
+			await user.save();
+			if (isEnabled === false) {
+				await revokeUserSessions(String(user._id), 'user_disabled');
+			}
+			await recordAuditEvent(req, {
+				action: 'user.update',
+				targetType: 'user',
+				targetId: user._id,
+				before,
+				after: user,
+			});
+			res.json(sanitizeUser(user));
+			return;
+		} catch (error) {
+			if (error instanceof PermissionError) {
+				res.status(403).json({
+					message: error.message,
+					code: error.code,
+				});
+				return;
+			}
+			res.status(500).json({ message: 'Error updating user' });
 			return;
 		}
+	}
+);
 
-		const user = new User({
-			email,
-			password,
-			name,
-			role: role || 'user',
-			isEnabled: true,
-		});
+// Delete user
+router.delete(
+	'/:id',
+	auth,
+	requirePermission('users.manage'),
+	async (req: AuthRequest, res) => {
+		try {
+			const user = await User.findById(req.params.id);
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
+			await authorizeManagementOf(req, user);
 
-		await user.save();
-		res.status(201).json(sanitizeUser(user));
-		return;
-	} catch (error) {
-		res.status(500).json({ message: 'Error creating user' });
-		return;
+			await user.deleteOne();
+			await revokeUserSessions(String(user._id), 'user_deleted');
+			await recordAuditEvent(req, {
+				action: 'user.delete',
+				targetType: 'user',
+				targetId: user._id,
+				before: user,
+			});
+			res.json({ message: 'User deleted successfully' });
+			return;
+		} catch (error) {
+			if (error instanceof PermissionError) {
+				res.status(403).json({
+					message: error.message,
+					code: error.code,
+				});
+				return;
+			}
+			res.status(500).json({ message: 'Error deleting user' });
+			return;
+		}
 	}
-});
+);
 
-// Update user (admin only or self)
-router.put('/:id', auth, async (req: AuthRequest, res) => {
-	try {
-		const { id } = req.params;
-		const updates: Partial<IUser> = { ...req.body };
+// Disable/Enable user
+router.patch(
+	'/:id/status',
+	auth,
+	requirePermission('users.manage'),
+	async (req: AuthRequest, res) => {
+		try {
+			const { id } = req.params;
+			const { isEnabled } = req.body;
+
+			const user = await User.findById(id);
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
+			await authorizeManagementOf(req, user);
 
-		// Only admins can update role
-		const currentUser = await User.findById(req.user?.userId);
-		if (updates.role && (!currentUser || currentUser.role !== 'admin')) {
-			delete updates.role;
+			const before = auditSnapshot(user);
+			user.isEnabled = isEnabled;
+			await user.save();
+			if (!user.isEnabled) {
+				await revokeUserSessions(String(user._id), 'user_disabled');
+			}
+			await recordAuditEvent(req, {
+				action: 'user.status',
+				targetType: 'user',
+				targetId: user._id,
+				before,
+				after: user,
+			});
+			res.json(sanitizeUser(user));
+			return;
+		} catch (error) {
+			if (error instanceof PermissionError) {
+				res.status(403).json({
+					message: error.message,
+					code: error.code,
+				});
+				return;
+			}
+			res.status(500).json({ message: 'Error updating user status' });
+			return;
 		}
+	}
+);
 
-		// Don't allow password updates through this endpoint
-		delete updates.password;
+// Lift a login lockout and clear the failed attempt count
+router.post(
+	'/:id/unlock',
+	auth,
+	requirePermission('users.manage'),
+	async (req: AuthRequest, res) => {
+		try {
+			const user = Types.ObjectId.isValid(req.params.id)
+				? await User.findById(req.params.id)
+				: null;
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
 
-		const user = await User.findById(id);
-		if (!user) {
-			res.status(404).json({ message: 'User not found' });
+			const lockedUntil = getLockedUntil(user);
+			await unlockAccount(String(user._id));
+			await recordAuditEvent(req, {
+				action: 'user.unlock',
+				targetType: 'user',
+				targetId: user._id,
+				metadata: {
+					lockedUntil,
+					failedAttempts: user.lockout?.failedAttempts || 0,
+				},
+			});
+
+			res.json({ message: 'Account unlocked successfully' });
+			return;
+		} catch (error) {
+			res.status(500).json({ message: 'Error unlocking user' });
 			return;
 		}
+	}
+);
+
+// Custom HTML policy overrides of a user, with the policy that results
+router.get(
+	'/:id/html-policy',
+	auth,
+	requirePermission('users.manage'),
+	async (req: AuthRequest, res) => {
+		try {
+			const user = Types.ObjectId.isValid(req.params.id)
+				? await User.findById(req.params.id).select('htmlPolicy')
+				: null;
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
 
-		// Check if user has permission to update
-		if (
-			(!currentUser || currentUser.role !== 'admin') &&
-			req.user?.userId !== id
-		) {
-			res.status(403).json({ message: 'Not authorized' });
+			res.json({
+				overrides: user.htmlPolicy || null,
+				effective: await resolveHtmlPolicy(user._id),
+			});
+			return;
+		} catch (error) {
+			res.status(500).json({ message: 'Error fetching HTML policy' });
 			return;
 		}
-
-		Object.assign(user, updates);
-		await user.save();
-		res.json(sanitizeUser(user));
-		return;
-	} catch (error) {
-		res.status(500).json({ message: 'Error updating user' });
-		return;
 	}
-});
+);
 
-// Delete user (admin only)
-router.delete('/:id', auth, adminAuth, async (req: AuthRequest, res) => {
-	try {
-		const user = await User.findByIdAndDelete(req.params.id);
-		if (!user) {
-			res.status(404).json({ message: 'User not found' });
+// Override parts of the htmlPolicy setting for a user's clients; null
+// removes the overrides
+router.put(
+	'/:id/html-policy',
+	auth,
+	requirePermission('users.manage'),
+	async (req: AuthRequest, res) => {
+		try {
+			const user = Types.ObjectId.isValid(req.params.id)
+				? await User.findById(req.params.id)
+				: null;
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
+
+			const overrides =
+				req.body.overrides === null
+					? undefined
+					: parseHtmlPolicy(req.body.overrides);
+
+			const before = { htmlPolicy: user.htmlPolicy };
+			user.htmlPolicy = overrides;
+			await user.save();
+			invalidateOwnerPages(user._id);
+			await recordAuditEvent(req, {
+				action: 'user.update',
+				targetType: 'user',
+				targetId: user._id,
+				before,
+				after: { htmlPolicy: overrides },
+			});
+
+			res.json({
+				overrides: overrides || null,
+				effective: await resolveHtmlPolicy(user._id),
+			});
+			return;
+		} catch (error) {
+			if (error instanceof HtmlPolicyError) {
+				res.status(error.status).json({ message: error.message });
+				return;
+			}
+			res.status(500).json({ message: 'Error updating HTML policy' });
 			return;
 		}
-		res.json({ message: 'User deleted successfully' });
-		return;
-	} catch (error) {
-		res.status(500).json({ message: 'Error deleting user' });
-		return;
 	}
-});
+);
 
-// Disable/Enable user (admin only)
-router.patch('/:id/status', auth, adminAuth, async (req: AuthRequest, res) => {
-	try {
-		const { id } = req.params;
-		const { isEnabled } = req.body;
+// Revoke every session of a user
+router.delete(
+	'/:id/sessions',
+	auth,
+	requirePermission('users.manage'),
+	async (req: AuthRequest, res) => {
+		try {
+			const user = await User.findById(req.params.id);
+			if (!user) {
+				res.status(404).json({ message: 'User not found' });
+				return;
+			}
 
-		const user = await User.findById(id);
-		if (!user) {
-			res.status(404).json({ message: 'User not found' });
+			await revokeUserSessions(String(user._id), 'revoked_by_admin');
+			await recordAuditEvent(req, {
+				action: 'auth.session_revoke',
+				targetType: 'user',
+				targetId: user._id,
+				metadata: { all: true },
+			});
+
+			res.json({ message: 'Sessions revoked successfully' });
+			return;
+		} catch (error) {
+			res.status(500).json({ message: 'Error revoking sessions' });
 			return;
 		}
-
-		user.isEnabled = isEnabled;
-		await user.save();
-		res.json(sanitizeUser(user));
-		return;
-	} catch (error) {
-		res.status(500).json({ message: 'Error updating user status' });
-		return;
 	}
-});
+);
 
 export default router;
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import { Types } from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { ApiKeyScope, IApiKey } from '../types.js';
+
+export class ApiKeyError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 401
+	) {
+		super(message);
+		this.name = 'ApiKeyError';
+	}
+}
+
+export const API_KEY_SCOPES: ApiKeyScope[] = [
+	'clients:read',
+	'clients:write',
+	'deploy',
+];
+
+// Keys look like "sdm_<prefix>_<secret>"; the prefix is stored in clear text
+// so a key can be found without scanning every hash
+const KEY_PREFIX = 'sdm';
+
+const hashKey = (key: string) =>
+	crypto.createHash('sha256').update(key).digest('hex');
+
+export const createApiKey = async (params: {
+	owner: string;
+	name: string;
+	scopes: ApiKeyScope[];
+	expiresAt?: Date;
+}): Promise<{ apiKey: IApiKey; key: string }> => {
+	const prefix = crypto.randomBytes(6).toString('hex');
+	const secret = crypto.randomBytes(24).toString('base64url');
+	const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+
+	const apiKey = await ApiKey.create({
+		name: params.name,
+		owner: params.owner,
+		prefix,
+		keyHash: hashKey(key),
+		scopes: params.scopes,
+		expiresAt: params.expiresAt,
+	});
+	return { apiKey, key };
+};
+
+// Keys act with their owner's access, so a password change or reset, which
+// may follow a compromise, revokes them along with the sessions. Returns how
+// many keys were revoked.
+export const revokeUserApiKeys = async (
+	owner: Types.ObjectId | string
+): Promise<number> => {
+	const result = await ApiKey.updateMany(
+		{ owner, revokedAt: { $exists: false } },
+		{ revokedAt: new Date() }
+	);
+	return result.modifiedCount;
+};
+
+// Resolve the key presented in an "Authorization: ApiKey <key>" header
+export const authenticateApiKey = async (
+	key: string,
+	ip?: string
+): Promise<IApiKey> => {
+	const [kind, prefix] = key.split('_');
+	if (kind !== KEY_PREFIX || !prefix) {
+		throw new ApiKeyError('Invalid API key', 'INVALID_API_KEY');
+	}
+
+	const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash');
+	if (
+		!apiKey ||
+		!crypto.timingSafeEqual(
+			Buffer.from(apiKey.keyHash),
+			Buffer.from(hashKey(key))
+		)
+	) {
+		throw new ApiKeyError('Invalid API key', 'INVALID_API_KEY');
+	}
+	if (apiKey.revokedAt) {
+		throw new ApiKeyError('API key has been revoked', 'API_KEY_REVOKED');
+	}
+	if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+		throw new ApiKeyError('API key has expired', 'API_KEY_EXPIRED');
+	}
+
+	const owner = await User.findById(apiKey.owner).select('isEnabled');
+	if (!owner || !owner.isEnabled) {
+		throw new ApiKeyError('Account is disabled', 'USER_DISABLED');
+	}
+
+	await ApiKey.updateOne(
+		{ _id: apiKey._id },
+		{ lastUsedAt: new Date(), lastUsedIp: ip }
+	);
+	return apiKey;
+};
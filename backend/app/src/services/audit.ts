@@ -0,0 +1,114 @@
+import { Request } from 'express';
+import { Types } from 'mongoose';
+import AuditEvent from '../models/AuditEvent.js';
+import User from '../models/User.js';
+import {
+	AuditAction,
+	AuditTargetType,
+	AuthRequest,
+	IAuditChange,
+} from '../types.js';
+
+export interface AuditEventInput {
+	action: AuditAction;
+	targetType: AuditTargetType;
+	targetId?: Types.ObjectId | string | unknown;
+	client?: Types.ObjectId | string | unknown;
+	// Snapshots of the target before and after the mutation
+	before?: Record<string, any> | null;
+	after?: Record<string, any> | null;
+	metadata?: Record<string, any>;
+	// Defaults to the authenticated user of the request
+	actor?: Types.ObjectId | string | unknown;
+}
+
+// Never persist secrets in the audit trail, only the fact they changed
+const REDACTED_FIELDS = new Set([
+	'password',
+	'credentials',
+	'verificationToken',
+]);
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = new Set([
+	'_id',
+	'__v',
+	'createdAt',
+	'updatedAt',
+	'lastUpdated',
+]);
+
+const REDACTED = '[redacted]';
+
+// Plain JSON copy of a document or object, suitable for diffing and storage
+export const auditSnapshot = (value: any): Record<string, any> | null => {
+	if (!value) return null;
+	const plain =
+		typeof value.toObject === 'function' ? value.toObject() : value;
+	return JSON.parse(JSON.stringify(plain));
+};
+
+const redact = (field: string, value: any) =>
+	REDACTED_FIELDS.has(field) && value !== undefined ? REDACTED : value;
+
+// Top-level fields that differ between two snapshots
+export const diffSnapshots = (
+	before: Record<string, any> | null | undefined,
+	after: Record<string, any> | null | undefined
+): IAuditChange[] => {
+	const fields = new Set([
+		...Object.keys(before || {}),
+		...Object.keys(after || {}),
+	]);
+	const changes: IAuditChange[] = [];
+
+	for (const field of fields) {
+		if (IGNORED_FIELDS.has(field)) continue;
+		const previous = before?.[field];
+		const next = after?.[field];
+		if (JSON.stringify(previous) === JSON.stringify(next)) continue;
+		changes.push({
+			field,
+			before: redact(field, previous),
+			after: redact(field, next),
+		});
+	}
+	return changes;
+};
+
+// Record an audit event for a request. Failures are logged and swallowed so
+// auditing never breaks the mutation it describes.
+export const recordAuditEvent = async (
+	req: Request,
+	event: AuditEventInput
+): Promise<void> => {
+	try {
+		const actor =
+			event.actor ?? (req as AuthRequest).user?.userId ?? undefined;
+		const apiKeyId = (req as AuthRequest).user?.apiKeyId;
+		const actorUser = actor
+			? await User.findById(actor).select('email')
+			: null;
+
+		await AuditEvent.create({
+			action: event.action,
+			actor,
+			actorEmail: actorUser?.email,
+			targetType: event.targetType,
+			targetId: event.targetId,
+			client: event.client,
+			changes: diffSnapshots(
+				auditSnapshot(event.before),
+				auditSnapshot(event.after)
+			),
+			// Mutations made through an API key are attributed to its owner
+			metadata: apiKeyId
+				? { ...event.metadata, apiKey: apiKeyId }
+				: event.metadata,
+			ip: req.ip,
+			userAgent: req.header('user-agent'),
+		});
+	} catch (error) {
+		console.error('Failed to record audit event:', event.action, error);
+	}
+};
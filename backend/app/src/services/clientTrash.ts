@@ -0,0 +1,109 @@
+import Client from '../models/Client.js';
+import ClientRevision from '../models/ClientRevision.js';
+import Deployment from '../models/Deployment.js';
+import { IClient } from '../types.js';
+import { findActiveDeployment } from './deploymentWorker.js';
+import { getWordPressAPI } from './wordpress.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer: NodeJS.Timeout | null = null;
+
+const getRetentionMs = () =>
+	parseInt(process.env.CLIENT_RETENTION_DAYS || '30', 10) * DAY_MS;
+
+// When a trashed client is removed for good
+export const getPurgeDate = (client: IClient): Date | null =>
+	client.deletedAt
+		? new Date(client.deletedAt.getTime() + getRetentionMs())
+		: null;
+
+// DNS record or Coolify app that a teardown still has to remove
+export const hasDeployedResources = (client: IClient): boolean =>
+	client.isDeployed ||
+	!!client.dnsRecordId ||
+	!!client.coolify?.applicationUuid;
+
+export interface PurgeResult {
+	purged: number;
+	// Still deployed, mid-deployment, or their logo could not be removed
+	skipped: number;
+}
+
+// Hard-delete a trashed client with its deployment history, revisions and
+// logo. The audit log keeps its events.
+const purgeClient = async (client: IClient): Promise<boolean> => {
+	if (
+		hasDeployedResources(client) ||
+		(await findActiveDeployment(client._id))
+	) {
+		console.warn(
+			'Not purging client with resources still deployed:',
+			client._id
+		);
+		return false;
+	}
+
+	// Earlier revisions may point at logos that have since been replaced
+	const revisionLogos: string[] = await ClientRevision.distinct(
+		'content.logo',
+		{ client: client._id }
+	);
+	const logos = [...new Set([client.logo, ...revisionLogos])].filter(
+		(logo): logo is string => !!logo
+	);
+	const wordpress = getWordPressAPI();
+	if (wordpress && logos.length > 0) {
+		try {
+			for (const logo of logos) await wordpress.deleteImage(logo);
+		} catch (error) {
+			// Retried on the next run rather than leaving the file behind
+			console.error(
+				'Failed to delete logo of client:',
+				client._id,
+				error
+			);
+			return false;
+		}
+	}
+
+	await Deployment.deleteMany({ client: client._id });
+	await ClientRevision.deleteMany({ client: client._id });
+	await Client.deleteOne({ _id: client._id });
+	console.log('Purged client:', client._id, client.subdomain);
+	return true;
+};
+
+export const purgeExpiredClients = async (): Promise<PurgeResult> => {
+	const clients = await Client.find({
+		deletedAt: { $lte: new Date(Date.now() - getRetentionMs()) },
+	});
+
+	const result: PurgeResult = { purged: 0, skipped: 0 };
+	for (const client of clients) {
+		if (await purgeClient(client)) result.purged++;
+		else result.skipped++;
+	}
+	return result;
+};
+
+export const startTrashPurger = (): void => {
+	const minutes = parseInt(
+		process.env.CLIENT_PURGE_INTERVAL_MINUTES || '60',
+		10
+	);
+	if (timer || !minutes || minutes <= 0) return;
+
+	timer = setInterval(async () => {
+		try {
+			const result = await purgeExpiredClients();
+			if (result.purged > 0 || result.skipped > 0) {
+				console.log('Trash purge finished:', result);
+			}
+		} catch (error) {
+			console.error('Scheduled trash purge failed:', error);
+		}
+	}, minutes * 60 * 1000);
+
+	console.log(`✅ Trash purge scheduled every ${minutes} minute(s)`);
+};
@@ -1,18 +1,8 @@
 import axios, { AxiosError } from 'axios';
+import { DNSProvider, DNSProviderError, DNSRecord } from './dnsProvider.js';
 
-export class CloudflareAPIError extends Error {
-	constructor(
-		public message: string,
-		public code: string,
-		public status?: number,
-		public details?: any
-	) {
-		super(message);
-		this.name = 'CloudflareAPIError';
-	}
-}
-
-export class CloudflareAPI {
+export class CloudflareAPI implements DNSProvider {
+	readonly name = 'cloudflare';
 	private baseUrl: string;
 	private headers: Record<string, string>;
 	private zoneId: string;
@@ -21,18 +11,19 @@ export class CloudflareAPI {
 	constructor(
 		apiToken: string,
 		zoneId: string,
-		domain?: string,
+		domain: string,
 		serverIp?: string
 	) {
-		if (!apiToken || !zoneId) {
-			throw new CloudflareAPIError(
-				'API token and Zone ID are required',
-				'INVALID_CREDENTIALS'
+		if (!apiToken || !zoneId || !domain) {
+			throw new DNSProviderError(
+				'API token, Zone ID and domain are required',
+				'INVALID_CREDENTIALS',
+				'cloudflare'
 			);
 		}
 
 		this.baseUrl = 'https://api.cloudflare.com/client/v4';
-		this.domain = domain || process.env.DOMAIN || 'theosirislabs.com';
+		this.domain = domain;
 		this.zoneId = zoneId;
 		this.serverIp = serverIp || process.env.SERVER_IP || '127.0.0.1';
 		this.headers = {
@@ -61,53 +52,60 @@ export class CloudflareAPI {
 
 			switch (status) {
 				case 401:
-					throw new CloudflareAPIError(
+					throw new DNSProviderError(
 						'Invalid API credentials',
 						'UNAUTHORIZED',
+						'cloudflare',
 						status
 					);
 				case 403:
-					throw new CloudflareAPIError(
+					throw new DNSProviderError(
 						'Access forbidden. Check API permissions',
 						'FORBIDDEN',
+						'cloudflare',
 						status
 					);
 				case 404:
-					throw new CloudflareAPIError(
+					throw new DNSProviderError(
 						'Resource not found',
 						'NOT_FOUND',
+						'cloudflare',
 						status,
 						data
 					);
 				case 429:
-					throw new CloudflareAPIError(
+					throw new DNSProviderError(
 						'Rate limit exceeded',
 						'RATE_LIMIT',
+						'cloudflare',
 						status
 					);
 				default:
-					throw new CloudflareAPIError(
+					throw new DNSProviderError(
 						data?.errors?.[0]?.message ||
 							'An error occurred with the Cloudflare API',
 						'API_ERROR',
+						'cloudflare',
 						status,
 						data
 					);
 			}
 		}
 
-		throw new CloudflareAPIError(
+		throw new DNSProviderError(
 			'An unexpected error occurred',
 			'UNKNOWN_ERROR',
+			'cloudflare',
 			500
 		);
 	}
 
 	async checkSubdomainAvailability(subdomain: string): Promise<boolean> {
 		if (!subdomain) {
-			throw new CloudflareAPIError(
+			throw new DNSProviderError(
 				'Subdomain is required',
-				'INVALID_PARAMETER'
+				'INVALID_PARAMETER',
+				'cloudflare'
 			);
 		}
 
@@ -131,16 +129,17 @@ export class CloudflareAPI {
 		}
 	}
 
-	async createSubdomainRecord(subdomain: string): Promise<void> {
+	async createSubdomainRecord(subdomain: string): Promise<string> {
 		if (!subdomain) {
-			throw new CloudflareAPIError(
+			throw new DNSProviderError(
 				'Subdomain is required',
-				'INVALID_PARAMETER'
+				'INVALID_PARAMETER',
+				'cloudflare'
 			);
 		}
 
 		try {
-			await axios.post(
+			const response = await axios.post(
 				`${this.baseUrl}/zones/${this.zoneId}/dns_records`,
 				{
 					type: 'A',
@@ -150,21 +149,14 @@ export class CloudflareAPI {
 				},
 				{ headers: this.headers }
 			);
+			return response.data.result.id;
 		} catch (error) {
 			this.handleError(error);
 		}
 	}
 
-	async deleteSubdomainRecord(subdomain: string): Promise<void> {
-		if (!subdomain) {
-			throw new CloudflareAPIError(
-				'Subdomain is required',
-				'INVALID_PARAMETER'
-			);
-		}
-
+	async findSubdomainRecord(subdomain: string): Promise<DNSRecord | null> {
 		try {
-			// First, find the record ID
 			const response = await axios.get(
 				`${this.baseUrl}/zones/${this.zoneId}/dns_records`,
 				{
@@ -176,14 +168,98 @@ export class CloudflareAPI {
 				}
 			);
 
-			if (response.data.result.length > 0) {
-				const recordId = response.data.result[0].id;
-				// Delete the record
+			const record = response.data.result[0];
+			if (!record) return null;
+			return {
+				id: record.id,
+				name: record.name,
+				subdomain,
+				type: record.type,
+				content: record.content,
+			};
+		} catch (error) {
+			this.handleError(error);
+		}
+	}
+
+	async deleteSubdomainRecord(
+		subdomain: string,
+		recordId?: string
+	): Promise<void> {
+		if (!subdomain) {
+			throw new DNSProviderError(
+				'Subdomain is required',
+				'INVALID_PARAMETER',
+				'cloudflare'
+			);
+		}
+
+		try {
+			if (recordId) {
+				try {
+					await axios.delete(
+						`${this.baseUrl}/zones/${this.zoneId}/dns_records/${recordId}`,
+						{ headers: this.headers }
+					);
+					return;
+				} catch (error) {
+					if (
+						!axios.isAxiosError(error) ||
+						error.response?.status !== 404
+					) {
+						throw error;
+					}
+				}
+			}
+
+			console.warn(
+				`Deleting DNS record for ${subdomain} by name lookup; no stored record ID matched`
+			);
+			const record = await this.findSubdomainRecord(subdomain);
+			if (record) {
 				await axios.delete(
-					`${this.baseUrl}/zones/${this.zoneId}/dns_records/${recordId}`,
+					`${this.baseUrl}/zones/${this.zoneId}/dns_records/${record.id}`,
 					{ headers: this.headers }
 				);
 			}
+		} catch (error) {
+			if (error instanceof DNSProviderError) throw error;
+			this.handleError(error);
+		}
+	}
+
+	async listSubdomainRecords(): Promise<DNSRecord[]> {
+		const records: DNSRecord[] = [];
+		const suffix = `.${this.domain}`;
+
+		try {
+			let page = 1;
+			let totalPages = 1;
+			do {
+				const response = await axios.get(
+					`${this.baseUrl}/zones/${this.zoneId}/dns_records`,
+					{
+						headers: this.headers,
+						params: { type: 'A', per_page: 100, page },
+					}
+				);
+
+				for (const record of response.data.result) {
+					if (!record.name.endsWith(suffix)) continue;
+					records.push({
+						id: record.id,
+						name: record.name,
+						subdomain: record.name.slice(0, -suffix.length),
+						type: record.type,
+						content: record.content,
+					});
+				}
+
+				totalPages = response.data.result_info?.total_pages || 1;
+				page++;
+			} while (page <= totalPages);
+
+			return records;
 		} catch (error) {
 			this.handleError(error);
 		}
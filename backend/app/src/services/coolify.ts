@@ -12,6 +12,50 @@ export class CoolifyAPIError extends Error {
 	}
 }
 
+// Phases of a Coolify deployment, reported through the onStep callback
+export type CoolifyDeploymentStep = 'application' | 'environment' | 'deploy';
+
+// Where client applications are created from and deployed to
+export interface CoolifyDeploymentConfig {
+	templateRepo: string;
+	projectUuid: string;
+	environmentUuid: string;
+	serverUuid: string;
+}
+
+export interface CoolifyDeploymentParams {
+	config: CoolifyDeploymentConfig;
+	subdomain: string;
+	// Fully qualified host the application is served on
+	hostname: string;
+	// Verified custom domains served alongside the hostname
+	aliases?: string[];
+	// Stored application UUID; the name lookup is only a fallback
+	applicationUuid?: string;
+	clientData: any;
+	onStep?: (step: CoolifyDeploymentStep) => Promise<void> | void;
+}
+
+export interface CoolifyDeploymentResult {
+	applicationUuid: string;
+	serverUuid?: string;
+	projectUuid?: string;
+	environmentUuid?: string;
+	// Whether this call created the application (vs. reusing an existing one)
+	created: boolean;
+}
+
+// Coolify expects a comma separated URL list plus the compose service mapping
+const buildDomainFields = (hostnames: string[]) => {
+	const domains = hostnames
+		.map((hostname) => `https://${hostname}`)
+		.join(',');
+	return {
+		domains,
+		docker_compose_domains: [{ name: 'web', domain: domains }],
+	};
+};
+
 export class CoolifyAPI {
 	private baseUrl: string;
 	private headers: Record<string, string>;
@@ -63,6 +107,15 @@ export class CoolifyAPI {
 				data
 			);
 		}
+		if (error instanceof CoolifyAPIError) {
+			// Keep the original code and status so callers can react to them
+			throw new CoolifyAPIError(
+				`${context}: ${error.message}`,
+				error.code,
+				error.status,
+				error.response
+			);
+		}
 		console.error(`Coolify API Error (${context}):`, error);
 		throw new CoolifyAPIError(
 			`${context}: ${error.message || 'An unexpected error occurred'}`,
@@ -71,7 +124,7 @@ export class CoolifyAPI {
 		);
 	}
 
-	private async getApplications(): Promise<any[]> {
+	async getApplications(): Promise<any[]> {
 		try {
 			const response = await axios.get(
 				`${this.baseUrl}/api/v1/applications`,
@@ -85,6 +138,42 @@ export class CoolifyAPI {
 		}
 	}
 
+	async getApplication(uuid: string): Promise<any | null> {
+		try {
+			const response = await axios.get(
+				`${this.baseUrl}/api/v1/applications/${uuid}`,
+				{
+					headers: this.headers,
+				}
+			);
+			return response.data || null;
+		} catch (error) {
+			if (axios.isAxiosError(error) && error.response?.status === 404) {
+				return null;
+			}
+			this.handleError(error, 'Failed to get application');
+		}
+	}
+
+	// Prefer the stored UUID; fall back to scanning every application by name
+	private async resolveApplication(
+		subdomain: string,
+		applicationUuid?: string
+	): Promise<any | null> {
+		if (applicationUuid) {
+			const app = await this.getApplication(applicationUuid);
+			if (app) return app;
+			console.warn(
+				`Stored Coolify application ${applicationUuid} for ${subdomain} was not found; falling back to name lookup`
+			);
+		} else {
+			console.warn(
+				`No stored Coolify application UUID for ${subdomain}; falling back to name lookup`
+			);
+		}
+		return this.findApplicationByName(subdomain);
+	}
+
 	private async findApplicationByName(name: string): Promise<any | null> {
 		try {
 			const applications = await this.getApplications();
@@ -95,34 +184,26 @@ export class CoolifyAPI {
 		}
 	}
 
-	async createDeployment(params: {
-		subdomain: string;
-		clientData: any;
-	}): Promise<void> {
-		const { subdomain, clientData } = params;
+	async createDeployment(
+		params: CoolifyDeploymentParams
+	): Promise<CoolifyDeploymentResult> {
+		const {
+			config,
+			subdomain,
+			hostname,
+			aliases = [],
+			clientData,
+			applicationUuid,
+			onStep,
+		} = params;
 
 		try {
-			// Validate required environment variables
-			if (!process.env.TEMPLATE_REPO) {
-				throw new CoolifyAPIError(
-					'GitHub repository URL is required',
-					'INVALID_PARAMETER'
-				);
-			}
-
-			if (
-				!process.env.COOLIFY_PROJECT_ID ||
-				!process.env.COOLIFY_ENVIRONMENT_ID ||
-				!process.env.COOLIFY_SERVER_ID
-			) {
-				throw new CoolifyAPIError(
-					'Coolify project ID, environment ID, and server ID are required but not provided',
-					'INVALID_PARAMETER'
-				);
-			}
-
 			// Check if application already exists
-			const existingApp = await this.findApplicationByName(subdomain);
+			await onStep?.('application');
+			const existingApp = await this.resolveApplication(
+				subdomain,
+				applicationUuid
+			);
 			let applicationId: string;
 
 			if (existingApp) {
@@ -138,22 +219,16 @@ export class CoolifyAPI {
 				);
 
 				const createPayload = {
-					project_uuid: process.env.COOLIFY_PROJECT_ID,
-					server_uuid: process.env.COOLIFY_SERVER_ID,
-					environment_uuid: process.env.COOLIFY_ENVIRONMENT_ID,
+					project_uuid: config.projectUuid,
+					server_uuid: config.serverUuid,
+					environment_uuid: config.environmentUuid,
 					environment_name: 'production',
-					git_repository: process.env.TEMPLATE_REPO,
+					git_repository: config.templateRepo,
 					git_branch: 'master',
 					build_pack: 'dockercompose',
 					name: subdomain,
 					description: clientData.description || '',
-					domains: `https://${subdomain}.${process.env.DOMAIN}`,
-					docker_compose_domains: [
-						{
-							name: 'web',
-							domain: `https://${subdomain}.${process.env.DOMAIN}`,
-						},
-					],
+					...buildDomainFields([hostname, ...aliases]),
 					base_directory: '/',
 					ports_exposes: 3000,
 					docker_compose_location: 'docker-compose.yml',
@@ -194,6 +269,7 @@ export class CoolifyAPI {
 			}
 
 			// Set environment variables
+			await onStep?.('environment');
 			console.log(
 				'Setting environment variables for application:',
 				applicationId
@@ -251,6 +327,7 @@ export class CoolifyAPI {
 			);
 
 			// Deploy application
+			await onStep?.('deploy');
 			console.log('Deploying application:', applicationId);
 			await axios.get(
 				`${this.baseUrl}/api/v1/deploy?uuid=${applicationId}`,
@@ -261,14 +338,27 @@ export class CoolifyAPI {
 			);
 
 			console.log('Deployment completed successfully');
+			return {
+				applicationUuid: applicationId,
+				serverUuid: config.serverUuid,
+				projectUuid: config.projectUuid,
+				environmentUuid: config.environmentUuid,
+				created: !existingApp,
+			};
 		} catch (error) {
 			this.handleError(error, 'Failed to create deployment');
 		}
 	}
 
-	async deleteDeployment(subdomain: string): Promise<void> {
+	async deleteDeployment(
+		subdomain: string,
+		applicationUuid?: string
+	): Promise<void> {
 		try {
-			const app = await this.findApplicationByName(subdomain);
+			const app = await this.resolveApplication(
+				subdomain,
+				applicationUuid
+			);
 			if (!app) {
 				throw new CoolifyAPIError(
 					'Application not found',
@@ -291,6 +381,39 @@ export class CoolifyAPI {
 		}
 	}
 
+	async deleteApplication(uuid: string): Promise<void> {
+		try {
+			console.log('Deleting application:', uuid);
+			await axios.delete(`${this.baseUrl}/api/v1/applications/${uuid}`, {
+				headers: this.headers,
+			});
+		} catch (error) {
+			this.handleError(error, 'Failed to delete application');
+		}
+	}
+
+	// Replace the hosts an application is served on and redeploy it
+	async setApplicationDomains(
+		uuid: string,
+		hostnames: string[]
+	): Promise<void> {
+		try {
+			console.log('Updating application domains:', uuid, hostnames);
+			await axios.patch(
+				`${this.baseUrl}/api/v1/applications/${uuid}`,
+				buildDomainFields(hostnames),
+				{
+					headers: this.headers,
+				}
+			);
+			await axios.get(`${this.baseUrl}/api/v1/deploy?uuid=${uuid}`, {
+				headers: this.headers,
+			});
+		} catch (error) {
+			this.handleError(error, 'Failed to update application domains');
+		}
+	}
+
 	async getServers(): Promise<any> {
 		try {
 			const response = await axios.get(`${this.baseUrl}/api/v1/servers`, {
@@ -308,27 +431,38 @@ export class CoolifyAPI {
 		}
 	}
 
-	async updateDeployment(params: {
-		subdomain: string;
-		clientData: any;
-	}): Promise<void> {
-		const { subdomain, clientData } = params;
+	async updateDeployment(
+		params: CoolifyDeploymentParams
+	): Promise<CoolifyDeploymentResult> {
+		const {
+			config,
+			subdomain,
+			hostname,
+			aliases = [],
+			clientData,
+			applicationUuid,
+			onStep,
+		} = params;
 
 		try {
-			const app = await this.findApplicationByName(subdomain);
+			await onStep?.('application');
+			const app = await this.resolveApplication(
+				subdomain,
+				applicationUuid
+			);
 
 			// If application doesn't exist, create it instead of throwing an error
 			if (!app) {
 				console.log(
 					'Application not found, creating new deployment...'
 				);
-				await this.createDeployment(params);
-				return;
+				return await this.createDeployment(params);
 			}
 
 			console.log('Updating existing application:', app.uuid);
 
 			// Update environment variables
+			await onStep?.('environment');
 			const clientDataWithLogo = {
 				...clientData,
 				logo: clientData.logo || null,
@@ -380,14 +514,85 @@ export class CoolifyAPI {
 				}
 			);
 
+			// Keep the served hosts in sync (custom domains may have changed)
+			await axios.patch(
+				`${this.baseUrl}/api/v1/applications/${app.uuid}`,
+				buildDomainFields([hostname, ...aliases]),
+				{
+					headers: this.headers,
+				}
+			);
+
 			// Redeploy application
+			await onStep?.('deploy');
 			await axios.get(`${this.baseUrl}/api/v1/deploy?uuid=${app.uuid}`, {
 				headers: this.headers,
 			});
 
 			console.log('Update completed successfully');
+			return {
+				applicationUuid: app.uuid,
+				serverUuid: config.serverUuid,
+				projectUuid: config.projectUuid,
+				environmentUuid: config.environmentUuid,
+				created: false,
+			};
 		} catch (error) {
 			this.handleError(error, 'Failed to update deployment');
 		}
 	}
 }
+
+let coolifyAPI: CoolifyAPI | null = null;
+
+// Read the template and placement of client applications from the
+// environment, throwing when any of it is missing
+export const getCoolifyDeploymentConfig = (): CoolifyDeploymentConfig => {
+	const {
+		TEMPLATE_REPO,
+		COOLIFY_PROJECT_ID,
+		COOLIFY_ENVIRONMENT_ID,
+		COOLIFY_SERVER_ID,
+	} = process.env;
+	if (!TEMPLATE_REPO) {
+		throw new CoolifyAPIError(
+			'GitHub repository URL is required',
+			'INVALID_PARAMETER'
+		);
+	}
+	if (!COOLIFY_PROJECT_ID || !COOLIFY_ENVIRONMENT_ID || !COOLIFY_SERVER_ID) {
+		throw new CoolifyAPIError(
+			'Coolify project ID, environment ID, and server ID are required but not provided',
+			'INVALID_PARAMETER'
+		);
+	}
+	return {
+		templateRepo: TEMPLATE_REPO,
+		projectUuid: COOLIFY_PROJECT_ID,
+		environmentUuid: COOLIFY_ENVIRONMENT_ID,
+		serverUuid: COOLIFY_SERVER_ID,
+	};
+};
+
+// Lazily initialize the shared Coolify client, returning null when it is not configured
+export const getCoolifyAPI = (): CoolifyAPI | null => {
+	if (coolifyAPI) return coolifyAPI;
+
+	try {
+		if (!process.env.COOLIFY_API_KEY || !process.env.COOLIFY_API_URL) {
+			console.warn(
+				'Warning: Coolify API credentials not found in environment variables'
+			);
+			return null;
+		}
+
+		coolifyAPI = new CoolifyAPI(
+			process.env.COOLIFY_API_KEY,
+			process.env.COOLIFY_API_URL
+		);
+		return coolifyAPI;
+	} catch (error) {
+		console.error('Error initializing Coolify API:', error);
+		return null;
+	}
+};
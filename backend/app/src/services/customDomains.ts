@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import { promises as dnsPromises } from 'dns';
+import { ICustomDomain, IClient } from '../types.js';
+import { getDeploymentTarget } from './deploymentTargets.js';
+import { getClientHostname, resolveDomain } from './domains.js';
+
+export class CustomDomainError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 400
+	) {
+		super(message);
+		this.name = 'CustomDomainError';
+	}
+}
+
+// The lookups needed for verification, so tests can swap in a local DNS stub
+export interface DomainResolver {
+	resolveTxt(hostname: string): Promise<string[][]>;
+	resolveCname(hostname: string): Promise<string[]>;
+}
+
+export interface CustomDomainCheck {
+	txtVerified: boolean;
+	cnameVerified: boolean;
+	errors: string[];
+}
+
+const TXT_RECORD_PREFIX = '_subdomains-verify';
+const TXT_VALUE_PREFIX = 'subdomains-verify=';
+
+let resolver: DomainResolver | null = null;
+
+// System resolver, or the servers listed in DNS_RESOLVER_SERVERS
+// (comma separated, e.g. "127.0.0.1:5353")
+const createDefaultResolver = (): DomainResolver => {
+	const instance = new dnsPromises.Resolver();
+	const servers = (process.env.DNS_RESOLVER_SERVERS || '')
+		.split(',')
+		.map((server) => server.trim())
+		.filter(Boolean);
+	if (servers.length > 0) {
+		instance.setServers(servers);
+	}
+	return instance;
+};
+
+export const getDomainResolver = (): DomainResolver => {
+	if (!resolver) resolver = createDefaultResolver();
+	return resolver;
+};
+
+// Replace the resolver used for verification; null restores the default
+export const setDomainResolver = (custom: DomainResolver | null): void => {
+	resolver = custom;
+};
+
+const normalizeHostname = (hostname: string) =>
+	hostname.trim().toLowerCase().replace(/\.$/, '');
+
+const HOSTNAME_REGEX =
+	/^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Normalize a requested custom hostname, rejecting hosts under our own apexes
+export const parseCustomHostname = (
+	hostname: string,
+	managedApexes: string[]
+): string => {
+	const normalized = normalizeHostname(hostname);
+	if (!HOSTNAME_REGEX.test(normalized)) {
+		throw new CustomDomainError('Invalid hostname', 'INVALID_HOSTNAME');
+	}
+	if (
+		managedApexes.some(
+			(apex) => normalized === apex || normalized.endsWith(`.${apex}`)
+		)
+	) {
+		throw new CustomDomainError(
+			'Hostname belongs to a domain managed by this service',
+			'MANAGED_DOMAIN'
+		);
+	}
+	return normalized;
+};
+
+export const createVerificationToken = (): string =>
+	crypto.randomBytes(16).toString('hex');
+
+// DNS records the customer has to create for a custom domain
+export const getCustomDomainInstructions = (
+	customDomain: ICustomDomain,
+	target: string
+) => ({
+	txt: {
+		type: 'TXT',
+		name: `${TXT_RECORD_PREFIX}.${customDomain.hostname}`,
+		value: `${TXT_VALUE_PREFIX}${customDomain.verificationToken}`,
+	},
+	cname: {
+		type: 'CNAME',
+		name: customDomain.hostname,
+		value: target,
+	},
+});
+
+// Lookup failures such as ENOTFOUND/ENODATA simply mean "not there yet"
+const lookup = async <T>(
+	fn: () => Promise<T[]>,
+	label: string,
+	errors: string[]
+): Promise<T[]> => {
+	try {
+		return await fn();
+	} catch (error: any) {
+		errors.push(`${label} lookup failed: ${error.code || error.message}`);
+		return [];
+	}
+};
+
+// Check the ownership TXT record and that the host points at the client page
+export const checkCustomDomain = async (
+	customDomain: ICustomDomain,
+	target: string
+): Promise<CustomDomainCheck> => {
+	const dns = getDomainResolver();
+	const errors: string[] = [];
+	const { txt, cname } = getCustomDomainInstructions(customDomain, target);
+
+	const txtRecords = await lookup(
+		() => dns.resolveTxt(txt.name),
+		'TXT',
+		errors
+	);
+	const txtVerified = txtRecords.some(
+		(chunks) => chunks.join('') === txt.value
+	);
+	if (txtRecords.length > 0 && !txtVerified) {
+		errors.push(`TXT record ${txt.name} does not contain ${txt.value}`);
+	}
+
+	const cnameRecords = await lookup(
+		() => dns.resolveCname(cname.name),
+		'CNAME',
+		errors
+	);
+	const cnameVerified = cnameRecords.some(
+		(record) => normalizeHostname(record) === normalizeHostname(target)
+	);
+	if (cnameRecords.length > 0 && !cnameVerified) {
+		errors.push(`CNAME record ${cname.name} does not point to ${target}`);
+	}
+
+	return { txtVerified, cnameVerified, errors };
+};
+
+// Custom hosts that should be routed to the client's application
+export const getVerifiedCustomHostnames = (client: IClient): string[] =>
+	client.customDomain?.status === 'verified'
+		? [client.customDomain.hostname]
+		: [];
+
+// Host the customer's CNAME must point at
+export const getCustomDomainTarget = async (client: IClient): Promise<string> =>
+	getClientHostname(client.subdomain, await resolveDomain(client.domain));
+
+// Verification status of a client's custom domain with the records it needs
+export const describeCustomDomain = async (client: IClient) => {
+	const customDomain = client.customDomain!;
+	return {
+		hostname: customDomain.hostname,
+		status: customDomain.status,
+		txtVerified: customDomain.txtVerified,
+		cnameVerified: customDomain.cnameVerified,
+		lastCheckedAt: customDomain.lastCheckedAt,
+		verifiedAt: customDomain.verifiedAt,
+		lastError: customDomain.lastError,
+		records: getCustomDomainInstructions(
+			customDomain,
+			await getCustomDomainTarget(client)
+		),
+	};
+};
+
+// Push the client's current hosts to its deployed site
+export const syncApplicationDomains = async (
+	client: IClient
+): Promise<void> => {
+	if (!client.isDeployed) return;
+
+	const target = getDeploymentTarget();
+	if (!target) {
+		throw new CustomDomainError(
+			'Deployment service is currently unavailable',
+			'NOT_CONFIGURED',
+			503
+		);
+	}
+
+	await target.update({
+		client,
+		hostname: await getCustomDomainTarget(client),
+		aliases: getVerifiedCustomHostnames(client),
+	});
+	await client.save();
+};
@@ -0,0 +1,388 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { IClient } from '../types.js';
+import {
+	CoolifyAPI,
+	CoolifyDeploymentConfig,
+	CoolifyDeploymentParams,
+	CoolifyDeploymentResult,
+	getCoolifyAPI,
+	getCoolifyDeploymentConfig,
+} from './coolify.js';
+import { getClientHostname, resolveDomain } from './domains.js';
+import { resolveHtmlPolicy } from './htmlPolicy.js';
+import { invalidateClientPages } from './pageCache.js';
+import { renderClientPage } from './renderer.js';
+
+export class DeploymentTargetError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 400
+	) {
+		super(message);
+		this.name = 'DeploymentTargetError';
+	}
+}
+
+export type DeploymentTargetName = 'coolify' | 'static' | 'shared';
+
+export interface DeploymentParams {
+	client: IClient;
+	// Fully qualified host the page is served on
+	hostname: string;
+	// Verified custom domains served alongside the hostname
+	aliases?: string[];
+	onStep?: (step: string) => Promise<void> | void;
+}
+
+export interface DeploymentResult {
+	// Whether this call created the site (vs. updating an existing one)
+	created: boolean;
+}
+
+export interface DeploymentStatus {
+	target: DeploymentTargetName;
+	exists: boolean;
+	// Hosts the page is currently served on
+	hostnames: string[];
+	// Target specific state, e.g. "running:healthy" on Coolify
+	state?: string;
+	updatedAt?: Date;
+}
+
+// Somewhere client pages are served from. Targets record the IDs of what
+// they create on the client; callers save it.
+export interface DeploymentTarget {
+	readonly name: DeploymentTargetName;
+	create(params: DeploymentParams): Promise<DeploymentResult>;
+	update(params: DeploymentParams): Promise<DeploymentResult>;
+	// Throws with status 404 when there is nothing to remove
+	delete(client: IClient): Promise<void>;
+	status(client: IClient): Promise<DeploymentStatus>;
+}
+
+export const getClientDeploymentData = (client: IClient) => ({
+	name: client.name,
+	description: client.description,
+	links: client.links,
+	customization: client.customization,
+	logo: client.logo,
+	deploymentType: client.deploymentType,
+	htmlCode: client.htmlCode,
+});
+
+// One docker-compose application per client, built from TEMPLATE_REPO
+class CoolifyTarget implements DeploymentTarget {
+	readonly name = 'coolify';
+
+	constructor(
+		private api: CoolifyAPI,
+		private config: CoolifyDeploymentConfig
+	) {}
+
+	private toParams(params: DeploymentParams): CoolifyDeploymentParams {
+		const { client, hostname, aliases, onStep } = params;
+		return {
+			config: this.config,
+			subdomain: client.subdomain,
+			hostname,
+			aliases,
+			applicationUuid: client.coolify?.applicationUuid,
+			clientData: getClientDeploymentData(client),
+			onStep,
+		};
+	}
+
+	private store(client: IClient, result: CoolifyDeploymentResult) {
+		client.coolify = {
+			applicationUuid: result.applicationUuid,
+			serverUuid: result.serverUuid,
+			projectUuid: result.projectUuid,
+			environmentUuid: result.environmentUuid,
+		};
+		return { created: result.created };
+	}
+
+	async create(params: DeploymentParams): Promise<DeploymentResult> {
+		const result = await this.api.createDeployment(this.toParams(params));
+		return this.store(params.client, result);
+	}
+
+	async update(params: DeploymentParams): Promise<DeploymentResult> {
+		const result = await this.api.updateDeployment(this.toParams(params));
+		return this.store(params.client, result);
+	}
+
+	async delete(client: IClient): Promise<void> {
+		await this.api.deleteDeployment(
+			client.subdomain,
+			client.coolify?.applicationUuid
+		);
+		client.coolify = undefined;
+	}
+
+	async status(client: IClient): Promise<DeploymentStatus> {
+		const uuid = client.coolify?.applicationUuid;
+		const app = uuid ? await this.api.getApplication(uuid) : null;
+		if (!app) return { target: this.name, exists: false, hostnames: [] };
+
+		return {
+			target: this.name,
+			exists: true,
+			hostnames: String(app.fqdn || '')
+				.split(',')
+				.map((url) => url.trim().replace(/^https?:\/\//, ''))
+				.filter(Boolean),
+			state: app.status,
+			updatedAt: app.updated_at ? new Date(app.updated_at) : undefined,
+		};
+	}
+}
+
+const HOSTNAME_PATTERN =
+	/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+// Names the ID of the client a host directory belongs to
+const OWNER_FILE = '.client';
+
+// Rendered pages written to <root>/<hostname>/index.html, for a web server
+// that picks the directory by Host header (see deploy/nginx.static.conf)
+class StaticTarget implements DeploymentTarget {
+	readonly name = 'static';
+
+	constructor(private root: string) {}
+
+	private hostDir(hostname: string): string {
+		const host = hostname.toLowerCase();
+		if (!HOSTNAME_PATTERN.test(host)) {
+			throw new DeploymentTargetError(
+				`Invalid hostname: ${hostname}`,
+				'INVALID_HOSTNAME'
+			);
+		}
+		return path.join(this.root, host);
+	}
+
+	private async readOwner(dir: string): Promise<string | null> {
+		try {
+			return (
+				await fs.readFile(path.join(dir, OWNER_FILE), 'utf8')
+			).trim();
+		} catch (error: any) {
+			if (error?.code === 'ENOENT') return null;
+			throw error;
+		}
+	}
+
+	// Hosts currently written for the client
+	private async findHosts(client: IClient): Promise<string[]> {
+		let entries;
+		try {
+			entries = await fs.readdir(this.root, { withFileTypes: true });
+		} catch (error: any) {
+			if (error?.code === 'ENOENT') return [];
+			throw error;
+		}
+
+		const hosts: string[] = [];
+		for (const entry of entries) {
+			if (!entry.isDirectory()) continue;
+			const owner = await this.readOwner(
+				path.join(this.root, entry.name)
+			);
+			if (owner === String(client._id)) hosts.push(entry.name);
+		}
+		return hosts;
+	}
+
+	// Replace the page atomically so the server never sees a partial file
+	private async writePage(client: IClient, hostname: string, html: string) {
+		const dir = this.hostDir(hostname);
+		const owner = await this.readOwner(dir);
+		if (owner && owner !== String(client._id)) {
+			throw new DeploymentTargetError(
+				`${hostname} is already served for another client`,
+				'HOST_CONFLICT',
+				409
+			);
+		}
+
+		await fs.mkdir(dir, { recursive: true });
+		const file = path.join(dir, 'index.html');
+		const temporary = `${file}.${process.pid}.tmp`;
+		await fs.writeFile(temporary, html, 'utf8');
+		await fs.rename(temporary, file);
+		await fs.writeFile(path.join(dir, OWNER_FILE), String(client._id));
+	}
+
+	private async write(params: DeploymentParams): Promise<DeploymentResult> {
+		const { client, hostname, aliases = [], onStep } = params;
+
+		await onStep?.('render');
+		const html = renderClientPage(client, {
+			sanitizePolicy: await resolveHtmlPolicy(client.owner),
+		});
+
+		await onStep?.('write');
+		const existing = await this.findHosts(client);
+		const hosts = [...new Set([hostname, ...aliases])].map((host) =>
+			host.toLowerCase()
+		);
+		for (const host of hosts) {
+			await this.writePage(client, host, html);
+		}
+		// Custom domains that are no longer verified stop being served
+		for (const host of existing.filter((host) => !hosts.includes(host))) {
+			await fs.rm(path.join(this.root, host), {
+				recursive: true,
+				force: true,
+			});
+		}
+		return { created: existing.length === 0 };
+	}
+
+	async create(params: DeploymentParams): Promise<DeploymentResult> {
+		return this.write(params);
+	}
+
+	async update(params: DeploymentParams): Promise<DeploymentResult> {
+		return this.write(params);
+	}
+
+	async delete(client: IClient): Promise<void> {
+		const hosts = await this.findHosts(client);
+		if (hosts.length === 0) {
+			throw new DeploymentTargetError('Site not found', 'NOT_FOUND', 404);
+		}
+		for (const host of hosts) {
+			await fs.rm(path.join(this.root, host), {
+				recursive: true,
+				force: true,
+			});
+		}
+	}
+
+	async status(client: IClient): Promise<DeploymentStatus> {
+		const hostnames = await this.findHosts(client);
+		if (hostnames.length === 0) {
+			return { target: this.name, exists: false, hostnames };
+		}
+
+		const stats = await fs.stat(
+			path.join(this.root, hostnames[0], 'index.html')
+		);
+		return {
+			target: this.name,
+			exists: true,
+			hostnames,
+			updatedAt: stats.mtime,
+		};
+	}
+}
+
+// Pages rendered per request by the shared site server (see siteServer.ts)
+// straight from MongoDB. Nothing is built; deploying only drops cached pages.
+class SharedTarget implements DeploymentTarget {
+	readonly name = 'shared';
+
+	private async invalidate(
+		params: DeploymentParams
+	): Promise<DeploymentResult> {
+		await params.onStep?.('invalidate');
+		invalidateClientPages(params.client._id);
+		return { created: false };
+	}
+
+	async create(params: DeploymentParams): Promise<DeploymentResult> {
+		return this.invalidate(params);
+	}
+
+	async update(params: DeploymentParams): Promise<DeploymentResult> {
+		return this.invalidate(params);
+	}
+
+	async delete(client: IClient): Promise<void> {
+		invalidateClientPages(client._id);
+	}
+
+	async status(client: IClient): Promise<DeploymentStatus> {
+		if (!client.isDeployed) {
+			return { target: this.name, exists: false, hostnames: [] };
+		}
+
+		const hostname = getClientHostname(
+			client.subdomain,
+			await resolveDomain(client.domain)
+		);
+		return {
+			target: this.name,
+			exists: true,
+			hostnames:
+				client.customDomain?.status === 'verified'
+					? [hostname, client.customDomain.hostname]
+					: [hostname],
+		};
+	}
+}
+
+let target: DeploymentTarget | null = null;
+
+// Build the target selected through DEPLOYMENT_TARGET (defaults to coolify),
+// throwing when its configuration is incomplete
+export const createDeploymentTarget = (
+	name: string = process.env.DEPLOYMENT_TARGET || 'coolify'
+): DeploymentTarget => {
+	switch (name.toLowerCase()) {
+		case 'coolify': {
+			const api = getCoolifyAPI();
+			if (!api) {
+				throw new DeploymentTargetError(
+					'COOLIFY_API_KEY and COOLIFY_API_URL are required',
+					'NOT_CONFIGURED',
+					503
+				);
+			}
+			return new CoolifyTarget(api, getCoolifyDeploymentConfig());
+		}
+		case 'static': {
+			if (!process.env.STATIC_SITES_DIR) {
+				throw new DeploymentTargetError(
+					'STATIC_SITES_DIR is required',
+					'NOT_CONFIGURED',
+					503
+				);
+			}
+			return new StaticTarget(path.resolve(process.env.STATIC_SITES_DIR));
+		}
+		case 'shared':
+			return new SharedTarget();
+		default:
+			throw new DeploymentTargetError(
+				`Unknown deployment target "${name}". Available targets: coolify, static, shared`,
+				'UNKNOWN_TARGET'
+			);
+	}
+};
+
+// Lazily create the configured target, returning null when it is not
+// configured
+export const getDeploymentTarget = (): DeploymentTarget | null => {
+	if (target) return target;
+
+	try {
+		target = createDeploymentTarget();
+		return target;
+	} catch (error) {
+		console.error(
+			'Error initializing deployment target:',
+			error instanceof Error ? error.message : error
+		);
+		return null;
+	}
+};
+
+// Replace the deployment target; null restores DEPLOYMENT_TARGET
+export const setDeploymentTarget = (custom: DeploymentTarget | null): void => {
+	target = custom;
+};
@@ -0,0 +1,228 @@
+import { Types } from 'mongoose';
+import Client from '../models/Client.js';
+import Deployment from '../models/Deployment.js';
+import {
+	DeploymentAction,
+	IClient,
+	IDeployment,
+	IDeploymentError,
+} from '../types.js';
+import { CoolifyAPIError } from './coolify.js';
+import { DeploymentTargetError } from './deploymentTargets.js';
+import { DNSProviderError } from './dns.js';
+import { DomainError } from './domains.js';
+import {
+	createProvisioningContext,
+	getProvisioningSteps,
+} from './provisioning.js';
+import { SagaError, compensateSaga, runSaga } from './saga.js';
+
+const POLL_INTERVAL_MS = parseInt(
+	process.env.DEPLOYMENT_WORKER_INTERVAL_MS || '5000',
+	10
+);
+
+let timer: NodeJS.Timeout | null = null;
+let processing = false;
+
+const toDeploymentError = (error: unknown): IDeploymentError => {
+	if (error instanceof SagaError) {
+		return toDeploymentError(error.cause);
+	}
+	if (error instanceof CoolifyAPIError) {
+		return {
+			message: error.message,
+			code: error.code,
+			status: error.status,
+			details: error.response,
+		};
+	}
+	if (error instanceof DNSProviderError) {
+		return {
+			message: error.message,
+			code: error.code,
+			status: error.status,
+			details: error.details,
+		};
+	}
+	if (
+		error instanceof DomainError ||
+		error instanceof DeploymentTargetError
+	) {
+		return {
+			message: error.message,
+			code: error.code,
+			status: error.status,
+		};
+	}
+	return {
+		message: error instanceof Error ? error.message : 'Unknown error',
+		code: 'UNKNOWN_ERROR',
+	};
+};
+
+const finish = async (
+	deployment: IDeployment,
+	status: IDeployment['status']
+) => {
+	deployment.status = status;
+	deployment.finishedAt = new Date();
+	await deployment.save();
+};
+
+const runDeployment = async (deployment: IDeployment) => {
+	console.log('Running deployment job:', {
+		id: deployment._id,
+		action: deployment.action,
+		direction: deployment.direction,
+		subdomain: deployment.subdomain,
+	});
+
+	const steps = getProvisioningSteps(deployment.action);
+
+	try {
+		const client = await Client.findById(deployment.client);
+		if (!client) {
+			throw new Error('Client no longer exists');
+		}
+
+		const context = await createProvisioningContext(deployment, client);
+
+		if (deployment.direction === 'rollback') {
+			await compensateSaga(deployment, steps, context, toDeploymentError);
+			await finish(deployment, 'rolled_back');
+			console.log('Deployment job rolled back:', deployment._id);
+			return;
+		}
+
+		await runSaga(deployment, steps, context, toDeploymentError);
+		await finish(deployment, 'succeeded');
+		console.log('Deployment job succeeded:', deployment._id);
+	} catch (error) {
+		console.error('Deployment job failed:', {
+			id: deployment._id,
+			step: deployment.step,
+			error: error instanceof Error ? error.message : error,
+		});
+
+		deployment.error = toDeploymentError(error);
+		// A failure the saga fully compensated leaves nothing behind
+		const rolledBack =
+			error instanceof SagaError && !error.compensationFailed;
+		if (!(error instanceof SagaError)) {
+			deployment.failedStep = deployment.step;
+		}
+		await finish(deployment, rolledBack ? 'rolled_back' : 'failed');
+	}
+};
+
+// Claim and run queued jobs one at a time, oldest first
+const processQueue = async () => {
+	if (processing) return;
+	processing = true;
+
+	try {
+		while (true) {
+			const deployment = await Deployment.findOneAndUpdate(
+				{ status: 'queued' },
+				{ status: 'running', startedAt: new Date() },
+				{ sort: { queuedAt: 1 }, new: true }
+			);
+			if (!deployment) break;
+
+			await runDeployment(deployment);
+		}
+	} catch (error) {
+		console.error('Deployment worker error:', error);
+	} finally {
+		processing = false;
+	}
+};
+
+const kick = () => {
+	// Don't wait for the next poll
+	setImmediate(() => void processQueue());
+};
+
+export const enqueueDeployment = async (params: {
+	client: IClient;
+	action: DeploymentAction;
+	requestedBy?: string;
+}): Promise<IDeployment> => {
+	const { client, action, requestedBy } = params;
+
+	const deployment = await Deployment.create({
+		client: client._id,
+		owner: client.owner,
+		requestedBy: requestedBy ? new Types.ObjectId(requestedBy) : undefined,
+		subdomain: client.subdomain,
+		action,
+		steps: getProvisioningSteps(action).map((step) => ({
+			name: step.name,
+			status: 'pending',
+		})),
+	});
+
+	kick();
+	return deployment;
+};
+
+// Continue an interrupted saga from the first step that did not complete.
+// The status is claimed atomically, like the worker claims jobs, so only one
+// of concurrent requests requeues it; null when it is no longer interrupted.
+export const resumeDeployment = async (
+	deployment: IDeployment
+): Promise<IDeployment | null> => {
+	const resumed = await Deployment.findOneAndUpdate(
+		{ _id: deployment._id, status: 'interrupted' },
+		{
+			$set: { status: 'queued', direction: 'forward' },
+			$unset: { error: 1, failedStep: 1, finishedAt: 1 },
+		},
+		{ new: true }
+	);
+
+	if (resumed) kick();
+	return resumed;
+};
+
+// Undo every step an interrupted or failed saga completed; null when it is
+// neither anymore
+export const rollbackDeployment = async (
+	deployment: IDeployment
+): Promise<IDeployment | null> => {
+	const rolledBack = await Deployment.findOneAndUpdate(
+		{ _id: deployment._id, status: { $in: ['interrupted', 'failed'] } },
+		{
+			$set: { status: 'queued', direction: 'rollback' },
+			$unset: { finishedAt: 1 },
+		},
+		{ new: true }
+	);
+
+	if (rolledBack) kick();
+	return rolledBack;
+};
+
+export const findActiveDeployment = (clientId: unknown) =>
+	Deployment.findOne({
+		client: clientId,
+		status: { $in: ['queued', 'running', 'interrupted'] },
+	});
+
+export const startDeploymentWorker = async (): Promise<void> => {
+	if (timer) return;
+
+	// Jobs a previous process left mid-way wait for an explicit resume or rollback
+	const { modifiedCount } = await Deployment.updateMany(
+		{ status: 'running' },
+		{ status: 'interrupted' }
+	);
+	if (modifiedCount > 0) {
+		console.log(`Marked ${modifiedCount} deployment(s) as interrupted`);
+	}
+
+	timer = setInterval(() => void processQueue(), POLL_INTERVAL_MS);
+	void processQueue();
+	console.log('✅ Deployment worker started');
+};
@@ -0,0 +1,143 @@
+import { CloudflareAPI } from './cloudflare.js';
+import { GoDaddyAPI } from './godaddy.js';
+import { DNSProvider, DNSProviderError, DNSRecord } from './dnsProvider.js';
+
+export type { DNSProvider, DNSRecord };
+export { DNSProviderError };
+
+// Everything needed to manage records of one apex domain
+export interface DNSProviderConfig {
+	domain: string;
+	zoneId?: string;
+	serverIp?: string;
+	credentials: Record<string, string>;
+}
+
+interface DNSProviderRegistration {
+	// Keys that must be present in DNSProviderConfig.credentials
+	requiredCredentials: string[];
+	requiresZoneId: boolean;
+	create: (config: DNSProviderConfig) => DNSProvider;
+	// Build a config from the single-domain environment variables
+	configFromEnv: (env: NodeJS.ProcessEnv) => DNSProviderConfig;
+}
+
+const registry = new Map<string, DNSProviderRegistration>();
+
+let activeProvider: DNSProvider | null = null;
+
+export const registerDNSProvider = (
+	name: string,
+	registration: DNSProviderRegistration
+): void => {
+	registry.set(name, registration);
+};
+
+export const getRegisteredDNSProviders = (): string[] =>
+	Array.from(registry.keys());
+
+// Name of the provider selected through DNS_PROVIDER (defaults to Cloudflare)
+export const getActiveDNSProviderName = (): string =>
+	(process.env.DNS_PROVIDER || 'cloudflare').toLowerCase();
+
+const getRegistration = (name: string): DNSProviderRegistration => {
+	const registration = registry.get(name);
+	if (!registration) {
+		throw new DNSProviderError(
+			`Unknown DNS provider "${name}". Available providers: ${getRegisteredDNSProviders().join(
+				', '
+			)}`,
+			'UNKNOWN_PROVIDER',
+			name
+		);
+	}
+	return registration;
+};
+
+// List the configuration problems that would prevent creating the provider
+export const validateDNSProviderConfig = (
+	name: string,
+	config: DNSProviderConfig
+): string[] => {
+	const registration = getRegistration(name);
+	const missing = registration.requiredCredentials.filter(
+		(key) => !config.credentials[key]
+	);
+	if (!config.domain) missing.unshift('domain');
+	if (registration.requiresZoneId && !config.zoneId) missing.push('zoneId');
+	return missing;
+};
+
+export const createDNSProvider = (
+	name: string,
+	config: DNSProviderConfig
+): DNSProvider => {
+	const registration = getRegistration(name);
+	const missing = validateDNSProviderConfig(name, config);
+	if (missing.length > 0) {
+		throw new DNSProviderError(
+			`Missing ${name} DNS configuration: ${missing.join(', ')}`,
+			'INVALID_CREDENTIALS',
+			name
+		);
+	}
+
+	return registration.create(config);
+};
+
+export const createDNSProviderFromEnv = (
+	name: string,
+	env: NodeJS.ProcessEnv = process.env
+): DNSProvider =>
+	createDNSProvider(name, getRegistration(name).configFromEnv(env));
+
+// Lazily initialize the environment-configured DNS provider, returning null
+// when it is not configured. Used for clients without a Domain record.
+export const getDNSProvider = (): DNSProvider | null => {
+	if (activeProvider) return activeProvider;
+
+	const name = getActiveDNSProviderName();
+	try {
+		activeProvider = createDNSProviderFromEnv(name);
+		return activeProvider;
+	} catch (error) {
+		console.error(`Error initializing ${name} DNS provider:`, error);
+		return null;
+	}
+};
+
+registerDNSProvider('cloudflare', {
+	requiredCredentials: ['apiToken'],
+	requiresZoneId: true,
+	create: (config) =>
+		new CloudflareAPI(
+			config.credentials.apiToken,
+			config.zoneId!,
+			config.domain,
+			config.serverIp
+		),
+	configFromEnv: (env) => ({
+		domain: env.DOMAIN || '',
+		zoneId: env.CLOUDFLARE_ZONE_ID,
+		serverIp: env.SERVER_IP,
+		credentials: { apiToken: env.CLOUDFLARE_API_TOKEN || '' },
+	}),
+});
+
+registerDNSProvider('godaddy', {
+	requiredCredentials: ['apiKey', 'apiSecret'],
+	requiresZoneId: false,
+	create: (config) =>
+		new GoDaddyAPI(
+			config.credentials.apiKey,
+			config.credentials.apiSecret,
+			config.domain
+		),
+	configFromEnv: (env) => ({
+		domain: env.DOMAIN || '',
+		credentials: {
+			apiKey: env.GODADDY_API_KEY || '',
+			apiSecret: env.GODADDY_API_SECRET || '',
+		},
+	}),
+});
@@ -0,0 +1,35 @@
+export class DNSProviderError extends Error {
+	constructor(
+		public message: string,
+		public code: string,
+		public provider: string,
+		public status?: number,
+		public details?: any
+	) {
+		super(message);
+		this.name = 'DNSProviderError';
+	}
+}
+
+export interface DNSRecord {
+	id: string;
+	// Fully qualified record name, e.g. "acme.example.com"
+	name: string;
+	// Left-most label relative to the managed domain, e.g. "acme"
+	subdomain: string;
+	type: string;
+	content: string;
+}
+
+// Common contract implemented by every DNS backend (Cloudflare, GoDaddy, ...)
+export interface DNSProvider {
+	readonly name: string;
+	checkSubdomainAvailability(subdomain: string): Promise<boolean>;
+	// Resolves to the provider's ID for the new record
+	createSubdomainRecord(subdomain: string): Promise<string>;
+	// Deletes by record ID when known, otherwise looks the record up by name
+	deleteSubdomainRecord(subdomain: string, recordId?: string): Promise<void>;
+	findSubdomainRecord(subdomain: string): Promise<DNSRecord | null>;
+	// Subdomain records managed by this provider in the configured domain
+	listSubdomainRecords(): Promise<DNSRecord[]>;
+}
@@ -0,0 +1,148 @@
+import { Types } from 'mongoose';
+import Domain from '../models/Domain.js';
+import { IDomain } from '../types.js';
+import {
+	DNSProvider,
+	createDNSProvider,
+	getActiveDNSProviderName,
+	getDNSProvider,
+} from './dns.js';
+import { decryptSecret, encryptSecret } from './secrets.js';
+
+export class DomainError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 400
+	) {
+		super(message);
+		this.name = 'DomainError';
+	}
+}
+
+// An apex domain together with the DNS provider that manages it
+export interface ResolvedDomain {
+	// Unset for the legacy DOMAIN/DNS_PROVIDER environment configuration
+	id?: Types.ObjectId;
+	apex: string;
+	provider: string;
+	isDefault: boolean;
+	minSubdomainLength?: number;
+	dns: DNSProvider;
+}
+
+// Providers keyed by domain id and last update, so edits take effect
+const providerCache = new Map<string, DNSProvider>();
+
+export const encryptCredentials = (credentials: Record<string, string>) =>
+	encryptSecret(JSON.stringify(credentials));
+
+const decryptCredentials = (domain: IDomain): Record<string, string> =>
+	JSON.parse(decryptSecret(domain.credentials));
+
+const toResolvedDomain = (domain: IDomain): ResolvedDomain => {
+	const cacheKey = `${domain._id}:${domain.updatedAt?.getTime()}`;
+	let dns = providerCache.get(cacheKey);
+	if (!dns) {
+		dns = createDNSProvider(domain.provider, {
+			domain: domain.apex,
+			zoneId: domain.zoneId,
+			serverIp: domain.serverIp || process.env.SERVER_IP,
+			credentials: decryptCredentials(domain),
+		});
+		providerCache.set(cacheKey, dns);
+	}
+
+	return {
+		id: domain._id as Types.ObjectId,
+		apex: domain.apex,
+		provider: domain.provider,
+		isDefault: domain.isDefault,
+		minSubdomainLength: domain.minSubdomainLength,
+		dns,
+	};
+};
+
+const resolveLegacyDomain = (): ResolvedDomain | null => {
+	const dns = getDNSProvider();
+	if (!dns || !process.env.DOMAIN) return null;
+	return {
+		apex: process.env.DOMAIN.toLowerCase(),
+		provider: getActiveDNSProviderName(),
+		isDefault: true,
+		dns,
+	};
+};
+
+// Resolve a client's domain; no id means the default domain
+export const resolveDomain = async (
+	domainId?: Types.ObjectId | string | null
+): Promise<ResolvedDomain> => {
+	if (domainId) {
+		if (!Types.ObjectId.isValid(String(domainId))) {
+			throw new DomainError('Invalid domain', 'INVALID_DOMAIN');
+		}
+		const domain = await Domain.findById(domainId).select('+credentials');
+		if (!domain || !domain.isActive) {
+			throw new DomainError(
+				'Domain not found or inactive',
+				'DOMAIN_NOT_FOUND',
+				404
+			);
+		}
+		return toResolvedDomain(domain);
+	}
+
+	const defaultDomain = await Domain.findOne({
+		isDefault: true,
+		isActive: true,
+	}).select('+credentials');
+	if (defaultDomain) return toResolvedDomain(defaultDomain);
+
+	const legacy = resolveLegacyDomain();
+	if (!legacy) {
+		throw new DomainError(
+			'No domain is configured',
+			'DOMAIN_NOT_CONFIGURED',
+			503
+		);
+	}
+	return legacy;
+};
+
+// Every active domain, or the legacy environment domain if none exist. A
+// domain whose credentials or provider config are broken is left out, so the
+// others keep being served and reconciled.
+export const listResolvedDomains = async (): Promise<ResolvedDomain[]> => {
+	const domains = await Domain.find({ isActive: true }).select(
+		'+credentials'
+	);
+	if (domains.length > 0) {
+		const resolved: ResolvedDomain[] = [];
+		for (const domain of domains) {
+			try {
+				resolved.push(toResolvedDomain(domain));
+			} catch (error) {
+				console.error(
+					'Skipping domain that could not be resolved:',
+					domain.apex,
+					error instanceof Error ? error.message : error
+				);
+			}
+		}
+		return resolved;
+	}
+
+	const legacy = resolveLegacyDomain();
+	return legacy ? [legacy] : [];
+};
+
+// Client filter matching a domain; clients without one belong to the default
+export const clientDomainFilter = (domain: ResolvedDomain) => {
+	if (!domain.id) return { domain: null };
+	if (domain.isDefault) return { domain: { $in: [domain.id, null] } };
+	return { domain: domain.id };
+};
+
+export const getClientHostname = (subdomain: string, domain: ResolvedDomain) =>
+	`${subdomain}.${domain.apex}`;
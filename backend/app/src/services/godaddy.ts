@@ -1,32 +1,23 @@
 import axios, { AxiosError } from 'axios';
+import { DNSProvider, DNSProviderError, DNSRecord } from './dnsProvider.js';
 
-export class GoDaddyAPIError extends Error {
-	constructor(
-		public message: string,
-		public code: string,
-		public status?: number,
-		public details?: any
-	) {
-		super(message);
-		this.name = 'GoDaddyAPIError';
-	}
-}
-
-export class GoDaddyAPI {
+export class GoDaddyAPI implements DNSProvider {
+	readonly name = 'godaddy';
 	private baseUrl: string;
 	private headers: Record<string, string>;
 	private domain: string;
 
-	constructor(apiKey: string, apiSecret: string, domain?: string) {
-		if (!apiKey || !apiSecret) {
-			throw new GoDaddyAPIError(
-				'API key and secret are required',
-				'INVALID_CREDENTIALS'
+	constructor(apiKey: string, apiSecret: string, domain: string) {
+		if (!apiKey || !apiSecret || !domain) {
+			throw new DNSProviderError(
+				'API key, secret and domain are required',
+				'INVALID_CREDENTIALS',
+				'godaddy'
 			);
 		}
 
 		this.baseUrl = 'https://api.godaddy.com';
-		this.domain = domain || process.env.DOMAIN || 'theosirislabs.com';
+		this.domain = domain;
 		this.headers = {
 			Authorization: `sso-key ${apiKey}:${apiSecret}`,
 			'Content-Type': 'application/json',
@@ -55,53 +46,60 @@ export class GoDaddyAPI {
 
 			switch (status) {
 				case 401:
-					throw new GoDaddyAPIError(
+					throw new DNSProviderError(
 						'Invalid API credentials',
 						'UNAUTHORIZED',
+						'godaddy',
 						status
 					);
 				case 403:
-					throw new GoDaddyAPIError(
+					throw new DNSProviderError(
 						'Access forbidden. Check API permissions',
 						'FORBIDDEN',
+						'godaddy',
 						status
 					);
 				case 404:
-					throw new GoDaddyAPIError(
+					throw new DNSProviderError(
 						'Resource not found',
 						'NOT_FOUND',
+						'godaddy',
 						status,
 						data
 					);
 				case 429:
-					throw new GoDaddyAPIError(
+					throw new DNSProviderError(
 						'Rate limit exceeded',
 						'RATE_LIMIT',
+						'godaddy',
 						status
 					);
 				default:
-					throw new GoDaddyAPIError(
+					throw new DNSProviderError(
 						data?.message ||
 							'An error occurred with the GoDaddy API',
 						'API_ERROR',
+						'godaddy',
 						status,
 						data
 					);
 			}
 		}
 
-		throw new GoDaddyAPIError(
+		throw new DNSProviderError(
 			'An unexpected error occurred',
 			'UNKNOWN_ERROR',
+			'godaddy',
 			500
 		);
 	}
 
 	async checkSubdomainAvailability(subdomain: string): Promise<boolean> {
 		if (!subdomain) {
-			throw new GoDaddyAPIError(
+			throw new DNSProviderError(
 				'Subdomain is required',
-				'INVALID_PARAMETER'
+				'INVALID_PARAMETER',
+				'godaddy'
 			);
 		}
 
@@ -134,11 +132,12 @@ export class GoDaddyAPI {
 		}
 	}
 
-	async createSubdomainRecord(subdomain: string): Promise<void> {
+	async createSubdomainRecord(subdomain: string): Promise<string> {
 		if (!subdomain) {
-			throw new GoDaddyAPIError(
+			throw new DNSProviderError(
 				'Subdomain is required',
-				'INVALID_PARAMETER'
+				'INVALID_PARAMETER',
+				'godaddy'
 			);
 		}
 
@@ -161,16 +160,47 @@ export class GoDaddyAPI {
 				records,
 				{ headers: this.headers }
 			);
+
+			// GoDaddy records have no ID; type and name identify them
+			return `CNAME/${subdomain}`;
+		} catch (error) {
+			this.handleError(error);
+		}
+	}
+
+	async findSubdomainRecord(subdomain: string): Promise<DNSRecord | null> {
+		try {
+			const response = await axios.get(
+				`${this.baseUrl}/v1/domains/${this.domain}/records/CNAME/${subdomain}`,
+				{ headers: this.headers }
+			);
+
+			const record = response.data?.[0];
+			if (!record) return null;
+			return {
+				id: `CNAME/${subdomain}`,
+				name: `${subdomain}.${this.domain}`,
+				subdomain,
+				type: 'CNAME',
+				content: record.data,
+			};
 		} catch (error) {
+			if (axios.isAxiosError(error) && error.response?.status === 404) {
+				return null;
+			}
 			this.handleError(error);
 		}
 	}
 
-	async deleteSubdomainRecord(subdomain: string): Promise<void> {
+	async deleteSubdomainRecord(
+		subdomain: string,
+		recordId?: string
+	): Promise<void> {
 		if (!subdomain) {
-			throw new GoDaddyAPIError(
+			throw new DNSProviderError(
 				'Subdomain is required',
-				'INVALID_PARAMETER'
+				'INVALID_PARAMETER',
+				'godaddy'
 			);
 		}
 
@@ -179,12 +209,36 @@ export class GoDaddyAPI {
 				'Deleting subdomain record for:',
 				`${subdomain}.${this.domain}`
 			);
+			// Record IDs are "<type>/<name>" paths
 			await axios.delete(
-				`${this.baseUrl}/v1/domains/${this.domain}/records/CNAME/${subdomain}`,
+				`${this.baseUrl}/v1/domains/${this.domain}/records/${
+					recordId || `CNAME/${subdomain}`
+				}`,
 				{ headers: this.headers }
 			);
 		} catch (error) {
 			this.handleError(error);
 		}
 	}
+
+	async listSubdomainRecords(): Promise<DNSRecord[]> {
+		try {
+			const response = await axios.get(
+				`${this.baseUrl}/v1/domains/${this.domain}/records/CNAME`,
+				{ headers: this.headers }
+			);
+
+			return (response.data || [])
+				.filter((record: any) => record.name && record.name !== '@')
+				.map((record: any) => ({
+					id: `CNAME/${record.name}`,
+					name: `${record.name}.${this.domain}`,
+					subdomain: record.name,
+					type: 'CNAME',
+					content: record.data,
+				}));
+		} catch (error) {
+			this.handleError(error);
+		}
+	}
 }
@@ -0,0 +1,173 @@
+import User from '../models/User.js';
+import { IHtmlPolicy } from '../types.js';
+import { SanitizeFinding, sanitizeHtmlWithReport } from './htmlSanitizer.js';
+import { getSetting } from './settings.js';
+
+export class HtmlPolicyError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 400,
+		public report?: HtmlReport
+	) {
+		super(message);
+		this.name = 'HtmlPolicyError';
+	}
+}
+
+// What validating a piece of custom HTML did to it
+export interface HtmlReport {
+	inputBytes: number;
+	outputBytes: number;
+	maxBytes: number;
+	findings: SanitizeFinding[];
+	// Something was removed or rewritten
+	changed: boolean;
+	// The HTML was refused rather than saved
+	blocked: boolean;
+}
+
+export interface ValidatedHtml {
+	raw: string;
+	html: string;
+	report: HtmlReport;
+}
+
+// Form fields are capped at 1 MB by multer; the HTML also ends up base64
+// encoded in a Coolify environment variable
+export const MAX_HTML_BYTES = 1024 * 1024;
+
+const NAME_PATTERN = /^[a-z][a-z0-9:-]*\*?$/;
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*$/;
+
+const parseList = (value: unknown, field: string, pattern: RegExp) => {
+	if (
+		!Array.isArray(value) ||
+		!value.every(
+			(item) =>
+				typeof item === 'string' && pattern.test(item.toLowerCase())
+		)
+	) {
+		throw new HtmlPolicyError(
+			`${field} must be a list of lowercase names`,
+			'INVALID_POLICY'
+		);
+	}
+	return [...new Set(value.map((item: string) => item.toLowerCase()))];
+};
+
+// Validate a partial policy from a request; only the given fields are
+// returned, so it can be merged onto a base policy or stored as an override
+export const parseHtmlPolicy = (input: unknown): Partial<IHtmlPolicy> => {
+	if (!input || typeof input !== 'object' || Array.isArray(input)) {
+		throw new HtmlPolicyError(
+			'HTML policy must be an object',
+			'INVALID_POLICY'
+		);
+	}
+
+	const source = input as Record<string, unknown>;
+	const policy: Partial<IHtmlPolicy> = {};
+	if (source.allowedTags !== undefined) {
+		policy.allowedTags = parseList(
+			source.allowedTags,
+			'allowedTags',
+			NAME_PATTERN
+		);
+	}
+	if (source.allowedAttributes !== undefined) {
+		policy.allowedAttributes = parseList(
+			source.allowedAttributes,
+			'allowedAttributes',
+			NAME_PATTERN
+		);
+	}
+	if (source.allowedSchemes !== undefined) {
+		policy.allowedSchemes = parseList(
+			source.allowedSchemes,
+			'allowedSchemes',
+			SCHEME_PATTERN
+		);
+	}
+	for (const field of ['allowStyles', 'rejectOnViolation'] as const) {
+		if (source[field] === undefined) continue;
+		if (typeof source[field] !== 'boolean') {
+			throw new HtmlPolicyError(
+				`${field} must be a boolean`,
+				'INVALID_POLICY'
+			);
+		}
+		policy[field] = source[field] as boolean;
+	}
+	if (source.maxBytes !== undefined) {
+		const maxBytes = source.maxBytes;
+		if (
+			typeof maxBytes !== 'number' ||
+			!Number.isInteger(maxBytes) ||
+			maxBytes < 1 ||
+			maxBytes > MAX_HTML_BYTES
+		) {
+			throw new HtmlPolicyError(
+				`maxBytes must be an integer between 1 and ${MAX_HTML_BYTES}`,
+				'INVALID_POLICY'
+			);
+		}
+		policy.maxBytes = maxBytes;
+	}
+	return policy;
+};
+
+// The htmlPolicy setting with the user's overrides on top
+export const resolveHtmlPolicy = async (
+	userId?: unknown
+): Promise<IHtmlPolicy> => {
+	const policy = await getSetting('htmlPolicy');
+	if (!userId) return policy;
+
+	const user = await User.findById(userId).select('htmlPolicy');
+	return { ...policy, ...(user?.htmlPolicy || {}) };
+};
+
+// Enforce the size limit and sanitize. Throws with the report when the HTML
+// is too large or, under rejectOnViolation, would have been changed.
+export const validateHtml = (
+	raw: string,
+	policy: IHtmlPolicy
+): ValidatedHtml => {
+	const inputBytes = Buffer.byteLength(raw, 'utf8');
+	if (inputBytes > policy.maxBytes) {
+		throw new HtmlPolicyError(
+			`HTML is ${inputBytes} bytes; the limit is ${policy.maxBytes}`,
+			'HTML_TOO_LARGE',
+			413,
+			{
+				inputBytes,
+				outputBytes: 0,
+				maxBytes: policy.maxBytes,
+				findings: [],
+				changed: false,
+				blocked: true,
+			}
+		);
+	}
+
+	const { html, findings } = sanitizeHtmlWithReport(raw, policy);
+	const report: HtmlReport = {
+		inputBytes,
+		outputBytes: Buffer.byteLength(html, 'utf8'),
+		maxBytes: policy.maxBytes,
+		findings,
+		changed: findings.length > 0,
+		blocked: false,
+	};
+
+	if (report.changed && policy.rejectOnViolation) {
+		throw new HtmlPolicyError(
+			'HTML contains elements or attributes that are not allowed',
+			'HTML_NOT_ALLOWED',
+			422,
+			{ ...report, blocked: true }
+		);
+	}
+	return { raw, html, report };
+};
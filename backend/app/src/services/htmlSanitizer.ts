@@ -0,0 +1,371 @@
+// Allowlist-based sanitizer for user-supplied HTML, used wherever custom HTML
+// is rendered by the backend. It is not a full HTML parser: anything it does
+// not recognize as an allowed tag or attribute is escaped or removed.
+
+export interface SanitizePolicy {
+	allowedTags: string[];
+	// Attributes allowed on any allowed tag; "data-*" style prefixes match
+	allowedAttributes: string[];
+	// Schemes allowed in URL attributes; relative URLs are always allowed
+	allowedSchemes: string[];
+	// Keep <style> elements and style attributes
+	allowStyles: boolean;
+}
+
+// Something the sanitizer removed or rewrote, counted per kind and name
+export interface SanitizeFinding {
+	kind: 'element' | 'attribute' | 'url' | 'css';
+	name: string;
+	count: number;
+}
+
+export interface SanitizeResult {
+	html: string;
+	findings: SanitizeFinding[];
+}
+
+type RecordFinding = (kind: SanitizeFinding['kind'], name: string) => void;
+
+export const DEFAULT_SANITIZE_POLICY: SanitizePolicy = {
+	allowedTags: [
+		'a',
+		'abbr',
+		'article',
+		'aside',
+		'b',
+		'blockquote',
+		'br',
+		'button',
+		'caption',
+		'code',
+		'div',
+		'em',
+		'figcaption',
+		'figure',
+		'footer',
+		'h1',
+		'h2',
+		'h3',
+		'h4',
+		'h5',
+		'h6',
+		'header',
+		'hr',
+		'i',
+		'img',
+		'li',
+		'main',
+		'nav',
+		'ol',
+		'p',
+		'picture',
+		'pre',
+		'section',
+		'small',
+		'source',
+		'span',
+		'strong',
+		'sub',
+		'sup',
+		'table',
+		'tbody',
+		'td',
+		'tfoot',
+		'th',
+		'thead',
+		'tr',
+		'u',
+		'ul',
+	],
+	allowedAttributes: [
+		'alt',
+		'class',
+		'colspan',
+		'height',
+		'href',
+		'id',
+		'rel',
+		'rowspan',
+		'sizes',
+		'src',
+		'srcset',
+		'target',
+		'title',
+		'width',
+		'aria-*',
+		'data-*',
+	],
+	allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+	allowStyles: true,
+};
+
+// Elements that are never allowed, whatever the policy says
+const ALWAYS_DROPPED = new Set(['script', 'object', 'embed', 'applet']);
+
+// Elements removed together with everything inside them unless allowed
+const DROPPED_WITH_CONTENT = new Set([
+	'script',
+	'style',
+	'iframe',
+	'frame',
+	'frameset',
+	'object',
+	'embed',
+	'applet',
+	'noscript',
+	'noembed',
+	'noframes',
+	'template',
+	'textarea',
+	'title',
+	'xmp',
+	'plaintext',
+	'svg',
+	'math',
+	'select',
+]);
+
+// Dropped elements that have no closing tag to skip to
+const VOID_ELEMENTS = new Set(['embed', 'frame']);
+
+const URL_ATTRIBUTES = new Set([
+	'href',
+	'src',
+	'action',
+	'formaction',
+	'poster',
+	'background',
+	'cite',
+	'xlink:href',
+]);
+
+const TOKEN_PATTERN =
+	/<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+
+const ATTRIBUTE_PATTERN =
+	/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED_ENTITIES: Record<string, string> = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: "'",
+	colon: ':',
+	tab: '\t',
+	newline: '\n',
+	nbsp: ' ',
+};
+
+const decodeEntities = (value: string) =>
+	value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity: string) => {
+		if (entity[0] === '#') {
+			const code =
+				entity[1].toLowerCase() === 'x'
+					? parseInt(entity.slice(2), 16)
+					: parseInt(entity.slice(1), 10);
+			return code > 0 && code <= 0x10ffff
+				? String.fromCodePoint(code)
+				: '';
+		}
+		return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+	});
+
+export const escapeHtml = (value: string) =>
+	value
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+
+const escapeText = (value: string) =>
+	value.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const isAllowedAttribute = (name: string, policy: SanitizePolicy) =>
+	policy.allowedAttributes.some((allowed) =>
+		allowed.endsWith('*')
+			? name.startsWith(allowed.slice(0, -1))
+			: name === allowed
+	);
+
+// Relative URLs pass; absolute ones need an allowed scheme. Whitespace and
+// control characters are ignored by browsers inside schemes, so here too.
+export const isSafeUrl = (value: string, policy: SanitizePolicy): boolean => {
+	const normalized = value.replace(/[\u0000- \u007f]+/g, '');
+	const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i)?.[1];
+	return !scheme || policy.allowedSchemes.includes(scheme.toLowerCase());
+};
+
+const CSS_REMOVALS: [RegExp, string][] = [
+	[/\/\*[\s\S]*?\*\//g, ''],
+	[/@import[^;]*;?/gi, ''],
+	[/expression\s*\(/gi, '('],
+	[/(?:java|vb)script\s*:/gi, ''],
+	[/-moz-binding|behavior\s*:/gi, ''],
+];
+
+// Strip constructs that run code or pull in other stylesheets. Removals repeat
+// until nothing changes, since removing one match can join its neighbours
+// into another. Every "<" is escaped so the CSS can neither end a <style>
+// element nor open a tag. Style attributes are entity-decoded by the caller;
+// <style> contents are raw text, where entities mean nothing.
+export const sanitizeCss = (css: string): string => {
+	let output = css;
+	let previous: string;
+	do {
+		previous = output;
+		for (const [pattern, replacement] of CSS_REMOVALS) {
+			output = output.replace(pattern, replacement);
+		}
+	} while (output !== previous);
+	return output.replace(/</g, '\\3c ');
+};
+
+const sanitizeAttributes = (
+	tag: string,
+	source: string,
+	policy: SanitizePolicy,
+	record: RecordFinding
+): string => {
+	const attributes: string[] = [];
+	for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+		const name = match[1].toLowerCase();
+		const raw = match[2] ?? match[3] ?? match[4];
+		const value = raw === undefined ? undefined : decodeEntities(raw);
+
+		if (name === 'style' && policy.allowStyles) {
+			const css = value ? sanitizeCss(value) : '';
+			if (css !== value) record('css', `${tag}[style]`);
+			if (css) attributes.push(`style="${escapeHtml(css)}"`);
+			continue;
+		}
+		if (name.startsWith('on') || !isAllowedAttribute(name, policy)) {
+			record('attribute', name);
+			continue;
+		}
+		if (value !== undefined && URL_ATTRIBUTES.has(name)) {
+			if (!isSafeUrl(value, policy)) {
+				record('url', `${tag}[${name}]`);
+				continue;
+			}
+		}
+		if (name === 'srcset' && value) {
+			const urls = value
+				.split(',')
+				.map((part) => part.trim().split(/\s+/)[0]);
+			if (!urls.every((url) => isSafeUrl(url, policy))) {
+				record('url', `${tag}[${name}]`);
+				continue;
+			}
+		}
+
+		attributes.push(
+			value === undefined ? name : `${name}="${escapeHtml(value)}"`
+		);
+	}
+
+	// Links opened in a new tab must not get a handle on this page
+	if (
+		attributes.some((attribute) => attribute.startsWith('target=')) &&
+		!attributes.some((attribute) => attribute.startsWith('rel='))
+	) {
+		attributes.push('rel="noopener noreferrer"');
+	}
+	return attributes.length > 0 ? ` ${attributes.join(' ')}` : '';
+};
+
+// End of a raw-text element such as <script>, or the end of the input. As in
+// browsers, "</tag" ends it when followed by whitespace, "/" or ">", and the
+// end tag runs to the next ">" whatever attributes it carries.
+const findClosingTag = (html: string, tag: string, from: number) => {
+	const closing = new RegExp(
+		`</${tag}(?=[\\t\\n\\f\\r />])[^>]*(?:>|$)`,
+		'ig'
+	);
+	closing.lastIndex = from;
+	const match = closing.exec(html);
+	return match
+		? { start: match.index, end: match.index + match[0].length }
+		: { start: html.length, end: html.length };
+};
+
+// Sanitize and report what was removed, for telling users why their HTML
+// changed
+export const sanitizeHtmlWithReport = (
+	html: string,
+	policy: SanitizePolicy = DEFAULT_SANITIZE_POLICY
+): SanitizeResult => {
+	const findings = new Map<string, SanitizeFinding>();
+	const record: RecordFinding = (kind, name) => {
+		const key = `${kind}:${name}`;
+		const finding = findings.get(key);
+		if (finding) finding.count++;
+		else findings.set(key, { kind, name, count: 1 });
+	};
+	const allowedTags = new Set(
+		policy.allowedTags.map((tag) => tag.toLowerCase())
+	);
+	let output = '';
+	let position = 0;
+
+	const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+	let match: RegExpExecArray | null;
+	while ((match = pattern.exec(html))) {
+		output += escapeText(html.slice(position, match.index));
+		position = pattern.lastIndex;
+
+		// Comments, doctypes and processing instructions are dropped
+		const [, closing, rawTag, attributes] = match;
+		if (!rawTag) continue;
+		const tag = rawTag.toLowerCase();
+
+		if (tag === 'style' && !closing && policy.allowStyles) {
+			const end = findClosingTag(html, tag, position);
+			const css = html.slice(position, end.start);
+			const sanitized = sanitizeCss(css);
+			if (sanitized !== css) record('css', 'style');
+			output += `<style>${sanitized}</style>`;
+			position = pattern.lastIndex = end.end;
+			continue;
+		}
+		if (
+			ALWAYS_DROPPED.has(tag) ||
+			(DROPPED_WITH_CONTENT.has(tag) &&
+				(tag === 'style' || !allowedTags.has(tag)))
+		) {
+			if (!closing) record('element', tag);
+			if (!closing && !VOID_ELEMENTS.has(tag)) {
+				position = pattern.lastIndex = findClosingTag(
+					html,
+					tag,
+					position
+				).end;
+			}
+			continue;
+		}
+		if (!allowedTags.has(tag)) {
+			if (!closing) record('element', tag);
+			continue;
+		}
+
+		output += closing
+			? `</${tag}>`
+			: `<${tag}${sanitizeAttributes(
+					tag,
+					attributes || '',
+					policy,
+					record
+			  )}>`;
+	}
+
+	return {
+		html: output + escapeText(html.slice(position)),
+		findings: [...findings.values()],
+	};
+};
+
+export const sanitizeHtml = (
+	html: string,
+	policy: SanitizePolicy = DEFAULT_SANITIZE_POLICY
+): string => sanitizeHtmlWithReport(html, policy).html;
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import { IInvitation, IUser } from '../types.js';
+import { sendMail } from './mail.js';
+
+export class InvitationError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 400
+	) {
+		super(message);
+		this.name = 'InvitationError';
+	}
+}
+
+export type InvitationStatus = 'pending' | 'accepted' | 'revoked' | 'expired';
+
+const getInvitationTtlMs = () =>
+	parseInt(process.env.INVITATION_TTL_DAYS || '7', 10) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token: string) =>
+	crypto.createHash('sha256').update(token).digest('hex');
+
+// Page of the frontend that accepts ?token=...
+const getAcceptUrl = (token: string) => {
+	const base =
+		process.env.ACCEPT_INVITE_URL ||
+		`${process.env.CORS_ORIGIN || 'http://localhost:3000'}/accept-invite`;
+	return `${base}?token=${encodeURIComponent(token)}`;
+};
+
+export const getInvitationStatus = (
+	invitation: IInvitation
+): InvitationStatus => {
+	if (invitation.acceptedAt) return 'accepted';
+	if (invitation.revokedAt) return 'revoked';
+	if (invitation.expiresAt < new Date()) return 'expired';
+	return 'pending';
+};
+
+// Invite someone to create an account with a preset role. A new invitation
+// revokes any pending one for the same email.
+export const createInvitation = async (params: {
+	email: string;
+	role: string;
+	name?: string;
+	invitedBy?: string;
+}): Promise<IInvitation> => {
+	const email = params.email.toLowerCase();
+	if (await User.exists({ email })) {
+		throw new InvitationError(
+			'A user with this email already exists',
+			'USER_EXISTS',
+			409
+		);
+	}
+
+	await Invitation.updateMany(
+		{
+			email,
+			acceptedAt: { $exists: false },
+			revokedAt: { $exists: false },
+		},
+		{ revokedAt: new Date() }
+	);
+
+	const token = crypto.randomBytes(32).toString('base64url');
+	const invitation = await Invitation.create({
+		email,
+		name: params.name,
+		role: params.role,
+		tokenHash: hashToken(token),
+		invitedBy: params.invitedBy,
+		expiresAt: new Date(Date.now() + getInvitationTtlMs()),
+	});
+
+	const days = Math.round(getInvitationTtlMs() / 86400000);
+	await sendMail({
+		to: email,
+		subject: 'You have been invited to Subdomains Manager',
+		text: `${
+			params.name ? `Hi ${params.name},\n\n` : ''
+		}You have been invited to create an account. Choose your password using the link below. It expires in ${days} days and can only be used once.\n\n${getAcceptUrl(
+			token
+		)}`,
+	});
+
+	return invitation;
+};
+
+// The pending invitation for a token, or null if it is unknown, expired,
+// revoked or already accepted
+export const findPendingInvitation = (token: string) =>
+	Invitation.findOne({
+		tokenHash: hashToken(token),
+		acceptedAt: { $exists: false },
+		revokedAt: { $exists: false },
+		expiresAt: { $gt: new Date() },
+	});
+
+// Create the invited account with the password chosen by the invitee
+export const acceptInvitation = async (
+	token: string,
+	password: string,
+	name?: string
+): Promise<IUser> => {
+	const invitation = await findPendingInvitation(token);
+	if (!invitation) {
+		throw new InvitationError(
+			'Invitation is invalid or has expired',
+			'INVALID_INVITATION'
+		);
+	}
+
+	if (await User.exists({ email: invitation.email })) {
+		throw new InvitationError(
+			'A user with this email already exists',
+			'USER_EXISTS',
+			409
+		);
+	}
+
+	const displayName = name || invitation.name;
+	if (!displayName) {
+		throw new InvitationError('Name is required', 'NAME_REQUIRED');
+	}
+
+	// The unique email index stops a second account if two accepts race
+	const user = await User.create({
+		email: invitation.email,
+		password,
+		name: displayName,
+		role: invitation.role,
+	});
+	invitation.acceptedAt = new Date();
+	invitation.acceptedBy = user._id as IInvitation['acceptedBy'];
+	await invitation.save();
+
+	return user;
+};
@@ -0,0 +1,66 @@
+import User from '../models/User.js';
+import { IUser } from '../types.js';
+
+// Progressive per-account lockout: every LOGIN_LOCKOUT_THRESHOLD consecutive
+// failures lock the account, each lockout lasting twice as long as the
+// previous one up to LOGIN_LOCKOUT_MAX_MINUTES. A successful login resets it.
+
+const getThreshold = () =>
+	parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10);
+
+const getBaseLockoutMs = () =>
+	parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '5', 10) * 60 * 1000;
+
+const getMaxLockoutMs = () =>
+	parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440', 10) * 60 * 1000;
+
+// When the account is locked, the time the lock ends
+export const getLockedUntil = (user: IUser): Date | null =>
+	user.lockout?.lockedUntil && user.lockout.lockedUntil > new Date()
+		? user.lockout.lockedUntil
+		: null;
+
+// Count a failed password or second-factor attempt; returns the end of the
+// lockout when this failure triggered one
+export const recordFailedLogin = async (user: IUser): Promise<Date | null> => {
+	const updated = await User.findOneAndUpdate(
+		{ _id: user._id },
+		{
+			$inc: { 'lockout.failedAttempts': 1 },
+			$set: { 'lockout.lastFailedAt': new Date() },
+		},
+		{ new: true }
+	);
+	if (!updated || updated.lockout.failedAttempts < getThreshold()) {
+		return null;
+	}
+
+	const lockouts = updated.lockout.lockouts || 0;
+	const lockedUntil = new Date(
+		Date.now() +
+			Math.min(getBaseLockoutMs() * 2 ** lockouts, getMaxLockoutMs())
+	);
+	await User.updateOne(
+		{ _id: user._id },
+		{
+			$set: {
+				'lockout.failedAttempts': 0,
+				'lockout.lockedUntil': lockedUntil,
+			},
+			$inc: { 'lockout.lockouts': 1 },
+		}
+	);
+	return lockedUntil;
+};
+
+export const resetFailedLogins = async (user: IUser): Promise<void> => {
+	if (!user.lockout?.failedAttempts && !user.lockout?.lockouts) return;
+	await unlockAccount(String(user._id));
+};
+
+export const unlockAccount = async (userId: string): Promise<void> => {
+	await User.updateOne(
+		{ _id: userId },
+		{ $set: { lockout: { failedAttempts: 0, lockouts: 0 } } }
+	);
+};
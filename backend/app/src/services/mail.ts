@@ -0,0 +1,122 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import nodemailer, { Transporter } from 'nodemailer';
+
+export class MailError extends Error {
+	constructor(message: string, public code: string, public cause?: unknown) {
+		super(message);
+		this.name = 'MailError';
+	}
+}
+
+export interface MailMessage {
+	to: string;
+	subject: string;
+	text: string;
+	html?: string;
+}
+
+export interface MailTransport {
+	readonly name: string;
+	send(message: MailMessage & { from: string }): Promise<void>;
+}
+
+// SMTP server, e.g. a real relay or a local catcher such as MailHog/Mailpit
+export class SmtpTransport implements MailTransport {
+	readonly name = 'smtp';
+	private transporter: Transporter;
+
+	constructor(env: NodeJS.ProcessEnv = process.env) {
+		if (!env.SMTP_HOST) {
+			throw new MailError('SMTP_HOST is required', 'NOT_CONFIGURED');
+		}
+		this.transporter = nodemailer.createTransport({
+			host: env.SMTP_HOST,
+			port: parseInt(env.SMTP_PORT || '587', 10),
+			secure: env.SMTP_SECURE === 'true',
+			auth: env.SMTP_USER
+				? { user: env.SMTP_USER, pass: env.SMTP_PASS }
+				: undefined,
+		});
+	}
+
+	async send(message: MailMessage & { from: string }): Promise<void> {
+		await this.transporter.sendMail(message);
+	}
+}
+
+// Writes each message as JSON into a directory, for tests and inspection
+export class FileTransport implements MailTransport {
+	readonly name = 'file';
+
+	constructor(private directory: string) {}
+
+	async send(message: MailMessage & { from: string }): Promise<void> {
+		await fs.mkdir(this.directory, { recursive: true });
+		const filename = `${Date.now()}-${Math.random()
+			.toString(36)
+			.slice(2, 8)}.json`;
+		await fs.writeFile(
+			path.join(this.directory, filename),
+			JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+		);
+	}
+}
+
+export class ConsoleTransport implements MailTransport {
+	readonly name = 'console';
+
+	async send(message: MailMessage & { from: string }): Promise<void> {
+		console.log('📧 Mail:', {
+			from: message.from,
+			to: message.to,
+			subject: message.subject,
+		});
+		console.log(message.text);
+	}
+}
+
+let transport: MailTransport | null = null;
+
+// Build the transport selected through MAIL_TRANSPORT (defaults to console)
+export const createMailTransport = (
+	name: string = process.env.MAIL_TRANSPORT || 'console',
+	env: NodeJS.ProcessEnv = process.env
+): MailTransport => {
+	switch (name.toLowerCase()) {
+		case 'smtp':
+			return new SmtpTransport(env);
+		case 'file':
+			return new FileTransport(env.MAIL_FILE_DIR || 'tmp/mail');
+		case 'console':
+			return new ConsoleTransport();
+		default:
+			throw new MailError(
+				`Unknown mail transport "${name}". Available transports: smtp, file, console`,
+				'UNKNOWN_TRANSPORT'
+			);
+	}
+};
+
+export const getMailTransport = (): MailTransport => {
+	if (!transport) transport = createMailTransport();
+	return transport;
+};
+
+// Replace the transport used by sendMail; null restores MAIL_TRANSPORT
+export const setMailTransport = (custom: MailTransport | null): void => {
+	transport = custom;
+};
+
+export const sendMail = async (message: MailMessage): Promise<void> => {
+	const mailer = getMailTransport();
+	try {
+		await mailer.send({
+			from: process.env.MAIL_FROM || 'no-reply@localhost',
+			...message,
+		});
+	} catch (error) {
+		console.error(`Error sending mail via ${mailer.name}:`, error);
+		throw new MailError('Failed to send email', 'SEND_FAILED', error);
+	}
+};
@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import { Types } from 'mongoose';
+import Client from '../models/Client.js';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import { IOrganization, OrganizationRole } from '../types.js';
+import { sendMail } from './mail.js';
+
+export class OrganizationError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 400
+	) {
+		super(message);
+		this.name = 'OrganizationError';
+	}
+}
+
+const ROLE_RANK: Record<OrganizationRole, number> = {
+	viewer: 1,
+	editor: 2,
+	owner: 3,
+};
+
+const getInvitationTtlMs = () =>
+	parseInt(process.env.INVITATION_TTL_DAYS || '7', 10) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token: string) =>
+	crypto.createHash('sha256').update(token).digest('hex');
+
+export const hasRole = (
+	role: OrganizationRole | null | undefined,
+	minRole: OrganizationRole
+): boolean => !!role && ROLE_RANK[role] >= ROLE_RANK[minRole];
+
+export const getMemberRole = (
+	organization: IOrganization,
+	userId: string
+): OrganizationRole | null =>
+	organization.members.find((member) => String(member.user) === userId)
+		?.role || null;
+
+// Ids of the organizations where the user holds at least minRole
+export const getUserOrganizationIds = async (
+	userId: string,
+	minRole: OrganizationRole = 'viewer'
+): Promise<Types.ObjectId[]> => {
+	const organizations = await Organization.find({
+		'members.user': userId,
+	}).select('members');
+	return organizations
+		.filter((organization) =>
+			hasRole(getMemberRole(organization, userId), minRole)
+		)
+		.map((organization) => organization._id as Types.ObjectId);
+};
+
+// Which clients a lookup covers: live ones, those in the trash, or both
+export type ClientState = 'active' | 'trashed' | 'any';
+
+const clientStateFilter = (state: ClientState) => {
+	if (state === 'active') return { deletedAt: null };
+	if (state === 'trashed') return { deletedAt: { $ne: null } };
+	return {};
+};
+
+// Client filter for everything the user can access with at least minRole.
+// Clients created before organizations existed stay with their owner.
+export const accessibleClientFilter = async (
+	userId: string,
+	minRole: OrganizationRole = 'viewer',
+	state: ClientState = 'active'
+) => ({
+	...clientStateFilter(state),
+	$or: [
+		{
+			organization: {
+				$in: await getUserOrganizationIds(userId, minRole),
+			},
+		},
+		{
+			organization: { $exists: false },
+			owner: new Types.ObjectId(userId),
+		},
+	],
+});
+
+export const findAccessibleClient = async (
+	clientId: string,
+	userId: string,
+	minRole: OrganizationRole = 'viewer',
+	state: ClientState = 'active'
+) => {
+	if (!Types.ObjectId.isValid(clientId)) return null;
+	return Client.findOne({
+		_id: clientId,
+		...(await accessibleClientFilter(userId, minRole, state)),
+	});
+};
+
+// The organization a user's clients go to when none is chosen, created on
+// first use
+export const getPersonalOrganization = async (
+	userId: string
+): Promise<IOrganization> => {
+	const existing = await Organization.findOne({
+		isPersonal: true,
+		createdBy: userId,
+	});
+	if (existing) return existing;
+
+	const user = await User.findById(userId).select('name');
+	return Organization.create({
+		name: user ? `${user.name}'s workspace` : 'Personal workspace',
+		isPersonal: true,
+		createdBy: userId,
+		members: [{ user: userId, role: 'owner' }],
+	});
+};
+
+// Organization the user may create clients in: the requested one (editor or
+// above) or their personal one
+export const resolveClientOrganization = async (
+	userId: string,
+	organizationId?: string
+): Promise<IOrganization> => {
+	if (!organizationId) return getPersonalOrganization(userId);
+
+	const organization = Types.ObjectId.isValid(organizationId)
+		? await Organization.findById(organizationId)
+		: null;
+	if (!organization || !getMemberRole(organization, userId)) {
+		throw new OrganizationError(
+			'Organization not found',
+			'ORGANIZATION_NOT_FOUND',
+			404
+		);
+	}
+	if (!hasRole(getMemberRole(organization, userId), 'editor')) {
+		throw new OrganizationError(
+			'You need the editor role to create clients in this organization',
+			'FORBIDDEN',
+			403
+		);
+	}
+	return organization;
+};
+
+// Every organization keeps at least one owner
+export const assertKeepsOwner = (
+	organization: IOrganization,
+	userId: string,
+	nextRole: OrganizationRole | null
+): void => {
+	const owners = organization.members.filter(
+		(member) => member.role === 'owner'
+	);
+	const isOwner = owners.some((member) => String(member.user) === userId);
+	if (isOwner && nextRole !== 'owner' && owners.length === 1) {
+		throw new OrganizationError(
+			'An organization needs at least one owner',
+			'LAST_OWNER'
+		);
+	}
+};
+
+export const inviteMember = async (
+	organization: IOrganization,
+	email: string,
+	role: OrganizationRole,
+	invitedBy: string
+) => {
+	const normalizedEmail = email.toLowerCase();
+	const existingUser = await User.findOne({ email: normalizedEmail });
+	if (existingUser && getMemberRole(organization, String(existingUser._id))) {
+		throw new OrganizationError(
+			'User is already a member',
+			'ALREADY_MEMBER',
+			409
+		);
+	}
+
+	const token = crypto.randomBytes(32).toString('base64url');
+	// A new invitation replaces any pending one for the same email
+	organization.invitations = organization.invitations.filter(
+		(invitation) => invitation.email !== normalizedEmail
+	);
+	organization.invitations.push({
+		email: normalizedEmail,
+		role,
+		tokenHash: hashToken(token),
+		invitedBy: new Types.ObjectId(invitedBy),
+		expiresAt: new Date(Date.now() + getInvitationTtlMs()),
+	} as any);
+	await organization.save();
+
+	const base =
+		process.env.INVITATION_URL ||
+		`${process.env.CORS_ORIGIN || 'http://localhost:3000'}/invitations`;
+	const url = `${base}?token=${encodeURIComponent(token)}`;
+	await sendMail({
+		to: normalizedEmail,
+		subject: `You have been invited to ${organization.name}`,
+		text: `You have been invited to join ${
+			organization.name
+		} as ${role}.\n\nAccept the invitation here:\n\n${url}\n\nThe link expires in ${Math.round(
+			getInvitationTtlMs() / 86400000
+		)} days.`,
+	});
+
+	return organization.invitations[organization.invitations.length - 1];
+};
+
+// Join the organization of an invitation sent to the user's email
+export const acceptInvitation = async (
+	token: string,
+	userId: string
+): Promise<IOrganization> => {
+	const tokenHash = hashToken(token);
+	const organization = await Organization.findOne({
+		'invitations.tokenHash': tokenHash,
+	});
+	const invitation = organization?.invitations.find(
+		(pending) => pending.tokenHash === tokenHash
+	);
+	if (!organization || !invitation || invitation.expiresAt < new Date()) {
+		throw new OrganizationError(
+			'Invitation is invalid or has expired',
+			'INVALID_INVITATION',
+			404
+		);
+	}
+
+	const user = await User.findById(userId).select('email');
+	if (!user || user.email !== invitation.email) {
+		throw new OrganizationError(
+			'This invitation was sent to a different email address',
+			'EMAIL_MISMATCH',
+			403
+		);
+	}
+
+	organization.invitations = organization.invitations.filter(
+		(pending) => pending !== invitation
+	);
+	if (!getMemberRole(organization, userId)) {
+		organization.members.push({
+			user: new Types.ObjectId(userId),
+			role: invitation.role,
+			joinedAt: new Date(),
+		});
+	}
+	await organization.save();
+	return organization;
+};
@@ -0,0 +1,75 @@
+import { onClientChange } from '../models/Client.js';
+
+// Pages rendered by the shared site server, keyed by request host
+
+export interface CachedPage {
+	// Unset when no deployed client is served on the host
+	clientId: string | null;
+	// Owner of the client, whose HTML policy the page was sanitized under
+	ownerId: string | null;
+	html: string | null;
+	expiresAt: number;
+}
+
+const MAX_PAGES = 10000;
+
+const pages = new Map<string, CachedPage>();
+
+// Bumped by every invalidation, so a page rendered from data read before it
+// is not cached afterwards
+let generation = 0;
+
+export const getPageCacheGeneration = (): number => generation;
+
+export const getCachedPage = (host: string): CachedPage | null => {
+	const page = pages.get(host);
+	if (!page) return null;
+	if (page.expiresAt > Date.now()) return page;
+	pages.delete(host);
+	return null;
+};
+
+export const setCachedPage = (
+	host: string,
+	page: CachedPage,
+	renderedAt: number
+): void => {
+	if (renderedAt !== generation) return;
+	pages.delete(host);
+	// Maps iterate in insertion order, so the first key is the oldest
+	if (pages.size >= MAX_PAGES) {
+		pages.delete(pages.keys().next().value!);
+	}
+	pages.set(host, page);
+};
+
+export const invalidateClientPages = (clientId: unknown): void => {
+	generation++;
+	const id = String(clientId);
+	for (const [host, page] of pages) {
+		if (page.clientId === id) pages.delete(host);
+	}
+};
+
+// Pages sanitized under a user's HTML policy, once it changes
+export const invalidateOwnerPages = (ownerId: unknown): void => {
+	generation++;
+	const id = String(ownerId);
+	for (const [host, page] of pages) {
+		if (page.ownerId === id) pages.delete(host);
+	}
+};
+
+// Every page, e.g. once the global HTML policy or the set of domains hosts
+// are resolved against changes
+export const clearPageCache = (): void => {
+	generation++;
+	pages.clear();
+};
+
+// A client's pages are stale once it changes; a change to an unknown set of
+// clients drops every page
+onClientChange((clientId) => {
+	if (clientId) invalidateClientPages(clientId);
+	else clearPageCache();
+});
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import { IUser } from '../types.js';
+import { sendMail } from './mail.js';
+
+const getResetTokenTtlMs = () =>
+	parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10) * 60 * 1000;
+
+const hashToken = (token: string) =>
+	crypto.createHash('sha256').update(token).digest('hex');
+
+// Page of the frontend that accepts ?token=...
+const getResetUrl = (token: string) => {
+	const base =
+		process.env.PASSWORD_RESET_URL ||
+		`${process.env.CORS_ORIGIN || 'http://localhost:3000'}/reset-password`;
+	return `${base}?token=${encodeURIComponent(token)}`;
+};
+
+const escapeHtml = (value: string) =>
+	value.replace(
+		/[&<>"']/g,
+		(char) =>
+			({
+				'&': '&amp;',
+				'<': '&lt;',
+				'>': '&gt;',
+				'"': '&quot;',
+				"'": '&#39;',
+			}[char]!)
+	);
+
+// Issue a new token, invalidating earlier ones, and email it to the user
+export const sendPasswordResetEmail = async (user: IUser): Promise<void> => {
+	const token = crypto.randomBytes(32).toString('base64url');
+
+	await PasswordResetToken.deleteMany({ user: user._id });
+	await PasswordResetToken.create({
+		user: user._id,
+		tokenHash: hashToken(token),
+		expiresAt: new Date(Date.now() + getResetTokenTtlMs()),
+	});
+
+	const url = getResetUrl(token);
+	const minutes = Math.round(getResetTokenTtlMs() / 60000);
+	await sendMail({
+		to: user.email,
+		subject: 'Reset your password',
+		text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${minutes} minutes and can only be used once.\n\n${url}\n\nIf you did not request a password reset, you can ignore this email.`,
+		html: `<p>Hi ${escapeHtml(
+			user.name
+		)},</p><p>Use the link below to choose a new password. It expires in ${minutes} minutes and can only be used once.</p><p><a href="${url}">Reset password</a></p><p>If you did not request a password reset, you can ignore this email.</p>`,
+	});
+};
+
+// Mark a token as used and return its user id, or null if it is invalid,
+// expired or already used
+export const consumePasswordResetToken = async (
+	token: string
+): Promise<string | null> => {
+	const resetToken = await PasswordResetToken.findOneAndUpdate(
+		{
+			tokenHash: hashToken(token),
+			usedAt: { $exists: false },
+			expiresAt: { $gt: new Date() },
+		},
+		{ usedAt: new Date() },
+		{ new: true }
+	);
+	return resetToken ? String(resetToken.user) : null;
+};
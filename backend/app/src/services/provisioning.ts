@@ -0,0 +1,238 @@
+import { DeploymentAction, IClient, IDeployment } from '../types.js';
+import { DNSProvider } from './dns.js';
+import {
+	DeploymentParams,
+	DeploymentTarget,
+	DeploymentTargetError,
+	getDeploymentTarget,
+} from './deploymentTargets.js';
+import { getClientHostname, resolveDomain } from './domains.js';
+import { getVerifiedCustomHostnames } from './customDomains.js';
+import { SagaStep } from './saga.js';
+
+export interface ProvisioningContext {
+	deployment: IDeployment;
+	client: IClient;
+	dns: DNSProvider;
+	// Host the client is served on, e.g. "acme.example.com"
+	hostname: string;
+	target: DeploymentTarget;
+	// Persisted on the deployment so compensation survives restarts
+	state: Record<string, any>;
+}
+
+const setState = async (
+	context: ProvisioningContext,
+	updates: Record<string, any>
+) => {
+	Object.assign(context.state, updates);
+	context.deployment.context = context.state;
+	context.deployment.markModified('context');
+	await context.deployment.save();
+};
+
+const reportPhase =
+	(context: ProvisioningContext, stepName: string) =>
+	async (phase: string) => {
+		context.deployment.step = `${stepName}:${phase}`;
+		await context.deployment.save();
+	};
+
+const getDeploymentParams = (
+	context: ProvisioningContext,
+	stepName?: string
+): DeploymentParams => ({
+	client: context.client,
+	hostname: context.hostname,
+	aliases: getVerifiedCustomHostnames(context.client),
+	onStep: stepName ? reportPhase(context, stepName) : undefined,
+});
+
+// The client record itself. The request that queued the provisioning has
+// already returned it, so a failed rollout leaves it in place, undeployed;
+// the failed deployment records why and a later deploy can retry.
+const clientRecordStep: SagaStep<ProvisioningContext> = {
+	name: 'client-record',
+	execute: async () => {
+		// Saved by the request that queued the provisioning
+	},
+	compensate: async ({ client }) => {
+		client.isDeployed = false;
+		await client.save();
+		console.log(
+			'Kept undeployed client after failed provisioning:',
+			client._id
+		);
+	},
+};
+
+const createDNSRecordStep: SagaStep<ProvisioningContext> = {
+	name: 'dns-record',
+	execute: async (context) => {
+		const { dns, client } = context;
+		const available = await dns.checkSubdomainAvailability(
+			client.subdomain
+		);
+		if (available) {
+			client.dnsRecordId = await dns.createSubdomainRecord(
+				client.subdomain
+			);
+		} else if (!client.dnsRecordId) {
+			// Adopt the existing record so later calls can use its ID
+			const record = await dns.findSubdomainRecord(client.subdomain);
+			client.dnsRecordId = record?.id;
+		}
+		await client.save();
+		await setState(context, { dnsRecordCreated: available });
+	},
+	compensate: async ({ dns, client, state }) => {
+		// Never remove a record this saga did not create
+		if (!state.dnsRecordCreated) return;
+		await dns.deleteSubdomainRecord(client.subdomain, client.dnsRecordId);
+		client.dnsRecordId = undefined;
+		await client.save();
+		console.log('Removed DNS record for:', client.subdomain);
+	},
+};
+
+const createApplicationStep: SagaStep<ProvisioningContext> = {
+	name: 'application',
+	execute: async (context) => {
+		const { target, client, deployment } = context;
+		const result = await target.create(
+			getDeploymentParams(context, 'application')
+		);
+		deployment.coolifyAppUuid = client.coolify?.applicationUuid;
+		await client.save();
+		await setState(context, { applicationCreated: result.created });
+	},
+	compensate: async ({ target, client, state }) => {
+		if (!state.applicationCreated) return;
+		await target.delete(client);
+		await client.save();
+		console.log(`Removed ${target.name} deployment for:`, client.subdomain);
+	},
+};
+
+const updateApplicationStep: SagaStep<ProvisioningContext> = {
+	name: 'application',
+	execute: async (context) => {
+		const { target, client, deployment } = context;
+		await target.update(getDeploymentParams(context, 'application'));
+		deployment.coolifyAppUuid = client.coolify?.applicationUuid;
+		await client.save();
+	},
+};
+
+const setDeployedStep = (
+	isDeployed: boolean
+): SagaStep<ProvisioningContext> => ({
+	name: isDeployed ? 'activate' : 'deactivate',
+	execute: async ({ client }) => {
+		client.isDeployed = isDeployed;
+		await client.save();
+	},
+	compensate: async ({ client }) => {
+		client.isDeployed = !isDeployed;
+		await client.save();
+	},
+});
+
+const removeApplicationStep: SagaStep<ProvisioningContext> = {
+	name: 'remove-application',
+	execute: async (context) => {
+		const { target, client } = context;
+		try {
+			await target.delete(client);
+			await setState(context, { applicationRemoved: true });
+		} catch (error: any) {
+			// Already gone counts as removed
+			if (error?.status !== 404) throw error;
+			await setState(context, { applicationRemoved: false });
+		}
+		client.coolify = undefined;
+		await client.save();
+	},
+	compensate: async (context) => {
+		if (!context.state.applicationRemoved) return;
+		await context.target.create(getDeploymentParams(context));
+		await context.client.save();
+	},
+};
+
+const removeDNSRecordStep: SagaStep<ProvisioningContext> = {
+	name: 'remove-dns-record',
+	execute: async (context) => {
+		const { dns, client } = context;
+		const available = await dns.checkSubdomainAvailability(
+			client.subdomain
+		);
+		if (!available) {
+			await dns.deleteSubdomainRecord(
+				client.subdomain,
+				client.dnsRecordId
+			);
+		}
+		client.dnsRecordId = undefined;
+		await client.save();
+		await setState(context, { dnsRecordRemoved: !available });
+	},
+	compensate: async ({ dns, client, state }) => {
+		if (!state.dnsRecordRemoved) return;
+		client.dnsRecordId = await dns.createSubdomainRecord(client.subdomain);
+		await client.save();
+	},
+};
+
+// Ordered saga definition for each deployment action
+export const getProvisioningSteps = (
+	action: DeploymentAction
+): SagaStep<ProvisioningContext>[] => {
+	switch (action) {
+		case 'provision':
+			return [
+				clientRecordStep,
+				createDNSRecordStep,
+				createApplicationStep,
+				setDeployedStep(true),
+			];
+		case 'deploy':
+			return [
+				createDNSRecordStep,
+				createApplicationStep,
+				setDeployedStep(true),
+			];
+		case 'update':
+			return [updateApplicationStep];
+		case 'teardown':
+			return [
+				removeApplicationStep,
+				removeDNSRecordStep,
+				setDeployedStep(false),
+			];
+	}
+};
+
+export const createProvisioningContext = async (
+	deployment: IDeployment,
+	client: IClient
+): Promise<ProvisioningContext> => {
+	const target = getDeploymentTarget();
+	if (!target) {
+		throw new DeploymentTargetError(
+			'Deployment service is not configured',
+			'NOT_CONFIGURED',
+			503
+		);
+	}
+	const domain = await resolveDomain(client.domain);
+
+	return {
+		deployment,
+		client,
+		dns: domain.dns,
+		hostname: getClientHostname(client.subdomain, domain),
+		target,
+		state: { ...(deployment.context || {}) },
+	};
+};
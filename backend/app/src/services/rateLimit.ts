@@ -0,0 +1,168 @@
+import { Request } from 'express';
+import RateLimitCounter from '../models/RateLimitCounter.js';
+import { AuthRequest } from '../types.js';
+
+export class RateLimitError extends Error {
+	constructor(message: string, public code: string) {
+		super(message);
+		this.name = 'RateLimitError';
+	}
+}
+
+export interface RateLimitHit {
+	// Requests counted in the current window, including this one
+	count: number;
+	resetAt: Date;
+}
+
+export interface RateLimitStore {
+	readonly name: string;
+	increment(key: string, windowMs: number): Promise<RateLimitHit>;
+	reset(key: string): Promise<void>;
+}
+
+// Per-process counters; fine for a single instance and for development
+export class MemoryStore implements RateLimitStore {
+	readonly name = 'memory';
+	private counters = new Map<string, RateLimitHit>();
+
+	async increment(key: string, windowMs: number): Promise<RateLimitHit> {
+		const now = Date.now();
+		this.prune(now);
+
+		const current = this.counters.get(key);
+		const hit =
+			current && current.resetAt.getTime() > now
+				? { count: current.count + 1, resetAt: current.resetAt }
+				: { count: 1, resetAt: new Date(now + windowMs) };
+		this.counters.set(key, hit);
+		return hit;
+	}
+
+	async reset(key: string): Promise<void> {
+		this.counters.delete(key);
+	}
+
+	// Drop finished windows so the map doesn't grow with every client seen
+	private prune(now: number) {
+		if (this.counters.size < 10000) return;
+		for (const [key, hit] of this.counters) {
+			if (hit.resetAt.getTime() <= now) this.counters.delete(key);
+		}
+	}
+}
+
+// Counters shared by every instance of the API through MongoDB
+export class MongoStore implements RateLimitStore {
+	readonly name = 'mongo';
+
+	async increment(key: string, windowMs: number): Promise<RateLimitHit> {
+		const now = new Date();
+		const current = await RateLimitCounter.findOneAndUpdate(
+			{ key, resetAt: { $gt: now } },
+			{ $inc: { count: 1 } },
+			{ new: true }
+		);
+		if (current) {
+			return { count: current.count, resetAt: current.resetAt };
+		}
+
+		// No window yet, or the previous one has finished: start a new one
+		const started = await RateLimitCounter.findOneAndUpdate(
+			{ key },
+			{ count: 1, resetAt: new Date(now.getTime() + windowMs) },
+			{ new: true, upsert: true }
+		);
+		return { count: started.count, resetAt: started.resetAt };
+	}
+
+	async reset(key: string): Promise<void> {
+		await RateLimitCounter.deleteOne({ key });
+	}
+}
+
+export interface RateLimitPolicy {
+	windowMs: number;
+	max: number;
+	// What requests are counted per: the client IP or the authenticated user
+	keyBy: 'ip' | 'user';
+	message: string;
+}
+
+export const RATE_LIMIT_POLICIES = {
+	// Password and second-factor attempts
+	login: {
+		windowMs: 15 * 60 * 1000,
+		max: 10,
+		keyBy: 'ip',
+		message: 'Too many login attempts. Please try again later.',
+	},
+	// Endpoints that send email or consume emailed tokens
+	accountRecovery: {
+		windowMs: 60 * 60 * 1000,
+		max: 5,
+		keyBy: 'ip',
+		message: 'Too many requests. Please try again later.',
+	},
+	// Every check calls the DNS provider
+	subdomainCheck: {
+		windowMs: 60 * 1000,
+		max: 30,
+		keyBy: 'user',
+		message: 'Too many subdomain checks. Please slow down.',
+	},
+} satisfies Record<string, RateLimitPolicy>;
+
+export type RateLimitPolicyName = keyof typeof RATE_LIMIT_POLICIES;
+
+let store: RateLimitStore | null = null;
+
+// Build the store selected through RATE_LIMIT_STORE (defaults to memory)
+export const createRateLimitStore = (
+	name: string = process.env.RATE_LIMIT_STORE || 'memory'
+): RateLimitStore => {
+	switch (name.toLowerCase()) {
+		case 'memory':
+			return new MemoryStore();
+		case 'mongo':
+			return new MongoStore();
+		default:
+			throw new RateLimitError(
+				`Unknown rate limit store "${name}". Available stores: memory, mongo`,
+				'UNKNOWN_STORE'
+			);
+	}
+};
+
+export const getRateLimitStore = (): RateLimitStore => {
+	if (!store) store = createRateLimitStore();
+	return store;
+};
+
+// Replace the store used by the rate limiter; null restores RATE_LIMIT_STORE
+export const setRateLimitStore = (custom: RateLimitStore | null): void => {
+	store = custom;
+};
+
+export const getRateLimitKey = (
+	policyName: RateLimitPolicyName,
+	req: Request
+): string => {
+	const policy: RateLimitPolicy = RATE_LIMIT_POLICIES[policyName];
+	const userId = (req as AuthRequest).user?.userId;
+	const subject =
+		policy.keyBy === 'user' && userId ? `user:${userId}` : `ip:${req.ip}`;
+	return `${policyName}:${subject}`;
+};
+
+export const hitRateLimit = async (
+	policyName: RateLimitPolicyName,
+	req: Request
+): Promise<RateLimitHit & { limited: boolean; policy: RateLimitPolicy }> => {
+	const policy: RateLimitPolicy = RATE_LIMIT_POLICIES[policyName];
+	const hit = await getRateLimitStore().increment(
+		getRateLimitKey(policyName, req),
+		policy.windowMs
+	);
+	return { ...hit, limited: hit.count > policy.max, policy };
+};
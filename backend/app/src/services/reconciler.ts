@@ -0,0 +1,415 @@
+import Client from '../models/Client.js';
+import { CoolifyAPI, getCoolifyAPI } from './coolify.js';
+import { getDeploymentTarget } from './deploymentTargets.js';
+import { DNSRecord } from './dns.js';
+import { enqueueDeployment, findActiveDeployment } from './deploymentWorker.js';
+import {
+	ResolvedDomain,
+	clientDomainFilter,
+	listResolvedDomains,
+} from './domains.js';
+
+export type DriftType =
+	| 'missing_dns_record'
+	| 'missing_application'
+	| 'orphaned_dns_record'
+	| 'orphaned_application'
+	| 'deployment_flag_mismatch';
+
+export interface DriftItem {
+	// Stable identifier used to select items for POST /apply
+	id: string;
+	type: DriftType;
+	// Apex domain the drift was found in
+	domain: string;
+	subdomain: string;
+	message: string;
+	clientId?: string;
+	recordId?: string;
+	applicationUuid?: string;
+}
+
+export interface ReconciliationReport {
+	generatedAt: Date;
+	summary: {
+		domains: number;
+		clients: number;
+		dnsRecords: number;
+		applications: number;
+		drift: number;
+	};
+	drift: DriftItem[];
+}
+
+export interface DriftFixResult {
+	id: string;
+	// Skipped while the client is mid-deployment or in the trash
+	status: 'fixed' | 'failed' | 'not_found' | 'skipped';
+	message?: string;
+}
+
+export class ReconcilerError extends Error {
+	constructor(message: string, public code: string) {
+		super(message);
+		this.name = 'ReconcilerError';
+	}
+}
+
+// Names in the zone that are not client pages (apex services, mail, ...)
+const getIgnoredSubdomains = (): Set<string> =>
+	new Set(
+		(process.env.RECONCILE_IGNORE_SUBDOMAINS || 'www')
+			.split(',')
+			.map((name) => name.trim().toLowerCase())
+			.filter(Boolean)
+	);
+
+// Coolify apps created for clients are served from a subdomain of an apex
+const getApplicationSubdomain = (app: any, apex: string): string | null => {
+	if (!app.fqdn) return null;
+
+	for (const url of String(app.fqdn).split(',')) {
+		const host = url
+			.trim()
+			.replace(/^https?:\/\//, '')
+			.split('/')[0];
+		if (host.endsWith(`.${apex}`)) {
+			return host.slice(0, -(apex.length + 1));
+		}
+	}
+	return null;
+};
+
+const getCoolify = (): CoolifyAPI => {
+	const coolify = getCoolifyAPI();
+	if (!coolify) {
+		throw new ReconcilerError(
+			'Deployment service must be configured to reconcile',
+			'NOT_CONFIGURED'
+		);
+	}
+	return coolify;
+};
+
+// Applications are only compared when clients are deployed to Coolify
+const getApplicationSource = (): CoolifyAPI | null => {
+	const target = getDeploymentTarget();
+	return !target || target.name === 'coolify' ? getCoolify() : null;
+};
+
+const getDomains = async (): Promise<ResolvedDomain[]> => {
+	const domains = await listResolvedDomains();
+	if (domains.length === 0) {
+		throw new ReconcilerError(
+			'At least one domain must be configured to reconcile',
+			'NOT_CONFIGURED'
+		);
+	}
+	return domains;
+};
+
+let latestReport: ReconciliationReport | null = null;
+let timer: NodeJS.Timeout | null = null;
+
+export const getLatestReport = (): ReconciliationReport | null => latestReport;
+
+const diffDomain = async (
+	domain: ResolvedDomain,
+	applications: any[] | null
+) => {
+	const { apex } = domain;
+	// Trashed clients are torn down, so what is left of them is orphaned
+	const [clients, trashedSubdomains, records] = await Promise.all([
+		Client.find({ ...clientDomainFilter(domain), deletedAt: null }).select(
+			'subdomain isDeployed dnsRecordId coolify'
+		),
+		Client.distinct('subdomain', {
+			...clientDomainFilter(domain),
+			deletedAt: { $ne: null },
+		}),
+		domain.dns.listSubdomainRecords(),
+	]);
+	const trashed = new Set<string>(trashedSubdomains);
+
+	const ignored = getIgnoredSubdomains();
+	const recordsById = new Map<string, DNSRecord>();
+	const recordsBySubdomain = new Map<string, DNSRecord>();
+	for (const record of records) {
+		recordsById.set(record.id, record);
+		recordsBySubdomain.set(record.subdomain, record);
+	}
+
+	const appsByUuid = new Map<string, any>();
+	const appsBySubdomain = new Map<string, any>();
+	for (const app of applications || []) {
+		appsByUuid.set(app.uuid, app);
+		const subdomain = getApplicationSubdomain(app, apex);
+		if (subdomain) appsBySubdomain.set(subdomain, app);
+	}
+
+	// Resources matched to a client, by stored ID first and by name otherwise
+	const claimedRecordIds = new Set<string>();
+	const claimedAppUuids = new Set<string>();
+	const clientSubdomains = new Set<string>();
+
+	const drift: DriftItem[] = [];
+
+	for (const client of clients) {
+		const record =
+			(client.dnsRecordId && recordsById.get(client.dnsRecordId)) ||
+			recordsBySubdomain.get(client.subdomain);
+		const app =
+			(client.coolify?.applicationUuid &&
+				appsByUuid.get(client.coolify.applicationUuid)) ||
+			appsBySubdomain.get(client.subdomain);
+		const clientId = String(client._id);
+
+		clientSubdomains.add(client.subdomain);
+		if (record) claimedRecordIds.add(record.id);
+		if (app) claimedAppUuids.add(app.uuid);
+
+		if (client.isDeployed) {
+			if (!record) {
+				drift.push({
+					id: `missing_dns_record:${apex}:${client.subdomain}`,
+					type: 'missing_dns_record',
+					domain: apex,
+					subdomain: client.subdomain,
+					clientId,
+					message: 'Client is deployed but has no DNS record',
+				});
+			}
+			if (!app && applications) {
+				drift.push({
+					id: `missing_application:${apex}:${client.subdomain}`,
+					type: 'missing_application',
+					domain: apex,
+					subdomain: client.subdomain,
+					clientId,
+					message:
+						'Client is deployed but has no Coolify application',
+				});
+			}
+		} else if (app) {
+			drift.push({
+				id: `deployment_flag_mismatch:${apex}:${client.subdomain}`,
+				type: 'deployment_flag_mismatch',
+				domain: apex,
+				subdomain: client.subdomain,
+				clientId,
+				applicationUuid: app.uuid,
+				message:
+					'Client is marked as not deployed but has a Coolify application',
+			});
+		}
+	}
+
+	for (const record of records) {
+		if (
+			claimedRecordIds.has(record.id) ||
+			clientSubdomains.has(record.subdomain) ||
+			ignored.has(record.subdomain) ||
+			record.subdomain.includes('.')
+		) {
+			continue;
+		}
+		drift.push({
+			id: `orphaned_dns_record:${apex}:${record.subdomain}`,
+			type: 'orphaned_dns_record',
+			domain: apex,
+			subdomain: record.subdomain,
+			recordId: record.id,
+			message: trashed.has(record.subdomain)
+				? 'DNS record is left over from a deleted client'
+				: 'DNS record is not owned by any client',
+		});
+	}
+
+	for (const [subdomain, app] of appsBySubdomain) {
+		if (
+			claimedAppUuids.has(app.uuid) ||
+			clientSubdomains.has(subdomain) ||
+			ignored.has(subdomain)
+		) {
+			continue;
+		}
+		drift.push({
+			id: `orphaned_application:${app.uuid}`,
+			type: 'orphaned_application',
+			domain: apex,
+			subdomain,
+			applicationUuid: app.uuid,
+			message: trashed.has(subdomain)
+				? 'Coolify application is left over from a deleted client'
+				: 'Coolify application is not owned by any client',
+		});
+	}
+
+	return {
+		clients: clients.length,
+		dnsRecords: records.length,
+		applications: appsBySubdomain.size,
+		drift,
+	};
+};
+
+export const buildReconciliationReport = async () => {
+	const coolify = getApplicationSource();
+	const domains = await getDomains();
+	const applications = coolify ? await coolify.getApplications() : null;
+
+	const report: ReconciliationReport = {
+		generatedAt: new Date(),
+		summary: {
+			domains: domains.length,
+			clients: 0,
+			dnsRecords: 0,
+			applications: 0,
+			drift: 0,
+		},
+		drift: [],
+	};
+
+	for (const domain of domains) {
+		const result = await diffDomain(domain, applications);
+		report.summary.clients += result.clients;
+		report.summary.dnsRecords += result.dnsRecords;
+		report.summary.applications += result.applications;
+		report.drift.push(...result.drift);
+	}
+	report.summary.drift = report.drift.length;
+
+	latestReport = report;
+	return report;
+};
+
+// The client a fix deploys or updates. Fixes wait for a deployment in flight
+// to finish, and never bring back a client that was moved to the trash.
+const findFixableClient = async (item: DriftItem) => {
+	const client = await Client.findOne({
+		_id: item.clientId,
+		deletedAt: null,
+	});
+	if (!client) throw new Error('Client no longer exists');
+	if (await findActiveDeployment(client._id)) {
+		throw new ReconcilerError(
+			'Client has a deployment in progress',
+			'DEPLOYMENT_IN_PROGRESS'
+		);
+	}
+	return client;
+};
+
+const fixDrift = async (
+	item: DriftItem,
+	domain: ResolvedDomain,
+	coolify: CoolifyAPI | null
+): Promise<void> => {
+	const { dns } = domain;
+
+	switch (item.type) {
+		case 'missing_dns_record': {
+			const client = await findFixableClient(item);
+			// Later updates and teardowns address the record by its ID
+			client.dnsRecordId = await dns.createSubdomainRecord(
+				item.subdomain
+			);
+			await client.save();
+			return;
+		}
+		case 'missing_application': {
+			// The deploy saga reuses existing resources and recreates the rest
+			const client = await findFixableClient(item);
+			await enqueueDeployment({ client, action: 'deploy' });
+			return;
+		}
+		case 'orphaned_dns_record':
+			await dns.deleteSubdomainRecord(item.subdomain, item.recordId);
+			return;
+		case 'orphaned_application':
+			// Only reported when applications were compared
+			await coolify!.deleteApplication(item.applicationUuid!);
+			return;
+		case 'deployment_flag_mismatch': {
+			// Adopt the matched application; the deploy saga then adopts the
+			// DNS record, stores their IDs and marks the client deployed
+			const client = await findFixableClient(item);
+			client.coolify = { applicationUuid: item.applicationUuid };
+			await client.save();
+			await enqueueDeployment({ client, action: 'deploy' });
+			return;
+		}
+	}
+};
+
+// Re-check current state and fix the selected drift items
+export const applyReconciliation = async (
+	ids: string[]
+): Promise<DriftFixResult[]> => {
+	const coolify = getApplicationSource();
+	const domains = new Map(
+		(await getDomains()).map((domain) => [domain.apex, domain])
+	);
+	const report = await buildReconciliationReport();
+	const itemsById = new Map(report.drift.map((item) => [item.id, item]));
+
+	const results: DriftFixResult[] = [];
+	for (const id of ids) {
+		const item = itemsById.get(id);
+		const domain = item && domains.get(item.domain);
+		if (!item || !domain) {
+			results.push({
+				id,
+				status: 'not_found',
+				message: 'Drift item no longer present',
+			});
+			continue;
+		}
+
+		try {
+			await fixDrift(item, domain, coolify);
+			results.push({ id, status: 'fixed' });
+		} catch (error) {
+			if (
+				error instanceof ReconcilerError &&
+				error.code === 'DEPLOYMENT_IN_PROGRESS'
+			) {
+				results.push({ id, status: 'skipped', message: error.message });
+				continue;
+			}
+			console.error('Failed to fix drift item:', id, error);
+			results.push({
+				id,
+				status: 'failed',
+				message:
+					error instanceof Error ? error.message : 'Unknown error',
+			});
+		}
+	}
+
+	return results;
+};
+
+export const startReconciler = (): void => {
+	const minutes = parseInt(
+		process.env.RECONCILE_INTERVAL_MINUTES || '60',
+		10
+	);
+	if (timer || !minutes || minutes <= 0) return;
+
+	timer = setInterval(async () => {
+		try {
+			const report = await buildReconciliationReport();
+			if (report.drift.length > 0) {
+				console.warn(
+					`Reconciliation found ${report.drift.length} drift item(s):`,
+					report.drift.map((item) => item.id)
+				);
+			}
+		} catch (error) {
+			console.error('Scheduled reconciliation failed:', error);
+		}
+	}, minutes * 60 * 1000);
+
+	console.log(`✅ Reconciler scheduled every ${minutes} minute(s)`);
+};
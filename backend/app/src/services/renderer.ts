@@ -0,0 +1,196 @@
+import { ICustomization, ILink } from '../types.js';
+import {
+	DEFAULT_SANITIZE_POLICY,
+	SanitizePolicy,
+	escapeHtml,
+	isSafeUrl,
+	sanitizeHtml,
+} from './htmlSanitizer.js';
+
+// Everything a page is rendered from; form data that was never saved works
+// as well as a stored client or revision
+export interface RenderableClient {
+	name: string;
+	description?: string;
+	theme?: string;
+	links?: ILink[];
+	customization?: ICustomization;
+	logo?: string;
+	deploymentType?: 'template' | 'custom-html';
+	htmlCode?: string;
+}
+
+export interface RenderOptions {
+	sanitizePolicy?: SanitizePolicy;
+}
+
+interface ThemePalette {
+	background: string;
+	text: string;
+	button: string;
+	buttonText: string;
+}
+
+const THEMES: Record<string, ThemePalette> = {
+	default: {
+		background: '#f5f5f7',
+		text: '#1d1d1f',
+		button: '#1d1d1f',
+		buttonText: '#ffffff',
+	},
+	dark: {
+		background: '#111114',
+		text: '#f5f5f7',
+		button: '#f5f5f7',
+		buttonText: '#111114',
+	},
+};
+
+const BUTTON_RADIUS: Record<string, string> = {
+	rounded: '12px',
+	pill: '999px',
+	square: '0',
+	outline: '12px',
+};
+
+// Rendered pages can't run scripts or load anything but images and fonts, and
+// run in a sandbox so they can't reach the API's origin
+export const PREVIEW_CONTENT_SECURITY_POLICY = [
+	"default-src 'none'",
+	'img-src https: http: data:',
+	'font-src https: data:',
+	"style-src 'unsafe-inline'",
+	'sandbox allow-popups allow-popups-to-escape-sandbox',
+].join('; ');
+
+const LINK_SCHEMES: SanitizePolicy = {
+	...DEFAULT_SANITIZE_POLICY,
+	allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+};
+
+const COLOR_PATTERN =
+	/^(#[0-9a-f]{3,8}|[a-z]{3,20}|(?:rgb|hsl)a?\([\d\s.,%deg/]+\))$/i;
+
+const FONT_PATTERN = /^[\w\s,'"-]{1,100}$/;
+
+const cssColor = (value: string | undefined, fallback: string) =>
+	value && COLOR_PATTERN.test(value.trim()) ? value.trim() : fallback;
+
+const cssFont = (value: string | undefined) =>
+	value && FONT_PATTERN.test(value)
+		? `${value.replace(/["']/g, '')}, system-ui, sans-serif`
+		: 'system-ui, -apple-system, "Segoe UI", sans-serif';
+
+// Absolute http(s), mailto and tel URLs only
+const safeHref = (url: string | undefined) =>
+	url &&
+	/^[a-z][a-z0-9+.-]*:/i.test(url.trim()) &&
+	isSafeUrl(url, LINK_SCHEMES)
+		? url.trim()
+		: '#';
+
+const renderDocument = (params: {
+	title: string;
+	description?: string;
+	style?: string;
+	body: string;
+}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(params.title)}</title>
+${
+	params.description
+		? `<meta name="description" content="${escapeHtml(
+				params.description
+		  )}">\n`
+		: ''
+}${params.style ? `<style>${params.style}</style>\n` : ''}</head>
+<body>
+${params.body}
+</body>
+</html>
+`;
+
+const renderLinkTree = (client: RenderableClient) => {
+	const palette = THEMES[client.theme || 'default'] || THEMES.default;
+	const customization = client.customization || {};
+	const background = cssColor(
+		customization.backgroundColor,
+		palette.background
+	);
+	const text = cssColor(customization.textColor, palette.text);
+	const buttonStyle = customization.buttonStyle || 'rounded';
+	const outline = buttonStyle === 'outline';
+
+	const style = `
+*{box-sizing:border-box}
+body{margin:0;min-height:100vh;background:${background};color:${text};font-family:${cssFont(
+		customization.font
+	)};display:flex;justify-content:center}
+main{width:100%;max-width:560px;padding:48px 20px;text-align:center}
+.logo{width:96px;height:96px;border-radius:50%;object-fit:cover;margin-bottom:16px}
+h1{font-size:1.5rem;margin:0 0 8px}
+.description{margin:0 0 32px;opacity:.8;line-height:1.5}
+.links{list-style:none;margin:0;padding:0;display:flex;flex-direction:column;gap:12px}
+.links a{display:block;padding:14px 20px;border-radius:${
+		BUTTON_RADIUS[buttonStyle] || BUTTON_RADIUS.rounded
+	};text-decoration:none;font-weight:600;${
+		outline
+			? `background:transparent;color:${text};border:2px solid ${text}`
+			: `background:${palette.button};color:${palette.buttonText}`
+	}}
+`;
+
+	const links = [...(client.links || [])]
+		.sort((a, b) => (a.order || 0) - (b.order || 0))
+		.map(
+			(link) =>
+				`<li><a href="${escapeHtml(
+					safeHref(link.url)
+				)}" target="_blank" rel="noopener noreferrer" data-icon="${escapeHtml(
+					link.icon || 'link'
+				)}">${escapeHtml(link.title || '')}</a></li>`
+		)
+		.join('\n');
+
+	const logo =
+		client.logo && safeHref(client.logo) !== '#'
+			? `<img class="logo" src="${escapeHtml(client.logo)}" alt="">\n`
+			: '';
+	const description = client.description
+		? `<p class="description">${escapeHtml(client.description)}</p>\n`
+		: '';
+
+	return renderDocument({
+		title: client.name,
+		description: client.description,
+		style,
+		body: `<main>
+${logo}<h1>${escapeHtml(client.name)}</h1>
+${description}<ul class="links">
+${links}
+</ul>
+</main>`,
+	});
+};
+
+// HTML page for a client as it would be deployed: the link tree built from
+// its links and customization, or its custom HTML after sanitizing
+export const renderClientPage = (
+	client: RenderableClient,
+	options: RenderOptions = {}
+): string => {
+	if (client.deploymentType === 'custom-html') {
+		return renderDocument({
+			title: client.name,
+			description: client.description,
+			body: sanitizeHtml(
+				client.htmlCode || '',
+				options.sanitizePolicy || DEFAULT_SANITIZE_POLICY
+			),
+		});
+	}
+	return renderLinkTree(client);
+};
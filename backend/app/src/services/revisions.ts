@@ -0,0 +1,169 @@
+import { Types } from 'mongoose';
+import ClientRevision from '../models/ClientRevision.js';
+import {
+	IAuditChange,
+	IClient,
+	IClientContent,
+	IClientRevision,
+} from '../types.js';
+import { diffSnapshots } from './audit.js';
+
+export class RevisionError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 400
+	) {
+		super(message);
+		this.name = 'RevisionError';
+	}
+}
+
+// Plain copy of the fields a revision versions, without subdocument ids
+export const getClientContent = (client: IClient): IClientContent => ({
+	name: client.name,
+	description: client.description,
+	links: (client.links || []).map(({ title, url, icon, order }) => ({
+		title,
+		url,
+		icon,
+		order,
+	})),
+	customization: {
+		backgroundColor: client.customization?.backgroundColor,
+		textColor: client.customization?.textColor,
+		buttonStyle: client.customization?.buttonStyle,
+		font: client.customization?.font,
+	},
+	logo: client.logo,
+	deploymentType: client.deploymentType,
+	htmlCode: client.htmlCode,
+	htmlCodeRaw: client.htmlCodeRaw,
+});
+
+const toContent = (content: IClientContent): Record<string, any> =>
+	JSON.parse(JSON.stringify(content));
+
+export const findLatestRevision = (clientId: unknown) =>
+	ClientRevision.findOne({ client: clientId }).sort({ number: -1 });
+
+export const findClientRevision = (clientId: unknown, revisionId: string) =>
+	Types.ObjectId.isValid(revisionId)
+		? ClientRevision.findOne({ _id: revisionId, client: clientId })
+		: Promise.resolve(null);
+
+const createRevision = async (
+	client: IClient,
+	params: {
+		content: IClientContent;
+		source: IClientRevision['source'];
+		userId?: string;
+		restoredFrom?: number;
+	}
+): Promise<IClientRevision> => {
+	const latest = await findLatestRevision(client._id);
+	// The unique index rejects the second of two concurrent saves
+	return ClientRevision.create({
+		client: client._id,
+		number: (latest?.number || 0) + 1,
+		content: toContent(params.content),
+		source: params.source,
+		restoredFrom: params.restoredFrom,
+		createdBy: params.userId,
+	});
+};
+
+// Record what a client was created or, for clients that predate revisions,
+// last published with
+export const createInitialRevision = async (
+	client: IClient,
+	userId?: string
+): Promise<IClientRevision> => {
+	const revision = await createRevision(client, {
+		content: getClientContent(client),
+		source: 'create',
+		userId,
+	});
+	revision.publishedAt = client.lastUpdated || new Date();
+	revision.publishedBy = userId ? new Types.ObjectId(userId) : undefined;
+	await revision.save();
+
+	client.publishedRevision = revision.number;
+	await client.save();
+	return revision;
+};
+
+// The draft is the latest revision
+export const getDraft = async (client: IClient): Promise<IClientRevision> =>
+	(await findLatestRevision(client._id)) || createInitialRevision(client);
+
+export const hasUnpublishedChanges = (
+	client: IClient,
+	draft: IClientRevision
+): boolean => draft.number !== client.publishedRevision;
+
+// Store edits as a new draft revision; the live client is left untouched.
+// Saving the same content again returns the current draft.
+export const saveDraft = async (
+	client: IClient,
+	updates: Partial<IClientContent>,
+	userId?: string
+): Promise<IClientRevision> => {
+	const draft = await getDraft(client);
+	const content = { ...draft.content, ...updates };
+	if (
+		diffSnapshots(toContent(draft.content), toContent(content)).length === 0
+	) {
+		return draft;
+	}
+	return createRevision(client, { content, source: 'edit', userId });
+};
+
+// Copy a revision onto the client. Deploying it is left to the caller.
+export const publishRevision = async (
+	client: IClient,
+	revision: IClientRevision,
+	userId?: string
+): Promise<void> => {
+	Object.assign(client, revision.content);
+	client.publishedRevision = revision.number;
+	await client.save();
+
+	revision.publishedAt = new Date();
+	revision.publishedBy = userId ? new Types.ObjectId(userId) : undefined;
+	await revision.save();
+};
+
+// Publish an earlier revision's content as a new revision, so history only
+// ever grows. Any unpublished draft stays in the history.
+export const rollbackToRevision = async (
+	client: IClient,
+	revision: IClientRevision,
+	userId?: string
+): Promise<IClientRevision> => {
+	const latest = await findLatestRevision(client._id);
+	if (
+		revision.number === client.publishedRevision &&
+		latest?.number === revision.number
+	) {
+		throw new RevisionError(
+			'This revision is already published',
+			'ALREADY_PUBLISHED'
+		);
+	}
+	const restored = await createRevision(client, {
+		content: revision.content,
+		source: 'rollback',
+		restoredFrom: revision.number,
+		userId,
+	});
+	await publishRevision(client, restored, userId);
+	return restored;
+};
+
+// Field changes from one revision to another
+export const diffRevisions = (
+	from: IClientRevision | null,
+	to: IClientRevision
+): IAuditChange[] =>
+	diffSnapshots(from ? toContent(from.content) : null, toContent(to.content));
@@ -0,0 +1,214 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { Permission } from '../types.js';
+
+export class RoleError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 400
+	) {
+		super(message);
+		this.name = 'RoleError';
+	}
+}
+
+export interface PermissionDefinition {
+	description: string;
+	// Administrative permissions are refused to API keys and, when the
+	// requireAdminTwoFactor setting is on, to users without two-factor
+	privileged: boolean;
+}
+
+export const PERMISSIONS: Record<Permission, PermissionDefinition> = {
+	'users.read': { description: 'View user accounts', privileged: true },
+	'users.manage': {
+		description: 'Create, update, disable and delete user accounts',
+		privileged: true,
+	},
+	'roles.manage': {
+		description: 'Manage roles and assign them to users',
+		privileged: true,
+	},
+	'clients.read': {
+		description: 'View accessible clients and their deployments',
+		privileged: false,
+	},
+	'clients.write': {
+		description: 'Create and edit clients',
+		privileged: false,
+	},
+	'clients.deploy': {
+		description: 'Deploy, undeploy and recover client deployments',
+		privileged: false,
+	},
+	'clients.admin': {
+		description:
+			'View, redeploy, undeploy and transfer every client across owners',
+		privileged: true,
+	},
+	'organizations.manage': {
+		description: 'Create organizations and manage their members',
+		privileged: false,
+	},
+	'domains.manage': {
+		description: 'Manage managed domains and DNS credentials',
+		privileged: true,
+	},
+	'audit.read': { description: 'Search the audit log', privileged: true },
+	'settings.manage': {
+		description: 'Change application-wide settings',
+		privileged: true,
+	},
+	'reconcile.run': {
+		description: 'Report and fix drift against DNS and Coolify',
+		privileged: true,
+	},
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS) as Permission[];
+
+// The admin role always holds every permission so it can't be locked out;
+// the user role is the default for new accounts and may be customized
+export const ADMIN_ROLE = 'admin';
+export const DEFAULT_ROLE = 'user';
+
+const BUILT_IN_ROLES: Record<
+	string,
+	{ description: string; permissions: Permission[] }
+> = {
+	[ADMIN_ROLE]: {
+		description: 'Full access to every feature',
+		permissions: ALL_PERMISSIONS,
+	},
+	[DEFAULT_ROLE]: {
+		description: 'Manage and deploy their own and shared clients',
+		permissions: [
+			'clients.read',
+			'clients.write',
+			'clients.deploy',
+			'organizations.manage',
+		],
+	},
+};
+
+export const isBuiltInRole = (name: string): boolean =>
+	Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+
+export const isPermission = (value: unknown): value is Permission =>
+	typeof value === 'string' &&
+	Object.prototype.hasOwnProperty.call(PERMISSIONS, value);
+
+export const isPrivilegedPermission = (permission: Permission): boolean =>
+	PERMISSIONS[permission].privileged;
+
+export const getRolePermissions = async (
+	name: string
+): Promise<Permission[]> => {
+	if (name === ADMIN_ROLE) return ALL_PERMISSIONS;
+	const role = await Role.findOne({ name });
+	if (role) return role.permissions.filter(isPermission);
+	return BUILT_IN_ROLES[name]?.permissions || [];
+};
+
+export const roleExists = async (name: string): Promise<boolean> =>
+	isBuiltInRole(name) || !!(await Role.exists({ name }));
+
+// Built-in roles merged with stored ones; a stored "user" role overrides the
+// built-in defaults
+export const listRoles = async () => {
+	const stored = await Role.find().sort({ name: 1 });
+	const counts = await User.aggregate([
+		{ $group: { _id: '$role', count: { $sum: 1 } } },
+	]);
+	const userCount = (name: string) =>
+		counts.find((count) => count._id === name)?.count || 0;
+
+	const builtIn = Object.entries(BUILT_IN_ROLES)
+		.filter(([name]) => !stored.some((role) => role.name === name))
+		.map(([name, role]) => ({ name, ...role }));
+
+	return [
+		...builtIn,
+		...stored.map((role) => ({
+			name: role.name,
+			description: role.description,
+			permissions: role.permissions,
+			createdAt: role.createdAt,
+			updatedAt: role.updatedAt,
+		})),
+	]
+		.sort((a, b) => a.name.localeCompare(b.name))
+		.map((role) => ({
+			...role,
+			permissions:
+				role.name === ADMIN_ROLE ? ALL_PERMISSIONS : role.permissions,
+			isBuiltIn: isBuiltInRole(role.name),
+			userCount: userCount(role.name),
+		}));
+};
+
+export const createRole = async (
+	name: string,
+	permissions: Permission[],
+	description?: string
+) => {
+	if (await roleExists(name)) {
+		throw new RoleError('Role already exists', 'ROLE_EXISTS', 409);
+	}
+	return Role.create({ name, permissions, description });
+};
+
+export const updateRole = async (
+	name: string,
+	updates: { permissions?: Permission[]; description?: string }
+) => {
+	if (name === ADMIN_ROLE) {
+		throw new RoleError(
+			'The admin role always has every permission',
+			'ROLE_IMMUTABLE'
+		);
+	}
+	if (!(await roleExists(name))) {
+		throw new RoleError('Role not found', 'ROLE_NOT_FOUND', 404);
+	}
+
+	// The first edit of a built-in role stores it with its defaults
+	const defaults = BUILT_IN_ROLES[name];
+	const role =
+		(await Role.findOne({ name })) ||
+		new Role({
+			name,
+			description: defaults.description,
+			permissions: defaults.permissions,
+		});
+	if (updates.permissions) role.permissions = updates.permissions;
+	if (updates.description !== undefined) {
+		role.description = updates.description;
+	}
+	await role.save();
+	return role;
+};
+
+export const deleteRole = async (name: string) => {
+	if (isBuiltInRole(name)) {
+		throw new RoleError(
+			'Built-in roles cannot be deleted',
+			'ROLE_IMMUTABLE'
+		);
+	}
+	const role = await Role.findOne({ name });
+	if (!role) {
+		throw new RoleError('Role not found', 'ROLE_NOT_FOUND', 404);
+	}
+	const userCount = await User.countDocuments({ role: name });
+	if (userCount > 0) {
+		throw new RoleError(
+			`Role is still assigned to ${userCount} user(s)`,
+			'ROLE_IN_USE',
+			409
+		);
+	}
+	await role.deleteOne();
+	return role;
+};
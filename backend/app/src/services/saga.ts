@@ -0,0 +1,154 @@
+import { IDeploymentError, ISagaStepState } from '../types.js';
+
+// A single unit of work in a saga together with the action that undoes it
+export interface SagaStep<TContext> {
+	name: string;
+	execute: (context: TContext) => Promise<void>;
+	compensate?: (context: TContext) => Promise<void>;
+}
+
+// Persisted saga progress; implemented by the Deployment model
+export interface SagaRecord {
+	steps: ISagaStepState[];
+	step?: string;
+	failedStep?: string;
+	error?: IDeploymentError;
+	save(): Promise<unknown>;
+}
+
+export class SagaError extends Error {
+	constructor(
+		message: string,
+		public step: string,
+		public cause: unknown,
+		// True when rollback could not undo every completed step
+		public compensationFailed = false
+	) {
+		super(message);
+		this.name = 'SagaError';
+	}
+}
+
+export type SagaErrorMapper = (error: unknown) => IDeploymentError;
+
+const defaultErrorMapper: SagaErrorMapper = (error) => ({
+	message: error instanceof Error ? error.message : 'Unknown error',
+	code: 'UNKNOWN_ERROR',
+});
+
+// Make sure the record tracks exactly the steps of the saga definition
+export const initializeSagaSteps = (
+	record: SagaRecord,
+	steps: SagaStep<any>[]
+): void => {
+	if (record.steps.length > 0) return;
+	record.steps = steps.map((step) => ({
+		name: step.name,
+		status: 'pending',
+	}));
+};
+
+const getState = (record: SagaRecord, name: string): ISagaStepState => {
+	const state = record.steps.find((step) => step.name === name);
+	if (!state) {
+		throw new Error(`Saga step "${name}" is not tracked by this record`);
+	}
+	return state;
+};
+
+// Undo completed (and failed, possibly partial) steps in reverse order
+export const compensateSaga = async <TContext>(
+	record: SagaRecord,
+	steps: SagaStep<TContext>[],
+	context: TContext,
+	mapError: SagaErrorMapper = defaultErrorMapper
+): Promise<void> => {
+	initializeSagaSteps(record, steps);
+
+	for (const step of [...steps].reverse()) {
+		const state = getState(record, step.name);
+		if (
+			!['completed', 'failed', 'running', 'compensation_failed'].includes(
+				state.status
+			)
+		) {
+			continue;
+		}
+
+		if (step.compensate) {
+			record.step = `${step.name}:compensate`;
+			await record.save();
+
+			try {
+				await step.compensate(context);
+			} catch (error) {
+				console.error(
+					`Compensation of step "${step.name}" failed:`,
+					error
+				);
+				state.status = 'compensation_failed';
+				state.error = mapError(error);
+				await record.save();
+				throw new SagaError(
+					`Failed to roll back step "${step.name}"`,
+					step.name,
+					error,
+					true
+				);
+			}
+		}
+
+		state.status = 'compensated';
+		state.compensatedAt = new Date();
+		await record.save();
+	}
+};
+
+// Run pending steps in order, skipping those a previous attempt completed.
+// On failure the completed steps are compensated before the error is rethrown.
+export const runSaga = async <TContext>(
+	record: SagaRecord,
+	steps: SagaStep<TContext>[],
+	context: TContext,
+	mapError: SagaErrorMapper = defaultErrorMapper
+): Promise<void> => {
+	initializeSagaSteps(record, steps);
+
+	for (const step of steps) {
+		const state = getState(record, step.name);
+		if (state.status === 'completed') continue;
+
+		state.status = 'running';
+		state.startedAt = new Date();
+		state.error = undefined;
+		record.step = step.name;
+		await record.save();
+
+		try {
+			await step.execute(context);
+		} catch (error) {
+			state.status = 'failed';
+			state.error = mapError(error);
+			record.failedStep = record.step;
+			record.error = state.error;
+			await record.save();
+
+			try {
+				await compensateSaga(record, steps, context, mapError);
+			} catch (compensationError) {
+				throw new SagaError(
+					`Step "${step.name}" failed and could not be rolled back`,
+					step.name,
+					error,
+					true
+				);
+			}
+
+			throw new SagaError(`Step "${step.name}" failed`, step.name, error);
+		}
+
+		state.status = 'completed';
+		state.completedAt = new Date();
+		await record.save();
+	}
+};
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+// Key for secrets stored in MongoDB (DNS credentials, ...). Falls back to a
+// key derived from JWT_SECRET so existing installs keep working.
+const getKey = (): Buffer => {
+	const secret = process.env.SECRETS_ENCRYPTION_KEY;
+	if (secret) {
+		return crypto.createHash('sha256').update(secret).digest();
+	}
+	if (!process.env.JWT_SECRET) {
+		throw new Error('SECRETS_ENCRYPTION_KEY or JWT_SECRET must be set');
+	}
+	return crypto
+		.createHash('sha256')
+		.update(`secrets:${process.env.JWT_SECRET}`)
+		.digest();
+};
+
+export const encryptSecret = (plaintext: string): string => {
+	const iv = crypto.randomBytes(12);
+	const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+	const encrypted = Buffer.concat([
+		cipher.update(plaintext, 'utf8'),
+		cipher.final(),
+	]);
+	const tag = cipher.getAuthTag();
+
+	return [VERSION, iv, tag, encrypted]
+		.map((part) =>
+			typeof part === 'string' ? part : part.toString('base64')
+		)
+		.join(':');
+};
+
+export const decryptSecret = (payload: string): string => {
+	const [version, iv, tag, encrypted] = payload.split(':');
+	if (version !== VERSION || !iv || !tag || !encrypted) {
+		throw new Error('Unsupported encrypted secret format');
+	}
+
+	const decipher = crypto.createDecipheriv(
+		ALGORITHM,
+		getKey(),
+		Buffer.from(iv, 'base64')
+	);
+	decipher.setAuthTag(Buffer.from(tag, 'base64'));
+	return Buffer.concat([
+		decipher.update(Buffer.from(encrypted, 'base64')),
+		decipher.final(),
+	]).toString('utf8');
+};
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import { Request } from 'express';
+import jwt from 'jsonwebtoken';
+import { Types } from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { ISession, IUser } from '../types.js';
+
+export class SessionError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 401
+	) {
+		super(message);
+		this.name = 'SessionError';
+	}
+}
+
+export interface AccessTokenPayload {
+	userId: string;
+	// Session the token was issued for
+	sid: string;
+}
+
+export interface IssuedTokens {
+	accessToken: string;
+	refreshToken: string;
+	// Access token lifetime in seconds
+	expiresIn: number;
+	session: ISession;
+}
+
+const getAccessTokenTtl = () =>
+	parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10);
+
+const getRefreshTokenTtlMs = () =>
+	parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) *
+	24 *
+	60 *
+	60 *
+	1000;
+
+const hashToken = (token: string) =>
+	crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<session id>.<secret>" so a session can be found by id
+const createRefreshToken = (sessionId: Types.ObjectId | string) =>
+	`${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const parseRefreshToken = (token: string) => {
+	const [sessionId, secret] = token.split('.');
+	if (!secret || !Types.ObjectId.isValid(sessionId)) {
+		throw new SessionError('Invalid refresh token', 'INVALID_TOKEN');
+	}
+	return sessionId;
+};
+
+export const signAccessToken = (
+	userId: Types.ObjectId | string,
+	sessionId: Types.ObjectId | string
+): string =>
+	jwt.sign(
+		{ userId: String(userId), sid: String(sessionId) },
+		process.env.JWT_SECRET!,
+		{ expiresIn: getAccessTokenTtl() }
+	);
+
+const issueTokens = (
+	session: ISession,
+	refreshToken: string
+): IssuedTokens => ({
+	accessToken: signAccessToken(session.user, String(session._id)),
+	refreshToken,
+	expiresIn: getAccessTokenTtl(),
+	session,
+});
+
+export const createSession = async (
+	user: IUser,
+	req: Request
+): Promise<IssuedTokens> => {
+	const session = new Session({
+		user: user._id,
+		ip: req.ip,
+		userAgent: req.header('user-agent'),
+		expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+	});
+	const refreshToken = createRefreshToken(String(session._id));
+	session.refreshTokenHash = hashToken(refreshToken);
+	await session.save();
+
+	return issueTokens(session, refreshToken);
+};
+
+export const revokeSession = async (
+	sessionId: Types.ObjectId | string,
+	reason: string
+): Promise<void> => {
+	await Session.updateOne(
+		{ _id: sessionId, revokedAt: { $exists: false } },
+		{ revokedAt: new Date(), revokedReason: reason }
+	);
+};
+
+export const revokeUserSessions = async (
+	userId: Types.ObjectId | string,
+	reason: string
+): Promise<void> => {
+	await Session.updateMany(
+		{ user: userId, revokedAt: { $exists: false } },
+		{ revokedAt: new Date(), revokedReason: reason }
+	);
+};
+
+// Exchange a refresh token for a new access token and a rotated refresh token
+export const refreshSession = async (
+	refreshToken: string,
+	req: Request
+): Promise<IssuedTokens> => {
+	const session = await Session.findById(parseRefreshToken(refreshToken));
+	if (!session || session.revokedAt || session.expiresAt < new Date()) {
+		throw new SessionError('Session expired or revoked', 'SESSION_REVOKED');
+	}
+
+	const tokenHash = hashToken(refreshToken);
+	if (tokenHash !== session.refreshTokenHash) {
+		// A rotated token was presented again: assume it leaked
+		if (tokenHash === session.previousRefreshTokenHash) {
+			await revokeSession(String(session._id), 'refresh_token_reuse');
+		}
+		throw new SessionError('Invalid refresh token', 'INVALID_TOKEN');
+	}
+
+	const user = await User.findById(session.user);
+	if (!user || !user.isEnabled) {
+		await revokeSession(String(session._id), 'user_disabled');
+		throw new SessionError('Account is disabled', 'USER_DISABLED');
+	}
+
+	const nextRefreshToken = createRefreshToken(String(session._id));
+	session.previousRefreshTokenHash = session.refreshTokenHash;
+	session.refreshTokenHash = hashToken(nextRefreshToken);
+	session.lastUsedAt = new Date();
+	session.ip = req.ip;
+	session.userAgent = req.header('user-agent');
+	await session.save();
+
+	return issueTokens(session, nextRefreshToken);
+};
+
+// Check that an access token still belongs to a live session of an enabled user
+export const validateAccessToken = async (
+	token: string
+): Promise<AccessTokenPayload> => {
+	const decoded = jwt.verify(
+		token,
+		process.env.JWT_SECRET!
+	) as Partial<AccessTokenPayload>;
+	if (!decoded.userId || !decoded.sid) {
+		throw new SessionError('Invalid token', 'INVALID_TOKEN');
+	}
+
+	const [session, user] = await Promise.all([
+		Session.findById(decoded.sid).select('user revokedAt expiresAt'),
+		User.findById(decoded.userId).select('isEnabled'),
+	]);
+	if (
+		!session ||
+		session.revokedAt ||
+		session.expiresAt < new Date() ||
+		String(session.user) !== decoded.userId
+	) {
+		throw new SessionError('Session expired or revoked', 'SESSION_REVOKED');
+	}
+	if (!user || !user.isEnabled) {
+		throw new SessionError('Account is disabled', 'USER_DISABLED');
+	}
+
+	return { userId: decoded.userId, sid: decoded.sid };
+};
@@ -0,0 +1,54 @@
+import Setting from '../models/Setting.js';
+import { IHtmlPolicy } from '../types.js';
+import { DEFAULT_SANITIZE_POLICY } from './htmlSanitizer.js';
+
+// Application-wide settings editable by admins at runtime
+export interface AppSettings {
+	// Users with administrative permissions must enroll in two-factor
+	// authentication
+	requireAdminTwoFactor: boolean;
+	// Applied to custom HTML on save; admins can override it per user
+	htmlPolicy: IHtmlPolicy;
+}
+
+const DEFAULT_SETTINGS: AppSettings = {
+	requireAdminTwoFactor: false,
+	htmlPolicy: {
+		...DEFAULT_SANITIZE_POLICY,
+		maxBytes: 64 * 1024,
+		rejectOnViolation: false,
+	},
+};
+
+export const getSettings = async (): Promise<AppSettings> => {
+	const stored = await Setting.find({
+		key: { $in: Object.keys(DEFAULT_SETTINGS) },
+	});
+	const settings = { ...DEFAULT_SETTINGS };
+	for (const setting of stored) {
+		(settings as any)[setting.key] = setting.value;
+	}
+	return settings;
+};
+
+export const getSetting = async <K extends keyof AppSettings>(
+	key: K
+): Promise<AppSettings[K]> => {
+	const setting = await Setting.findOne({ key });
+	return setting ? setting.value : DEFAULT_SETTINGS[key];
+};
+
+export const updateSettings = async (
+	updates: Partial<AppSettings>,
+	updatedBy?: string
+): Promise<AppSettings> => {
+	for (const [key, value] of Object.entries(updates)) {
+		if (!(key in DEFAULT_SETTINGS) || value === undefined) continue;
+		await Setting.findOneAndUpdate(
+			{ key },
+			{ value, updatedBy, updatedAt: new Date() },
+			{ upsert: true }
+		);
+	}
+	return getSettings();
+};
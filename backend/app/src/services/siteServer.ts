@@ -0,0 +1,122 @@
+import express, { Request, Response } from 'express';
+import Client from '../models/Client.js';
+import { IClient } from '../types.js';
+import { clientDomainFilter, listResolvedDomains } from './domains.js';
+import { resolveHtmlPolicy } from './htmlPolicy.js';
+import {
+	CachedPage,
+	getCachedPage,
+	getPageCacheGeneration,
+	setCachedPage,
+} from './pageCache.js';
+import {
+	PREVIEW_CONTENT_SECURITY_POLICY,
+	renderClientPage,
+} from './renderer.js';
+
+const getCacheTtlMs = () =>
+	parseInt(process.env.SITE_CACHE_SECONDS || '300', 10) * 1000;
+
+// Unknown hosts are remembered briefly so scans don't all reach MongoDB,
+// while a client that was just deployed shows up quickly
+const MISS_TTL_MS = 10 * 1000;
+
+// The deployed client served on a host: a verified custom domain, or
+// <subdomain>.<apex> of a configured domain
+export const findClientByHost = async (
+	host: string
+): Promise<IClient | null> => {
+	const live = { isDeployed: true, deletedAt: null };
+	const custom = await Client.findOne({
+		'customDomain.hostname': host,
+		'customDomain.status': 'verified',
+		...live,
+	});
+	if (custom) return custom;
+
+	const dot = host.indexOf('.');
+	if (dot <= 0) return null;
+	const apex = host.slice(dot + 1);
+	const domain = (await listResolvedDomains()).find(
+		(candidate) => candidate.apex === apex
+	);
+	if (!domain) return null;
+
+	return Client.findOne({
+		subdomain: host.slice(0, dot),
+		...clientDomainFilter(domain),
+		...live,
+	});
+};
+
+const renderHost = async (host: string): Promise<CachedPage> => {
+	const client = await findClientByHost(host);
+	if (!client) {
+		return {
+			clientId: null,
+			ownerId: null,
+			html: null,
+			expiresAt: Date.now() + MISS_TTL_MS,
+		};
+	}
+
+	return {
+		clientId: String(client._id),
+		ownerId: String(client.owner),
+		html: renderClientPage(client, {
+			sanitizePolicy: await resolveHtmlPolicy(client.owner),
+		}),
+		expiresAt: Date.now() + getCacheTtlMs(),
+	};
+};
+
+const sendNotFound = (res: Response) => {
+	res.status(404).type('text/plain').send('Not found');
+};
+
+// Serves every client page from MongoDB, picking the client by Host header,
+// so onboarding a client only takes a DNS record pointing here
+export const createSiteApp = () => {
+	const app = express();
+	app.disable('x-powered-by');
+
+	app.get(['/', '/index.html'], async (req: Request, res: Response) => {
+		const host = req.hostname.toLowerCase();
+		try {
+			let page = getCachedPage(host);
+			if (!page) {
+				const generation = getPageCacheGeneration();
+				page = await renderHost(host);
+				setCachedPage(host, page, generation);
+			}
+			if (!page.html) {
+				sendNotFound(res);
+				return;
+			}
+
+			res.set({
+				'Content-Security-Policy': PREVIEW_CONTENT_SECURITY_POLICY,
+				'X-Content-Type-Options': 'nosniff',
+				// Edits go live on publish; browsers must not keep old copies
+				'Cache-Control': 'no-cache',
+			})
+				.type('html')
+				.send(page.html);
+			return;
+		} catch (error) {
+			console.error('Error rendering site for host:', host, error);
+			res.status(500).type('text/plain').send('Server error');
+			return;
+		}
+	});
+
+	app.use((_req, res) => sendNotFound(res));
+	return app;
+};
+
+export const startSiteServer = (): void => {
+	const port = parseInt(process.env.SITE_SERVER_PORT || '5020', 10);
+	createSiteApp().listen(port, () => {
+		console.log(`✅ Shared site renderer listening on port ${port}`);
+	});
+};
@@ -0,0 +1,282 @@
+import Client from '../models/Client.js';
+import SubdomainRule from '../models/SubdomainRule.js';
+import { ResolvedDomain, clientDomainFilter } from './domains.js';
+import { findActiveReservations } from './subdomainReservations.js';
+
+export type SubdomainRejectionCode =
+	| 'TOO_SHORT'
+	| 'TOO_LONG'
+	| 'INVALID_CHARACTERS'
+	| 'HYPHEN_EDGE'
+	| 'RESERVED_HYPHENS'
+	| 'RESERVED'
+	| 'BLOCKED'
+	| 'TAKEN'
+	| 'HELD'
+	| 'UNAVAILABLE';
+
+export interface SubdomainRejection {
+	code: SubdomainRejectionCode;
+	message: string;
+}
+
+export interface SubdomainCheck {
+	subdomain: string;
+	available: boolean;
+	reasons: SubdomainRejection[];
+	// Alternatives that pass the policy, only when the name was rejected
+	suggestions: string[];
+}
+
+export interface SubdomainRules {
+	reserved: Set<string>;
+	blocked: string[];
+}
+
+// RFC 1035: a DNS label is at most 63 octets
+export const MAX_LABEL_LENGTH = 63;
+
+// Names used by infrastructure or likely to be mistaken for the service
+// itself. They always apply; admins add more through SubdomainRule.
+export const BUILT_IN_RESERVED_NAMES = [
+	'admin',
+	'api',
+	'app',
+	'assets',
+	'auth',
+	'autoconfig',
+	'autodiscover',
+	'billing',
+	'cdn',
+	'cpanel',
+	'dns',
+	'email',
+	'ftp',
+	'imap',
+	'localhost',
+	'login',
+	'mail',
+	'mx',
+	'ns',
+	'ns1',
+	'ns2',
+	'ns3',
+	'pop',
+	'pop3',
+	'security',
+	'sftp',
+	'smtp',
+	'ssh',
+	'static',
+	'status',
+	'support',
+	'webmail',
+	'www',
+];
+
+const SUGGESTION_SUFFIXES = ['-site', '-page', '-hq', '-online', '2', '3'];
+const SUGGESTION_PREFIXES = ['my-', 'get-'];
+
+const getMinLength = (domain: ResolvedDomain) =>
+	domain.minSubdomainLength ??
+	parseInt(process.env.SUBDOMAIN_MIN_LENGTH || '3', 10);
+
+export const getSubdomainRules = async (): Promise<SubdomainRules> => {
+	const rules = await SubdomainRule.find().select('word type');
+	return {
+		reserved: new Set([
+			...BUILT_IN_RESERVED_NAMES,
+			...rules
+				.filter((rule) => rule.type === 'reserved')
+				.map((rule) => rule.word),
+		]),
+		blocked: rules
+			.filter((rule) => rule.type === 'blocked')
+			.map((rule) => rule.word),
+	};
+};
+
+// Label syntax: length, allowed characters and hyphen placement
+export const checkSubdomainFormat = (
+	subdomain: string,
+	minLength: number = 1
+): SubdomainRejection[] => {
+	const reasons: SubdomainRejection[] = [];
+	if (subdomain.length < minLength) {
+		reasons.push({
+			code: 'TOO_SHORT',
+			message: `Subdomain must be at least ${minLength} characters long`,
+		});
+	}
+	if (subdomain.length > MAX_LABEL_LENGTH) {
+		reasons.push({
+			code: 'TOO_LONG',
+			message: `Subdomain can be at most ${MAX_LABEL_LENGTH} characters long`,
+		});
+	}
+	if (!/^[a-z0-9-]*$/.test(subdomain)) {
+		reasons.push({
+			code: 'INVALID_CHARACTERS',
+			message:
+				'Subdomain can only contain lowercase letters, numbers, and hyphens',
+		});
+	}
+	if (subdomain.startsWith('-') || subdomain.endsWith('-')) {
+		reasons.push({
+			code: 'HYPHEN_EDGE',
+			message: 'Subdomain cannot start or end with a hyphen',
+		});
+	}
+	// "xn--" and friends mark internationalized and other special labels
+	if (subdomain.slice(2, 4) === '--') {
+		reasons.push({
+			code: 'RESERVED_HYPHENS',
+			message:
+				'Subdomain cannot have hyphens in the third and fourth position',
+		});
+	}
+	return reasons;
+};
+
+// Format plus the reserved and blocked word lists, without touching the
+// database of clients or the DNS provider
+export const evaluateSubdomain = (
+	subdomain: string,
+	domain: ResolvedDomain,
+	rules: SubdomainRules
+): SubdomainRejection[] => {
+	const reasons = checkSubdomainFormat(subdomain, getMinLength(domain));
+	if (rules.reserved.has(subdomain)) {
+		reasons.push({
+			code: 'RESERVED',
+			message: 'This subdomain is reserved',
+		});
+	}
+	if (rules.blocked.some((word) => subdomain.includes(word))) {
+		reasons.push({
+			code: 'BLOCKED',
+			message: 'This subdomain contains a word that is not allowed',
+		});
+	}
+	return reasons;
+};
+
+const isTaken = async (subdomain: string, domain: ResolvedDomain) =>
+	!!(await Client.exists({ subdomain, ...clientDomainFilter(domain) }));
+
+// Names someone other than the user is holding in the creation wizard
+const findHeldByOthers = async (
+	subdomains: string[],
+	domain: ResolvedDomain,
+	userId?: string
+) =>
+	(await findActiveReservations(subdomains, domain))
+		.filter((reservation) => String(reservation.user) !== userId)
+		.map((reservation) => reservation.subdomain);
+
+// Turn any input into something label-shaped to build suggestions from
+const toSuggestionBase = (subdomain: string) =>
+	subdomain
+		.toLowerCase()
+		.replace(/[^a-z0-9-]+/g, '-')
+		.replace(/-{2,}/g, '-')
+		.replace(/^-+|-+$/g, '')
+		.slice(0, MAX_LABEL_LENGTH - 8)
+		.replace(/-+$/, '');
+
+// Alternatives that pass the policy and are free or held by the user. The DNS
+// provider is asked about as few of them as possible since every check is
+// an API call; if it fails the remaining candidates are returned unchecked.
+export const suggestSubdomains = async (
+	subdomain: string,
+	domain: ResolvedDomain,
+	rules: SubdomainRules,
+	userId?: string,
+	count: number = 3
+): Promise<string[]> => {
+	const base = toSuggestionBase(subdomain);
+	if (!base) return [];
+
+	const candidates = [
+		...SUGGESTION_SUFFIXES.map((suffix) => `${base}${suffix}`),
+		...SUGGESTION_PREFIXES.map((prefix) => `${prefix}${base}`),
+	].filter(
+		(candidate) =>
+			candidate !== subdomain &&
+			evaluateSubdomain(candidate, domain, rules).length === 0
+	);
+
+	const taken = await Client.find({
+		subdomain: { $in: candidates },
+		...clientDomainFilter(domain),
+	}).select('subdomain');
+	const held = await findHeldByOthers(candidates, domain, userId);
+	const free = candidates.filter(
+		(candidate) =>
+			!taken.some((client) => client.subdomain === candidate) &&
+			!held.includes(candidate)
+	);
+
+	const suggestions: string[] = [];
+	for (const candidate of free) {
+		if (suggestions.length >= count) break;
+		try {
+			if (await domain.dns.checkSubdomainAvailability(candidate)) {
+				suggestions.push(candidate);
+			}
+		} catch (error) {
+			return [
+				...suggestions,
+				...free.slice(free.indexOf(candidate)),
+			].slice(0, count);
+		}
+	}
+	return suggestions;
+};
+
+// Full check used by both the availability endpoint and client creation:
+// policy, existing clients, other users' holds and finally the DNS provider.
+// DNS provider errors are left to the caller.
+export const checkSubdomain = async (
+	subdomain: string,
+	domain: ResolvedDomain,
+	userId?: string
+): Promise<SubdomainCheck> => {
+	const rules = await getSubdomainRules();
+	const reasons = evaluateSubdomain(subdomain, domain, rules);
+
+	if (reasons.length === 0 && (await isTaken(subdomain, domain))) {
+		reasons.push({
+			code: 'TAKEN',
+			message: 'This subdomain is already taken',
+		});
+	}
+	if (
+		reasons.length === 0 &&
+		(await findHeldByOthers([subdomain], domain, userId)).length > 0
+	) {
+		reasons.push({
+			code: 'HELD',
+			message: 'This subdomain is being held by another user',
+		});
+	}
+	if (
+		reasons.length === 0 &&
+		!(await domain.dns.checkSubdomainAvailability(subdomain))
+	) {
+		reasons.push({
+			code: 'UNAVAILABLE',
+			message: 'This subdomain is not available',
+		});
+	}
+
+	return {
+		subdomain,
+		available: reasons.length === 0,
+		reasons,
+		suggestions:
+			reasons.length > 0
+				? await suggestSubdomains(subdomain, domain, rules, userId)
+				: [],
+	};
+};
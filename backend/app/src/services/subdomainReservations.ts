@@ -0,0 +1,112 @@
+import SubdomainReservation from '../models/SubdomainReservation.js';
+import { IClient, ISubdomainReservation } from '../types.js';
+import { ResolvedDomain } from './domains.js';
+
+export class ReservationError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 400
+	) {
+		super(message);
+		this.name = 'ReservationError';
+	}
+}
+
+const getHoldMs = () =>
+	parseInt(process.env.SUBDOMAIN_HOLD_MINUTES || '15', 10) * 60 * 1000;
+
+const isDuplicateKeyError = (error: unknown) =>
+	(error as { code?: number })?.code === 11000;
+
+const reservationKey = (subdomain: string, domain: ResolvedDomain) => ({
+	subdomain,
+	domain: domain.id ?? null,
+});
+
+// Holds on the given names that haven't expired yet. The TTL monitor runs
+// about once a minute, so expired holds may still be stored.
+export const findActiveReservations = (
+	subdomains: string[],
+	domain: ResolvedDomain
+) =>
+	SubdomainReservation.find({
+		subdomain: { $in: subdomains },
+		domain: domain.id ?? null,
+		expiresAt: { $gt: new Date() },
+	});
+
+// Hold a name for a user, or extend their hold on it. A user holds one name
+// at a time, so picking another name in the wizard frees the previous one.
+export const reserveSubdomain = async (
+	subdomain: string,
+	domain: ResolvedDomain,
+	userId: string
+): Promise<ISubdomainReservation> => {
+	const key = reservationKey(subdomain, domain);
+	await SubdomainReservation.deleteOne({
+		...key,
+		expiresAt: { $lte: new Date() },
+	});
+
+	let reservation: ISubdomainReservation;
+	try {
+		// The unique index on the name fails the upsert if someone else holds it
+		reservation = await SubdomainReservation.findOneAndUpdate(
+			{ ...key, user: userId },
+			{ expiresAt: new Date(Date.now() + getHoldMs()) },
+			{ new: true, upsert: true }
+		);
+	} catch (error) {
+		if (isDuplicateKeyError(error)) {
+			throw new ReservationError(
+				'This subdomain is being held by another user',
+				'SUBDOMAIN_HELD',
+				409
+			);
+		}
+		throw error;
+	}
+
+	await SubdomainReservation.deleteMany({
+		user: userId,
+		_id: { $ne: reservation._id },
+	});
+	return reservation;
+};
+
+export const releaseReservation = async (
+	subdomain: string,
+	domain: ResolvedDomain,
+	userId: string
+): Promise<void> => {
+	await SubdomainReservation.deleteOne({
+		...reservationKey(subdomain, domain),
+		user: userId,
+	});
+};
+
+// Save a new client under its creator's hold on the subdomain. Taking the
+// hold first turns away anyone else in the wizard, the unique index on
+// clients turns away everyone else, and the hold is consumed once the client
+// exists.
+export const saveClientWithReservation = async (
+	client: IClient,
+	domain: ResolvedDomain,
+	userId: string
+): Promise<void> => {
+	await reserveSubdomain(client.subdomain, domain, userId);
+	try {
+		await client.save();
+	} catch (error) {
+		if (isDuplicateKeyError(error)) {
+			throw new ReservationError(
+				'This subdomain is already taken',
+				'SUBDOMAIN_TAKEN',
+				409
+			);
+		}
+		throw error;
+	}
+	await releaseReservation(client.subdomain, domain, userId);
+};
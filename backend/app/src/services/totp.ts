@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, 1Password, Authy, ...
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export const base32Encode = (buffer: Buffer): string => {
+	let bits = 0;
+	let value = 0;
+	let output = '';
+
+	for (const byte of buffer) {
+		value = (value << 8) | byte;
+		bits += 8;
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if (bits > 0) {
+		output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	}
+	return output;
+};
+
+export const base32Decode = (input: string): Buffer => {
+	const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+	let bits = 0;
+	let value = 0;
+	const bytes: number[] = [];
+
+	for (const char of cleaned) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) {
+			throw new Error(`Invalid base32 character "${char}"`);
+		}
+		value = (value << 5) | index;
+		bits += 5;
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+	return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = (): string =>
+	base32Encode(crypto.randomBytes(20));
+
+const getTimeStep = (time: number) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateCodeForStep = (secret: string, step: number): string => {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+
+	const hmac = crypto
+		.createHmac('sha1', base32Decode(secret))
+		.update(counter)
+		.digest();
+	const offset = hmac[hmac.length - 1] & 0xf;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+	return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+export const generateTotpCode = (
+	secret: string,
+	time: number = Date.now()
+): string => generateCodeForStep(secret, getTimeStep(time));
+
+// Returns the matched time step so callers can reject replays, or null.
+// window allows for clock drift of that many steps either way.
+export const verifyTotpCode = (
+	secret: string,
+	code: string,
+	window = 1,
+	time: number = Date.now()
+): number | null => {
+	const normalized = code.replace(/\s/g, '');
+	if (!/^\d{6}$/.test(normalized)) return null;
+
+	const current = getTimeStep(time);
+	for (let offset = -window; offset <= window; offset++) {
+		const expected = generateCodeForStep(secret, current + offset);
+		if (
+			crypto.timingSafeEqual(
+				Buffer.from(expected),
+				Buffer.from(normalized)
+			)
+		) {
+			return current + offset;
+		}
+	}
+	return null;
+};
+
+export const buildOtpauthUri = (
+	secret: string,
+	accountName: string
+): string => {
+	const issuer = process.env.TOTP_ISSUER || 'Subdomains Manager';
+	const label = encodeURIComponent(`${issuer}:${accountName}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: 'SHA1',
+		digits: String(DIGITS),
+		period: String(STEP_SECONDS),
+	});
+	return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { IUser } from '../types.js';
+import { decryptSecret, encryptSecret } from './secrets.js';
+import { getRolePermissions, isPrivilegedPermission } from './roles.js';
+import { getSetting } from './settings.js';
+import { buildOtpauthUri, generateTotpSecret, verifyTotpCode } from './totp.js';
+
+export class TwoFactorError extends Error {
+	constructor(
+		message: string,
+		public code: string,
+		public status: number = 400
+	) {
+		super(message);
+		this.name = 'TwoFactorError';
+	}
+}
+
+export interface SecondFactor {
+	code?: string;
+	recoveryCode?: string;
+}
+
+// Fields to select when a user's second factor has to be checked or changed
+export const TWO_FACTOR_FIELDS =
+	'+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const hashRecoveryCode = (code: string) =>
+	crypto
+		.createHash('sha256')
+		.update(code.replace(/[\s-]/g, '').toLowerCase())
+		.digest('hex');
+
+// Codes are shown once to the user; only their hashes are stored
+const generateRecoveryCodes = () => {
+	const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+		const hex = crypto.randomBytes(5).toString('hex');
+		return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+	});
+	return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Enforced for users whose role grants any administrative permission
+export const isTwoFactorRequired = async (user: IUser): Promise<boolean> =>
+	(await getSetting('requireAdminTwoFactor')) &&
+	(await getRolePermissions(user.role)).some(isPrivilegedPermission);
+
+// Start enrollment; the secret only becomes active once a code is confirmed
+export const beginTwoFactorSetup = async (user: IUser) => {
+	if (user.twoFactor?.enabled) {
+		throw new TwoFactorError(
+			'Two-factor authentication is already enabled',
+			'ALREADY_ENABLED',
+			409
+		);
+	}
+
+	const secret = generateTotpSecret();
+	user.set('twoFactor.pendingSecret', encryptSecret(secret));
+	await user.save();
+
+	return { secret, otpauthUri: buildOtpauthUri(secret, user.email) };
+};
+
+export const confirmTwoFactorSetup = async (
+	user: IUser,
+	code: string
+): Promise<string[]> => {
+	const pendingSecret = user.twoFactor?.pendingSecret;
+	if (!pendingSecret) {
+		throw new TwoFactorError(
+			'Two-factor setup has not been started',
+			'SETUP_NOT_STARTED'
+		);
+	}
+
+	const secret = decryptSecret(pendingSecret);
+	const step = verifyTotpCode(secret, code);
+	if (step === null) {
+		throw new TwoFactorError('Invalid verification code', 'INVALID_CODE');
+	}
+
+	const { codes, hashes } = generateRecoveryCodes();
+	user.set('twoFactor', {
+		enabled: true,
+		secret: pendingSecret,
+		pendingSecret: undefined,
+		recoveryCodes: hashes,
+		lastUsedStep: step,
+		enabledAt: new Date(),
+	});
+	await user.save();
+	return codes;
+};
+
+// Check a TOTP code or consume a recovery code; the user must be loaded with
+// TWO_FACTOR_FIELDS
+export const verifySecondFactor = async (
+	user: IUser,
+	factor: SecondFactor
+): Promise<boolean> => {
+	const twoFactor = user.twoFactor;
+	if (!twoFactor?.enabled || !twoFactor.secret) return false;
+
+	if (factor.code) {
+		const step = verifyTotpCode(
+			decryptSecret(twoFactor.secret),
+			factor.code
+		);
+		if (step === null || step <= (twoFactor.lastUsedStep ?? -1)) {
+			return false;
+		}
+		user.set('twoFactor.lastUsedStep', step);
+		await user.save();
+		return true;
+	}
+
+	if (factor.recoveryCode) {
+		const hash = hashRecoveryCode(factor.recoveryCode);
+		const remaining = (twoFactor.recoveryCodes || []).filter(
+			(stored) => stored !== hash
+		);
+		if (remaining.length === (twoFactor.recoveryCodes || []).length) {
+			return false;
+		}
+		user.set('twoFactor.recoveryCodes', remaining);
+		await user.save();
+		return true;
+	}
+
+	return false;
+};
+
+export const regenerateRecoveryCodes = async (
+	user: IUser
+): Promise<string[]> => {
+	const { codes, hashes } = generateRecoveryCodes();
+	user.set('twoFactor.recoveryCodes', hashes);
+	await user.save();
+	return codes;
+};
+
+export const disableTwoFactor = async (user: IUser): Promise<void> => {
+	user.set('twoFactor', { enabled: false });
+	await user.save();
+};
+
+// Short-lived token proving the password step of a login succeeded. It has
+// no session id, so the auth middleware never accepts it as an access token.
+export const signTwoFactorChallenge = (user: IUser): string =>
+	jwt.sign(
+		{ userId: String(user._id), purpose: '2fa' },
+		process.env.JWT_SECRET!,
+		{ expiresIn: CHALLENGE_TTL_SECONDS }
+	);
+
+export const verifyTwoFactorChallenge = (token: string): string => {
+	try {
+		const decoded = jwt.verify(token, process.env.JWT_SECRET!) as {
+			userId?: string;
+			purpose?: string;
+		};
+		if (decoded.purpose !== '2fa' || !decoded.userId) {
+			throw new Error('Not a two-factor challenge');
+		}
+		return decoded.userId;
+	} catch (error) {
+		throw new TwoFactorError(
+			'Challenge expired or invalid; please log in again',
+			'INVALID_CHALLENGE',
+			401
+		);
+	}
+};
@@ -31,13 +31,14 @@ export class WordPressAPI {
 		this.password = password;
 	}
 
+	private getAuthHeader(): string {
+		return `Basic ${Buffer.from(
+			`${this.username}:${this.password}`
+		).toString('base64')}`;
+	}
+
 	async uploadImage(file: Buffer, filename: string): Promise<string> {
 		try {
-			// Create base64 auth string
-			const auth = Buffer.from(
-				`${this.username}:${this.password}`
-			).toString('base64');
-
 			// Create form data
 			const formData = new FormData();
 			formData.append('file', file, {
@@ -51,7 +52,7 @@ export class WordPressAPI {
 				formData,
 				{
 					headers: {
-						Authorization: `Basic ${auth}`,
+						Authorization: this.getAuthHeader(),
 						...formData.getHeaders(),
 					},
 				}
@@ -80,6 +81,52 @@ export class WordPressAPI {
 		}
 	}
 
+	// Remove an uploaded image by the URL uploadImage returned. The media API
+	// has no lookup by URL, so the library is searched by file name. Returns
+	// false when no media item has that URL.
+	async deleteImage(url: string): Promise<boolean> {
+		try {
+			const filename = decodeURIComponent(
+				new URL(url).pathname.split('/').pop() || ''
+			);
+			const { data } = await axios.get(
+				`${this.apiUrl}/wp-json/wp/v2/media`,
+				{
+					headers: { Authorization: this.getAuthHeader() },
+					params: {
+						search: filename.replace(/\.[^.]+$/, ''),
+						per_page: 100,
+					},
+				}
+			);
+
+			const media = (data as { id: number; source_url: string }[]).find(
+				(item) => item.source_url === url
+			);
+			if (!media) return false;
+
+			// force skips the trash, which media items don't support
+			await axios.delete(
+				`${this.apiUrl}/wp-json/wp/v2/media/${media.id}`,
+				{
+					headers: { Authorization: this.getAuthHeader() },
+					params: { force: true },
+				}
+			);
+			return true;
+		} catch (error) {
+			if (axios.isAxiosError(error)) {
+				throw new WordPressAPIError(
+					error.response?.data?.message || 'Failed to delete image',
+					error.response?.status,
+					error.response?.data?.code,
+					error.response?.data
+				);
+			}
+			throw error;
+		}
+	}
+
 	private getContentType(filename: string): string {
 		const ext = filename.split('.').pop()?.toLowerCase();
 		switch (ext) {
@@ -97,3 +144,33 @@ export class WordPressAPI {
 		}
 	}
 }
+
+let wordpressAPI: WordPressAPI | null = null;
+
+// Lazily initialize the shared WordPress client, returning null when it is not configured
+export const getWordPressAPI = (): WordPressAPI | null => {
+	if (wordpressAPI) return wordpressAPI;
+
+	try {
+		if (
+			!process.env.WORDPRESS_API_URL ||
+			!process.env.WORDPRESS_USERNAME ||
+			!process.env.WORDPRESS_PASSWORD
+		) {
+			console.warn(
+				'Warning: WordPress API credentials not found in environment variables'
+			);
+			return null;
+		}
+
+		wordpressAPI = new WordPressAPI(
+			process.env.WORDPRESS_API_URL,
+			process.env.WORDPRESS_USERNAME,
+			process.env.WORDPRESS_PASSWORD
+		);
+		return wordpressAPI;
+	} catch (error) {
+		console.error('Error initializing WordPress API:', error);
+		return null;
+	}
+};
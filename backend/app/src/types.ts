@@ -1,16 +1,91 @@
 import { Request } from 'express';
 import { Document, Types } from 'mongoose';
 
+export interface ITwoFactor {
+	enabled: boolean;
+	// Encrypted TOTP secrets; pendingSecret awaits confirmation of enrollment
+	secret?: string;
+	pendingSecret?: string;
+	// SHA-256 hashes of the unused recovery codes
+	recoveryCodes?: string[];
+	// Last accepted TOTP time step, so a code cannot be replayed
+	lastUsedStep?: number;
+	enabledAt?: Date;
+}
+
+export interface ILoginLockout {
+	// Consecutive failed logins since the last success or lockout
+	failedAttempts: number;
+	// Lockouts since the last successful login; each one lasts twice as long
+	lockouts: number;
+	lockedUntil?: Date;
+	lastFailedAt?: Date;
+}
+
 export interface IUser extends Document {
 	email: string;
 	password: string;
 	name: string;
-	role: 'admin' | 'user';
+	// Name of a built-in or custom role, see services/roles.ts
+	role: string;
 	isEnabled: boolean;
+	twoFactor: ITwoFactor;
+	lockout: ILoginLockout;
+	// Admin-set overrides of the htmlPolicy setting for this user's clients
+	htmlPolicy?: Partial<IHtmlPolicy>;
 	createdAt: Date;
 	comparePassword(candidatePassword: string): Promise<boolean>;
 }
 
+// Allowlists and limits applied to custom HTML, see services/htmlPolicy.ts
+export interface IHtmlPolicy {
+	allowedTags: string[];
+	allowedAttributes: string[];
+	allowedSchemes: string[];
+	allowStyles: boolean;
+	// Largest accepted input, in bytes of UTF-8
+	maxBytes: number;
+	// Refuse HTML the sanitizer would change instead of saving the result
+	rejectOnViolation: boolean;
+}
+
+export interface IDomain extends Document {
+	apex: string;
+	provider: string;
+	zoneId?: string;
+	serverIp?: string;
+	// AES-GCM encrypted JSON of the provider credentials
+	credentials: string;
+	isDefault: boolean;
+	isActive: boolean;
+	// Shortest subdomain clients may claim; unset uses SUBDOMAIN_MIN_LENGTH
+	minSubdomainLength?: number;
+	createdAt: Date;
+	updatedAt: Date;
+}
+
+// Reserved names can't be claimed exactly; blocked words can't appear
+// anywhere in a subdomain
+export type SubdomainRuleType = 'reserved' | 'blocked';
+
+export interface ISubdomainRule extends Document {
+	word: string;
+	type: SubdomainRuleType;
+	note?: string;
+	createdBy?: Types.ObjectId;
+	createdAt: Date;
+}
+
+// Short hold on a subdomain while a user finishes creating their client
+export interface ISubdomainReservation extends Document {
+	subdomain: string;
+	// Unset for the legacy environment-configured domain
+	domain?: Types.ObjectId;
+	user: Types.ObjectId;
+	expiresAt: Date;
+	createdAt: Date;
+}
+
 export interface ILink {
 	title: string;
 	url: string;
@@ -25,26 +100,359 @@ export interface ICustomization {
 	font?: string;
 }
 
+export interface ICoolifyResource {
+	applicationUuid?: string;
+	serverUuid?: string;
+	projectUuid?: string;
+	environmentUuid?: string;
+}
+
+export type CustomDomainStatus = 'pending' | 'verified' | 'failed';
+
+export interface ICustomDomain {
+	hostname: string;
+	verificationToken: string;
+	status: CustomDomainStatus;
+	txtVerified: boolean;
+	cnameVerified: boolean;
+	lastCheckedAt?: Date;
+	verifiedAt?: Date;
+	lastError?: string;
+}
+
 export interface IClient extends Document {
 	name: string;
 	description: string;
 	subdomain: string;
+	domain?: Types.ObjectId;
 	theme: string;
+	// Creator of the client; access is granted through the organization
 	owner: Types.ObjectId;
+	organization?: Types.ObjectId;
 	links: ILink[];
 	isActive: boolean;
 	customization: ICustomization;
 	logo?: string;
 	isDeployed: boolean;
 	deploymentType: 'template' | 'custom-html';
+	// Sanitized HTML, which is what gets deployed
 	htmlCode?: string;
+	// HTML as the user submitted it
+	htmlCodeRaw?: string;
+	dnsRecordId?: string;
+	coolify?: ICoolifyResource;
+	customDomain?: ICustomDomain;
+	// Number of the ClientRevision the fields above were published from
+	publishedRevision?: number;
+	// Set while the client is in the trash; it is purged after the retention
+	// window and keeps its subdomain until then
+	deletedAt?: Date;
+	deletedBy?: Types.ObjectId;
 	createdAt: Date;
 	lastUpdated: Date;
 }
 
+// The part of a client that is rendered and deployed, versioned in revisions
+export interface IClientContent {
+	name: string;
+	description: string;
+	links: ILink[];
+	customization: ICustomization;
+	logo?: string;
+	deploymentType: 'template' | 'custom-html';
+	htmlCode?: string;
+	htmlCodeRaw?: string;
+}
+
+export type ClientRevisionSource = 'create' | 'edit' | 'rollback';
+
+// Every saved edit of a client's content. The latest revision is the draft;
+// publishing copies a revision onto the client and deploys it.
+export interface IClientRevision extends Document {
+	client: Types.ObjectId;
+	// Sequential per client, starting at 1
+	number: number;
+	content: IClientContent;
+	source: ClientRevisionSource;
+	// Revision whose content a rollback restored
+	restoredFrom?: number;
+	createdBy?: Types.ObjectId;
+	createdAt: Date;
+	publishedAt?: Date;
+	publishedBy?: Types.ObjectId;
+}
+
+export type DeploymentAction = 'provision' | 'deploy' | 'update' | 'teardown';
+
+export type DeploymentStatus =
+	| 'queued'
+	| 'running'
+	| 'succeeded'
+	| 'failed'
+	| 'rolled_back'
+	| 'interrupted';
+
+export type DeploymentDirection = 'forward' | 'rollback';
+
+export type SagaStepStatus =
+	| 'pending'
+	| 'running'
+	| 'completed'
+	| 'failed'
+	| 'compensated'
+	| 'compensation_failed';
+
+export interface IDeploymentError {
+	message: string;
+	code?: string;
+	status?: number;
+	details?: any;
+}
+
+export interface ISagaStepState {
+	name: string;
+	status: SagaStepStatus;
+	startedAt?: Date;
+	completedAt?: Date;
+	compensatedAt?: Date;
+	error?: IDeploymentError;
+}
+
+export interface IDeployment extends Document {
+	client: Types.ObjectId;
+	owner: Types.ObjectId;
+	requestedBy?: Types.ObjectId;
+	subdomain: string;
+	action: DeploymentAction;
+	status: DeploymentStatus;
+	direction: DeploymentDirection;
+	steps: ISagaStepState[];
+	context: Record<string, any>;
+	step?: string;
+	failedStep?: string;
+	coolifyAppUuid?: string;
+	error?: IDeploymentError;
+	queuedAt: Date;
+	startedAt?: Date;
+	finishedAt?: Date;
+}
+
+export interface ISession extends Document {
+	user: Types.ObjectId;
+	// SHA-256 of the current refresh token; the token itself is never stored
+	refreshTokenHash: string;
+	// Hash of the token it replaced, to detect reuse of a rotated token
+	previousRefreshTokenHash?: string;
+	ip?: string;
+	userAgent?: string;
+	createdAt: Date;
+	lastUsedAt: Date;
+	expiresAt: Date;
+	revokedAt?: Date;
+	revokedReason?: string;
+}
+
+export interface ISetting extends Document {
+	key: string;
+	value: any;
+	updatedBy?: Types.ObjectId;
+	updatedAt: Date;
+}
+
+export type OrganizationRole = 'owner' | 'editor' | 'viewer';
+
+export interface IOrganizationMember {
+	user: Types.ObjectId;
+	role: OrganizationRole;
+	joinedAt: Date;
+}
+
+export interface IOrganizationInvitation {
+	_id: Types.ObjectId;
+	email: string;
+	role: OrganizationRole;
+	// SHA-256 of the emailed invitation token
+	tokenHash: string;
+	invitedBy: Types.ObjectId;
+	expiresAt: Date;
+	createdAt: Date;
+}
+
+export interface IOrganization extends Document {
+	name: string;
+	members: IOrganizationMember[];
+	invitations: IOrganizationInvitation[];
+	// Created automatically for a user's clients
+	isPersonal: boolean;
+	createdBy: Types.ObjectId;
+	createdAt: Date;
+}
+
+export type Permission =
+	| 'users.read'
+	| 'users.manage'
+	| 'roles.manage'
+	| 'clients.read'
+	| 'clients.write'
+	| 'clients.deploy'
+	| 'clients.admin'
+	| 'organizations.manage'
+	| 'domains.manage'
+	| 'audit.read'
+	| 'settings.manage'
+	| 'reconcile.run';
+
+export interface IRole extends Document {
+	name: string;
+	description?: string;
+	permissions: Permission[];
+	createdAt: Date;
+	updatedAt: Date;
+}
+
+export type ApiKeyScope = 'clients:read' | 'clients:write' | 'deploy';
+
+export interface IApiKey extends Document {
+	name: string;
+	owner: Types.ObjectId;
+	// Public part of the key, used to look it up
+	prefix: string;
+	// SHA-256 of the full key; the key itself is only shown on creation
+	keyHash: string;
+	scopes: ApiKeyScope[];
+	expiresAt?: Date;
+	lastUsedAt?: Date;
+	lastUsedIp?: string;
+	revokedAt?: Date;
+	createdAt: Date;
+}
+
+export interface IInvitation extends Document {
+	email: string;
+	// Suggested display name; the invitee may change it when accepting
+	name?: string;
+	role: string;
+	// SHA-256 of the emailed token
+	tokenHash: string;
+	invitedBy?: Types.ObjectId;
+	expiresAt: Date;
+	acceptedAt?: Date;
+	// User created from the invitation
+	acceptedBy?: Types.ObjectId;
+	revokedAt?: Date;
+	createdAt: Date;
+}
+
+export interface IRateLimitCounter extends Document {
+	key: string;
+	count: number;
+	resetAt: Date;
+}
+
+export interface IPasswordResetToken extends Document {
+	user: Types.ObjectId;
+	// SHA-256 of the emailed token
+	tokenHash: string;
+	expiresAt: Date;
+	usedAt?: Date;
+	createdAt: Date;
+}
+
+export type AuditAction =
+	| 'auth.login'
+	| 'auth.login_failed'
+	| 'auth.lockout'
+	| 'auth.register'
+	| 'auth.invite_accept'
+	| 'auth.logout'
+	| 'auth.session_revoke'
+	| 'auth.password_change'
+	| 'auth.password_reset_request'
+	| 'auth.password_reset'
+	| 'auth.2fa_enable'
+	| 'auth.2fa_disable'
+	| 'auth.2fa_recovery_codes'
+	| 'auth.api_key_create'
+	| 'auth.api_key_update'
+	| 'auth.api_key_revoke'
+	| 'settings.update'
+	| 'role.create'
+	| 'role.update'
+	| 'role.delete'
+	| 'organization.create'
+	| 'organization.update'
+	| 'organization.delete'
+	| 'organization.invite'
+	| 'organization.invitation_revoke'
+	| 'organization.join'
+	| 'organization.member_update'
+	| 'organization.member_remove'
+	| 'user.create'
+	| 'user.invite'
+	| 'user.invitation_revoke'
+	| 'user.update'
+	| 'user.delete'
+	| 'user.status'
+	| 'user.unlock'
+	| 'client.create'
+	| 'client.update'
+	| 'client.deploy'
+	| 'client.undeploy'
+	| 'client.custom_domain'
+	| 'client.transfer'
+	| 'client.delete'
+	| 'client.restore'
+	| 'client.publish'
+	| 'client.rollback'
+	| 'deployment.resume'
+	| 'deployment.rollback'
+	| 'domain.create'
+	| 'domain.update'
+	| 'domain.delete'
+	| 'subdomain_rule.create'
+	| 'subdomain_rule.delete';
+
+export type AuditTargetType =
+	| 'user'
+	| 'client'
+	| 'deployment'
+	| 'domain'
+	| 'settings'
+	| 'organization'
+	| 'role'
+	| 'subdomain_rule';
+
+export interface IAuditChange {
+	field: string;
+	before?: any;
+	after?: any;
+}
+
+export interface IAuditEvent extends Document {
+	action: AuditAction;
+	// Unset for anonymous events such as failed logins
+	actor?: Types.ObjectId;
+	actorEmail?: string;
+	targetType: AuditTargetType;
+	targetId?: Types.ObjectId;
+	// Client the event concerns, for the per-client activity feed
+	client?: Types.ObjectId;
+	changes: IAuditChange[];
+	metadata?: Record<string, any>;
+	ip?: string;
+	userAgent?: string;
+	createdAt: Date;
+}
+
 export interface AuthRequest extends Request {
 	user?: {
 		userId: string;
+		sessionId?: string;
+		// Set when authenticated with an API key instead of a session
+		apiKeyId?: string;
+		scopes?: string[];
+		// Filled in by requirePermission
+		permissions?: Permission[];
 	};
 }
 
@@ -24,19 +24,53 @@ export interface ICustomization {
 	font?: string;
 }
 
+export interface ICoolifyResource {
+	applicationUuid?: string;
+	serverUuid?: string;
+	projectUuid?: string;
+	environmentUuid?: string;
+}
+
+export type CustomDomainStatus = 'pending' | 'verified' | 'failed';
+
+export interface ICustomDomain {
+	hostname: string;
+	verificationToken: string;
+	status: CustomDomainStatus;
+	txtVerified: boolean;
+	cnameVerified: boolean;
+	lastCheckedAt?: Date;
+	verifiedAt?: Date;
+	lastError?: string;
+}
+
 export interface IClient extends Document {
 	name: string;
 	subdomain: string;
+	domain?: Types.ObjectId;
 	description: string;
 	theme: string;
 	links: ILink[];
+	// Creator of the client; access is granted through the organization
 	owner: Types.ObjectId;
+	organization?: Types.ObjectId;
 	isActive: boolean;
 	isDeployed: boolean;
 	customization: ICustomization;
 	logo?: string;
 	deploymentType: 'template' | 'custom-html';
+	// Sanitized HTML, which is what gets deployed
 	htmlCode?: string;
+	// HTML as the user submitted it
+	htmlCodeRaw?: string;
+	dnsRecordId?: string;
+	coolify?: ICoolifyResource;
+	customDomain?: ICustomDomain;
+	// Number of the ClientRevision the fields above were published from
+	publishedRevision?: number;
+	// Set while the client is in the trash
+	deletedAt?: Date;
+	deletedBy?: Types.ObjectId;
 	createdAt: Date;
 	lastUpdated: Date;
 }
@@ -44,5 +78,11 @@ export interface IClient extends Document {
 export interface AuthRequest extends Request {
 	user?: {
 		userId: string;
+		sessionId?: string;
+		// Set when authenticated with an API key instead of a session
+		apiKeyId?: string;
+		scopes?: string[];
+		// Filled in by requirePermission
+		permissions?: string[];
 	};
 }
@@ -0,0 +1,218 @@
+import { resolvesTo, saveInMemory, serveRouter, signIn } from './helpers.js';
+import assert from 'node:assert/strict';
+import {
+	after,
+	afterEach,
+	before,
+	beforeEach,
+	describe,
+	it,
+	mock,
+} from 'node:test';
+import ApiKey from '../src/models/ApiKey.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import authRouter from '../src/routes/auth.js';
+import {
+	ApiKeyError,
+	authenticateApiKey,
+	createApiKey,
+	revokeUserApiKeys,
+} from '../src/services/apiKeys.js';
+import { MemoryStore, setRateLimitStore } from '../src/services/rateLimit.js';
+import { IApiKey, IUser } from '../src/types.js';
+
+// The API keys collection in memory
+let keys: IApiKey[];
+let user: IUser;
+
+const matches = (apiKey: IApiKey, filter: any) =>
+	(filter._id === undefined || String(apiKey._id) === String(filter._id)) &&
+	(filter.prefix === undefined || apiKey.prefix === filter.prefix) &&
+	(filter.owner === undefined ||
+		String(apiKey.owner) === String(filter.owner)) &&
+	(filter.revokedAt?.$exists !== false || !apiKey.revokedAt);
+
+beforeEach(() => {
+	keys = [];
+	user = saveInMemory(
+		new User({
+			email: 'ada@example.test',
+			password: 'hashed',
+			name: 'Ada',
+		})
+	);
+
+	mock.method(ApiKey, 'create', async (fields: object) => {
+		const apiKey = saveInMemory(new ApiKey(fields));
+		keys.push(apiKey);
+		return apiKey;
+	});
+	mock.method(ApiKey, 'findOne', (filter: any) =>
+		resolvesTo(keys.find((apiKey) => matches(apiKey, filter)) ?? null)
+	);
+	mock.method(ApiKey, 'updateOne', async () => ({}));
+	mock.method(ApiKey, 'updateMany', async (filter: any, update: any) => {
+		const matched = keys.filter((apiKey) => matches(apiKey, filter));
+		matched.forEach((apiKey) => apiKey.set(update));
+		return { modifiedCount: matched.length };
+	});
+	mock.method(User, 'findById', () => resolvesTo(user));
+});
+
+afterEach(() => {
+	mock.restoreAll();
+	mock.timers.reset();
+});
+
+const rejectsWith = (promise: Promise<unknown>, code: string) =>
+	assert.rejects(
+		promise,
+		(error) => error instanceof ApiKeyError && error.code === code
+	);
+
+const newKey = (expiresAt?: Date) =>
+	createApiKey({
+		owner: String(user._id),
+		name: 'CI',
+		scopes: ['deploy'],
+		expiresAt,
+	});
+
+describe('authenticateApiKey', () => {
+	it('resolves a key to its record and stores only a hash', async () => {
+		const { apiKey, key } = await newKey();
+
+		assert.ok(key.startsWith(`sdm_${apiKey.prefix}_`));
+		assert.notEqual(apiKey.keyHash, key);
+		assert.equal(await authenticateApiKey(key), apiKey);
+	});
+
+	it('rejects a wrong secret for a known prefix', async () => {
+		const { apiKey } = await newKey();
+
+		await rejectsWith(
+			authenticateApiKey(`sdm_${apiKey.prefix}_guessed`),
+			'INVALID_API_KEY'
+		);
+	});
+
+	it('rejects keys that do not look like one', async () => {
+		await rejectsWith(authenticateApiKey('Bearer abc'), 'INVALID_API_KEY');
+	});
+
+	it('rejects revoked keys', async () => {
+		const { key } = await newKey();
+		await revokeUserApiKeys(String(user._id));
+
+		await rejectsWith(authenticateApiKey(key), 'API_KEY_REVOKED');
+	});
+
+	it('rejects expired keys', async () => {
+		mock.timers.enable({ apis: ['Date'], now: 0 });
+		const { key } = await newKey(new Date(60000));
+
+		mock.timers.tick(60001);
+		await rejectsWith(authenticateApiKey(key), 'API_KEY_EXPIRED');
+	});
+
+	it('rejects keys of a disabled owner', async () => {
+		const { key } = await newKey();
+		user.isEnabled = false;
+
+		await rejectsWith(authenticateApiKey(key), 'USER_DISABLED');
+	});
+});
+
+describe('revokeUserApiKeys', () => {
+	it('revokes only the active keys of the owner', async () => {
+		await newKey();
+		await newKey();
+		const other = await createApiKey({
+			owner: String(new User()._id),
+			name: 'Other',
+			scopes: ['deploy'],
+		});
+
+		assert.equal(await revokeUserApiKeys(String(user._id)), 2);
+		assert.equal(await revokeUserApiKeys(String(user._id)), 0);
+		assert.equal(other.apiKey.revokedAt, undefined);
+	});
+});
+
+describe('API key routes', () => {
+	let server: Awaited<ReturnType<typeof serveRouter>>;
+	let audits: any[];
+
+	before(async () => {
+		server = await serveRouter('/api/auth', authRouter);
+	});
+	after(() => server.close());
+
+	beforeEach(() => {
+		audits = [];
+		setRateLimitStore(new MemoryStore());
+		mock.method(AuditEvent, 'create', async (event: object) => {
+			audits.push(event);
+			return event;
+		});
+	});
+	afterEach(() => setRateLimitStore(null));
+
+	it('records the scopes before and after an update', async () => {
+		const { apiKey } = await newKey();
+
+		const response = await server.request(
+			'PUT',
+			`/api/auth/api-keys/${apiKey._id}`,
+			{
+				body: { scopes: ['deploy', 'clients:write'] },
+				token: signIn(user),
+			}
+		);
+
+		assert.equal(response.status, 200);
+		const [audit] = audits;
+		assert.equal(audit.action, 'auth.api_key_update');
+		assert.deepEqual(audit.changes, [
+			{
+				field: 'scopes',
+				before: ['deploy'],
+				after: ['deploy', 'clients:write'],
+			},
+		]);
+	});
+
+	it('does not update a revoked key', async () => {
+		const { apiKey } = await newKey();
+		await revokeUserApiKeys(String(user._id));
+
+		const response = await server.request(
+			'PUT',
+			`/api/auth/api-keys/${apiKey._id}`,
+			{ body: { name: 'Renamed' }, token: signIn(user) }
+		);
+
+		assert.equal(response.status, 404);
+	});
+
+	it('revokes every key when the password changes', async () => {
+		const { key } = await newKey();
+		mock.method(user, 'comparePassword', async () => true);
+		mock.method(Session, 'updateMany', async () => ({}));
+
+		const response = await server.request(
+			'POST',
+			'/api/auth/change-password',
+			{
+				body: { currentPassword: 'hashed', newPassword: 'new secret' },
+				token: signIn(user),
+			}
+		);
+
+		assert.equal(response.status, 200);
+		await rejectsWith(authenticateApiKey(key), 'API_KEY_REVOKED');
+		assert.deepEqual(audits[0].metadata, { revokedApiKeys: 1 });
+	});
+});
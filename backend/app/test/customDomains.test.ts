@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import {
+	DomainResolver,
+	checkCustomDomain,
+	parseCustomHostname,
+	setDomainResolver,
+} from '../src/services/customDomains.js';
+import { ICustomDomain } from '../src/types.js';
+
+const TARGET = 'acme.sites.test';
+
+const customDomain = {
+	hostname: 'www.acme.example',
+	verificationToken: 'token123',
+	status: 'pending',
+	txtVerified: false,
+	cnameVerified: false,
+} as ICustomDomain;
+
+const notFound = (hostname: string) =>
+	Object.assign(new Error(`queryTxt ENOTFOUND ${hostname}`), {
+		code: 'ENOTFOUND',
+	});
+
+// Answers from fixed records like a local DNS server; unknown names are
+// NXDOMAIN
+const stubResolver = (records: {
+	txt?: Record<string, string[][]>;
+	cname?: Record<string, string[]>;
+}): DomainResolver => ({
+	resolveTxt: async (hostname) => {
+		const answer = records.txt?.[hostname];
+		if (!answer) throw notFound(hostname);
+		return answer;
+	},
+	resolveCname: async (hostname) => {
+		const answer = records.cname?.[hostname];
+		if (!answer) throw notFound(hostname);
+		return answer;
+	},
+});
+
+describe('checkCustomDomain', () => {
+	afterEach(() => setDomainResolver(null));
+
+	it('verifies matching TXT and CNAME records', async () => {
+		setDomainResolver(
+			stubResolver({
+				txt: {
+					'_subdomains-verify.www.acme.example': [
+						['unrelated'],
+						['subdomains-verify=', 'token123'],
+					],
+				},
+				cname: { 'www.acme.example': ['ACME.sites.test.'] },
+			})
+		);
+
+		assert.deepEqual(await checkCustomDomain(customDomain, TARGET), {
+			txtVerified: true,
+			cnameVerified: true,
+			errors: [],
+		});
+	});
+
+	it('reports records that point elsewhere', async () => {
+		setDomainResolver(
+			stubResolver({
+				txt: {
+					'_subdomains-verify.www.acme.example': [
+						['subdomains-verify=other'],
+					],
+				},
+				cname: { 'www.acme.example': ['someone-else.test'] },
+			})
+		);
+
+		const check = await checkCustomDomain(customDomain, TARGET);
+		assert.equal(check.txtVerified, false);
+		assert.equal(check.cnameVerified, false);
+		assert.deepEqual(check.errors, [
+			'TXT record _subdomains-verify.www.acme.example does not contain subdomains-verify=token123',
+			'CNAME record www.acme.example does not point to acme.sites.test',
+		]);
+	});
+
+	it('treats NXDOMAIN as records not set up yet', async () => {
+		setDomainResolver(stubResolver({}));
+
+		const check = await checkCustomDomain(customDomain, TARGET);
+		assert.equal(check.txtVerified, false);
+		assert.equal(check.cnameVerified, false);
+		assert.deepEqual(check.errors, [
+			'TXT lookup failed: ENOTFOUND',
+			'CNAME lookup failed: ENOTFOUND',
+		]);
+	});
+
+	it('verifies each record on its own', async () => {
+		setDomainResolver(
+			stubResolver({
+				cname: { 'www.acme.example': ['acme.sites.test'] },
+			})
+		);
+
+		const check = await checkCustomDomain(customDomain, TARGET);
+		assert.equal(check.txtVerified, false);
+		assert.equal(check.cnameVerified, true);
+	});
+});
+
+describe('parseCustomHostname', () => {
+	it('normalizes the hostname', () => {
+		assert.equal(
+			parseCustomHostname(' WWW.Acme.Example. ', ['sites.test']),
+			'www.acme.example'
+		);
+	});
+
+	it('rejects hosts under a managed apex', () => {
+		assert.throws(
+			() => parseCustomHostname('shop.sites.test', ['sites.test']),
+			{ code: 'MANAGED_DOMAIN' }
+		);
+	});
+
+	it('rejects invalid hostnames', () => {
+		assert.throws(() => parseCustomHostname('not a host', []), {
+			code: 'INVALID_HOSTNAME',
+		});
+	});
+});
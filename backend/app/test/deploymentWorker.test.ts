@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { Types } from 'mongoose';
+import Deployment from '../src/models/Deployment.js';
+import {
+	resumeDeployment,
+	rollbackDeployment,
+} from '../src/services/deploymentWorker.js';
+import { IDeployment } from '../src/types.js';
+
+const deployment = { _id: new Types.ObjectId() } as IDeployment;
+
+// Another request already requeued the deployment, so nothing matches
+const mockNoMatch = () =>
+	mock.method(Deployment, 'findOneAndUpdate', async () => null);
+
+describe('requeueing a deployment', () => {
+	afterEach(() => mock.restoreAll());
+
+	it('resumes only while the deployment is interrupted', async () => {
+		const update = mockNoMatch();
+
+		assert.equal(await resumeDeployment(deployment), null);
+		const [filter, changes] = update.mock.calls[0].arguments as any[];
+		assert.deepEqual(filter, {
+			_id: deployment._id,
+			status: 'interrupted',
+		});
+		assert.deepEqual(changes.$set, {
+			status: 'queued',
+			direction: 'forward',
+		});
+	});
+
+	it('rolls back only while the deployment is interrupted or failed', async () => {
+		const update = mockNoMatch();
+
+		assert.equal(await rollbackDeployment(deployment), null);
+		const [filter, changes] = update.mock.calls[0].arguments as any[];
+		assert.deepEqual(filter, {
+			_id: deployment._id,
+			status: { $in: ['interrupted', 'failed'] },
+		});
+		assert.deepEqual(changes.$set, {
+			status: 'queued',
+			direction: 'rollback',
+		});
+	});
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { Types } from 'mongoose';
+import Domain from '../src/models/Domain.js';
+import {
+	encryptCredentials,
+	listResolvedDomains,
+} from '../src/services/domains.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const storedDomain = (apex: string, credentials: string) => ({
+	_id: new Types.ObjectId(),
+	apex,
+	provider: 'cloudflare',
+	zoneId: 'zone',
+	serverIp: '203.0.113.10',
+	isDefault: false,
+	credentials,
+	updatedAt: new Date(),
+});
+
+const mockActiveDomains = (domains: unknown[]) =>
+	mock.method(Domain, 'find', () => ({ select: async () => domains }));
+
+describe('listResolvedDomains', () => {
+	afterEach(() => mock.restoreAll());
+
+	it('resolves every active domain', async () => {
+		mockActiveDomains([
+			storedDomain('one.test', encryptCredentials({ apiToken: 'a' })),
+			storedDomain('two.test', encryptCredentials({ apiToken: 'b' })),
+		]);
+
+		const domains = await listResolvedDomains();
+		assert.deepEqual(
+			domains.map((domain) => domain.apex),
+			['one.test', 'two.test']
+		);
+	});
+
+	it('skips a domain whose credentials cannot be decrypted', async () => {
+		mock.method(console, 'error', () => {});
+		mockActiveDomains([
+			storedDomain('broken.test', 'v1:not:valid:ciphertext'),
+			storedDomain('good.test', encryptCredentials({ apiToken: 'a' })),
+		]);
+
+		const domains = await listResolvedDomains();
+		assert.deepEqual(
+			domains.map((domain) => domain.apex),
+			['good.test']
+		);
+	});
+
+	it('skips a domain with an incomplete provider config', async () => {
+		mock.method(console, 'error', () => {});
+		mockActiveDomains([
+			storedDomain('good.test', encryptCredentials({ apiToken: 'a' })),
+			storedDomain('missing-token.test', encryptCredentials({})),
+		]);
+
+		const domains = await listResolvedDomains();
+		assert.deepEqual(
+			domains.map((domain) => domain.apex),
+			['good.test']
+		);
+	});
+});
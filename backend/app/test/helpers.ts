@@ -0,0 +1,85 @@
+import { once } from 'node:events';
+import { AddressInfo } from 'node:net';
+import { mock } from 'node:test';
+import express, { Router } from 'express';
+import mongoose from 'mongoose';
+import Session from '../src/models/Session.js';
+import { signAccessToken } from '../src/services/sessions.js';
+import { IUser } from '../src/types.js';
+
+// Tests run without MongoDB: a query nobody stubbed fails right away instead
+// of waiting for a connection
+mongoose.set('bufferCommands', false);
+process.env.JWT_SECRET ||= 'test-secret';
+
+// Stand-in for a mongoose Query: awaitable, and chainable like one
+export const resolvesTo = <T>(result: T) => {
+	const query = Promise.resolve(result) as Promise<T> & Record<string, any>;
+	for (const method of ['select', 'sort', 'populate', 'limit', 'lean']) {
+		query[method] = () => query;
+	}
+	return query;
+};
+
+// Saving the document keeps it in memory only
+export const saveInMemory = <T extends mongoose.Document>(doc: T): T => {
+	mock.method(doc as mongoose.Document, 'save', async () => doc);
+	return doc;
+};
+
+// Access token of a live session of the user, as the auth middleware accepts
+// it once User.findById resolves the user
+export const signIn = (user: IUser): string => {
+	const session = new Session({
+		user: user._id,
+		refreshTokenHash: 'unused',
+		expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+	});
+	mock.method(Session, 'findById', () => resolvesTo(session));
+	return signAccessToken(String(user._id), String(session._id));
+};
+
+export interface TestServer {
+	request(
+		method: string,
+		path: string,
+		options?: { body?: unknown; token?: string }
+	): Promise<{ status: number; body: any }>;
+	close(): Promise<void>;
+}
+
+// Serve a router on a free local port, mounted like the API mounts it
+export const serveRouter = async (
+	mountPath: string,
+	router: Router
+): Promise<TestServer> => {
+	const app = express();
+	app.use(express.json());
+	app.use(mountPath, router);
+
+	const server = app.listen(0, '127.0.0.1');
+	await once(server, 'listening');
+	const { port } = server.address() as AddressInfo;
+
+	return {
+		async request(method, path, { body, token } = {}) {
+			const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+				method,
+				headers: {
+					'Content-Type': 'application/json',
+					...(token ? { Authorization: `Bearer ${token}` } : {}),
+				},
+				body: body === undefined ? undefined : JSON.stringify(body),
+			});
+			const text = await response.text();
+			return {
+				status: response.status,
+				body: text ? JSON.parse(text) : null,
+			};
+		},
+		close: () =>
+			new Promise<void>((resolve, reject) =>
+				server.close((error) => (error ? reject(error) : resolve()))
+			),
+	};
+};
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+	sanitizeCss,
+	sanitizeHtml,
+	sanitizeHtmlWithReport,
+} from '../src/services/htmlSanitizer.js';
+
+// Tags the sanitized output would open in a browser
+const openedTags = (html: string) =>
+	[...html.matchAll(/<([a-z][a-z0-9-]*)([^>]*)>/gi)].map(
+		([, tag, attributes]) => ({ tag: tag.toLowerCase(), attributes })
+	);
+
+describe('sanitizeHtml <style> handling', () => {
+	it('does not let a removed end tag join into a new one', () => {
+		const html = sanitizeHtml(
+			'<style></</stylestyle><img src=x onerror=alert(1)></style>'
+		);
+		assert.deepEqual(
+			openedTags(html).map(({ tag }) => tag),
+			['style']
+		);
+		assert.ok(!html.includes('<img'));
+	});
+
+	it('ends <style> on "</style/>" like browsers do', () => {
+		const html = sanitizeHtml(
+			'<style>p{color:red}</style/><img src=x onerror=alert(1)>'
+		);
+		assert.equal(html, '<style>p{color:red}</style><img src="x">');
+	});
+
+	it('ends <style> on an end tag with attributes', () => {
+		const html = sanitizeHtml(
+			'<style>p{}</style foo="bar"><script>alert(1)</script>'
+		);
+		assert.equal(html, '<style>p{}</style>');
+	});
+
+	it('escapes "<" inside style text', () => {
+		assert.equal(
+			sanitizeHtml('<style>a::after{content:"<"}</style>'),
+			'<style>a::after{content:"\\3c "}</style>'
+		);
+	});
+
+	it('treats "</style>" inside a CSS string as the end tag', () => {
+		const html = sanitizeHtml(
+			'<style>a::after{content:"</style><img src=x onerror=alert(1)>"}</style>'
+		);
+		assert.ok(html.includes('<img src="x">'));
+		assert.ok(!html.includes('onerror'));
+	});
+
+	it('does not decode entities in style text', () => {
+		const css = 'a{background:url(&#106;avascript:alert(1))}';
+		assert.equal(
+			sanitizeHtml(`<style>${css}</style>`),
+			`<style>${css}</style>`
+		);
+	});
+
+	it('drops <script> ended by "</script/>"', () => {
+		assert.equal(
+			sanitizeHtml('<p>a</p><script>alert(1)</script/><p>b</p>'),
+			'<p>a</p><p>b</p>'
+		);
+	});
+});
+
+describe('sanitizeCss', () => {
+	it('repeats removals until nothing changes', () => {
+		assert.equal(
+			sanitizeCss('a{b:url(javajavascript:script:alert(1))}'),
+			'a{b:url(alert(1))}'
+		);
+		assert.equal(sanitizeCss('a{b:expr/**/ession(1)}'), 'a{b:(1)}');
+	});
+});
+
+describe('sanitizeHtml URL attributes', () => {
+	const payloads = [
+		'&#106;avascript:alert(1)',
+		'&#x6A;avascript:alert(1)',
+		'&#0000106avascript:alert(1)',
+		'javascript&colon;alert(1)',
+		'java&Tab;script:alert(1)',
+		'java&#10;script:alert(1)',
+		' JaVaScRiPt:alert(1)',
+	];
+
+	for (const payload of payloads) {
+		it(`removes href="${payload}"`, () => {
+			const { html, findings } = sanitizeHtmlWithReport(
+				`<a href="${payload}">x</a>`
+			);
+			assert.equal(html, '<a>x</a>');
+			assert.deepEqual(findings, [
+				{ kind: 'url', name: 'a[href]', count: 1 },
+			]);
+		});
+	}
+
+	it('keeps http(s) links', () => {
+		assert.equal(
+			sanitizeHtml('<a href="https://example.com/?a=1&amp;b=2">x</a>'),
+			'<a href="https://example.com/?a=1&amp;b=2">x</a>'
+		);
+	});
+});
@@ -0,0 +1,176 @@
+import { resolvesTo, saveInMemory, serveRouter } from './helpers.js';
+import assert from 'node:assert/strict';
+import {
+	after,
+	afterEach,
+	before,
+	beforeEach,
+	describe,
+	it,
+	mock,
+} from 'node:test';
+import bcrypt from 'bcryptjs';
+import AuditEvent from '../src/models/AuditEvent.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import Setting from '../src/models/Setting.js';
+import User from '../src/models/User.js';
+import authRouter from '../src/routes/auth.js';
+import {
+	getLockedUntil,
+	recordFailedLogin,
+	resetFailedLogins,
+} from '../src/services/loginLockout.js';
+import { MemoryStore, setRateLimitStore } from '../src/services/rateLimit.js';
+import { IUser } from '../src/types.js';
+
+const MINUTE = 60 * 1000;
+const PASSWORD = 'correct horse';
+
+const createUser = () =>
+	saveInMemory(
+		new User({
+			email: 'ada@example.test',
+			password: bcrypt.hashSync(PASSWORD, 4),
+			name: 'Ada',
+		})
+	);
+
+// Apply the updates the lockout service sends MongoDB to the user in memory
+const storeLockoutIn = (user: IUser) => {
+	const apply = (update: any) => {
+		for (const [path, value] of Object.entries(update.$set || {})) {
+			user.set(path, value);
+		}
+		for (const [path, value] of Object.entries(update.$inc || {})) {
+			user.set(path, (user.get(path) || 0) + (value as number));
+		}
+	};
+	mock.method(User, 'findOneAndUpdate', async (_filter: any, update: any) => {
+		apply(update);
+		return user;
+	});
+	return mock.method(User, 'updateOne', async (_filter: any, update: any) => {
+		apply(update);
+		return { acknowledged: true };
+	});
+};
+
+describe('loginLockout', () => {
+	afterEach(() => {
+		mock.restoreAll();
+		delete process.env.LOGIN_LOCKOUT_THRESHOLD;
+		delete process.env.LOGIN_LOCKOUT_MAX_MINUTES;
+	});
+
+	it('locks the account after the threshold of failures', async () => {
+		process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+		const user = createUser();
+		storeLockoutIn(user);
+
+		assert.equal(await recordFailedLogin(user), null);
+		assert.equal(await recordFailedLogin(user), null);
+		const lockedUntil = await recordFailedLogin(user);
+
+		assert.ok(lockedUntil);
+		const duration = lockedUntil.getTime() - Date.now();
+		assert.ok(duration > 4 * MINUTE && duration <= 5 * MINUTE);
+		assert.deepEqual(getLockedUntil(user), lockedUntil);
+		assert.equal(user.lockout.failedAttempts, 0);
+		assert.equal(user.lockout.lockouts, 1);
+	});
+
+	it('doubles each lockout up to the maximum', async () => {
+		process.env.LOGIN_LOCKOUT_THRESHOLD = '1';
+		process.env.LOGIN_LOCKOUT_MAX_MINUTES = '15';
+		const user = createUser();
+		storeLockoutIn(user);
+
+		const durations = [];
+		for (let i = 0; i < 4; i++) {
+			const lockedUntil = await recordFailedLogin(user);
+			durations.push(
+				Math.round((lockedUntil!.getTime() - Date.now()) / MINUTE)
+			);
+		}
+		assert.deepEqual(durations, [5, 10, 15, 15]);
+	});
+
+	it('treats a lockout as over once it has expired', () => {
+		const user = createUser();
+		user.set('lockout.lockedUntil', new Date(Date.now() - 1000));
+		assert.equal(getLockedUntil(user), null);
+	});
+
+	it('clears failures on a successful login', async () => {
+		const user = createUser();
+		const updateOne = storeLockoutIn(user);
+
+		await resetFailedLogins(user);
+		assert.equal(updateOne.mock.callCount(), 0);
+
+		await recordFailedLogin(user);
+		await resetFailedLogins(user);
+		assert.equal(user.lockout.failedAttempts, 0);
+		assert.equal(user.lockout.lockouts, 0);
+	});
+});
+
+describe('POST /api/auth/login lockout', () => {
+	let server: Awaited<ReturnType<typeof serveRouter>>;
+	let user: IUser;
+
+	before(async () => {
+		server = await serveRouter('/api/auth', authRouter);
+	});
+	after(() => server.close());
+
+	beforeEach(() => {
+		setRateLimitStore(new MemoryStore());
+		user = createUser();
+		storeLockoutIn(user);
+		mock.method(User, 'findOne', () => resolvesTo(user));
+		mock.method(User, 'findById', () => resolvesTo(user));
+		mock.method(AuditEvent, 'create', async () => ({}));
+		mock.method(Role, 'findOne', () => resolvesTo(null));
+		mock.method(Setting, 'findOne', () => resolvesTo(null));
+		mock.method(Session.prototype, 'save', async function (this: any) {
+			return this;
+		});
+	});
+	afterEach(() => {
+		mock.restoreAll();
+		setRateLimitStore(null);
+	});
+
+	const login = (password: string) =>
+		server.request('POST', '/api/auth/login', {
+			body: { email: 'ada@example.test', password },
+		});
+
+	it('answers 423 after five wrong passwords, even to the right one', async () => {
+		for (let i = 0; i < 5; i++) {
+			assert.equal((await login('wrong')).status, 400);
+		}
+
+		const locked = await login(PASSWORD);
+		assert.equal(locked.status, 423);
+		assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+		assert.ok(locked.body.retryAfter > 0);
+	});
+
+	it('starts counting again after a successful login', async () => {
+		for (let i = 0; i < 4; i++) await login('wrong');
+		assert.equal((await login(PASSWORD)).status, 200);
+
+		for (let i = 0; i < 4; i++) {
+			assert.equal((await login('wrong')).status, 400);
+		}
+		assert.equal((await login(PASSWORD)).status, 200);
+	});
+
+	it('lets the user in once the lockout has expired', async () => {
+		user.set('lockout.lockedUntil', new Date(Date.now() - 1000));
+		assert.equal((await login(PASSWORD)).status, 200);
+	});
+});
@@ -0,0 +1,247 @@
+import { resolvesTo, saveInMemory, serveRouter } from './helpers.js';
+import assert from 'node:assert/strict';
+import {
+	after,
+	afterEach,
+	before,
+	beforeEach,
+	describe,
+	it,
+	mock,
+} from 'node:test';
+import { Types } from 'mongoose';
+import ApiKey from '../src/models/ApiKey.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import PasswordResetToken from '../src/models/PasswordResetToken.js';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import authRouter from '../src/routes/auth.js';
+import { MailMessage, setMailTransport } from '../src/services/mail.js';
+import {
+	consumePasswordResetToken,
+	sendPasswordResetEmail,
+} from '../src/services/passwordReset.js';
+import { MemoryStore, setRateLimitStore } from '../src/services/rateLimit.js';
+
+interface StoredToken {
+	user: Types.ObjectId;
+	tokenHash: string;
+	expiresAt: Date;
+	usedAt?: Date;
+}
+
+// The reset tokens collection and the outbox, in memory
+let tokens: StoredToken[];
+let outbox: MailMessage[];
+
+const newUser = () =>
+	saveInMemory(
+		new User({
+			email: 'ada@example.test',
+			password: 'hashed',
+			name: 'Ada',
+		})
+	);
+
+// Token from the link in the last email sent
+const mailedToken = () => {
+	const match = /token=(\S+)/.exec(outbox[outbox.length - 1].text);
+	return decodeURIComponent(match![1]);
+};
+
+beforeEach(() => {
+	tokens = [];
+	outbox = [];
+	setMailTransport({
+		name: 'outbox',
+		send: async (message) => {
+			outbox.push(message);
+		},
+	});
+
+	mock.method(PasswordResetToken, 'deleteMany', async (filter: any) => {
+		tokens = tokens.filter((token) => !token.user.equals(filter.user));
+	});
+	mock.method(PasswordResetToken, 'create', async (token: StoredToken) => {
+		tokens.push({ ...token });
+	});
+	mock.method(
+		PasswordResetToken,
+		'findOneAndUpdate',
+		async (filter: any, update: any) => {
+			const token = tokens.find(
+				(candidate) =>
+					candidate.tokenHash === filter.tokenHash &&
+					!candidate.usedAt &&
+					candidate.expiresAt > filter.expiresAt.$gt
+			);
+			if (!token) return null;
+			Object.assign(token, update);
+			return token;
+		}
+	);
+});
+
+afterEach(() => {
+	mock.restoreAll();
+	mock.timers.reset();
+	setMailTransport(null);
+});
+
+describe('password reset tokens', () => {
+	it('emails a link whose token can be used once', async () => {
+		const user = newUser();
+		await sendPasswordResetEmail(user);
+
+		assert.equal(outbox.length, 1);
+		assert.equal(outbox[0].to, 'ada@example.test');
+		const token = mailedToken();
+		assert.notEqual(tokens[0].tokenHash, token);
+
+		assert.equal(await consumePasswordResetToken(token), String(user._id));
+		assert.equal(await consumePasswordResetToken(token), null);
+	});
+
+	it('invalidates earlier tokens when a new one is sent', async () => {
+		const user = newUser();
+		await sendPasswordResetEmail(user);
+		const first = mailedToken();
+		await sendPasswordResetEmail(user);
+
+		assert.equal(await consumePasswordResetToken(first), null);
+		assert.equal(
+			await consumePasswordResetToken(mailedToken()),
+			String(user._id)
+		);
+	});
+
+	it('rejects expired tokens', async () => {
+		mock.timers.enable({ apis: ['Date'], now: 0 });
+		await sendPasswordResetEmail(newUser());
+
+		mock.timers.tick(60 * 60 * 1000);
+		assert.equal(await consumePasswordResetToken(mailedToken()), null);
+	});
+
+	it('rejects unknown tokens', async () => {
+		assert.equal(await consumePasswordResetToken('guessed'), null);
+	});
+});
+
+describe('POST /api/auth/forgot-password', () => {
+	let server: Awaited<ReturnType<typeof serveRouter>>;
+
+	before(async () => {
+		server = await serveRouter('/api/auth', authRouter);
+	});
+	after(() => server.close());
+
+	beforeEach(() => {
+		setRateLimitStore(new MemoryStore());
+		mock.method(AuditEvent, 'create', async () => ({}));
+	});
+	afterEach(() => setRateLimitStore(null));
+
+	const requestReset = (email: string) =>
+		server.request('POST', '/api/auth/forgot-password', {
+			body: { email },
+		});
+
+	it('answers an unknown email like a known one', async () => {
+		mock.method(User, 'findOne', () => resolvesTo(newUser()));
+		const known = await requestReset('ada@example.test');
+
+		mock.method(User, 'findOne', () => resolvesTo(null));
+		const unknown = await requestReset('nobody@example.test');
+
+		assert.equal(known.status, 200);
+		assert.deepEqual(unknown, known);
+		assert.equal(outbox.length, 1);
+	});
+
+	it('answers the same when the email cannot be sent', async () => {
+		mock.method(console, 'error', () => {});
+		mock.method(User, 'findOne', () => resolvesTo(newUser()));
+		setMailTransport({
+			name: 'broken',
+			send: async () => {
+				throw new Error('connection refused');
+			},
+		});
+
+		const response = await requestReset('ada@example.test');
+
+		assert.equal(response.status, 200);
+		assert.equal(
+			response.body.message,
+			'If an account exists for this email, a reset link has been sent'
+		);
+	});
+
+	it('sends nothing to a disabled account', async () => {
+		const user = newUser();
+		user.isEnabled = false;
+		mock.method(User, 'findOne', () => resolvesTo(user));
+
+		const response = await requestReset('ada@example.test');
+
+		assert.equal(response.status, 200);
+		assert.equal(outbox.length, 0);
+	});
+});
+
+describe('POST /api/auth/reset-password', () => {
+	let server: Awaited<ReturnType<typeof serveRouter>>;
+
+	before(async () => {
+		server = await serveRouter('/api/auth', authRouter);
+	});
+	after(() => server.close());
+
+	beforeEach(() => {
+		setRateLimitStore(new MemoryStore());
+		mock.method(AuditEvent, 'create', async () => ({}));
+		mock.method(User, 'updateOne', async () => ({}));
+	});
+	afterEach(() => setRateLimitStore(null));
+
+	const resetPassword = (token: string) =>
+		server.request('POST', '/api/auth/reset-password', {
+			body: { token, password: 'correct horse' },
+		});
+
+	it('sets the password once and signs the user out everywhere', async () => {
+		const user = newUser();
+		mock.method(User, 'findById', () => resolvesTo(user));
+		const revokeSessions = mock.method(Session, 'updateMany', async () => ({
+			modifiedCount: 2,
+		}));
+		const revokeApiKeys = mock.method(ApiKey, 'updateMany', async () => ({
+			modifiedCount: 1,
+		}));
+		await sendPasswordResetEmail(user);
+		const token = mailedToken();
+
+		const response = await resetPassword(token);
+
+		assert.equal(response.status, 200);
+		assert.equal(user.password, 'correct horse');
+		assert.equal(revokeSessions.mock.callCount(), 1);
+		assert.equal(revokeApiKeys.mock.callCount(), 1);
+
+		const reused = await resetPassword(token);
+		assert.equal(reused.status, 400);
+		assert.equal(reused.body.message, 'Invalid or expired reset token');
+	});
+
+	it('rejects a token of a disabled account', async () => {
+		const user = newUser();
+		user.isEnabled = false;
+		mock.method(User, 'findById', () => resolvesTo(user));
+		await sendPasswordResetEmail(user);
+
+		const response = await resetPassword(mailedToken());
+
+		assert.equal(response.status, 400);
+	});
+});
@@ -0,0 +1,258 @@
+import { resolvesTo, saveInMemory, serveRouter, signIn } from './helpers.js';
+import assert from 'node:assert/strict';
+import {
+	after,
+	afterEach,
+	before,
+	beforeEach,
+	describe,
+	it,
+	mock,
+} from 'node:test';
+import AuditEvent from '../src/models/AuditEvent.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import Setting from '../src/models/Setting.js';
+import User from '../src/models/User.js';
+import { PermissionError, authorize } from '../src/middleware/permissions.js';
+import usersRouter from '../src/routes/users.js';
+import { AuthRequest, IUser } from '../src/types.js';
+
+// Stored roles: support manages users but not roles
+const ROLES: Record<string, string[]> = {
+	support: ['users.read', 'users.manage'],
+	auditor: ['users.read'],
+};
+
+// Accounts by id
+let users: Map<string, IUser>;
+let requireAdminTwoFactor: boolean;
+
+const addUser = (name: string, role: string) => {
+	const user = saveInMemory(
+		new User({
+			email: `${name.toLowerCase()}@example.test`,
+			password: 'hashed',
+			name,
+			role,
+		})
+	);
+	mock.method(user, 'deleteOne', async () => {
+		users.delete(String(user._id));
+	});
+	users.set(String(user._id), user);
+	return user;
+};
+
+beforeEach(() => {
+	users = new Map();
+	requireAdminTwoFactor = false;
+	mock.method(User, 'findById', (id: unknown) =>
+		resolvesTo(users.get(String(id)) ?? null)
+	);
+	mock.method(Role, 'findOne', (filter: any) =>
+		resolvesTo(
+			ROLES[filter.name]
+				? new Role({
+						name: filter.name,
+						permissions: ROLES[filter.name],
+				  })
+				: null
+		)
+	);
+	mock.method(Setting, 'findOne', (filter: any) =>
+		resolvesTo(
+			filter.key === 'requireAdminTwoFactor'
+				? new Setting({ key: filter.key, value: requireAdminTwoFactor })
+				: null
+		)
+	);
+});
+
+afterEach(() => mock.restoreAll());
+
+const requestAs = (user: IUser, apiKeyId?: string) =>
+	({ user: { userId: String(user._id), apiKeyId } } as AuthRequest);
+
+const rejectsWith = (promise: Promise<unknown>, code: string) =>
+	assert.rejects(
+		promise,
+		(error) => error instanceof PermissionError && error.code === code
+	);
+
+describe('authorize', () => {
+	it('returns the permissions the role grants', async () => {
+		const support = addUser('Sam', 'support');
+
+		assert.deepEqual(await authorize(requestAs(support), ['users.read']), [
+			'users.read',
+			'users.manage',
+		]);
+	});
+
+	it('rejects a permission the role lacks', async () => {
+		const support = addUser('Sam', 'support');
+
+		await rejectsWith(
+			authorize(requestAs(support), ['roles.manage']),
+			'MISSING_PERMISSION'
+		);
+	});
+
+	it('refuses privileged permissions to API keys', async () => {
+		const admin = addUser('Ada', 'admin');
+
+		await rejectsWith(
+			authorize(requestAs(admin, 'key'), ['users.read']),
+			'API_KEY_NOT_ALLOWED'
+		);
+		await authorize(requestAs(admin, 'key'), ['clients.read']);
+	});
+
+	it('requires two-factor for privileged permissions when configured', async () => {
+		const admin = addUser('Ada', 'admin');
+		requireAdminTwoFactor = true;
+
+		await rejectsWith(
+			authorize(requestAs(admin), ['users.read']),
+			'TWO_FACTOR_REQUIRED'
+		);
+		admin.set('twoFactor.enabled', true);
+		await authorize(requestAs(admin), ['users.read']);
+	});
+});
+
+describe('managing more privileged accounts', () => {
+	let server: Awaited<ReturnType<typeof serveRouter>>;
+	let admin: IUser;
+	let support: IUser;
+	let member: IUser;
+
+	before(async () => {
+		server = await serveRouter('/api/users', usersRouter);
+	});
+	after(() => server.close());
+
+	beforeEach(() => {
+		admin = addUser('Ada', 'admin');
+		support = addUser('Sam', 'support');
+		member = addUser('Max', 'auditor');
+		mock.method(AuditEvent, 'create', async () => ({}));
+		mock.method(Session, 'updateMany', async () => ({}));
+		mock.method(User, 'findOne', () => resolvesTo(null));
+	});
+
+	it('lets users.manage disable an account with fewer permissions', async () => {
+		const response = await server.request(
+			'PATCH',
+			`/api/users/${member._id}/status`,
+			{ body: { isEnabled: false }, token: signIn(support) }
+		);
+
+		assert.equal(response.status, 200);
+		assert.equal(member.isEnabled, false);
+	});
+
+	it('needs roles.manage to disable an account with more permissions', async () => {
+		const response = await server.request(
+			'PATCH',
+			`/api/users/${admin._id}/status`,
+			{ body: { isEnabled: false }, token: signIn(support) }
+		);
+
+		assert.equal(response.status, 403);
+		assert.equal(response.body.code, 'MISSING_PERMISSION');
+		assert.equal(admin.isEnabled, true);
+	});
+
+	it('needs roles.manage to delete an account with more permissions', async () => {
+		const response = await server.request(
+			'DELETE',
+			`/api/users/${admin._id}`,
+			{ token: signIn(support) }
+		);
+
+		assert.equal(response.status, 403);
+		assert.ok(users.has(String(admin._id)));
+	});
+
+	it('needs roles.manage to edit an account with more permissions', async () => {
+		const response = await server.request(
+			'PUT',
+			`/api/users/${admin._id}`,
+			{
+				body: { email: 'sam@example.test' },
+				token: signIn(support),
+			}
+		);
+
+		assert.equal(response.status, 403);
+		assert.equal(admin.email, 'ada@example.test');
+	});
+
+	it('lets an account with the same permissions be managed', async () => {
+		const peer = addUser('Pat', 'support');
+
+		const response = await server.request(
+			'DELETE',
+			`/api/users/${peer._id}`,
+			{
+				token: signIn(support),
+			}
+		);
+
+		assert.equal(response.status, 200);
+		assert.ok(!users.has(String(peer._id)));
+	});
+
+	it('lets admins manage any account', async () => {
+		const response = await server.request(
+			'DELETE',
+			`/api/users/${support._id}`,
+			{ token: signIn(admin) }
+		);
+
+		assert.equal(response.status, 200);
+	});
+
+	it('lets anyone rename themselves without users.manage', async () => {
+		const response = await server.request(
+			'PUT',
+			`/api/users/${member._id}`,
+			{
+				body: { name: 'Maxine' },
+				token: signIn(member),
+			}
+		);
+
+		assert.equal(response.status, 200);
+		assert.equal(member.name, 'Maxine');
+	});
+
+	it('does not let users enable or disable themselves', async () => {
+		const response = await server.request(
+			'PUT',
+			`/api/users/${member._id}`,
+			{
+				body: { isEnabled: true },
+				token: signIn(member),
+			}
+		);
+
+		assert.equal(response.status, 403);
+	});
+
+	it('needs roles.manage to change a role', async () => {
+		const response = await server.request(
+			'PUT',
+			`/api/users/${member._id}`,
+			{
+				body: { role: 'admin' },
+				token: signIn(support),
+			}
+		);
+
+		assert.equal(response.status, 403);
+		assert.equal(member.role, 'auditor');
+	});
+});
@@ -0,0 +1,147 @@
+import { serveRouter } from './helpers.js';
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { Router } from 'express';
+import { rateLimit } from '../src/middleware/rateLimit.js';
+import RateLimitCounter from '../src/models/RateLimitCounter.js';
+import {
+	MemoryStore,
+	MongoStore,
+	RATE_LIMIT_POLICIES,
+	setRateLimitStore,
+} from '../src/services/rateLimit.js';
+
+const MINUTE = 60 * 1000;
+
+describe('MemoryStore', () => {
+	afterEach(() => mock.timers.reset());
+
+	it('counts hits within a window', async () => {
+		mock.timers.enable({ apis: ['Date'], now: 0 });
+		const store = new MemoryStore();
+
+		assert.deepEqual(await store.increment('key', MINUTE), {
+			count: 1,
+			resetAt: new Date(MINUTE),
+		});
+		mock.timers.tick(MINUTE - 1);
+		assert.deepEqual(await store.increment('key', MINUTE), {
+			count: 2,
+			resetAt: new Date(MINUTE),
+		});
+	});
+
+	it('starts a new window once the previous one ends', async () => {
+		mock.timers.enable({ apis: ['Date'], now: 0 });
+		const store = new MemoryStore();
+		await store.increment('key', MINUTE);
+		await store.increment('key', MINUTE);
+
+		mock.timers.tick(MINUTE);
+		assert.deepEqual(await store.increment('key', MINUTE), {
+			count: 1,
+			resetAt: new Date(2 * MINUTE),
+		});
+	});
+
+	it('counts keys separately and forgets a reset key', async () => {
+		const store = new MemoryStore();
+		await store.increment('a', MINUTE);
+		await store.increment('a', MINUTE);
+
+		assert.equal((await store.increment('b', MINUTE)).count, 1);
+		await store.reset('a');
+		assert.equal((await store.increment('a', MINUTE)).count, 1);
+	});
+});
+
+describe('MongoStore', () => {
+	afterEach(() => mock.restoreAll());
+
+	it('increments the open window', async () => {
+		const resetAt = new Date(Date.now() + MINUTE);
+		const update = mock.method(
+			RateLimitCounter,
+			'findOneAndUpdate',
+			async () => ({ count: 3, resetAt })
+		);
+
+		assert.deepEqual(await new MongoStore().increment('key', MINUTE), {
+			count: 3,
+			resetAt,
+		});
+		assert.equal(update.mock.callCount(), 1);
+	});
+
+	it('starts a new window when none is open', async () => {
+		const update = mock.method(
+			RateLimitCounter,
+			'findOneAndUpdate',
+			async (_filter: unknown, changes: any) =>
+				changes.$inc ? null : changes
+		);
+
+		const hit = await new MongoStore().increment('key', MINUTE);
+		assert.equal(hit.count, 1);
+		assert.ok(hit.resetAt.getTime() > Date.now());
+		const [filter, , options] = update.mock.calls[1].arguments as any[];
+		assert.deepEqual(filter, { key: 'key' });
+		assert.equal(options.upsert, true);
+	});
+});
+
+describe('rateLimit middleware', () => {
+	afterEach(() => setRateLimitStore(null));
+
+	it('answers 429 once the policy limit is exceeded', async () => {
+		setRateLimitStore(new MemoryStore());
+		const router = Router();
+		router.post('/', rateLimit('accountRecovery'), (_req, res) => {
+			res.json({ ok: true });
+		});
+		const server = await serveRouter('/limited', router);
+
+		try {
+			const { max } = RATE_LIMIT_POLICIES.accountRecovery;
+			for (let i = 0; i < max; i++) {
+				assert.equal(
+					(await server.request('POST', '/limited')).status,
+					200
+				);
+			}
+
+			const limited = await server.request('POST', '/limited');
+			assert.equal(limited.status, 429);
+			assert.equal(limited.body.code, 'RATE_LIMITED');
+			assert.ok(limited.body.retryAfter > 0);
+		} finally {
+			await server.close();
+		}
+	});
+
+	it('lets requests through when the store fails', async () => {
+		mock.method(console, 'error', () => {});
+		setRateLimitStore({
+			name: 'broken',
+			increment: async () => {
+				throw new Error('store unavailable');
+			},
+			reset: async () => {},
+		});
+		const router = Router();
+		router.post('/', rateLimit('login'), (_req, res) => {
+			res.json({ ok: true });
+		});
+		const server = await serveRouter('/limited', router);
+
+		try {
+			assert.equal(
+				(await server.request('POST', '/limited')).status,
+				200
+			);
+		} finally {
+			await server.close();
+			mock.restoreAll();
+		}
+	});
+});
@@ -0,0 +1,240 @@
+import { saveInMemory } from './helpers.js';
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { Types } from 'mongoose';
+import Client from '../src/models/Client.js';
+import Deployment from '../src/models/Deployment.js';
+import { DNSProvider } from '../src/services/dns.js';
+import { DeploymentTarget } from '../src/services/deploymentTargets.js';
+import {
+	ProvisioningContext,
+	getProvisioningSteps,
+} from '../src/services/provisioning.js';
+import {
+	SagaError,
+	SagaRecord,
+	SagaStep,
+	compensateSaga,
+	runSaga,
+} from '../src/services/saga.js';
+import { IDeployment } from '../src/types.js';
+
+const createRecord = (): SagaRecord => ({
+	steps: [],
+	save: async () => {},
+});
+
+// Steps that log what they did, the named one failing
+const createSteps = (names: string[], failing: string, log: string[]) =>
+	names.map(
+		(name): SagaStep<null> => ({
+			name,
+			execute: async () => {
+				if (name === failing) throw new Error(`${name} broke`);
+				log.push(`execute ${name}`);
+			},
+			compensate: async () => {
+				log.push(`compensate ${name}`);
+			},
+		})
+	);
+
+describe('runSaga', () => {
+	it('compensates the steps run so far in reverse order', async () => {
+		const log: string[] = [];
+		const record = createRecord();
+		const steps = createSteps(['a', 'b', 'c', 'd'], 'c', log);
+
+		await assert.rejects(runSaga(record, steps, null), (error) => {
+			assert.ok(error instanceof SagaError);
+			assert.equal(error.step, 'c');
+			assert.equal(error.compensationFailed, false);
+			return true;
+		});
+
+		assert.deepEqual(log, [
+			'execute a',
+			'execute b',
+			'compensate c',
+			'compensate b',
+			'compensate a',
+		]);
+		assert.deepEqual(
+			record.steps.map((step) => step.status),
+			['compensated', 'compensated', 'compensated', 'pending']
+		);
+		assert.equal(record.failedStep, 'c');
+		assert.equal(record.error?.message, 'c broke');
+	});
+
+	it('resumes after the steps a previous attempt completed', async () => {
+		const log: string[] = [];
+		const record = createRecord();
+		record.steps = [
+			{ name: 'a', status: 'completed' },
+			{ name: 'b', status: 'running' },
+			{ name: 'c', status: 'pending' },
+		];
+
+		await runSaga(record, createSteps(['a', 'b', 'c'], '', log), null);
+		assert.deepEqual(log, ['execute b', 'execute c']);
+		assert.ok(record.steps.every((step) => step.status === 'completed'));
+	});
+
+	it('stops rolling back at a compensation that fails', async () => {
+		mock.method(console, 'error', () => {});
+		const log: string[] = [];
+		const record = createRecord();
+		const steps = createSteps(['a', 'b', 'c'], 'c', log);
+		steps[1].compensate = async () => {
+			throw new Error('b cannot be undone');
+		};
+
+		await assert.rejects(
+			runSaga(record, steps, null),
+			(error) =>
+				error instanceof SagaError &&
+				error.step === 'c' &&
+				error.compensationFailed
+		);
+		assert.deepEqual(
+			record.steps.map((step) => step.status),
+			['completed', 'compensation_failed', 'compensated']
+		);
+		assert.ok(!log.includes('compensate a'));
+		mock.restoreAll();
+	});
+});
+
+describe('provisioning saga state', () => {
+	let dns: DNSProvider & { records: Set<string> };
+	let target: DeploymentTarget;
+
+	beforeEach(() => {
+		const records = new Set<string>();
+		dns = {
+			name: 'memory',
+			records,
+			checkSubdomainAvailability: async (subdomain) =>
+				!records.has(subdomain),
+			createSubdomainRecord: async (subdomain) => {
+				records.add(subdomain);
+				return `record-${subdomain}`;
+			},
+			deleteSubdomainRecord: async (subdomain) => {
+				records.delete(subdomain);
+			},
+			findSubdomainRecord: async (subdomain) =>
+				records.has(subdomain)
+					? {
+							id: `record-${subdomain}`,
+							name: `${subdomain}.sites.test`,
+							subdomain,
+							type: 'A',
+							content: '203.0.113.10',
+					  }
+					: null,
+			listSubdomainRecords: async () => [],
+		};
+		target = {
+			name: 'static',
+			create: async () => {
+				throw new Error('target unavailable');
+			},
+			update: async () => ({ created: false }),
+			delete: async () => {},
+			status: async () => ({
+				target: 'static',
+				exists: false,
+				hostnames: [],
+			}),
+		};
+	});
+	afterEach(() => mock.restoreAll());
+
+	const createContext = (
+		deployment: IDeployment = saveInMemory(
+			new Deployment({
+				client: new Types.ObjectId(),
+				owner: new Types.ObjectId(),
+				subdomain: 'acme',
+				action: 'provision',
+			})
+		)
+	): ProvisioningContext => ({
+		deployment,
+		client: saveInMemory(
+			new Client({
+				owner: deployment.owner,
+				name: 'Acme',
+				subdomain: 'acme',
+			})
+		),
+		dns,
+		hostname: 'acme.sites.test',
+		target,
+		// Read back from the deployment, as after a restart
+		state: { ...(deployment.context || {}) },
+	});
+
+	it('removes the DNS record it created when a later step fails', async () => {
+		const context = createContext();
+
+		await assert.rejects(
+			runSaga(
+				context.deployment,
+				getProvisioningSteps('provision'),
+				context
+			),
+			SagaError
+		);
+		assert.deepEqual(context.deployment.context, {
+			dnsRecordCreated: true,
+		});
+		assert.equal(dns.records.size, 0);
+		assert.equal(context.client.dnsRecordId, undefined);
+		assert.equal(context.client.isDeployed, false);
+	});
+
+	it('keeps a DNS record it only adopted', async () => {
+		dns.records.add('acme');
+		const context = createContext();
+
+		await assert.rejects(
+			runSaga(
+				context.deployment,
+				getProvisioningSteps('provision'),
+				context
+			)
+		);
+		assert.deepEqual(context.deployment.context, {
+			dnsRecordCreated: false,
+		});
+		assert.ok(dns.records.has('acme'));
+	});
+
+	it('rolls back from the persisted state of an interrupted saga', async () => {
+		const steps = getProvisioningSteps('provision');
+		const interrupted = createContext();
+		interrupted.target = {
+			...target,
+			create: async () => new Promise(() => {}),
+		};
+		// Run until the application step hangs, as if the process died there
+		void runSaga(interrupted.deployment, steps, interrupted);
+		await new Promise((resolve) => setImmediate(resolve));
+		assert.equal(interrupted.deployment.step, 'application');
+
+		// A new process reloads the client and the deployment; what the
+		// saga did is only known from the deployment's context
+		const restarted = createContext(interrupted.deployment);
+		restarted.client.dnsRecordId = interrupted.client.dnsRecordId;
+		await compensateSaga(restarted.deployment, steps, restarted);
+
+		assert.equal(dns.records.size, 0);
+		assert.deepEqual(
+			restarted.deployment.steps.map((step) => step.status),
+			['compensated', 'compensated', 'compensated', 'pending']
+		);
+	});
+});
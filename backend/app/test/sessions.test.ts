@@ -0,0 +1,181 @@
+import { resolvesTo, saveInMemory } from './helpers.js';
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { Request } from 'express';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import {
+	SessionError,
+	createSession,
+	refreshSession,
+	revokeSession,
+	revokeUserSessions,
+	validateAccessToken,
+} from '../src/services/sessions.js';
+import { ISession, IUser } from '../src/types.js';
+
+const req = {
+	ip: '127.0.0.1',
+	header: () => 'node-test',
+} as unknown as Request;
+
+// The sessions collection in memory, keyed by id
+let sessions: Map<string, ISession>;
+let user: IUser;
+
+const revoke = (session: ISession, update: any) => {
+	if (!session.revokedAt) session.set(update);
+};
+
+beforeEach(() => {
+	sessions = new Map();
+	user = saveInMemory(
+		new User({
+			email: 'ada@example.test',
+			password: 'hashed',
+			name: 'Ada',
+		})
+	);
+
+	mock.method(Session.prototype, 'save', async function (this: ISession) {
+		sessions.set(String(this._id), this);
+		return this;
+	});
+	mock.method(Session, 'findById', (id: unknown) =>
+		resolvesTo(sessions.get(String(id)) ?? null)
+	);
+	mock.method(Session, 'updateOne', async (filter: any, update: any) => {
+		const session = sessions.get(String(filter._id));
+		if (session) revoke(session, update);
+	});
+	mock.method(Session, 'updateMany', async (filter: any, update: any) => {
+		for (const session of sessions.values()) {
+			if (String(session.user) === String(filter.user)) {
+				revoke(session, update);
+			}
+		}
+	});
+	mock.method(User, 'findById', (id: unknown) =>
+		resolvesTo(String(id) === String(user._id) ? user : null)
+	);
+});
+
+afterEach(() => mock.restoreAll());
+
+const rejectsWith = (promise: Promise<unknown>, code: string) =>
+	assert.rejects(
+		promise,
+		(error) => error instanceof SessionError && error.code === code
+	);
+
+describe('createSession', () => {
+	it('stores only a hash of the refresh token', async () => {
+		const { refreshToken, session } = await createSession(user, req);
+
+		const stored = sessions.get(String(session._id))!;
+		assert.ok(refreshToken.startsWith(`${session._id}.`));
+		assert.ok(stored.refreshTokenHash);
+		assert.notEqual(stored.refreshTokenHash, refreshToken);
+		assert.ok(stored.expiresAt > new Date());
+	});
+
+	it('issues an access token for the session', async () => {
+		const { accessToken, session } = await createSession(user, req);
+
+		assert.deepEqual(await validateAccessToken(accessToken), {
+			userId: String(user._id),
+			sid: String(session._id),
+		});
+	});
+});
+
+describe('refreshSession', () => {
+	it('rotates the refresh token', async () => {
+		const first = await createSession(user, req);
+		const second = await refreshSession(first.refreshToken, req);
+
+		assert.notEqual(second.refreshToken, first.refreshToken);
+		assert.equal(String(second.session._id), String(first.session._id));
+		await rejectsWith(
+			refreshSession(first.refreshToken, req),
+			'INVALID_TOKEN'
+		);
+	});
+
+	it('revokes the session when a rotated token is presented again', async () => {
+		const first = await createSession(user, req);
+		const second = await refreshSession(first.refreshToken, req);
+
+		await rejectsWith(
+			refreshSession(first.refreshToken, req),
+			'INVALID_TOKEN'
+		);
+		const session = sessions.get(String(first.session._id))!;
+		assert.equal(session.revokedReason, 'refresh_token_reuse');
+		await rejectsWith(
+			refreshSession(second.refreshToken, req),
+			'SESSION_REVOKED'
+		);
+	});
+
+	it('does not revoke the session for an unknown token', async () => {
+		const { refreshToken, session } = await createSession(user, req);
+
+		await rejectsWith(
+			refreshSession(`${session._id}.guessed`, req),
+			'INVALID_TOKEN'
+		);
+		assert.equal(sessions.get(String(session._id))!.revokedAt, undefined);
+		await refreshSession(refreshToken, req);
+	});
+
+	it('rejects malformed tokens', async () => {
+		await rejectsWith(refreshSession('not-a-token', req), 'INVALID_TOKEN');
+	});
+
+	it('rejects expired sessions', async () => {
+		const { refreshToken, session } = await createSession(user, req);
+		session.expiresAt = new Date(Date.now() - 1000);
+
+		await rejectsWith(refreshSession(refreshToken, req), 'SESSION_REVOKED');
+	});
+
+	it('revokes the session of a disabled user', async () => {
+		const { refreshToken, session } = await createSession(user, req);
+		user.isEnabled = false;
+
+		await rejectsWith(refreshSession(refreshToken, req), 'USER_DISABLED');
+		assert.equal(session.revokedReason, 'user_disabled');
+	});
+});
+
+describe('validateAccessToken', () => {
+	it('rejects tokens of a revoked session', async () => {
+		const { accessToken, session } = await createSession(user, req);
+		await revokeSession(String(session._id), 'logout');
+
+		await rejectsWith(validateAccessToken(accessToken), 'SESSION_REVOKED');
+	});
+
+	it('rejects tokens once every session of the user is revoked', async () => {
+		const first = await createSession(user, req);
+		const second = await createSession(user, req);
+		await revokeUserSessions(String(user._id), 'password_change');
+
+		await rejectsWith(
+			validateAccessToken(first.accessToken),
+			'SESSION_REVOKED'
+		);
+		await rejectsWith(
+			validateAccessToken(second.accessToken),
+			'SESSION_REVOKED'
+		);
+	});
+
+	it('rejects tokens of a disabled user', async () => {
+		const { accessToken } = await createSession(user, req);
+		user.isEnabled = false;
+
+		await rejectsWith(validateAccessToken(accessToken), 'USER_DISABLED');
+	});
+});
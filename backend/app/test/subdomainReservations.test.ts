@@ -0,0 +1,169 @@
+import './helpers.js';
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { Types } from 'mongoose';
+import Client from '../src/models/Client.js';
+import SubdomainReservation from '../src/models/SubdomainReservation.js';
+import { ResolvedDomain } from '../src/services/domains.js';
+import {
+	ReservationError,
+	reserveSubdomain,
+	saveClientWithReservation,
+} from '../src/services/subdomainReservations.js';
+
+const domain = {
+	id: new Types.ObjectId(),
+	apex: 'sites.test',
+} as ResolvedDomain;
+const alice = String(new Types.ObjectId());
+const bob = String(new Types.ObjectId());
+
+interface Hold {
+	_id: Types.ObjectId;
+	subdomain: string;
+	user: string;
+	expiresAt: Date;
+}
+
+const duplicateKeyError = () =>
+	Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// The reservations collection in memory, enforcing its unique index on the
+// name the way MongoDB does
+let holds: Hold[];
+
+const matches = (hold: Hold, filter: any) =>
+	(filter.subdomain === undefined || hold.subdomain === filter.subdomain) &&
+	(filter.user === undefined || hold.user === String(filter.user)) &&
+	(filter._id?.$ne === undefined || !hold._id.equals(filter._id.$ne)) &&
+	(filter.expiresAt?.$lte === undefined ||
+		hold.expiresAt <= filter.expiresAt.$lte);
+
+beforeEach(() => {
+	holds = [];
+	mock.method(SubdomainReservation, 'deleteOne', async (filter: any) => {
+		holds = holds.filter((hold) => !matches(hold, filter));
+	});
+	mock.method(SubdomainReservation, 'deleteMany', async (filter: any) => {
+		holds = holds.filter((hold) => !matches(hold, filter));
+	});
+	mock.method(
+		SubdomainReservation,
+		'findOneAndUpdate',
+		async (filter: any, update: any) => {
+			let hold = holds.find((candidate) => matches(candidate, filter));
+			if (!hold) {
+				if (
+					holds.some((other) => other.subdomain === filter.subdomain)
+				) {
+					throw duplicateKeyError();
+				}
+				hold = {
+					_id: new Types.ObjectId(),
+					subdomain: filter.subdomain,
+					user: String(filter.user),
+					expiresAt: update.expiresAt,
+				};
+				holds.push(hold);
+			}
+			hold.expiresAt = update.expiresAt;
+			return hold;
+		}
+	);
+});
+afterEach(() => mock.restoreAll());
+
+describe('reserveSubdomain', () => {
+	it('holds a free name for the user', async () => {
+		await reserveSubdomain('acme', domain, alice);
+		assert.deepEqual(
+			holds.map(({ subdomain, user }) => ({ subdomain, user })),
+			[{ subdomain: 'acme', user: alice }]
+		);
+	});
+
+	it('answers 409 when another user holds the name', async () => {
+		await reserveSubdomain('acme', domain, alice);
+
+		await assert.rejects(reserveSubdomain('acme', domain, bob), {
+			name: 'ReservationError',
+			code: 'SUBDOMAIN_HELD',
+			status: 409,
+		});
+		assert.equal(holds[0].user, alice);
+	});
+
+	it('extends the hold when the same user reserves again', async () => {
+		const first = await reserveSubdomain('acme', domain, alice);
+		const firstExpiry = first.expiresAt.getTime();
+		await new Promise((resolve) => setTimeout(resolve, 5));
+
+		const second = await reserveSubdomain('acme', domain, alice);
+		assert.equal(holds.length, 1);
+		assert.ok(second.expiresAt.getTime() > firstExpiry);
+	});
+
+	it('frees the previous name when the user picks another', async () => {
+		await reserveSubdomain('acme', domain, alice);
+		await reserveSubdomain('acme-shop', domain, alice);
+
+		assert.deepEqual(
+			holds.map((hold) => hold.subdomain),
+			['acme-shop']
+		);
+		await reserveSubdomain('acme', domain, bob);
+	});
+
+	it('takes over a hold that has expired', async () => {
+		await reserveSubdomain('acme', domain, alice);
+		holds[0].expiresAt = new Date(Date.now() - 1000);
+
+		await reserveSubdomain('acme', domain, bob);
+		assert.equal(holds[0].user, bob);
+	});
+});
+
+describe('saveClientWithReservation', () => {
+	const newClient = () =>
+		new Client({
+			owner: new Types.ObjectId(alice),
+			name: 'Acme',
+			subdomain: 'acme',
+			domain: domain.id,
+		});
+
+	it('saves the client and releases the hold', async () => {
+		await reserveSubdomain('acme', domain, alice);
+		const client = newClient();
+		const save = mock.method(client, 'save', async () => client);
+
+		await saveClientWithReservation(client, domain, alice);
+		assert.equal(save.mock.callCount(), 1);
+		assert.deepEqual(holds, []);
+	});
+
+	it('does not save while another user holds the name', async () => {
+		await reserveSubdomain('acme', domain, bob);
+		const client = newClient();
+		const save = mock.method(client, 'save', async () => client);
+
+		await assert.rejects(
+			saveClientWithReservation(client, domain, alice),
+			ReservationError
+		);
+		assert.equal(save.mock.callCount(), 0);
+		assert.equal(holds[0].user, bob);
+	});
+
+	it('answers 409 when a client already took the name', async () => {
+		const client = newClient();
+		mock.method(client, 'save', async () => {
+			throw duplicateKeyError();
+		});
+
+		await assert.rejects(saveClientWithReservation(client, domain, alice), {
+			code: 'SUBDOMAIN_TAKEN',
+			status: 409,
+		});
+	});
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+	base32Decode,
+	base32Encode,
+	generateTotpCode,
+	verifyTotpCode,
+} from '../src/services/totp.js';
+
+// RFC 6238 appendix B, SHA-1 seed; codes are the last 6 of the 8 digits
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const VECTORS: [number, string][] = [
+	[59, '287082'],
+	[1111111109, '081804'],
+	[1111111111, '050471'],
+	[1234567890, '005924'],
+	[2000000000, '279037'],
+	[20000000000, '353130'],
+];
+
+describe('TOTP', () => {
+	it('encodes the RFC 6238 seed like authenticator apps', () => {
+		assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+		assert.equal(
+			base32Decode(SECRET.toLowerCase()).toString(),
+			'12345678901234567890'
+		);
+	});
+
+	for (const [seconds, code] of VECTORS) {
+		it(`generates ${code} at T=${seconds}`, () => {
+			assert.equal(generateTotpCode(SECRET, seconds * 1000), code);
+		});
+	}
+
+	it('returns the time step a code matched', () => {
+		assert.equal(
+			verifyTotpCode(SECRET, '081804', 1, 1111111109 * 1000),
+			Math.floor(1111111109 / 30)
+		);
+	});
+
+	it('accepts codes one step either side of now by default', () => {
+		const now = 1111111111 * 1000;
+		const step = Math.floor(now / 30000);
+		const previous = generateTotpCode(SECRET, now - 30000);
+		const next = generateTotpCode(SECRET, now + 30000);
+
+		assert.equal(verifyTotpCode(SECRET, previous, 1, now), step - 1);
+		assert.equal(verifyTotpCode(SECRET, next, 1, now), step + 1);
+		assert.equal(verifyTotpCode(SECRET, previous, 0, now), null);
+	});
+
+	it('rejects codes outside the window', () => {
+		const now = 1111111111 * 1000;
+		const stale = generateTotpCode(SECRET, now - 2 * 30000);
+		assert.equal(verifyTotpCode(SECRET, stale, 1, now), null);
+	});
+
+	it('ignores spaces but rejects malformed codes', () => {
+		const now = 59 * 1000;
+		assert.notEqual(verifyTotpCode(SECRET, '287 082', 1, now), null);
+		assert.equal(verifyTotpCode(SECRET, '28708', 1, now), null);
+		assert.equal(verifyTotpCode(SECRET, '2870820', 1, now), null);
+		assert.equal(verifyTotpCode(SECRET, 'abcdef', 1, now), null);
+	});
+});
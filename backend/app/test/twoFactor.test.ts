@@ -0,0 +1,158 @@
+import { resolvesTo, saveInMemory, serveRouter } from './helpers.js';
+import assert from 'node:assert/strict';
+import {
+	after,
+	afterEach,
+	before,
+	beforeEach,
+	describe,
+	it,
+	mock,
+} from 'node:test';
+import AuditEvent from '../src/models/AuditEvent.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import authRouter from '../src/routes/auth.js';
+import { MemoryStore, setRateLimitStore } from '../src/services/rateLimit.js';
+import { encryptSecret } from '../src/services/secrets.js';
+import { generateTotpCode, generateTotpSecret } from '../src/services/totp.js';
+import {
+	regenerateRecoveryCodes,
+	signTwoFactorChallenge,
+	verifySecondFactor,
+} from '../src/services/twoFactor.js';
+
+const currentStep = () => Math.floor(Date.now() / 30000);
+
+// A user enrolled in two-factor authentication, saved in memory only
+const enrolledUser = async () => {
+	const secret = generateTotpSecret();
+	const user = saveInMemory(
+		new User({
+			email: 'ada@example.test',
+			password: 'hashed',
+			name: 'Ada',
+			twoFactor: {
+				enabled: true,
+				secret: encryptSecret(secret),
+				lastUsedStep: currentStep() - 5,
+			},
+		})
+	);
+	const recoveryCodes = await regenerateRecoveryCodes(user);
+	return { user, secret, recoveryCodes };
+};
+
+describe('verifySecondFactor', () => {
+	afterEach(() => mock.restoreAll());
+
+	it('accepts a TOTP code once', async () => {
+		const { user, secret } = await enrolledUser();
+		const code = generateTotpCode(secret);
+
+		assert.equal(await verifySecondFactor(user, { code }), true);
+		assert.ok(user.twoFactor!.lastUsedStep! >= currentStep() - 1);
+		assert.equal(await verifySecondFactor(user, { code }), false);
+	});
+
+	it('rejects a code from before the last used one', async () => {
+		const { user, secret } = await enrolledUser();
+		user.set('twoFactor.lastUsedStep', currentStep());
+
+		const previous = generateTotpCode(secret, Date.now() - 30000);
+		assert.equal(await verifySecondFactor(user, { code: previous }), false);
+	});
+
+	it('consumes a recovery code on use', async () => {
+		const { user, recoveryCodes } = await enrolledUser();
+		const [recoveryCode] = recoveryCodes;
+
+		assert.equal(await verifySecondFactor(user, { recoveryCode }), true);
+		assert.equal(user.twoFactor!.recoveryCodes!.length, 9);
+		assert.equal(await verifySecondFactor(user, { recoveryCode }), false);
+	});
+
+	it('accepts recovery codes typed without the dash or in capitals', async () => {
+		const { user, recoveryCodes } = await enrolledUser();
+		const recoveryCode = recoveryCodes[1].replace('-', '').toUpperCase();
+
+		assert.equal(await verifySecondFactor(user, { recoveryCode }), true);
+	});
+
+	it('rejects every factor when two-factor is off', async () => {
+		const { user, secret, recoveryCodes } = await enrolledUser();
+		user.set('twoFactor.enabled', false);
+
+		assert.equal(
+			await verifySecondFactor(user, { code: generateTotpCode(secret) }),
+			false
+		);
+		assert.equal(
+			await verifySecondFactor(user, { recoveryCode: recoveryCodes[0] }),
+			false
+		);
+	});
+});
+
+describe('POST /api/auth/login/2fa', () => {
+	let server: Awaited<ReturnType<typeof serveRouter>>;
+
+	before(async () => {
+		server = await serveRouter('/api/auth', authRouter);
+	});
+	after(() => server.close());
+
+	beforeEach(() => {
+		setRateLimitStore(new MemoryStore());
+		mock.method(AuditEvent, 'create', async () => ({}));
+		mock.method(Role, 'findOne', () => resolvesTo(null));
+		mock.method(User, 'findOneAndUpdate', () => resolvesTo(null));
+		mock.method(Session.prototype, 'save', async function (this: any) {
+			return this;
+		});
+	});
+	afterEach(() => {
+		mock.restoreAll();
+		setRateLimitStore(null);
+	});
+
+	const login = async (user: InstanceType<typeof User>, factor: object) => {
+		mock.method(User, 'findById', () => resolvesTo(user));
+		return server.request('POST', '/api/auth/login/2fa', {
+			body: { challengeToken: signTwoFactorChallenge(user), ...factor },
+		});
+	};
+
+	it('logs in with a TOTP code and refuses to replay it', async () => {
+		const { user, secret } = await enrolledUser();
+		const code = generateTotpCode(secret);
+
+		const first = await login(user, { code });
+		assert.equal(first.status, 200);
+		assert.ok(first.body.token);
+		assert.ok(first.body.refreshToken);
+
+		const replay = await login(user, { code });
+		assert.equal(replay.status, 400);
+		assert.equal(replay.body.message, 'Invalid verification code');
+	});
+
+	it('accepts each recovery code only once', async () => {
+		const { user, recoveryCodes } = await enrolledUser();
+
+		const first = await login(user, { recoveryCode: recoveryCodes[0] });
+		assert.equal(first.status, 200);
+
+		const reused = await login(user, { recoveryCode: recoveryCodes[0] });
+		assert.equal(reused.status, 400);
+	});
+
+	it('rejects a challenge that was not issued by the password step', async () => {
+		const response = await server.request('POST', '/api/auth/login/2fa', {
+			body: { challengeToken: 'forged', code: '123456' },
+		});
+		assert.equal(response.status, 401);
+		assert.equal(response.body.code, 'INVALID_CHALLENGE');
+	});
+});